@@ -32,11 +32,13 @@ const PKCE_RELAY_URL        = 'https://onyxmizuna.github.io/SAI-Toolkit/oauth-ca
 // authorization-code / refresh-token exchanges server-side. See spicychat/token-broker/.
 // TODO: set this to your deployed Worker URL after `wrangler deploy`.
 const TOKEN_BROKER_URL      = 'https://sai-token-broker.onyxmizuna-oauth-relay.workers.dev';
-const DRIVE_FILE_NAME       = 'sai-toolkit-sync.json';
+const SYNC_FILE_NAME        = 'sai-toolkit-sync.json';
 const STATS_KEY             = 'messageGenerationStats';
 const BACKUP_FOLDER_NAME    = 'S.AI Toolkit';
 const BACKUP_FILE_PREFIX    = 'sai-toolkit-backup-';
+const DELTA_FILE_PREFIX     = 'sai-toolkit-delta-';
 const AUTO_SYNC_ALARM_NAME  = 'driveAutoSync';
+const BACKUP_ALARM_NAME     = 'driveScheduledBackup';
 
 // Keys included in each sync section
 const SETTINGS_SYNC_KEYS = [
@@ -46,15 +48,72 @@ const SETTINGS_SYNC_KEYS = [
     'showGenerationStats', 'showModelDetails', 'showTimestamp',
     'timestampDateFirst', 'timestamp24Hour', 'showMessageIds',
     'showChatNameInTitle', 'nsfwToggleEnabled', 'messageRecoveryEnabled',
+    'draftAutosaveEnabled', 'draftExpiryHours', 'sendRetryEnabled', 'sendRetryMaxAttempts',
+    'offlineQueueEnabled',
+    'enableChatSearchIndex',
     'enableWysiwygEditor', 'enableGenerationProfiles',
     'enableSmallProfileImages', 'enableRoundedProfileImages',
     'swapCheckboxPosition', 'squareMessageEdges',
     'highlightModelChanges', 'autoRegenOnMismatch', 'autoRegenOnShort',
-    'autoRegenMaxAttempts', 'messageContainerMaxWidth',
+    'autoRegenMaxAttempts', 'shortResponseThreshold', 'repetitionDetection', 'repetitionAutoRegen',
+    'repetitionThreshold', 'messageContainerMaxWidth',
     'memoryDotEnabled', 'memoryDotColor', 'hideCreatorName',
-    'generationProfiles', 'lastSelectedProfile'
+    'lastSelectedProfile', 'characterProfileBindings',
+    'autoRegenRules', 'snippetLibrary'
 ];
 const STYLE_SYNC_KEYS = ['enableCustomStyle', 'customStyleValues'];
+// generationProfiles has its own per-profile section — see mergeSyncProfiles
+
+// What the content script falls back to for each synced key that has never been
+// set (keep in step with the settings modal defaults in content.js). Used to seed
+// the merge base on a section's first sync — see seedSyncBase.
+const SYNC_KEY_DEFAULTS = {
+    enableSidebarLayout: false, sidebarMinWidth: 1000,
+    enableClassicLayout: false, enableClassicStyle: false,
+    enableCompactGeneration: false, enableHideForYou: false, enablePageJump: false,
+    showGenerationStats: false, showModelDetails: true, showTimestamp: false,
+    timestampDateFirst: true, timestamp24Hour: false, showMessageIds: false,
+    showChatNameInTitle: false, nsfwToggleEnabled: false, messageRecoveryEnabled: false,
+    draftAutosaveEnabled: false, draftExpiryHours: 72, sendRetryEnabled: false, sendRetryMaxAttempts: 3,
+    offlineQueueEnabled: false,
+    enableChatSearchIndex: false,
+    enableWysiwygEditor: false, enableGenerationProfiles: false,
+    enableSmallProfileImages: false, enableRoundedProfileImages: false,
+    swapCheckboxPosition: false, squareMessageEdges: false,
+    highlightModelChanges: false, autoRegenOnMismatch: false, autoRegenOnShort: false,
+    autoRegenMaxAttempts: 1, shortResponseThreshold: 50, repetitionDetection: false, repetitionAutoRegen: false,
+    repetitionThreshold: 40, messageContainerMaxWidth: '',
+    memoryDotEnabled: true, memoryDotColor: '#ff3b3b', hideCreatorName: false,
+    lastSelectedProfile: '', characterProfileBindings: '{}',
+    autoRegenRules: '[]', snippetLibrary: '[]',
+    enableCustomStyle: false,
+    customStyleValues: JSON.stringify({
+        aiMessageBg: 'rgba(0, 100, 255, 0.1)',
+        userMessageBg: 'rgba(100, 100, 100, 0.1)',
+        bodyColor: '#ffffff',
+        bodyFontWeight: 'normal',
+        bodyFontStyle: 'normal',
+        bodyTextDecoration: 'none',
+        spanQuoteColor: '#ffffff',
+        spanQuoteFontWeight: 'normal',
+        spanQuoteFontStyle: 'normal',
+        spanQuoteTextDecoration: 'none',
+        narrationColor: '#06B7DB',
+        narrationFontWeight: 'normal',
+        narrationFontStyle: 'italic',
+        narrationTextDecoration: 'none',
+        highlightBgColor: '#ffdd6d',
+        highlightTextColor: '#000000',
+        highlightFontWeight: 'normal',
+        highlightFontStyle: 'normal',
+        highlightTextDecoration: 'none',
+        fontSize: '16px',
+        fontFamily: '',
+        hoverButtonColor: '#292929',
+        creatorLinkColor: '',
+        backgroundImage: ''
+    })
+};
 
 // ---- Stat-record merge helper ----
 // Merges one {model,max_tokens,temperature,top_p,top_k,role} leaf: the "→" arrow
@@ -88,9 +147,15 @@ function mergeMessageEntry(local, remote) {
 //
 // Schema: store "stats" keyed by messageId (globally unique), with a
 // "by_character" index. Records: { messageId, characterId, model, max_tokens,
-// temperature, top_p, top_k, role }. conversationId is DROPPED — a cloned chat
+// temperature, top_p, top_k, role, createdAt }. conversationId is DROPPED — a cloned chat
 // reuses message IDs under a new conversation, and stats are intrinsic to the
-// message's generation, so messageId is the natural key.
+// message's generation, so messageId is the natural key. createdAt (ms, may be
+// null for older records) is local-only — it feeds the dashboard timeline and is
+// not part of the Drive wire format.
+//
+// Store "sync_dirty" (v3) holds { messageId, stamp } for every record changed on this
+// device since it was last uploaded, so a sync can send just those (see the
+// incremental stats sync section). Records merged in FROM a sync are not marked.
 //
 // The Drive WIRE format stays nested (characterId -> conversationId -> messageId)
 // for cross-version compatibility: import collapses the conversation level via
@@ -98,9 +163,13 @@ function mergeMessageEntry(local, remote) {
 // per character.
 
 const IDB_NAME       = 'sai_toolkit_stats';
-const IDB_VERSION    = 1;
+const IDB_VERSION    = 4;                   // v2: chat search store (see CHAT SEARCH INDEX below); v3: sync_dirty; v4: sync_tombstones
 const IDB_STORE      = 'stats';
 const IDB_CHAR_INDEX = 'by_character';
+const IDB_SEARCH_STORE      = 'messages';
+const IDB_SEARCH_CONV_INDEX = 'by_conversation';
+const IDB_DIRTY_STORE       = 'sync_dirty';
+const IDB_TOMBSTONE_STORE   = 'sync_tombstones';
 const IDB_EXPORT_BUCKET = '_default';   // synthetic conversation bucket for the nested wire format
 const STATS_MIGRATION_FLAG = 'statsMigratedToIDB';
 const IDB_WRITE_CHUNK = 1000;           // bulk-write batch size — keeps iOS/WebKit transactions small
@@ -124,6 +193,19 @@ function openStatsDB() {
                 const store = db.createObjectStore(IDB_STORE, { keyPath: 'messageId' });
                 store.createIndex(IDB_CHAR_INDEX, 'characterId', { unique: false });
             }
+            // Each store is created only if missing, so a v1 -> v2 upgrade leaves the
+            // existing stats records untouched.
+            if (!db.objectStoreNames.contains(IDB_SEARCH_STORE)) {
+                const search = db.createObjectStore(IDB_SEARCH_STORE, { keyPath: ['conversationId', 'messageId'] });
+                search.createIndex(IDB_SEARCH_CONV_INDEX, 'conversationId', { unique: false });
+                search.createIndex(IDB_CHAR_INDEX, 'characterId', { unique: false });
+            }
+            if (!db.objectStoreNames.contains(IDB_DIRTY_STORE)) {
+                db.createObjectStore(IDB_DIRTY_STORE, { keyPath: 'messageId' });
+            }
+            if (!db.objectStoreNames.contains(IDB_TOMBSTONE_STORE)) {
+                db.createObjectStore(IDB_TOMBSTONE_STORE, { keyPath: 'messageId' });
+            }
         };
         req.onsuccess = () => {
             const db = req.result;
@@ -145,7 +227,9 @@ function statLeafHasData(e) {
         || e.top_p != null || e.top_k != null));
 }
 
-// Build a normalised IDB record (the 6 stat fields + keys) from a nested-wire leaf.
+// Build a normalised IDB record (the 6 stat fields + keys, plus the local-only
+// createdAt used by the dashboard timeline) from a nested-wire leaf. editedAt marks a
+// record corrected by hand in the data browser (see mergeRecords).
 function recordFromLeaf(messageId, characterId, leaf) {
     return {
         messageId:   messageId,
@@ -155,14 +239,22 @@ function recordFromLeaf(messageId, characterId, leaf) {
         temperature: leaf.temperature ?? null,
         top_p:       leaf.top_p       ?? null,
         top_k:       leaf.top_k       ?? null,
-        role:        leaf.role        || null
+        role:        leaf.role        || null,
+        createdAt:   leaf.createdAt   ?? null,
+        ...(leaf.editedAt ? { editedAt: leaf.editedAt } : {})
     };
 }
 
 // Merge two records for the SAME messageId (used when collapsing/importing).
 // Reuses mergeMessageEntry for the stat fields (arrow-model wins, field-level merge),
-// then re-attaches the keys.
+// then re-attaches the keys. A hand-edited record (editedAt) is taken as is instead —
+// the edit usually undoes what the field merge would bring back — and of two edits
+// the later one wins.
 function mergeRecords(prev, incoming) {
+    if (prev.editedAt || incoming.editedAt) {
+        const winner = (incoming.editedAt || 0) > (prev.editedAt || 0) ? incoming : prev;
+        return { ...winner, createdAt: prev.createdAt ?? incoming.createdAt ?? null };
+    }
     const m = mergeMessageEntry(prev, incoming);
     // Build a FRESH object — mergeMessageEntry returns one of its args by reference in
     // the arrow-model branches, and we must not mutate the shared in-memory snapshot.
@@ -174,7 +266,8 @@ function mergeRecords(prev, incoming) {
         temperature: m.temperature,
         top_p:       m.top_p,
         top_k:       m.top_k,
-        role:        m.role
+        role:        m.role,
+        createdAt:   prev.createdAt ?? incoming.createdAt ?? null
     };
 }
 
@@ -228,13 +321,13 @@ function idbGetCharacter(db, characterId) {
 // the one-time migration of the legacy ~11 MB blob). Each chunk is its own transaction
 // (synchronous put-loop inside, WebKit-safe), and awaiting between chunks yields the event
 // loop so the page, keepalive port and progress UI stay responsive.
-async function idbPutAll(db, records) {
+async function idbPutAll(db, records, storeName = IDB_STORE) {
     if (!records.length) return 0;
     for (let i = 0; i < records.length; i += IDB_WRITE_CHUNK) {
         const batch = records.slice(i, i + IDB_WRITE_CHUNK);
         await new Promise((resolve, reject) => {
-            const tx    = db.transaction(IDB_STORE, 'readwrite');
-            const store = tx.objectStore(IDB_STORE);
+            const tx    = db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
             for (const r of batch) store.put(r);
             tx.oncomplete = () => resolve();
             tx.onerror    = () => reject(tx.error);
@@ -263,7 +356,8 @@ function mergeLiveWrite(prev, incoming) {
         temperature: incoming.temperature ?? prev.temperature ?? null,
         top_p:       incoming.top_p       ?? prev.top_p       ?? null,
         top_k:       incoming.top_k       ?? prev.top_k       ?? null,
-        role:        incoming.role || prev.role || null
+        role:        incoming.role || prev.role || null,
+        createdAt:   prev.createdAt ?? incoming.createdAt ?? null
     };
 }
 
@@ -272,15 +366,21 @@ function mergeLiveWrite(prev, incoming) {
 // never clobber a richer arrow-model entry that a concurrent Drive-sync merge landed in
 // the gap between the content read and this PUT. The get + put run in ONE transaction,
 // with the put issued synchronously inside the get's onsuccess, so the transaction never
-// auto-commits between them (WebKit-safe).
+// auto-commits between them (WebKit-safe). A write that changes the record also marks
+// it for the next sync's delta; an identical re-write is skipped, and so is any write
+// to a record the user corrected by hand.
 function idbMergePut(db, record) {
     return new Promise((resolve, reject) => {
-        const tx     = db.transaction(IDB_STORE, 'readwrite');
+        const tx     = db.transaction([IDB_STORE, IDB_DIRTY_STORE], 'readwrite');
         const store  = tx.objectStore(IDB_STORE);
         const getReq = store.get(record.messageId);
         getReq.onsuccess = () => {
             const prev = getReq.result;
-            store.put(prev ? mergeLiveWrite(prev, record) : record);
+            if (prev && prev.editedAt) return;
+            const next = prev ? mergeLiveWrite(prev, record) : record;
+            if (prev && recordsEqual(prev, next)) return;
+            store.put(next);
+            tx.objectStore(IDB_DIRTY_STORE).put({ messageId: next.messageId, stamp: nextDirtyStamp() });
         };
         getReq.onerror = () => reject(getReq.error);
         tx.oncomplete = () => resolve();
@@ -289,10 +389,25 @@ function idbMergePut(db, record) {
     });
 }
 
-function idbDelete(db, messageId) {
+// With `tombstone` (the data browser's delete) the deletion is also recorded and
+// queued for the next sync, so other devices drop the record too.
+function idbDelete(db, messageId, { tombstone = false } = {}) {
     return new Promise((resolve, reject) => {
-        const tx = db.transaction(IDB_STORE, 'readwrite');
-        tx.objectStore(IDB_STORE).delete(messageId);
+        const stores = tombstone ? [IDB_STORE, IDB_DIRTY_STORE, IDB_TOMBSTONE_STORE] : IDB_STORE;
+        const tx     = db.transaction(stores, 'readwrite');
+        const store  = tx.objectStore(IDB_STORE);
+        if (tombstone) {
+            const getReq = store.get(messageId);
+            getReq.onsuccess = () => {
+                const prev = getReq.result;
+                if (!prev) return;
+                store.delete(messageId);
+                putTombstone(tx, prev);
+            };
+            getReq.onerror = () => reject(getReq.error);
+        } else {
+            store.delete(messageId);
+        }
         tx.oncomplete = () => resolve();
         tx.onerror    = () => reject(tx.error);
         tx.onabort    = () => reject(tx.error || new Error('idbDelete aborted'));
@@ -301,8 +416,10 @@ function idbDelete(db, messageId) {
 
 function idbClear(db) {
     return new Promise((resolve, reject) => {
-        const tx = db.transaction(IDB_STORE, 'readwrite');
+        const tx = db.transaction([IDB_STORE, IDB_DIRTY_STORE, IDB_TOMBSTONE_STORE], 'readwrite');
         tx.objectStore(IDB_STORE).clear();
+        tx.objectStore(IDB_DIRTY_STORE).clear();
+        tx.objectStore(IDB_TOMBSTONE_STORE).clear();
         tx.oncomplete = () => resolve();
         tx.onerror    = () => reject(tx.error);
         tx.onabort    = () => reject(tx.error || new Error('idbClear aborted'));
@@ -317,19 +434,15 @@ function recordsEqual(a, b) {
         && a.top_p === b.top_p
         && a.top_k === b.top_k
         && a.role === b.role
-        && a.characterId === b.characterId;
+        && a.characterId === b.characterId
+        && (a.createdAt ?? null) === (b.createdAt ?? null)
+        && (a.editedAt ?? null) === (b.editedAt ?? null);
 }
 
-// Merge a nested-wire stats object (characterId -> conversationId -> messageId -> leaf)
-// into the store, COLLAPSING the conversation level by messageId. Never overwrites a
-// richer entry — uses mergeMessageEntry semantics against the existing record. The merge
-// is computed in memory, then ONLY records that are new or actually changed are written.
-// Skipping unchanged records is essential on the first sync after migration: the remote
-// is ~identical to what migration just imported, so this writes near-zero records instead
-// of rewriting tens of thousands (which froze iOS/WebKit).
-async function idbBulkMergeNested(db, nested) {
-    if (!nested || typeof nested !== 'object') return 0;
-    const existing = await idbGetAllMap(db);
+// Collapse a nested wire-format object onto the existing records: messageId → the
+// record each touched message would hold after the merge. A message with a tombstone
+// is skipped unless the incoming record was edited after the deletion.
+function collapseNestedOnto(existing, nested, tombstones = {}) {
     const touched = {};
     for (const characterId of Object.keys(nested)) {
         const convs = nested[characterId];
@@ -340,19 +453,105 @@ async function idbBulkMergeNested(db, nested) {
             for (const messageId of Object.keys(msgs)) {
                 const leaf = msgs[messageId];
                 if (!statLeafHasData(leaf)) continue;
+                const tombstone = tombstones[messageId];
+                if (tombstone && !((leaf.editedAt || 0) > tombstone.deletedAt)) continue;
                 const incoming = recordFromLeaf(messageId, characterId, leaf);
                 const prev = touched[messageId] || existing[messageId];
                 touched[messageId] = prev ? mergeRecords(prev, incoming) : incoming;
             }
         }
     }
+    return touched;
+}
+
+// Merge a nested-wire stats object (characterId -> conversationId -> messageId -> leaf)
+// into the store, COLLAPSING the conversation level by messageId. Never overwrites a
+// richer entry — uses mergeMessageEntry semantics against the existing record. The merge
+// is computed in memory, then ONLY records that are new or actually changed are written.
+// Skipping unchanged records is essential on the first sync after migration: the remote
+// is ~identical to what migration just imported, so this writes near-zero records instead
+// of rewriting tens of thousands (which froze iOS/WebKit). markDirty queues the written
+// records for the next sync (a file import); merges that come FROM a sync leave it off.
+// Tombstones in `nested` that are newer than this device's delete the records they name
+// (unless edited after the deletion) and are kept, so the records stay deleted.
+async function idbBulkMergeNested(db, nested, { markDirty = false } = {}) {
+    if (!nested || typeof nested !== 'object') return 0;
+    const existing = await idbGetAllMap(db);
+    const { tombstones, adopted } = adoptNestedTombstones(await idbGetTombstones(db), nested);
+    const touched = collapseNestedOnto(existing, nested, tombstones);
     const toWrite = [];
     for (const id of Object.keys(touched)) {
         const cur = existing[id];
         if (!cur || !recordsEqual(cur, touched[id])) toWrite.push(touched[id]);
     }
+    const toDelete = adopted
+        .filter(t => existing[t.messageId] && !((existing[t.messageId].editedAt || 0) > t.deletedAt))
+        .map(t => t.messageId);
     await idbPutAll(db, toWrite);
-    return toWrite.length;
+    await idbPutAll(db, adopted, IDB_TOMBSTONE_STORE);
+    await idbDeleteAll(db, toDelete);
+    if (markDirty) await idbMarkDirty(db, [...toWrite, ...adopted].map(r => r.messageId));
+    return toWrite.length + toDelete.length;
+}
+
+// { messages, characters } in a nested wire-format stats object
+function countNestedRecords(nested) {
+    let messages = 0;
+    let characters = 0;
+    for (const characterId of Object.keys(nested || {})) {
+        let found = 0;
+        for (const convId of Object.keys(nested[characterId] || {})) {
+            found += Object.keys(nested[characterId][convId] || {}).length;
+        }
+        if (found) characters++;
+        messages += found;
+    }
+    return { messages, characters };
+}
+
+/**
+ * Dry run of idbBulkMergeNested: what merging `nested` would do, without writing.
+ * Per character: `added` (new messages), `enriched` (existing records the merge
+ * would change — an arrow model replacing a plain one, or missing fields filled in)
+ * and `unchanged`. Characters sorted by most added + enriched first.
+ * @returns {{ totals: {added, enriched, unchanged}, characters: Array<{characterId, added, enriched, unchanged}>, currentMessages: number }}
+ */
+async function idbPreviewMergeNested(db, nested) {
+    const existing = await idbGetAllMap(db);
+    const { tombstones } = adoptNestedTombstones(await idbGetTombstones(db), nested);
+    const touched = collapseNestedOnto(existing, nested && typeof nested === 'object' ? nested : {}, tombstones);
+    const byCharacter = {};
+    const totals = { added: 0, enriched: 0, unchanged: 0 };
+    for (const id of Object.keys(touched)) {
+        const cur = existing[id];
+        const outcome = !cur ? 'added' : (recordsEqual(cur, touched[id]) ? 'unchanged' : 'enriched');
+        const characterId = touched[id].characterId || IDB_EXPORT_BUCKET;
+        if (!byCharacter[characterId]) byCharacter[characterId] = { characterId, added: 0, enriched: 0, unchanged: 0 };
+        byCharacter[characterId][outcome]++;
+        totals[outcome]++;
+    }
+    const characters = Object.values(byCharacter)
+        .sort((a, b) => (b.added + b.enriched) - (a.added + a.enriched) || b.unchanged - a.unchanged);
+    return { totals, characters, currentMessages: Object.keys(existing).length };
+}
+
+// Add one record to a nested wire-format object under its character's synthetic
+// conversation bucket. Returns false (and adds nothing) for an empty leaf.
+function addRecordToNested(out, r) {
+    if (!statLeafHasData(r)) return false;
+    const characterId = r.characterId || IDB_EXPORT_BUCKET;
+    if (!out[characterId]) out[characterId] = {};
+    if (!out[characterId][IDB_EXPORT_BUCKET]) out[characterId][IDB_EXPORT_BUCKET] = {};
+    out[characterId][IDB_EXPORT_BUCKET][r.messageId] = {
+        model: r.model || null,
+        max_tokens: r.max_tokens ?? null,
+        temperature: r.temperature ?? null,
+        top_p: r.top_p ?? null,
+        top_k: r.top_k ?? null,
+        role: r.role || null,
+        ...(r.editedAt ? { editedAt: r.editedAt } : {})
+    };
+    return true;
 }
 
 // Assemble the nested wire format from the store, pruning empty leaves and writing
@@ -360,24 +559,78 @@ async function idbBulkMergeNested(db, nested) {
 async function idbExportNested(db) {
     const map = await idbGetAllMap(db);
     const out = {};
-    for (const messageId of Object.keys(map)) {
-        const r = map[messageId];
-        if (!statLeafHasData(r)) continue;
-        const characterId = r.characterId || IDB_EXPORT_BUCKET;
-        if (!out[characterId]) out[characterId] = {};
-        if (!out[characterId][IDB_EXPORT_BUCKET]) out[characterId][IDB_EXPORT_BUCKET] = {};
-        out[characterId][IDB_EXPORT_BUCKET][messageId] = {
-            model: r.model || null,
-            max_tokens: r.max_tokens ?? null,
-            temperature: r.temperature ?? null,
-            top_p: r.top_p ?? null,
-            top_k: r.top_k ?? null,
-            role: r.role || null
-        };
-    }
+    for (const messageId of Object.keys(map)) addRecordToNested(out, map[messageId]);
     return out;
 }
 
+// ---- Sync change tracking (sync_dirty store) ----
+
+// Stamp for a sync_dirty entry, unique per write, so clearing after an upload can tell
+// the entry it uploaded from one re-marked by a live write that landed in between.
+let _dirtySeq = 0;
+function nextDirtyStamp() {
+    _dirtySeq = (_dirtySeq + 1) % 1000;
+    return Date.now() * 1000 + _dirtySeq;
+}
+
+function idbMarkDirty(db, messageIds) {
+    return idbPutAll(db, messageIds.map(messageId => ({ messageId, stamp: nextDirtyStamp() })), IDB_DIRTY_STORE);
+}
+
+// The records changed since the last upload, in the nested wire format, plus the
+// { messageId: stamp } map to hand back to idbClearDirty once they are uploaded.
+function idbExportDirty(db) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([IDB_DIRTY_STORE, IDB_STORE, IDB_TOMBSTONE_STORE], 'readonly');
+        tx.onabort = () => reject(tx.error || new Error('idbExportDirty aborted'));
+        tx.onerror = () => reject(tx.error);
+        const stats = {};
+        const stamps = {};
+        let count = 0;
+        const dirtyReq = tx.objectStore(IDB_DIRTY_STORE).getAll();
+        dirtyReq.onsuccess = () => {
+            const store = tx.objectStore(IDB_STORE);
+            const graves = tx.objectStore(IDB_TOMBSTONE_STORE);
+            for (const entry of dirtyReq.result) {
+                stamps[entry.messageId] = entry.stamp;
+                const req = store.get(entry.messageId);
+                req.onsuccess = () => {
+                    if (req.result) {
+                        if (addRecordToNested(stats, req.result)) count++;
+                        return;
+                    }
+                    // Deleted since it was marked: send its tombstone, if it has one
+                    const graveReq = graves.get(entry.messageId);
+                    graveReq.onsuccess = () => { if (graveReq.result && addTombstoneToNested(stats, graveReq.result)) count++; };
+                };
+            }
+        };
+        tx.oncomplete = () => resolve({ stats, stamps, count });
+    });
+}
+
+function idbClearDirty(db, stamps) {
+    const ids = Object.keys(stamps || {});
+    if (!ids.length) return Promise.resolve(0);
+    return new Promise((resolve, reject) => {
+        const tx    = db.transaction(IDB_DIRTY_STORE, 'readwrite');
+        const store = tx.objectStore(IDB_DIRTY_STORE);
+        let cleared = 0;
+        for (const id of ids) {
+            const req = store.get(id);
+            req.onsuccess = () => {
+                if (req.result && req.result.stamp === stamps[id]) {
+                    store.delete(id);
+                    cleared++;
+                }
+            };
+        }
+        tx.oncomplete = () => resolve(cleared);
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error || new Error('idbClearDirty aborted'));
+    });
+}
+
 // Drop records that carry no meaningful data (legacy null-only entries).
 async function idbPrune(db) {
     const map = await idbGetAllMap(db);
@@ -394,6 +647,311 @@ async function idbPrune(db) {
     return deadKeys.length;
 }
 
+// Fill in createdAt (ms) for records written before the field existed. Only touches
+// records that exist and have no createdAt; the get/put pairs all run inside ONE
+// readwrite transaction, issued synchronously from each get's onsuccess (WebKit-safe).
+function idbBackfillCreatedAt(db, times) {
+    const ids = Object.keys(times || {});
+    if (!ids.length) return Promise.resolve(0);
+    return new Promise((resolve, reject) => {
+        const tx    = db.transaction(IDB_STORE, 'readwrite');
+        const store = tx.objectStore(IDB_STORE);
+        let written = 0;
+        for (const id of ids) {
+            const ms = typeof times[id] === 'number' ? times[id] : Date.parse(times[id]);
+            if (!Number.isFinite(ms)) continue;
+            const req = store.get(id);
+            req.onsuccess = () => {
+                const r = req.result;
+                if (r && r.createdAt == null) {
+                    store.put({ ...r, createdAt: ms });
+                    written++;
+                }
+            };
+        }
+        tx.oncomplete = () => resolve(written);
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error || new Error('idbBackfillCreatedAt aborted'));
+    });
+}
+
+// ---- Stats tombstones (sync_tombstones store) ----
+// A record deleted in the data browser leaves { messageId, characterId, deletedAt }
+// behind. It rides in deltas and the snapshot as a { deleted: true, deletedAt } leaf
+// (which older versions skip as an empty leaf), keeps the record from coming back in
+// from another device's copy, and is dropped after STATS_TOMBSTONE_TTL_MS.
+
+const STATS_TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Record a deletion inside a transaction that covers the dirty and tombstone stores
+function putTombstone(tx, record) {
+    tx.objectStore(IDB_TOMBSTONE_STORE).put({
+        messageId: record.messageId, characterId: record.characterId || null, deletedAt: Date.now()
+    });
+    tx.objectStore(IDB_DIRTY_STORE).put({ messageId: record.messageId, stamp: nextDirtyStamp() });
+}
+
+function idbGetTombstones(db) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(IDB_TOMBSTONE_STORE, 'readonly');
+        tx.onabort = () => reject(tx.error || new Error('idbGetTombstones aborted'));
+        tx.onerror = () => reject(tx.error);
+        const req = tx.objectStore(IDB_TOMBSTONE_STORE).getAll();
+        req.onsuccess = () => {
+            const map = {};
+            for (const t of req.result) map[t.messageId] = t;
+            resolve(map);
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// This device's tombstones plus the newer ones in a nested wire-format object.
+// `adopted` lists the incoming tombstones that are new or newer here.
+function adoptNestedTombstones(local, nested) {
+    const tombstones = { ...local };
+    const adopted = [];
+    for (const characterId of Object.keys(nested || {})) {
+        for (const msgs of Object.values(nested[characterId] || {})) {
+            if (!msgs || typeof msgs !== 'object') continue;
+            for (const messageId of Object.keys(msgs)) {
+                const leaf = msgs[messageId];
+                if (!leaf || !leaf.deleted || !Number.isFinite(leaf.deletedAt)) continue;
+                if (tombstones[messageId] && tombstones[messageId].deletedAt >= leaf.deletedAt) continue;
+                tombstones[messageId] = {
+                    messageId, characterId: characterId === IDB_EXPORT_BUCKET ? null : characterId, deletedAt: leaf.deletedAt
+                };
+                adopted.push(tombstones[messageId]);
+            }
+        }
+    }
+    return { tombstones, adopted };
+}
+
+// Add a tombstone leaf like addRecordToNested. A record written since (an edit made
+// after the deletion) takes precedence, so nothing is added over one.
+function addTombstoneToNested(out, t) {
+    const characterId = t.characterId || IDB_EXPORT_BUCKET;
+    if (!out[characterId]) out[characterId] = {};
+    if (!out[characterId][IDB_EXPORT_BUCKET]) out[characterId][IDB_EXPORT_BUCKET] = {};
+    if (out[characterId][IDB_EXPORT_BUCKET][t.messageId]) return false;
+    out[characterId][IDB_EXPORT_BUCKET][t.messageId] = { deleted: true, deletedAt: t.deletedAt };
+    return true;
+}
+
+// Delete records by messageId, in chunks like idbPutAll
+async function idbDeleteAll(db, messageIds) {
+    for (let i = 0; i < messageIds.length; i += IDB_WRITE_CHUNK) {
+        const batch = messageIds.slice(i, i + IDB_WRITE_CHUNK);
+        await new Promise((resolve, reject) => {
+            const tx    = db.transaction(IDB_STORE, 'readwrite');
+            const store = tx.objectStore(IDB_STORE);
+            for (const id of batch) store.delete(id);
+            tx.oncomplete = () => resolve();
+            tx.onerror    = () => reject(tx.error);
+            tx.onabort    = () => reject(tx.error || new Error('idbDeleteAll batch aborted'));
+        });
+    }
+    return messageIds.length;
+}
+
+// The tombstones still within STATS_TOMBSTONE_TTL_MS; expired ones are removed.
+function idbExportTombstones(db) {
+    return new Promise((resolve, reject) => {
+        const tx    = db.transaction(IDB_TOMBSTONE_STORE, 'readwrite');
+        const store = tx.objectStore(IDB_TOMBSTONE_STORE);
+        const live  = [];
+        const req   = store.getAll();
+        req.onsuccess = () => {
+            const cutoff = Date.now() - STATS_TOMBSTONE_TTL_MS;
+            for (const t of req.result) {
+                if (t.deletedAt < cutoff) store.delete(t.messageId);
+                else live.push(t);
+            }
+        };
+        req.onerror   = () => reject(req.error);
+        tx.oncomplete = () => resolve(live);
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error || new Error('idbExportTombstones aborted'));
+    });
+}
+
+// ---- Stats data browser ----
+// Record-level view and hand corrections for the Data tab. Edits replace the record
+// as typed (no merge — the point is to undo a bad merge) and carry an editedAt stamp,
+// so the sync merge takes them over other devices' copies (mergeRecords). Deletions
+// leave a tombstone. Both go out with the next sync.
+
+const BROWSE_PAGE_MAX = 200;
+
+// Overwrite ONE record verbatim, stamped as edited, and mark it dirty, in one transaction.
+function idbReplace(db, record) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([IDB_STORE, IDB_DIRTY_STORE], 'readwrite');
+        tx.objectStore(IDB_STORE).put({ ...record, editedAt: Date.now() });
+        tx.objectStore(IDB_DIRTY_STORE).put({ messageId: record.messageId, stamp: nextDirtyStamp() });
+        tx.oncomplete = () => resolve();
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error || new Error('idbReplace aborted'));
+    });
+}
+
+// Delete every record of one character via the by_character index, leaving a
+// tombstone for each. Returns the count.
+function idbDeleteCharacter(db, characterId) {
+    return new Promise((resolve, reject) => {
+        if (!characterId) { resolve(0); return; }
+        const tx    = db.transaction([IDB_STORE, IDB_DIRTY_STORE, IDB_TOMBSTONE_STORE], 'readwrite');
+        const store = tx.objectStore(IDB_STORE);
+        let removed = 0;
+        const req = store.index(IDB_CHAR_INDEX).getAllKeys(IDBKeyRange.only(characterId));
+        req.onsuccess = () => {
+            for (const messageId of req.result) {
+                store.delete(messageId);
+                putTombstone(tx, { messageId, characterId });
+                removed++;
+            }
+        };
+        req.onerror   = () => reject(req.error);
+        tx.oncomplete = () => resolve(removed);
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error || new Error('idbDeleteCharacter aborted'));
+    });
+}
+
+// One page of records matching { characterId, model, role } (role 'none' matches records
+// without one), newest first with undated records last. `characters` and `models` list
+// every value in the store so the filter menus don't shrink as filters are applied.
+async function statsBrowse(db, { filters = {}, offset = 0, limit = 50 } = {}) {
+    const map = await idbGetAllMap(db);
+    const characters = {};
+    const models = {};
+    const matches = [];
+    for (const r of Object.values(map)) {
+        const characterId = r.characterId || 'unknown';
+        characters[characterId] = (characters[characterId] || 0) + 1;
+        if (r.model) models[r.model] = (models[r.model] || 0) + 1;
+
+        if (filters.characterId && characterId !== filters.characterId) continue;
+        if (filters.model && r.model !== filters.model) continue;
+        if (filters.role && (filters.role === 'none' ? r.role : r.role !== filters.role)) continue;
+        matches.push(r);
+    }
+    matches.sort((a, b) => (b.createdAt ?? -Infinity) - (a.createdAt ?? -Infinity)
+        || (a.messageId < b.messageId ? -1 : 1));
+    const size = Math.min(Math.max(limit, 1), BROWSE_PAGE_MAX);
+    const start = Math.max(offset, 0);
+    return {
+        records: matches.slice(start, start + size),
+        total: matches.length,
+        characters: Object.entries(characters).map(([characterId, count]) => ({ characterId, count }))
+            .sort((a, b) => b.count - a.count),
+        models: Object.entries(models).sort((a, b) => b[1] - a[1]).map(([model]) => model)
+    };
+}
+
+// ---- Stats dashboard aggregates ----
+// One pass over the store. A "request → served" model string (written when the
+// engine that answered differs from the model that was requested) counts as a
+// mismatch; the served side is what the model charts are keyed by.
+
+const DASHBOARD_TIMELINE_MODELS = 6;
+const DASHBOARD_DAILY_SPAN_MS = 60 * 24 * 60 * 60 * 1000;
+
+function splitStatsModel(model) {
+    if (!model) return { requested: null, served: null, mismatch: false };
+    const arrow = model.indexOf('→');
+    if (arrow === -1) return { requested: model.trim(), served: model.trim(), mismatch: false };
+    return {
+        requested: model.slice(0, arrow).trim() || null,
+        served: model.slice(arrow + 1).trim() || null,
+        mismatch: true
+    };
+}
+
+async function statsDashboard(db, filters) {
+    const characterFilter = filters && filters.characterId ? filters.characterId : null;
+    const map = await idbGetAllMap(db);
+
+    const byModel = {};
+    const byCharacter = {};
+    const pairs = {};
+    const dated = [];
+    let messages = 0;
+    let mismatches = 0;
+    let undated = 0;
+
+    for (const r of Object.values(map)) {
+        if (!statLeafHasData(r) || r.role === 'user') continue;
+        const characterId = r.characterId || 'unknown';
+
+        // Per-character rows always cover every character, so the UI can list them
+        const { requested, served, mismatch } = splitStatsModel(r.model);
+        const c = byCharacter[characterId] || (byCharacter[characterId] = { characterId, messages: 0, mismatches: 0, models: {} });
+        c.messages++;
+        if (mismatch) c.mismatches++;
+        if (served) c.models[served] = (c.models[served] || 0) + 1;
+
+        if (characterFilter && characterId !== characterFilter) continue;
+
+        messages++;
+        const modelKey = served || '(unknown)';
+        const m = byModel[modelKey] || (byModel[modelKey] = { model: modelKey, messages: 0, mismatches: 0 });
+        m.messages++;
+        if (mismatch) {
+            m.mismatches++;
+            mismatches++;
+            const pairKey = `${requested} → ${served}`;
+            pairs[pairKey] = pairs[pairKey] || { requested, served, count: 0 };
+            pairs[pairKey].count++;
+        }
+        if (r.createdAt != null) dated.push({ t: r.createdAt, model: modelKey });
+        else undated++;
+    }
+
+    // Timeline: daily buckets for short histories, monthly otherwise; the most
+    // used models get their own series and the rest collapse into "Other".
+    const topModels = Object.values(byModel)
+        .sort((a, b) => b.messages - a.messages)
+        .slice(0, DASHBOARD_TIMELINE_MODELS)
+        .map(m => m.model);
+    let bucket = 'month';
+    const buckets = {};
+    if (dated.length) {
+        let first = Infinity, last = -Infinity;
+        for (const d of dated) {
+            if (d.t < first) first = d.t;
+            if (d.t > last) last = d.t;
+        }
+        const span = last - first;
+        bucket = span <= DASHBOARD_DAILY_SPAN_MS ? 'day' : 'month';
+        for (const d of dated) {
+            const iso = new Date(d.t).toISOString();
+            const key = bucket === 'day' ? iso.slice(0, 10) : iso.slice(0, 7);
+            const series = topModels.includes(d.model) ? d.model : 'Other';
+            const b = buckets[key] || (buckets[key] = {});
+            b[series] = (b[series] || 0) + 1;
+        }
+    }
+
+    const characters = Object.values(byCharacter).map(c => {
+        const top = Object.entries(c.models).sort((a, b) => b[1] - a[1])[0];
+        return { characterId: c.characterId, messages: c.messages, mismatches: c.mismatches, topModel: top ? top[0] : null };
+    }).sort((a, b) => b.messages - a.messages);
+
+    return {
+        totals: { messages, mismatches, undated, characters: characters.length, models: Object.keys(byModel).length },
+        models: Object.values(byModel).sort((a, b) => b.messages - a.messages),
+        characters,
+        pairs: Object.values(pairs).sort((a, b) => b.count - a.count),
+        timeline: {
+            bucket,
+            series: dated.length ? [...topModels, ...(Object.values(buckets).some(b => b.Other) ? ['Other'] : [])] : [],
+            points: Object.keys(buckets).sort().map(key => ({ key, counts: buckets[key] }))
+        }
+    };
+}
+
 // ---- One-time migration: storage.local JSON blob -> IndexedDB ----
 // Idempotent and gated by a flag. Every stats handler (and the Drive sync stats
 // branch) awaits this before touching the store, so the DB is always populated
@@ -514,6 +1072,176 @@ function statsOp(fn) {
     return run;
 }
 
+// =============================================================================
+// CHAT SEARCH INDEX  (opt-in — same extension-origin DB, separate "messages" store)
+// =============================================================================
+//
+// Message TEXT is only ever written here when the user enables "Chat Search" in
+// the Features tab; the content script fetches the conversation through the
+// existing chat-export bridge and hands us the records. Nothing in this store is
+// synced to Drive or included in exports.
+//
+// Schema: store "messages" keyed by [conversationId, messageId] — unlike stats,
+// a cloned chat reuses message IDs under a new conversation and both copies must
+// stay individually searchable. Records: { conversationId, messageId, characterId,
+// characterName, role, content, createdAt (ms), model }.
+//
+// All ops go through statsOp, so they share the stats watchdog/self-heal path and
+// can never interleave with a stats bulk write on the same connection.
+
+const SEARCH_RESULT_LIMIT = 200;
+const SEARCH_SNIPPET_RADIUS = 80;
+
+// Replace every indexed record of ONE conversation with a fresh snapshot. Deleting
+// first drops messages the user has since deleted or edited away on SpicyChat.
+async function searchReplaceConversation(db, conversationId, records) {
+    if (!conversationId) return 0;
+    await new Promise((resolve, reject) => {
+        const tx    = db.transaction(IDB_SEARCH_STORE, 'readwrite');
+        const store = tx.objectStore(IDB_SEARCH_STORE);
+        const req   = store.index(IDB_SEARCH_CONV_INDEX).getAllKeys(IDBKeyRange.only(conversationId));
+        req.onsuccess = () => { for (const key of req.result) store.delete(key); };
+        req.onerror   = () => reject(req.error);
+        tx.oncomplete = () => resolve();
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error || new Error('searchReplaceConversation aborted'));
+    });
+    const clean = (records || []).filter(r => r && r.messageId && typeof r.content === 'string' && r.content)
+        .map(r => ({
+            conversationId: conversationId,
+            messageId:      String(r.messageId),
+            characterId:    r.characterId   || null,
+            characterName:  r.characterName || null,
+            role:           r.role          || null,
+            content:        r.content,
+            createdAt:      typeof r.createdAt === 'number' ? r.createdAt : (Date.parse(r.createdAt) || null),
+            model:          r.model         || null
+        }));
+    return idbPutAll(db, clean, IDB_SEARCH_STORE);
+}
+
+// Split a query into lower-cased terms; "quoted phrases" stay together.
+function parseSearchTerms(query) {
+    const terms = [];
+    const re = /"([^"]+)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(String(query || '').toLowerCase())) !== null) {
+        const t = (m[1] || m[2] || '').trim();
+        if (t) terms.push(t);
+    }
+    return terms;
+}
+
+// A short excerpt centred on the first hit, so results stay small over runtime messaging.
+function buildSearchSnippet(content, terms) {
+    const lower = content.toLowerCase();
+    let at = -1;
+    for (const t of terms) {
+        const i = lower.indexOf(t);
+        if (i !== -1 && (at === -1 || i < at)) at = i;
+    }
+    if (at === -1) at = 0;
+    const start = Math.max(0, at - SEARCH_SNIPPET_RADIUS);
+    const end   = Math.min(content.length, at + SEARCH_SNIPPET_RADIUS * 2);
+    return (start > 0 ? '…' : '') + content.slice(start, end) + (end < content.length ? '…' : '');
+}
+
+// Scan the store with a cursor (synchronous filter inside onsuccess — WebKit-safe)
+// and return the newest `limit` matches. Every filter is optional; all given
+// filters must match. `character` matches the ID exactly or the name as a substring.
+function searchQuery(db, filters) {
+    const f        = filters || {};
+    const terms    = parseSearchTerms(f.query);
+    const charQ    = f.character ? String(f.character).toLowerCase() : '';
+    const modelQ   = f.model ? String(f.model).toLowerCase() : '';
+    const from     = f.from != null ? Number(f.from) : null;
+    const to       = f.to   != null ? Number(f.to)   : null;
+    const limit    = Math.min(Number(f.limit) || SEARCH_RESULT_LIMIT, SEARCH_RESULT_LIMIT);
+    return new Promise((resolve, reject) => {
+        const tx  = db.transaction(IDB_SEARCH_STORE, 'readonly');
+        tx.onabort = () => reject(tx.error || new Error('searchQuery aborted'));
+        tx.onerror = () => reject(tx.error);
+        const matches = [];
+        const req = tx.objectStore(IDB_SEARCH_STORE).openCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) {
+                matches.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+                resolve({
+                    total: matches.length,
+                    results: matches.slice(0, limit).map(r => ({
+                        conversationId: r.conversationId,
+                        messageId:      r.messageId,
+                        characterId:    r.characterId,
+                        characterName:  r.characterName,
+                        role:           r.role,
+                        createdAt:      r.createdAt,
+                        model:          r.model,
+                        snippet:        buildSearchSnippet(r.content, terms)
+                    }))
+                });
+                return;
+            }
+            const r = cursor.value;
+            let ok = true;
+            if (charQ && r.characterId !== f.character
+                && !(r.characterName && r.characterName.toLowerCase().includes(charQ))) ok = false;
+            if (ok && modelQ && !(r.model && r.model.toLowerCase().includes(modelQ))) ok = false;
+            if (ok && from != null && !(r.createdAt >= from)) ok = false;
+            if (ok && to   != null && !(r.createdAt <= to))   ok = false;
+            if (ok && terms.length) {
+                const lower = r.content.toLowerCase();
+                ok = terms.every(t => lower.includes(t));
+            }
+            if (ok) matches.push(r);
+            cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Totals + the indexed characters (for the search panel's character picker).
+function searchSummary(db) {
+    return new Promise((resolve, reject) => {
+        const tx  = db.transaction(IDB_SEARCH_STORE, 'readonly');
+        tx.onabort = () => reject(tx.error || new Error('searchSummary aborted'));
+        tx.onerror = () => reject(tx.error);
+        const characters = {};
+        const conversations = new Set();
+        let messages = 0;
+        const req = tx.objectStore(IDB_SEARCH_STORE).openCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) {
+                resolve({
+                    messages,
+                    conversations: conversations.size,
+                    characters: Object.values(characters).sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+                });
+                return;
+            }
+            const r = cursor.value;
+            messages++;
+            conversations.add(r.conversationId);
+            if (r.characterId && !characters[r.characterId]) {
+                characters[r.characterId] = { id: r.characterId, name: r.characterName || r.characterId };
+            }
+            cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function searchClear(db) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(IDB_SEARCH_STORE, 'readwrite');
+        tx.objectStore(IDB_SEARCH_STORE).clear();
+        tx.oncomplete = () => resolve();
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error || new Error('searchClear aborted'));
+    });
+}
+
 // ---- OAuth token management ----
 //
 // Authorization Code + PKCE flow. We obtain a long-lived refresh token once and
@@ -731,9 +1459,113 @@ async function getAccessToken(interactive) {
     return await storeTokenResponse(data);
 }
 
+// ---- Client-side encryption of sync payloads ----
+// With a passphrase set (Data tab → Sync), the sync file (on any backend) and Drive backups are
+// uploaded as an "enc1" envelope: AES-GCM over the JSON, with the key derived from the
+// passphrase by PBKDF2-SHA-256 and a random salt per write. The passphrase only ever
+// lives in this device's storage.local — it is not uploaded, synced or backed up.
+// Unencrypted files from before a passphrase was set are read as-is and go back up
+// encrypted on the next write. drivePassphrasePrevious keeps the passphrase that was
+// replaced (or cleared) so the file can still be opened until a sync rewrites it.
+
+const SYNC_ENC_FORMAT      = 'enc1';
+const SYNC_ENC_ITERATIONS  = 310000;
+const WRONG_PASSPHRASE     = 'DRIVE_WRONG_PASSPHRASE';
+const PASSPHRASE_REQUIRED  = 'DRIVE_PASSPHRASE_REQUIRED';
+
+function bytesToBase64(bytes) {
+    // Chunked: String.fromCharCode.apply overflows the stack on multi-MB payloads
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(b64) {
+    const binary = atob(b64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+async function deriveSyncKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function getDrivePassphrases() {
+    const stored = await storageAPI.storage.local.get({ drivePassphrase: '', drivePassphrasePrevious: '' });
+    return { current: stored.drivePassphrase || '', previous: stored.drivePassphrasePrevious || '' };
+}
+
+// Short fingerprint of the current passphrase ('' when unencrypted), so the stats
+// journal can tell its snapshot was written under another key and must be rewritten.
+async function syncKeyFingerprint() {
+    const { current } = await getDrivePassphrases();
+    if (!current) return '';
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('sai-sync-key:' + current));
+    return bytesToBase64(new Uint8Array(digest)).slice(0, 16);
+}
+
+// Returns the data unchanged when no passphrase is set
+async function encryptSyncPayload(data) {
+    const { current } = await getDrivePassphrases();
+    if (!current) return data;
+    const t0   = Date.now();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv   = crypto.getRandomValues(new Uint8Array(12));
+    const key  = await deriveSyncKey(current, salt, SYNC_ENC_ITERATIONS);
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(data)));
+    console.log('[Sync] encryptSyncPayload: encrypted', (cipher.byteLength / 1024).toFixed(1), 'KB in', Date.now() - t0, 'ms');
+    return {
+        _format:    SYNC_ENC_FORMAT,
+        kdf:        'PBKDF2-SHA256',
+        iterations: SYNC_ENC_ITERATIONS,
+        salt:       bytesToBase64(salt),
+        iv:         bytesToBase64(iv),
+        data:       bytesToBase64(new Uint8Array(cipher)),
+    };
+}
+
+// Unencrypted payloads pass through untouched. Tries the current passphrase, then the
+// previous one; AES-GCM rejects a wrong key, so a mismatch can't yield garbage data.
+async function decryptSyncPayload(payload) {
+    if (!payload || payload._format !== SYNC_ENC_FORMAT) return payload;
+    const { current, previous } = await getDrivePassphrases();
+    const candidates = [current, previous].filter(Boolean);
+    if (candidates.length === 0) throw new Error(PASSPHRASE_REQUIRED);
+    const salt   = base64ToBytes(payload.salt);
+    const iv     = base64ToBytes(payload.iv);
+    const cipher = base64ToBytes(payload.data);
+    for (const passphrase of candidates) {
+        const key = await deriveSyncKey(passphrase, salt, payload.iterations || SYNC_ENC_ITERATIONS);
+        let plain;
+        try {
+            plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, cipher);
+        } catch (err) {
+            if (err.name === 'OperationError') continue;
+            throw err;
+        }
+        if (passphrase !== current) {
+            console.log('[Sync] decryptSyncPayload: opened with the previous passphrase — next write uses the current one');
+        }
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+    throw new Error(WRONG_PASSPHRASE);
+}
+
 // ---- Drive file operations ----
 
-// Sentinel thrown when Drive returns 401 so runDriveSync can retry with fresh auth
+// Sentinel thrown when Drive returns 401 so runSync can retry with fresh auth
 const AUTH_EXPIRED = 'DRIVE_AUTH_EXPIRED';
 
 // Prevent concurrent syncs (auto-sync firing while a manual sync is in progress, or vice versa)
@@ -752,6 +1584,13 @@ let _uploadReject    = null;
 
 function friendlyError(err) {
     const msg = (err && err.message) ? err.message : String(err);
+    if (msg === WRONG_PASSPHRASE)
+        return 'The sync data is encrypted with a different passphrase — enter the one it was encrypted with under Sync in the Data tab.';
+    if (msg === PASSPHRASE_REQUIRED)
+        return 'The sync data is encrypted — enter its passphrase under Sync in the Data tab to sync.';
+    // WebDAV errors are written for the user already (and must not hit the Google 401 branch)
+    if (msg.startsWith('WebDAV'))
+        return msg;
     if (msg.includes('timed out') || msg.includes('timeout'))
         return 'Sync timed out — please check your connection and try again.';
     if (msg.includes('XHR network error') || msg.includes('network error'))
@@ -805,7 +1644,7 @@ async function findDriveFile(token, folderId) {
 
     // Search within toolkit folder
     console.log('[Sync] findDriveFile: searching within toolkit folder');
-    const q = encodeURIComponent(`name='${DRIVE_FILE_NAME}' and '${folderId}' in parents and trashed=false`);
+    const q = encodeURIComponent(`name='${SYNC_FILE_NAME}' and '${folderId}' in parents and trashed=false`);
     const res = await fetch(
         `https://www.googleapis.com/drive/v3/files?q=${q}&fields=files(id)&pageSize=1`,
         { headers: { Authorization: `Bearer ${token}` } }
@@ -822,7 +1661,7 @@ async function findDriveFile(token, folderId) {
 
     // Fallback: search anywhere (catches files created before folder consolidation)
     console.log('[Sync] findDriveFile: not found in folder — running global search');
-    const q2 = encodeURIComponent(`name='${DRIVE_FILE_NAME}' and trashed=false`);
+    const q2 = encodeURIComponent(`name='${SYNC_FILE_NAME}' and trashed=false`);
     const res2 = await fetch(
         `https://www.googleapis.com/drive/v3/files?q=${q2}&fields=files(id,parents)&pageSize=1`,
         { headers: { Authorization: `Bearer ${token}` } }
@@ -928,8 +1767,11 @@ async function readDriveFile(token, fileId, tabId) {
         bytes  = cl || JSON.stringify(parsed).length;
     }
 
+    const encrypted = parsed._format === SYNC_ENC_FORMAT;
+    parsed = await decryptSyncPayload(parsed);
+
     const durationMs = Date.now() - t0;
-    const format    = parsed._format || 'v1 (legacy)';
+    const format    = (encrypted ? SYNC_ENC_FORMAT + ' → ' : '') + (parsed._format || 'v1 (legacy)');
     const statsKeys = parsed.stats ? Object.keys(parsed.stats).length : 0;
     const sizeMB    = (bytes / 1048576).toFixed(2);
     const speedMBs  = durationMs > 0 ? (bytes / 1048576 / (durationMs / 1000)).toFixed(2) : '—';
@@ -960,14 +1802,17 @@ function driveXhrRequest(method, url, headers, body) {
     });
 }
 
+// Returns { fileId, bytes } — bytes is the uploaded (possibly encrypted) JSON size
 async function writeDriveFile(token, fileId, data, folderId, tabId) {
     const isMV2BackgroundPage = typeof XMLHttpRequest !== 'undefined';
+    data = await encryptSyncPayload(data);
 
     if (isMV2BackgroundPage) {
         // On WebKit/Orion, XHR with a large body hangs the background event loop just like
         // fetch() does. Delegate the upload to the content script, whose fetch() is stable.
         const STORAGE_KEY = 'driveSyncTempUpload';
-        const sizeKB = (JSON.stringify(data).length / 1024).toFixed(1);
+        const bytes = JSON.stringify(data).length;
+        const sizeKB = (bytes / 1024).toFixed(1);
         console.log('[Sync] writeDriveFile: delegating upload to content script —', sizeKB, 'KB (tabId:', tabId, ')');
         await storageAPI.storage.local.set({ [STORAGE_KEY]: data });
         const uploadPromise = new Promise((resolve, reject) => {
@@ -977,7 +1822,7 @@ async function writeDriveFile(token, fileId, data, folderId, tabId) {
         await storageAPI.tabs.sendMessage(tabId, {
             type: 'SAI_DRIVE_UPLOAD_REQ',
             token, fileId, folderId,
-            fileName: DRIVE_FILE_NAME,
+            fileName: SYNC_FILE_NAME,
             storageKey: STORAGE_KEY,
         });
         const TIMEOUT_MS = 10 * 60 * 1000;
@@ -1000,7 +1845,7 @@ async function writeDriveFile(token, fileId, data, folderId, tabId) {
         if (uploadResult.newFileId && !fileId) {
             await storageAPI.storage.local.set({ driveFileId: uploadResult.newFileId });
         }
-        return uploadResult.newFileId || fileId;
+        return { fileId: uploadResult.newFileId || fileId, bytes };
     }
 
     // Chrome MV3: fetch with a body works fine in service workers
@@ -1019,12 +1864,12 @@ async function writeDriveFile(token, fileId, data, folderId, tabId) {
         console.log('[Sync] writeDriveFile: PATCH response HTTP', res.status, 'in', durationMs, 'ms');
         if (res.status === 401) { await clearCachedToken(); throw new Error(AUTH_EXPIRED); }
         if (!res.ok) throw new Error(`Drive update failed: ${res.status}`);
-        return fileId;
+        return { fileId, bytes: body.length };
     }
 
     // Create new file via multipart upload
     const boundary = 'sai_toolkit_drive_boundary';
-    const metaObj = { name: DRIVE_FILE_NAME, mimeType: 'application/json' };
+    const metaObj = { name: SYNC_FILE_NAME, mimeType: 'application/json' };
     if (folderId) metaObj.parents = [folderId];
     const multipart = [
         `--${boundary}`, 'Content-Type: application/json; charset=UTF-8', '',
@@ -1047,7 +1892,7 @@ async function writeDriveFile(token, fileId, data, folderId, tabId) {
     const created = await res.json();
     await storageAPI.storage.local.set({ driveFileId: created.id });
     console.log('[Sync] writeDriveFile: created new file →', created.id);
-    return created.id;
+    return { fileId: created.id, bytes: body.length };
 }
 
 // ---- Drive backup folder and backup files ----
@@ -1099,23 +1944,27 @@ async function getOrCreateToolkitFolder(token) {
 async function listDriveBackups(token) {
     const folderId = await getOrCreateToolkitFolder(token);
     const q = encodeURIComponent(`'${folderId}' in parents and name contains '${BACKUP_FILE_PREFIX}' and trashed=false`);
-    const res = await fetch(
-        `https://www.googleapis.com/drive/v3/files?q=${q}&fields=files(id,name,createdTime)&orderBy=name+desc&pageSize=100`,
-        { headers: { Authorization: `Bearer ${token}` } }
-    );
-    if (res.status === 401) { await clearCachedToken(); throw new Error(AUTH_EXPIRED); }
-    if (!res.ok) throw new Error(`Drive backup list failed: ${res.status}`);
-    const listed = await res.json();
-    return { backups: listed.files || [], folderId };
+    const backups = [];
+    let pageToken = '';
+    do {
+        const res = await fetch(
+            `https://www.googleapis.com/drive/v3/files?q=${q}&fields=nextPageToken,files(id,name,createdTime,size,appProperties)&orderBy=name+desc&pageSize=100${pageToken ? `&pageToken=${pageToken}` : ''}`,
+            { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (res.status === 401) { await clearCachedToken(); throw new Error(AUTH_EXPIRED); }
+        if (!res.ok) throw new Error(`Drive backup list failed: ${res.status}`);
+        const page = await res.json();
+        backups.push(...(page.files || []));
+        pageToken = page.nextPageToken || '';
+    } while (pageToken);
+    return { backups, folderId };
 }
 
-async function createDriveBackup(token, exportData) {
-    const folderId = await getOrCreateToolkitFolder(token);
-    const ts = new Date().toISOString().replace(/:/g, '-').replace(/\..+$/, '');
-    const fileName = `${BACKUP_FILE_PREFIX}${ts}.json`;
+// Create a JSON file in the toolkit folder with one multipart upload. XHR on MV2
+// background pages, where fetch() with a body can hang WebKit.
+async function createDriveJsonFile(token, folderId, fileName, body, label, appProperties) {
     const boundary = 'sai_toolkit_backup_boundary';
-    const metadata = JSON.stringify({ name: fileName, mimeType: 'application/json', parents: [folderId] });
-    const body = JSON.stringify(exportData);
+    const metadata = JSON.stringify({ name: fileName, mimeType: 'application/json', parents: [folderId], ...(appProperties ? { appProperties } : {}) });
     const multipart = [
         `--${boundary}`,
         'Content-Type: application/json; charset=UTF-8',
@@ -1128,7 +1977,7 @@ async function createDriveBackup(token, exportData) {
         `--${boundary}--`
     ].join('\r\n');
     const useXHR = typeof XMLHttpRequest !== 'undefined';
-    console.log('[Sync] createDriveBackup: uploading', (multipart.length / 1024).toFixed(1), 'KB — transport:', useXHR ? 'XHR' : 'fetch');
+    console.log(`[Sync] createDriveJsonFile (${label}): uploading`, (multipart.length / 1024).toFixed(1), 'KB — transport:', useXHR ? 'XHR' : 'fetch');
     const doRequest = useXHR ? driveXhrRequest : (method, url, headers, reqBody) => fetch(url, { method, headers, body: reqBody });
     const res = await doRequest(
         'POST',
@@ -1137,9 +1986,19 @@ async function createDriveBackup(token, exportData) {
         multipart
     );
     if (res.status === 401) { await clearCachedToken(); throw new Error(AUTH_EXPIRED); }
-    if (!res.ok) throw new Error(`Drive backup create failed: ${res.status}`);
+    if (!res.ok) throw new Error(`Drive ${label} create failed: ${res.status}`);
     const created = await res.json();
-    console.log('[Sync] createDriveBackup: created', created.name, '→', created.id);
+    console.log(`[Sync] createDriveJsonFile (${label}): created`, created.name, '→', created.id);
+    return created;
+}
+
+// kind: 'manual' or 'scheduled' — only scheduled backups are subject to retention
+async function createDriveBackup(token, exportData, kind = 'manual') {
+    const folderId = await getOrCreateToolkitFolder(token);
+    const ts = new Date().toISOString().replace(/:/g, '-').replace(/\..+$/, '');
+    const fileName = `${BACKUP_FILE_PREFIX}${ts}.json`;
+    const body = JSON.stringify(await encryptSyncPayload(exportData));
+    const created = await createDriveJsonFile(token, folderId, fileName, body, 'backup', summarizeBackup(exportData, kind));
     return { fileId: created.id, fileName };
 }
 
@@ -1159,13 +2018,234 @@ async function readDriveBackupFile(token, fileId) {
     );
     if (res.status === 401) { await clearCachedToken(); throw new Error(AUTH_EXPIRED); }
     if (!res.ok) throw new Error(`Drive backup read failed: ${res.status}`);
-    return await res.json();
+    return await decryptSyncPayload(await res.json());
 }
 
-// ---- Sync progress reporting ----
+// ---- Backup contents, scheduling and retention ----
+
+// Device-local keys: Drive/WebDAV credentials and connection state, sync bookkeeping,
+// the passphrase, the backup schedule, and text the user typed that is kept only on
+// this device (drafts, queued and failed sends). None of them is in backupKeys().
+const BACKUP_EXCLUDED_KEYS = [
+    'driveAccessToken', 'driveRefreshToken', 'driveTokenExpiry', 'driveFileId', 'driveLastSync',
+    'driveBackupFolderId', 'driveSyncStats', 'driveSyncSettings', 'driveSyncStyle',
+    'driveAutoSync', 'driveAutoSyncInterval', 'driveSyncBase', 'driveSyncConflicts',
+    'drivePassphrase', 'drivePassphrasePrevious', 'syncBackend',
+    'webdavUrl', 'webdavUsername', 'webdavPassword', 'webdavLastSync', 'syncFileLastMerge',
+    'syncJournal', 'syncDeviceId', 'driveSyncProfiles', 'generationProfilesMeta',
+    'driveBackupSchedule', 'driveBackupRetention', 'driveLastScheduledBackup', 'syncHistory',
+    'storageWarnMB', 'storageWarning',
+    'composerDrafts', 'offlineQueue', 'failedMessages',
+];
 
-function sendSyncProgress(tabId, step, stepNum, totalSteps, detail = '') {
-    const message = { type: 'SAI_SYNC_PROGRESS', step, stepNum, totalSteps, detail };
+// What a backup holds besides the stats — exactly what a restore writes back. An
+// allow-list rather than storage.local minus BACKUP_EXCLUDED_KEYS, so a key added
+// later for device-local data can't end up in a Drive file by default.
+function backupKeys() {
+    return [...SETTINGS_SYNC_KEYS, ...STYLE_SYNC_KEYS, PROFILES_KEY];
+}
+
+const BACKUP_SCHEDULE_MS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const DEFAULT_BACKUP_RETENTION = { daily: 7, weekly: 4, monthly: 6 };
+
+// Everything a backup holds: the backupKeys() settings, with stats read from
+// the IndexedDB store (storage.local only carries the frozen legacy blob). A failed
+// stats read throws rather than producing a backup with silently empty stats.
+async function buildBackupExportData() {
+    const exportData = await storageAPI.storage.local.get(backupKeys());
+    if (typeof exportData.generationProfiles === 'string') {
+        try { exportData.generationProfiles = JSON.parse(exportData.generationProfiles); } catch (_) {}
+    }
+    try {
+        exportData[STATS_KEY] = await statsOp(db => idbExportNested(db));
+    } catch (err) {
+        throw new Error('Could not read stats from the database — backup aborted to avoid an incomplete file.');
+    }
+    return exportData;
+}
+
+// Split a backup payload into its settings and nested stats. Backups are flat; v2
+// files (a sync file kept as a backup) group keys under settings/style/stats.
+function backupSections(data) {
+    if (!data || typeof data !== 'object') return { settings: {}, stats: {} };
+    const flat = { ...data };
+    if (data.settings && typeof data.settings === 'object') Object.assign(flat, data.settings);
+    if (data.style && typeof data.style === 'object') Object.assign(flat, data.style);
+    const stats = flat[STATS_KEY] || data.stats || {};
+    for (const key of ['settings', 'style', 'stats', '_format', STATS_KEY]) delete flat[key];
+    return { settings: flat, stats };
+}
+
+// Counts shown in the backup list, stored as the file's appProperties so listing
+// doesn't have to download (or decrypt) every backup. Counts only, no names.
+function summarizeBackup(exportData, kind) {
+    const { settings, stats } = backupSections(exportData);
+    const { messages, characters } = countNestedRecords(stats);
+    return {
+        saiKind:       kind,
+        saiSettings:   String(Object.keys(settings).length),
+        saiMessages:   String(messages),
+        saiCharacters: String(characters),
+    };
+}
+
+// What restoring a backup would do to the current data: restore writes every setting
+// the backup holds and merges its stats in, so settings are compared key by key and
+// each stats record by whether merging it would add or change anything.
+async function diffBackupAgainstCurrent(data) {
+    const backup = backupSections(data);
+    const current = await storageAPI.storage.local.get(null);
+    const changed = [];
+    const added = [];
+    let unchanged = 0;
+    for (const key of Object.keys(backup.settings)) {
+        // Older backups carried every key; restore only writes these
+        if (!backupKeys().includes(key)) continue;
+        let value = backup.settings[key];
+        // generationProfiles is stored as a JSON string but backed up parsed
+        if (key === 'generationProfiles' && typeof current[key] === 'string' && typeof value !== 'string') {
+            value = JSON.stringify(value);
+        }
+        if (!(key in current)) added.push(key);
+        else if (sameSyncValue(current[key], value)) unchanged++;
+        else changed.push(key);
+    }
+
+    const preview = await statsOp(db => idbPreviewMergeNested(db, backup.stats));
+    const { totals, currentMessages } = preview;
+    return {
+        settings: { changed, added, unchanged },
+        stats: {
+            backupMessages: totals.added + totals.enriched + totals.unchanged,
+            currentMessages,
+            newMessages: totals.added,
+            updatedMessages: totals.enriched,
+            newCharacters: preview.characters.filter(c => c.added > 0).length,
+            onlyCurrent: currentMessages - totals.enriched - totals.unchanged,
+        },
+    };
+}
+
+// Grandfather-father-son retention over scheduled backups: keep the newest backup of
+// each of the last N days, weeks and months (a backup can count for all three).
+// Manual backups are never pruned. Returns the backups to delete.
+function selectBackupsToPrune(backups, policy) {
+    const scheduled = backups
+        .filter(b => b.appProperties && b.appProperties.saiKind === 'scheduled')
+        .sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
+    const pad = n => String(n).padStart(2, '0');
+    const tiers = [
+        [policy.daily,   d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`],
+        // Week bucket: the date of that week's Monday
+        [policy.weekly,  d => {
+            const monday = new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+            return `${monday.getFullYear()}-${pad(monday.getMonth() + 1)}-${pad(monday.getDate())}`;
+        }],
+        [policy.monthly, d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}`],
+    ];
+    const keep = new Set();
+    for (const [count, bucketOf] of tiers) {
+        const seen = new Set();
+        for (const b of scheduled) {
+            if (seen.size >= (count || 0)) break;
+            const bucket = bucketOf(new Date(b.createdTime));
+            if (seen.has(bucket)) continue;
+            seen.add(bucket);
+            keep.add(b.id);
+        }
+    }
+    return scheduled.filter(b => !keep.has(b.id));
+}
+
+async function pruneScheduledBackups(token) {
+    const { driveBackupRetention } = await storageAPI.storage.local.get({ driveBackupRetention: DEFAULT_BACKUP_RETENTION });
+    const policy = { ...DEFAULT_BACKUP_RETENTION, ...driveBackupRetention };
+    const { backups } = await listDriveBackups(token);
+    const doomed = selectBackupsToPrune(backups, policy);
+    for (const b of doomed) await deleteDriveBackup(token, b.id);
+    console.log('[Sync] pruneScheduledBackups: policy', policy, '— removed', doomed.length, 'of', backups.length, 'backups');
+    return doomed.length;
+}
+
+// Called from the hourly backup alarm; creates a backup once a day/week has passed
+// since the last scheduled one, so a browser that was closed catches up on next start.
+async function runScheduledBackup() {
+    const stored = await storageAPI.storage.local.get({ driveBackupSchedule: 'off', driveLastScheduledBackup: 0 });
+    const period = BACKUP_SCHEDULE_MS[stored.driveBackupSchedule];
+    if (!period) return;
+    // An hour of slack so the hourly alarm doesn't push each backup an hour later
+    if (Date.now() - stored.driveLastScheduledBackup < period - 60 * 60 * 1000) return;
+    const token = await getAccessToken(false);
+    if (!token) {
+        console.log('[Sync] runScheduledBackup: not signed in to Drive — skipping');
+        return;
+    }
+    const exportData = await buildBackupExportData();
+    const created = await createDriveBackup(token, exportData, 'scheduled');
+    await storageAPI.storage.local.set({ driveLastScheduledBackup: Date.now() });
+    console.log('[Sync] runScheduledBackup:', stored.driveBackupSchedule, 'backup created →', created.fileName);
+    await pruneScheduledBackups(token);
+}
+
+// ---- Drive stats journal files (see incremental stats sync) ----
+
+// Drive bumps a file's version on every content change, so comparing it with the
+// version this device last saw tells whether the snapshot needs downloading at all.
+async function getDriveFileVersion(token, fileId) {
+    const res = await fetch(
+        `https://www.googleapis.com/drive/v3/files/${fileId}?fields=version`,
+        { headers: { Authorization: `Bearer ${token}` } }
+    );
+    if (res.status === 401) { await clearCachedToken(); throw new Error(AUTH_EXPIRED); }
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Drive read failed: ${res.status}`);
+    return String((await res.json()).version);
+}
+
+async function listDriveDeltas(token, folderId) {
+    const q = encodeURIComponent(`'${folderId}' in parents and name contains '${DELTA_FILE_PREFIX}' and trashed=false`);
+    const files = [];
+    let pageToken = '';
+    do {
+        const res = await fetch(
+            `https://www.googleapis.com/drive/v3/files?q=${q}&fields=nextPageToken,files(id,name)&orderBy=name&pageSize=1000${pageToken ? `&pageToken=${pageToken}` : ''}`,
+            { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (res.status === 401) { await clearCachedToken(); throw new Error(AUTH_EXPIRED); }
+        if (!res.ok) throw new Error(`Drive delta list failed: ${res.status}`);
+        const page = await res.json();
+        files.push(...(page.files || []));
+        pageToken = page.nextPageToken || '';
+    } while (pageToken);
+    return files;
+}
+
+async function readDriveDelta(token, fileId) {
+    const res = await fetch(
+        `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`,
+        { headers: { Authorization: `Bearer ${token}` } }
+    );
+    if (res.status === 401) { await clearCachedToken(); throw new Error(AUTH_EXPIRED); }
+    // Folded into the snapshot and deleted by another device since we listed it
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Drive delta read failed: ${res.status}`);
+    const text = await res.text();
+    return { data: await decryptSyncPayload(JSON.parse(text)), bytes: text.length };
+}
+
+async function deleteDriveDelta(token, fileId) {
+    const res = await fetch(
+        `https://www.googleapis.com/drive/v3/files/${fileId}`,
+        { method: 'DELETE', headers: { Authorization: `Bearer ${token}` } }
+    );
+    if (res.status === 401) { await clearCachedToken(); throw new Error(AUTH_EXPIRED); }
+    if (res.status !== 204 && res.status !== 404 && !res.ok) throw new Error(`Drive delta delete failed: ${res.status}`);
+}
+
+// ---- Sync progress reporting ----
+
+function sendSyncProgress(tabId, step, stepNum, totalSteps, detail = '') {
+    const message = { type: 'SAI_SYNC_PROGRESS', step, stepNum, totalSteps, detail };
     console.log(`[Sync] Progress [${stepNum}/${totalSteps}]: ${step}${detail ? ' — ' + detail : ''}`);
     if (tabId != null) {
         storageAPI.tabs.sendMessage(tabId, message).catch(() => {});
@@ -1178,47 +2258,295 @@ function sendSyncProgress(tabId, step, stepNum, totalSteps, detail = '') {
     }
 }
 
-// ---- Main sync orchestrator ----
+// ---- Three-way merge for synced settings and style ----
+// driveSyncBase holds, per section, the values the last successful sync left in
+// Drive. A key changed on only one side since then takes that side's value. A key
+// changed on both sides to different values is a conflict: this device keeps its
+// value, Drive keeps its own, and the base is left as it was so the conflict is
+// reported again on every sync until it is resolved in the Data tab
+// (SAI_DRIVE_RESOLVE_CONFLICTS). Plain-object values are merged field by field, so
+// tweaks to different colours on two devices don't collide. customStyleValues and
+// characterProfileBindings are stored as JSON strings; they are parsed for the merge
+// and written back as strings (see JSON_STRING_SYNC_KEYS).
+
+function stableStringify(value) {
+    if (value === undefined) return 'undefined';
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return '[' + value.map(stableStringify).join(',') + ']';
+    return '{' + Object.keys(value).sort().map(k => JSON.stringify(k) + ':' + stableStringify(value[k])).join(',') + '}';
+}
 
-async function _doSync(interactive, syncOptions, tabId) {
-    const { syncStats = true, syncSettings = false, syncStyle = false } = syncOptions || {};
-    console.log('[Sync] _doSync start — syncStats:', syncStats, 'syncSettings:', syncSettings, 'syncStyle:', syncStyle, 'tabId:', tabId);
+function sameSyncValue(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
 
-    sendSyncProgress(tabId, 'Authenticating with Google…', 1, 5);
-    const token = await getAccessToken(interactive);
-    if (!token) {
-        console.log('[Sync] _doSync: no token — auth silent fail');
-        return { success: false, error: 'auth_silent_fail' };
+function isPlainSyncObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Keys whose object value is stored as a JSON string
+const JSON_STRING_SYNC_KEYS = ['customStyleValues', 'characterProfileBindings'];
+
+// The object inside a stored JSON string; anything else (including a string that
+// isn't a JSON object) is returned as is and merges as one opaque value
+function decodeSyncValue(key, value) {
+    if (!JSON_STRING_SYNC_KEYS.includes(key) || typeof value !== 'string') return value;
+    try {
+        const parsed = JSON.parse(value);
+        return isPlainSyncObject(parsed) ? parsed : value;
+    } catch (_) {
+        return value;
     }
-    console.log('[Sync] _doSync: token obtained');
+}
 
-    sendSyncProgress(tabId, 'Locating Drive folder…', 2, 5);
-    const folderId = await getOrCreateToolkitFolder(token);
-    console.log('[Sync] _doSync: toolkit folder resolved →', folderId);
+function encodeSyncValue(key, value) {
+    return JSON_STRING_SYNC_KEYS.includes(key) && isPlainSyncObject(value) ? JSON.stringify(value) : value;
+}
+
+// Returns { local, upload, base } for one value; conflicts are recorded by dotted path.
+function mergeSyncValue(base, local, remote, path, conflicts) {
+    if (sameSyncValue(local, remote)) return { local, upload: local, base: local };
+    // Never set on one side: nothing to lose, take the other
+    if (local === undefined) return { local: remote, upload: remote, base: remote };
+    if (remote === undefined) return { local, upload: local, base: local };
+    if (base !== undefined && sameSyncValue(local, base)) return { local: remote, upload: remote, base: remote };
+    if (base !== undefined && sameSyncValue(remote, base)) return { local, upload: local, base: local };
+    if (isPlainSyncObject(local) && isPlainSyncObject(remote)) {
+        const baseObj = isPlainSyncObject(base) ? base : {};
+        const out = { local: {}, upload: {}, base: {} };
+        for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+            const merged = mergeSyncValue(baseObj[key], local[key], remote[key], `${path}.${key}`, conflicts);
+            if (merged.local !== undefined) out.local[key] = merged.local;
+            if (merged.upload !== undefined) out.upload[key] = merged.upload;
+            if (merged.base !== undefined) out.base[key] = merged.base;
+        }
+        return out;
+    }
+    conflicts[path] = { local, remote };
+    return { local, upload: remote, base };
+}
 
-    sendSyncProgress(tabId, 'Finding sync file…', 3, 5);
-    const fileId = await findDriveFile(token, folderId);
-    console.log('[Sync] _doSync: sync file resolved →', fileId || '(none — first sync)');
+function mergeSyncSection(keys, baseSection, localSection, remoteSection) {
+    const result = { local: {}, upload: {}, base: {}, conflicts: {} };
+    for (const key of keys) {
+        const merged = mergeSyncValue(
+            decodeSyncValue(key, baseSection[key]),
+            decodeSyncValue(key, localSection[key]),
+            decodeSyncValue(key, remoteSection[key]),
+            key, result.conflicts);
+        if (merged.local !== undefined) result.local[key] = encodeSyncValue(key, merged.local);
+        if (merged.upload !== undefined) result.upload[key] = encodeSyncValue(key, merged.upload);
+        if (merged.base !== undefined) result.base[key] = encodeSyncValue(key, merged.base);
+    }
+    return result;
+}
 
-    // Read remote file once
-    let remote = null;
-    if (fileId) {
-        sendSyncProgress(tabId, 'Downloading from Drive…', 3, 5);
-        const { data, bytes, durationMs } = await readDriveFile(token, fileId, tabId);
-        remote = data;
-        const sizeMB   = (bytes / 1048576).toFixed(2);
-        const speedMBs = durationMs > 0 ? (bytes / 1048576 / (durationMs / 1000)).toFixed(2) : '—';
-        sendSyncProgress(tabId, 'Downloading from Drive…', 3, 5, `~${sizeMB} MB @ ~${speedMBs} MB/s`);
-    } else {
-        console.log('[Sync] _doSync: no existing remote file — this is the first upload (create)');
+// A section's first sync (after upgrading, or after switching backend) has no base,
+// which would make every key the two sides disagree on a conflict. Seed one from the
+// defaults instead: a side still at the default hasn't been changed there, so the
+// base takes that value and the other side's wins. Only values changed away from
+// the default on both sides are left unseeded and reported as conflicts.
+function seedSyncValue(defaultValue, local, remote) {
+    if (isPlainSyncObject(local) && isPlainSyncObject(remote)) {
+        const defaults = isPlainSyncObject(defaultValue) ? defaultValue : {};
+        const seeded = {};
+        for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+            const value = seedSyncValue(defaults[key], local[key], remote[key]);
+            if (value !== undefined) seeded[key] = value;
+        }
+        return seeded;
+    }
+    if (defaultValue === undefined) return undefined;
+    return sameSyncValue(local, defaultValue) || sameSyncValue(remote, defaultValue) ? defaultValue : undefined;
+}
+
+function seedSyncBase(keys, localSection, remoteSection) {
+    const base = {};
+    for (const key of keys) {
+        const seeded = seedSyncValue(
+            decodeSyncValue(key, SYNC_KEY_DEFAULTS[key]),
+            decodeSyncValue(key, localSection[key]),
+            decodeSyncValue(key, remoteSection[key]));
+        if (seeded !== undefined) base[key] = encodeSyncValue(key, seeded);
+    }
+    return base;
+}
+
+function setSyncPath(target, parts, value) {
+    if (parts.length === 0) return value;
+    const copy = isPlainSyncObject(target) ? { ...target } : {};
+    copy[parts[0]] = setSyncPath(copy[parts[0]], parts.slice(1), value);
+    return copy;
+}
+
+/**
+ * Apply the user's picks for sync conflicts. Either way the base takes Drive's
+ * value, so on the next sync a "keep this device" pick looks like a local-only
+ * change and is uploaded, and a "use Drive" pick is already in place.
+ * @param {Array<{section: 'settings'|'style', path: string, choice: 'local'|'remote'}>} resolutions
+ */
+async function resolveDriveSyncConflicts(resolutions) {
+    const stored = await storageAPI.storage.local.get({ driveSyncBase: {}, driveSyncConflicts: {} });
+    const base = stored.driveSyncBase;
+    const conflicts = stored.driveSyncConflicts;
+    const localUpdates = {};
+    let resolved = 0;
+    for (const { section, path, choice } of resolutions || []) {
+        const conflict = conflicts[section] && conflicts[section][path];
+        if (!conflict) continue;
+        const parts = path.split('.');
+        const key = parts[0];
+        const sectionBase = { ...(base[section] || {}) };
+        sectionBase[key] = encodeSyncValue(key,
+            setSyncPath(decodeSyncValue(key, sectionBase[key]), parts.slice(1), conflict.remote));
+        base[section] = sectionBase;
+        if (choice === 'remote') {
+            if (!(key in localUpdates)) {
+                localUpdates[key] = (await storageAPI.storage.local.get(key))[key];
+            }
+            localUpdates[key] = encodeSyncValue(key,
+                setSyncPath(decodeSyncValue(key, localUpdates[key]), parts.slice(1), conflict.remote));
+        }
+        delete conflicts[section][path];
+        resolved++;
+    }
+    await storageAPI.storage.local.set({ ...localUpdates, driveSyncBase: base, driveSyncConflicts: conflicts });
+    const remaining = Object.values(conflicts).reduce((n, section) => n + Object.keys(section || {}).length, 0);
+    console.log('[Sync] resolveDriveSyncConflicts: resolved', resolved, '| remaining:', remaining);
+    return { resolved, remaining };
+}
+
+// ---- Generation profiles (merged per name, newest edit wins) ----
+// Profiles get their own `profiles` section rather than riding along as one settings
+// value, so two devices that each saved a different profile both keep both. Section
+// shape: { [name]: { updatedAt, value } | { updatedAt, deleted: true } } — a deleted
+// profile stays as a tombstone so the next sync doesn't bring it back from a device
+// that still has it, until PROFILE_TOMBSTONE_TTL_MS has passed.
+//
+// Modification times come from storage.local PROFILES_META_KEY, which the content
+// script's saveProfiles() stamps on every save/delete: { [name]: { updatedAt, sig } |
+// { updatedAt, deleted: true } }, where sig is the profile's JSON at that time. A
+// profile written some other way (import, restore, reset) no longer matches its sig
+// and is treated as changed now; one with no record at all predates tracking and
+// loses to any timestamped edit.
+
+const PROFILES_KEY              = 'generationProfiles';
+const PROFILES_META_KEY         = 'generationProfilesMeta';
+const PROFILE_TOMBSTONE_TTL_MS  = 90 * 24 * 60 * 60 * 1000;
+
+// generationProfiles and characterProfileBindings are stored as JSON strings
+function parseStoredObject(stored) {
+    if (stored && typeof stored === 'object') return stored;
+    try {
+        const parsed = JSON.parse(stored || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (_) {
+        return {};
     }
+}
+
+// Entries for this device's profiles, in the sync section's shape
+function localProfileEntries(profiles, meta, now) {
+    const entries = {};
+    for (const name of Object.keys(profiles)) {
+        const m = meta[name];
+        const sig = JSON.stringify(profiles[name]);
+        const updatedAt = (m && !m.deleted && m.sig === sig) ? m.updatedAt : (m ? now : 0);
+        entries[name] = { updatedAt, value: profiles[name] };
+    }
+    for (const name of Object.keys(meta)) {
+        if (name in profiles) continue;
+        // Tombstone from saveProfiles, or a profile removed behind its back
+        entries[name] = { updatedAt: meta[name].deleted ? meta[name].updatedAt : now, deleted: true };
+    }
+    return entries;
+}
+
+// Newer edit wins; on a tie a deletion wins, then the larger JSON, so every device
+// settles on the same entry.
+function pickProfileEntry(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt ? a : b;
+    if (!!a.deleted !== !!b.deleted) return a.deleted ? a : b;
+    return JSON.stringify(a.value) >= JSON.stringify(b.value) ? a : b;
+}
+
+/**
+ * Merge this device's profiles with a remote `profiles` section, store the result
+ * locally and return the section to upload. Files written before profiles had their
+ * own section carry them as settings.generationProfiles; those count as untimed.
+ */
+async function mergeSyncProfiles(remote) {
+    const now = Date.now();
+    const stored = await storageAPI.storage.local.get({ [PROFILES_KEY]: '{}', [PROFILES_META_KEY]: {}, characterProfileBindings: '{}' });
+    const localProfiles = parseStoredObject(stored[PROFILES_KEY]);
+    const local = localProfileEntries(localProfiles, stored[PROFILES_META_KEY] || {}, now);
+
+    let remoteEntries = {};
+    if (remote && remote.profiles && typeof remote.profiles === 'object') {
+        remoteEntries = remote.profiles;
+    } else if (remote && remote.settings && remote.settings[PROFILES_KEY] !== undefined) {
+        const legacy = parseStoredObject(remote.settings[PROFILES_KEY]);
+        for (const name of Object.keys(legacy)) remoteEntries[name] = { updatedAt: 0, value: legacy[name] };
+    }
+
+    const upload = {};
+    const merged = {};
+    const meta = {};
+    for (const name of new Set([...Object.keys(local), ...Object.keys(remoteEntries)])) {
+        const entry = pickProfileEntry(local[name], remoteEntries[name]);
+        if (!entry || typeof entry.updatedAt !== 'number') continue;
+        if (entry.deleted) {
+            if (now - entry.updatedAt > PROFILE_TOMBSTONE_TTL_MS) continue;
+            upload[name] = { updatedAt: entry.updatedAt, deleted: true };
+            meta[name] = { updatedAt: entry.updatedAt, deleted: true };
+        } else {
+            upload[name] = { updatedAt: entry.updatedAt, value: entry.value };
+            merged[name] = entry.value;
+            meta[name] = { updatedAt: entry.updatedAt, sig: JSON.stringify(entry.value) };
+        }
+    }
+
+    const updates = { [PROFILES_META_KEY]: meta };
+    const changed = !sameSyncValue(localProfiles, merged);
+    if (changed) {
+        updates[PROFILES_KEY] = JSON.stringify(merged);
+        // Drop character bindings to profiles that were deleted elsewhere
+        const bindings = parseStoredObject(stored.characterProfileBindings);
+        const kept = Object.fromEntries(Object.entries(bindings).filter(([, binding]) => binding && binding.profile in merged));
+        if (Object.keys(kept).length !== Object.keys(bindings).length) {
+            updates.characterProfileBindings = JSON.stringify(kept);
+        }
+    }
+    await storageAPI.storage.local.set(updates);
+    console.log('[Sync] mergeSyncProfiles: local', Object.keys(localProfiles).length,
+        '| remote entries', Object.keys(remoteEntries).length,
+        '| merged', Object.keys(merged).length, '| tombstones', Object.keys(upload).length - Object.keys(merged).length,
+        '| local changed:', changed);
+    return { upload, changed };
+}
+
+// ---- Sync file merge (transport-independent) ----
+
+/**
+ * Merge a remote v2 sync file (or null on first sync) with this device's data and
+ * build the file to upload. Local stats and settings are updated as a side effect;
+ * the three-way base and conflicts are only returned, so the caller can store them
+ * once the upload has succeeded (saveSyncMergeState). With assembleStats off the
+ * remote stats are still merged in but the file gets no `stats` section — the
+ * incremental sync adds the full export itself, and only when it rewrites the snapshot.
+ */
+async function buildSyncFile(remote, syncOptions, tabId, { assembleStats = true } = {}) {
+    const { syncStats = true, syncSettings = false, syncStyle = false, syncProfiles = false } = syncOptions || {};
     const isV2 = remote && remote._format === 'v2';
     if (remote) {
         const remoteStatsBotCount = remote.stats ? Object.keys(remote.stats).length : (isV2 ? 0 : Object.keys(remote).filter(k => k !== '_format').length);
-        console.log('[Sync] _doSync: remote file format:', remote._format || 'v1 (legacy)',
+        console.log('[Sync] buildSyncFile: remote file format:', remote._format || 'v1 (legacy)',
             '| stats bots:', remoteStatsBotCount,
             '| has settings:', !!(remote.settings),
-            '| has style:', !!(remote.style));
+            '| has style:', !!(remote.style),
+            '| has profiles:', !!(remote.profiles));
     }
 
     // Build new file — always v2 format
@@ -1226,11 +2554,13 @@ async function _doSync(interactive, syncOptions, tabId) {
 
     sendSyncProgress(tabId, 'Merging data…', 4, 5);
 
+    let recordsMerged = 0;
+
     // ---- Stats ----
     if (syncStats) {
         // Old-format file: entire file was the raw stats object
         const remoteStats = isV2 ? (remote ? remote.stats || {} : {}) : (remote || {});
-        if (fileId) {
+        if (remote && Object.keys(remoteStats).length > 0) {
             // Merge remote into the local IndexedDB store, per-message, collapsing the
             // conversation level. mergeMessageEntry semantics — never clobbers a richer
             // entry. Each statsOp is individually serialised; a live write may land in the
@@ -1240,24 +2570,34 @@ async function _doSync(interactive, syncOptions, tabId) {
             const tMerge = Date.now();
             const remoteBots = Object.keys(remoteStats).length;
             const written = await statsOp(db => idbBulkMergeNested(db, remoteStats));
-            console.log('[Sync] _doSync: merged remote stats into IDB in', Date.now() - tMerge,
+            recordsMerged = written;
+            console.log('[Sync] buildSyncFile: merged remote stats into IDB in', Date.now() - tMerge,
                 'ms — remote bots:', remoteBots, '| records upserted:', written);
         }
         // Assemble the (pruned) nested wire format from the DB for upload. The store is
         // the source of truth; we no longer keep an 11 MB JSON blob in storage.local.
-        const tExport = Date.now();
-        const merged = await statsOp(db => idbExportNested(db));
-        const mergedBots = Object.keys(merged).length;
-        const mergedMsgs = Object.values(merged).reduce((b, chats) =>
-            b + Object.values(chats).reduce((c, msgs) => c + Object.keys(msgs).length, 0), 0);
-        console.log('[Sync] _doSync: assembled stats from IDB in', Date.now() - tExport, 'ms —',
-            mergedBots, 'bots |', mergedMsgs, 'messages total');
-        newFile.stats = merged;
+        if (assembleStats) newFile.stats = await exportSyncStats();
     } else {
-        // Preserve whatever stats already exist in Drive
-        if (isV2 && remote && remote.stats) { newFile.stats = remote.stats; console.log('[Sync] _doSync: stats not synced — preserving remote stats'); }
-        else if (!isV2 && remote)           { newFile.stats = remote; console.log('[Sync] _doSync: stats not synced — migrating v1 remote to v2 format'); }
-        else                                { console.log('[Sync] _doSync: stats not synced and no remote stats to preserve'); }
+        // Preserve whatever stats already exist in the remote file
+        if (isV2 && remote && remote.stats) { newFile.stats = remote.stats; console.log('[Sync] buildSyncFile: stats not synced — preserving remote stats'); }
+        else if (!isV2 && remote)           { newFile.stats = remote; console.log('[Sync] buildSyncFile: stats not synced — migrating v1 remote to v2 format'); }
+        else                                { console.log('[Sync] buildSyncFile: stats not synced and no remote stats to preserve'); }
+    }
+
+    // Three-way merge base and open conflicts; only written back after a successful upload
+    const { driveSyncBase: syncBase, driveSyncConflicts: syncConflicts } =
+        await storageAPI.storage.local.get({ driveSyncBase: {}, driveSyncConflicts: {} });
+
+    // ---- Profiles ----
+    // Before settings, so bindings dropped for profiles deleted elsewhere go out with them
+    let profilesChanged = false;
+    if (syncProfiles) {
+        const merged = await mergeSyncProfiles(isV2 ? remote : null);
+        newFile.profiles = merged.upload;
+        profilesChanged = merged.changed;
+    } else if (isV2 && remote && remote.profiles) {
+        newFile.profiles = remote.profiles; // preserve
+        console.log('[Sync] buildSyncFile: profiles not synced — preserving remote profiles');
     }
 
     // ---- Settings ----
@@ -1268,18 +2608,21 @@ async function _doSync(interactive, syncOptions, tabId) {
             if (localStored[key] !== undefined) localSettings[key] = localStored[key];
         }
         const remoteSettings = (isV2 && remote && remote.settings) ? remote.settings : {};
-        // Merge: remote as base, local overwrites (local changes take precedence)
-        const merged = { ...remoteSettings, ...localSettings };
-        console.log('[Sync] _doSync: settings merge — local keys:', Object.keys(localSettings).length,
+        const settingsBase = syncBase.settings || seedSyncBase(SETTINGS_SYNC_KEYS, localSettings, remoteSettings);
+        const merged = mergeSyncSection(SETTINGS_SYNC_KEYS, settingsBase, localSettings, remoteSettings);
+        console.log('[Sync] buildSyncFile: settings merge — local keys:', Object.keys(localSettings).length,
             '| remote keys:', Object.keys(remoteSettings).length,
-            '| merged keys:', Object.keys(merged).length);
-        newFile.settings = merged;
-        if (Object.keys(merged).length > 0) {
-            await storageAPI.storage.local.set(merged);
+            '| merged keys:', Object.keys(merged.upload).length,
+            '| conflicts:', Object.keys(merged.conflicts).length);
+        newFile.settings = merged.upload;
+        if (Object.keys(merged.local).length > 0) {
+            await storageAPI.storage.local.set(merged.local);
         }
+        syncBase.settings = merged.base;
+        syncConflicts.settings = merged.conflicts;
     } else if (isV2 && remote && remote.settings) {
         newFile.settings = remote.settings; // preserve
-        console.log('[Sync] _doSync: settings not synced — preserving remote settings');
+        console.log('[Sync] buildSyncFile: settings not synced — preserving remote settings');
     }
 
     // ---- Style ----
@@ -1290,63 +2633,785 @@ async function _doSync(interactive, syncOptions, tabId) {
             if (localStored[key] !== undefined) localStyle[key] = localStored[key];
         }
         const remoteStyle = (isV2 && remote && remote.style) ? remote.style : {};
-        const merged = { ...remoteStyle, ...localStyle };
-        console.log('[Sync] _doSync: style merge — local keys:', Object.keys(localStyle).length,
+        const styleBase = syncBase.style || seedSyncBase(STYLE_SYNC_KEYS, localStyle, remoteStyle);
+        const merged = mergeSyncSection(STYLE_SYNC_KEYS, styleBase, localStyle, remoteStyle);
+        console.log('[Sync] buildSyncFile: style merge — local keys:', Object.keys(localStyle).length,
             '| remote keys:', Object.keys(remoteStyle).length,
-            '| merged keys:', Object.keys(merged).length);
-        newFile.style = merged;
-        if (Object.keys(merged).length > 0) {
-            await storageAPI.storage.local.set(merged);
+            '| merged keys:', Object.keys(merged.upload).length,
+            '| conflicts:', Object.keys(merged.conflicts).length);
+        newFile.style = merged.upload;
+        if (Object.keys(merged.local).length > 0) {
+            await storageAPI.storage.local.set(merged.local);
         }
+        syncBase.style = merged.base;
+        syncConflicts.style = merged.conflicts;
     } else if (isV2 && remote && remote.style) {
         newFile.style = remote.style; // preserve
-        console.log('[Sync] _doSync: style not synced — preserving remote style');
+        console.log('[Sync] buildSyncFile: style not synced — preserving remote style');
     }
 
     const uploadPayloadKB = (JSON.stringify(newFile).length / 1024).toFixed(1);
-    console.log('[Sync] _doSync: upload payload', uploadPayloadKB, 'KB — sections:', Object.keys(newFile).filter(k => k !== '_format').join(', ') || 'none');
-    sendSyncProgress(tabId, 'Uploading to Drive…', 5, 5);
-    const newFileId = await writeDriveFile(token, fileId, newFile, folderId, tabId);
-    await storageAPI.storage.local.set({ driveLastSync: Date.now() });
-    console.log('[Sync] _doSync: complete — fileId:', newFileId);
+    console.log('[Sync] buildSyncFile: payload', uploadPayloadKB, 'KB — sections:', Object.keys(newFile).filter(k => k !== '_format').join(', ') || 'none');
+    return { file: newFile, base: syncBase, conflicts: syncConflicts, profilesChanged, recordsMerged };
+}
 
-    return { success: true, fileId: newFileId, syncedSettings: syncSettings || syncStyle };
+async function exportSyncStats() {
+    const tExport = Date.now();
+    const merged = await statsOp(db => idbExportNested(db));
+    const mergedBots = Object.keys(merged).length;
+    const mergedMsgs = Object.values(merged).reduce((b, chats) =>
+        b + Object.values(chats).reduce((c, msgs) => c + Object.keys(msgs).length, 0), 0);
+    const tombstones = await statsOp(db => idbExportTombstones(db));
+    for (const t of tombstones) addTombstoneToNested(merged, t);
+    console.log('[Sync] exportSyncStats: assembled stats from IDB in', Date.now() - tExport, 'ms —',
+        mergedBots, 'bots |', mergedMsgs, 'messages total |', tombstones.length, 'tombstones');
+    return merged;
 }
 
-async function runDriveSync(interactive, syncOptions, tabId) {
-    if (syncInProgress) {
-        console.warn('[Sync] runDriveSync: already in progress, skipping', interactive ? '(manual)' : '(auto)');
-        return { success: false, alreadyRunning: true, error: 'Sync already in progress — please wait…' };
+// Store the merge base and open conflicts once the merged file has been written.
+// Returns the number of open conflicts.
+async function saveSyncMergeState({ base, conflicts }) {
+    await storageAPI.storage.local.set({ driveSyncBase: base, driveSyncConflicts: conflicts });
+    // The file is now written with the current passphrase (or none)
+    await storageAPI.storage.local.remove('drivePassphrasePrevious');
+    return Object.values(conflicts).reduce((n, section) => n + Object.keys(section || {}).length, 0);
+}
+
+// ---- Sync backends ----
+// A backend only moves the v2 sync file; buildSyncFile does the merging for all of
+// them. open() authenticates and locates the file, returning a session (or null when
+// a silent sign-in isn't possible); read() returns the decrypted remote file, or null
+// before the first sync; write() encrypts and stores the merged file. Backends that
+// can hold more than one file also implement the stats journal (snapshotVersion,
+// listDeltas, readDelta, writeDelta, deleteDelta — see incremental stats sync). The active
+// backend is the device-local `syncBackend` key: 'drive', 'webdav' or 'file'. The
+// 'file' backend has no transport — the Data tab exports and imports the sync file
+// by hand through SAI_SYNC_FILE_MERGE. driveSyncBase / driveSyncConflicts describe
+// whichever backend is active and are cleared when the user switches.
+
+const SYNC_BACKEND_LABELS = { drive: 'Google Drive', webdav: 'WebDAV', file: 'sync file' };
+
+const driveSyncBackend = {
+    name: 'drive',
+    lastSyncKey: 'driveLastSync',
+
+    async open(interactive, tabId) {
+        sendSyncProgress(tabId, 'Authenticating with Google…', 1, 5);
+        const token = await getAccessToken(interactive);
+        if (!token) {
+            console.log('[Sync] drive.open: no token — auth silent fail');
+            return null;
+        }
+        console.log('[Sync] drive.open: token obtained');
+
+        sendSyncProgress(tabId, 'Locating Drive folder…', 2, 5);
+        const folderId = await getOrCreateToolkitFolder(token);
+        console.log('[Sync] drive.open: toolkit folder resolved →', folderId);
+
+        sendSyncProgress(tabId, 'Finding sync file…', 3, 5);
+        const fileId = await findDriveFile(token, folderId);
+        console.log('[Sync] drive.open: sync file resolved →', fileId || '(none — first sync)');
+        return { token, folderId, fileId, tabId };
+    },
+
+    async read(session) {
+        if (!session.fileId) {
+            console.log('[Sync] drive.read: no existing remote file — this is the first upload (create)');
+            return null;
+        }
+        sendSyncProgress(session.tabId, 'Downloading from Drive…', 3, 5);
+        const { data, bytes, durationMs } = await readDriveFile(session.token, session.fileId, session.tabId);
+        session.bytesIn += bytes;
+        const sizeMB   = (bytes / 1048576).toFixed(2);
+        const speedMBs = durationMs > 0 ? (bytes / 1048576 / (durationMs / 1000)).toFixed(2) : '—';
+        sendSyncProgress(session.tabId, 'Downloading from Drive…', 3, 5, `~${sizeMB} MB @ ~${speedMBs} MB/s`);
+        return data;
+    },
+
+    async write(session, file) {
+        sendSyncProgress(session.tabId, 'Uploading to Drive…', 5, 5);
+        const { fileId, bytes } = await writeDriveFile(session.token, session.fileId, file, session.folderId, session.tabId);
+        session.fileId = fileId;
+        session.bytesOut += bytes;
+        return fileId;
+    },
+
+    async snapshotVersion(session) {
+        return session.fileId ? getDriveFileVersion(session.token, session.fileId) : null;
+    },
+
+    listDeltas(session) {
+        return listDriveDeltas(session.token, session.folderId);
+    },
+
+    async readDelta(session, entry) {
+        const delta = await readDriveDelta(session.token, entry.id);
+        if (!delta) return null;
+        session.bytesIn += delta.bytes;
+        return delta.data;
+    },
+
+    async writeDelta(session, name, data) {
+        const body = JSON.stringify(await encryptSyncPayload(data));
+        await createDriveJsonFile(session.token, session.folderId, name, body, 'delta');
+        session.bytesOut += body.length;
+    },
+
+    deleteDelta(session, entry) {
+        return deleteDriveDelta(session.token, entry.id);
+    },
+};
+
+// ---- WebDAV backend (Nextcloud, ownCloud, any server speaking plain WebDAV) ----
+// The sync file lives at <webdavUrl>/sai-toolkit-sync.json. Credentials are kept in
+// storage.local on this device only; Nextcloud users should use an app password.
+// The server's origin is an optional host permission, granted from the toolbar
+// popup because content scripts can't request permissions themselves.
+
+async function getWebdavConfig() {
+    const stored = await storageAPI.storage.local.get({ webdavUrl: '', webdavUsername: '', webdavPassword: '' });
+    const url = (stored.webdavUrl || '').trim();
+    return {
+        folderUrl: url ? url.replace(/\/*$/, '/') : '',
+        username:  stored.webdavUsername || '',
+        password:  stored.webdavPassword || '',
+    };
+}
+
+function webdavOriginPattern(url) {
+    return new URL(url).origin + '/*';
+}
+
+async function hasWebdavPermission(url) {
+    // Browsers without the permissions API (or without optional host permissions)
+    // get a plain network error from the request instead
+    if (!storageAPI.permissions || !storageAPI.permissions.contains) return true;
+    try {
+        return await storageAPI.permissions.contains({ origins: [webdavOriginPattern(url)] });
+    } catch (_) {
+        return true;
+    }
+}
+
+const WEBDAV_TIMEOUT_MS = 90000;
+
+// XHR on MV2 background pages (fetch() with a body can hang WebKit), fetch on MV3
+function webdavRequest(method, url, config, headers = {}, body = null) {
+    const allHeaders = { ...headers };
+    if (config.username) {
+        allHeaders.Authorization = 'Basic ' + btoa(unescape(encodeURIComponent(`${config.username}:${config.password}`)));
+    }
+    if (typeof XMLHttpRequest === 'undefined') {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), WEBDAV_TIMEOUT_MS);
+        return fetch(url, { method, headers: allHeaders, body, credentials: 'omit', cache: 'no-store', signal: controller.signal })
+            .then(async res => ({ status: res.status, ok: res.ok, etag: res.headers.get('ETag'), text: await res.text() }))
+            .catch(err => {
+                if (err.name === 'AbortError') throw new Error('WebDAV request timed out (>90 s).');
+                throw err;
+            })
+            .finally(() => clearTimeout(timer));
+    }
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        for (const [key, val] of Object.entries(allHeaders)) xhr.setRequestHeader(key, val);
+        xhr.timeout = WEBDAV_TIMEOUT_MS;
+        xhr.onload = () => resolve({
+            status: xhr.status,
+            ok:     xhr.status >= 200 && xhr.status < 300,
+            etag:   xhr.getResponseHeader('ETag'),
+            text:   xhr.responseText,
+        });
+        xhr.onerror   = () => reject(new Error('WebDAV network error — check the server URL and your connection.'));
+        xhr.ontimeout = () => reject(new Error('WebDAV request timed out (>90 s).'));
+        xhr.send(body);
+    });
+}
+
+function checkWebdavResponse(res, action) {
+    if (res.ok) return;
+    if (res.status === 401 || res.status === 403) {
+        throw new Error(`WebDAV sign-in failed (HTTP ${res.status}) — check the username and password.`);
+    }
+    throw new Error(`WebDAV ${action} failed: HTTP ${res.status}`);
+}
+
+/**
+ * Check that the configured WebDAV folder is reachable with the stored credentials.
+ * @returns {Promise<{success: boolean, error?: string, needsPermission?: boolean, origin?: string}>}
+ */
+async function testWebdavConnection() {
+    const config = await getWebdavConfig();
+    if (!config.folderUrl) return { success: false, error: 'Enter the WebDAV folder URL first.' };
+    if (!(await hasWebdavPermission(config.folderUrl))) {
+        const origin = new URL(config.folderUrl).origin;
+        return { success: false, needsPermission: true, origin, error: webdavPermissionMessage(origin) };
+    }
+    try {
+        const res = await webdavRequest('PROPFIND', config.folderUrl, config, { Depth: '0' });
+        if (res.status === 404) return { success: false, error: 'WebDAV folder not found (HTTP 404) — create it on the server first.' };
+        checkWebdavResponse(res, 'connection test');
+        return { success: true };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+function webdavPermissionMessage(origin) {
+    return `WebDAV needs access to ${origin} — click the S.AI Toolkit toolbar button and choose "Allow WebDAV access".`;
+}
+
+const webdavSyncBackend = {
+    name: 'webdav',
+    lastSyncKey: 'webdavLastSync',
+
+    async open(interactive, tabId) {
+        sendSyncProgress(tabId, 'Connecting to WebDAV…', 1, 5);
+        const config = await getWebdavConfig();
+        if (!config.folderUrl) throw new Error('WebDAV is not set up — enter the folder URL under Sync in the Data tab.');
+        if (!(await hasWebdavPermission(config.folderUrl))) {
+            throw new Error(webdavPermissionMessage(new URL(config.folderUrl).origin));
+        }
+        return { ...config, fileUrl: config.folderUrl + SYNC_FILE_NAME, etag: null, tabId };
+    },
+
+    async read(session) {
+        sendSyncProgress(session.tabId, 'Downloading from WebDAV…', 3, 5);
+        const t0 = Date.now();
+        const res = await webdavRequest('GET', session.fileUrl, session);
+        if (res.status === 404) {
+            console.log('[Sync] webdav.read: no sync file on the server yet — first upload');
+            return null;
+        }
+        checkWebdavResponse(res, 'read');
+        session.etag = res.etag;
+        session.bytesIn += res.text.length;
+        console.log('[Sync] webdav.read:', (res.text.length / 1024).toFixed(1), 'KB in', Date.now() - t0, 'ms | etag:', res.etag);
+        return await decryptSyncPayload(JSON.parse(res.text));
+    },
+
+    async write(session, file) {
+        sendSyncProgress(session.tabId, 'Uploading to WebDAV…', 5, 5);
+        const body = JSON.stringify(await encryptSyncPayload(file));
+        // Conditional PUT: don't overwrite a file another device wrote since our read
+        const headers = { 'Content-Type': 'application/json' };
+        if (session.etag) headers['If-Match'] = session.etag;
+        else headers['If-None-Match'] = '*';
+        let res = await webdavRequest('PUT', session.fileUrl, session, headers, body);
+        if (res.status === 409) {
+            // Parent collection missing — create it once and retry
+            console.log('[Sync] webdav.write: folder missing — MKCOL', session.folderUrl);
+            await webdavRequest('MKCOL', session.folderUrl, session);
+            res = await webdavRequest('PUT', session.fileUrl, session, headers, body);
+        }
+        if (res.status === 412) {
+            throw new Error('WebDAV sync file changed on the server during this sync — please sync again.');
+        }
+        checkWebdavResponse(res, 'upload');
+        session.bytesOut += body.length;
+        console.log('[Sync] webdav.write: uploaded', (body.length / 1024).toFixed(1), 'KB → HTTP', res.status);
+        // Servers may leave the ETag off a PUT response; snapshotVersion() asks again
+        session.etag = res.etag || null;
+        return session.fileUrl;
+    },
+
+    async snapshotVersion(session) {
+        if (session.etag) return session.etag;
+        const res = await webdavRequest('HEAD', session.fileUrl, session);
+        if (res.status === 404) return null;
+        checkWebdavResponse(res, 'read');
+        session.etag = res.etag;
+        return res.etag;
+    },
+
+    async listDeltas(session) {
+        const res = await webdavRequest('PROPFIND', session.folderUrl, session, { Depth: '1' });
+        if (res.status === 404) return [];
+        checkWebdavResponse(res, 'folder listing');
+        // No DOMParser in a service worker; hrefs are all we need from the multistatus
+        const entries = [];
+        const hrefRe = /<(?:[\w-]+:)?href>([^<]+)<\/(?:[\w-]+:)?href>/gi;
+        let m;
+        while ((m = hrefRe.exec(res.text))) {
+            const name = decodeURIComponent(m[1].replace(/\/+$/, '').split('/').pop());
+            if (name.startsWith(DELTA_FILE_PREFIX)) entries.push({ name, url: session.folderUrl + encodeURIComponent(name) });
+        }
+        return entries.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async readDelta(session, entry) {
+        const res = await webdavRequest('GET', entry.url, session);
+        if (res.status === 404) return null;
+        checkWebdavResponse(res, 'delta read');
+        session.bytesIn += res.text.length;
+        return await decryptSyncPayload(JSON.parse(res.text));
+    },
+
+    async writeDelta(session, name, data) {
+        const body = JSON.stringify(await encryptSyncPayload(data));
+        const res = await webdavRequest('PUT', session.folderUrl + encodeURIComponent(name), session, { 'Content-Type': 'application/json' }, body);
+        checkWebdavResponse(res, 'delta upload');
+        session.bytesOut += body.length;
+    },
+
+    async deleteDelta(session, entry) {
+        const res = await webdavRequest('DELETE', entry.url, session);
+        if (res.status !== 404) checkWebdavResponse(res, 'delta delete');
+    },
+};
+
+const SYNC_BACKENDS = { drive: driveSyncBackend, webdav: webdavSyncBackend };
+
+async function getActiveSyncBackend() {
+    const { syncBackend } = await storageAPI.storage.local.get({ syncBackend: 'drive' });
+    return syncBackend;
+}
+
+// ---- Incremental stats sync (journal) ----
+// Drive and WebDAV keep the full sync file as a snapshot, next to small delta files
+// that each hold the stats records one device changed since its previous upload
+// (tracked in the sync_dirty store). A sync downloads the snapshot only when its
+// version moved since this device last saw it, applies the deltas it hasn't seen yet
+// and uploads its own changes as a new delta, so its cost follows the number of new
+// messages rather than the size of the history. The snapshot is rewritten, with every
+// delta folded in, only when settings or style need pushing, once DELTA_COMPACT_COUNT
+// deltas have piled up, after a passphrase change, or on a device's first journal
+// sync. Compaction deletes only deltas older than DELTA_COMPACT_GRACE_MS, so a device
+// compacting at the same moment can't lose one the other hasn't folded in yet, and
+// deltas go through the same never-clobber merge as the snapshot, so seeing one twice
+// is harmless. Syncs with stats turned off, and the manual sync file, use the whole file.
+//
+// storage.local 'syncJournal': { backend, snapshotVersion, keyId, settings, style,
+// profiles, applied: [delta file names already merged here] }. settings/style/profiles
+// cache the snapshot's sections so an unchanged snapshot needn't be downloaded to merge them.
+
+const DELTA_FORMAT           = 'delta1';
+const DELTA_COMPACT_COUNT    = 25;
+const DELTA_COMPACT_GRACE_MS = 10 * 60 * 1000;
+
+async function getSyncDeviceId() {
+    const { syncDeviceId } = await storageAPI.storage.local.get('syncDeviceId');
+    if (syncDeviceId) return syncDeviceId;
+    const id = Array.from(crypto.getRandomValues(new Uint8Array(4)), b => b.toString(16).padStart(2, '0')).join('');
+    await storageAPI.storage.local.set({ syncDeviceId: id });
+    return id;
+}
+
+// sai-toolkit-delta-<ms>-<device>.json → ms (Infinity if unparseable, so it's never deleted)
+function deltaCreatedAt(name) {
+    const ms = parseInt(name.slice(DELTA_FILE_PREFIX.length), 10);
+    return Number.isFinite(ms) ? ms : Infinity;
+}
+
+async function _doJournalSync(backend, session, syncOptions, tabId) {
+    const { syncSettings = false, syncStyle = false, syncProfiles = false } = syncOptions || {};
+    const { syncJournal } = await storageAPI.storage.local.get({ syncJournal: null });
+    const journal = (syncJournal && syncJournal.backend === backend.name) ? syncJournal : {};
+    const keyId = await syncKeyFingerprint();
+
+    // ---- Snapshot: download only when another device has rewritten it ----
+    const version = await backend.snapshotVersion(session);
+    let remote = null;
+    if (version && version !== journal.snapshotVersion) {
+        remote = await backend.read(session);
+    } else if (version) {
+        console.log('[Sync] journal: snapshot unchanged (version', version + ') — skipping download');
+        remote = { _format: 'v2' };
+        if (journal.settings) remote.settings = journal.settings;
+        if (journal.style) remote.style = journal.style;
+        if (journal.profiles) remote.profiles = journal.profiles;
+    }
+    const merged = await buildSyncFile(remote, syncOptions, tabId, { assembleStats: false });
+
+    // ---- Other devices' deltas ----
+    const deltas = await backend.listDeltas(session);
+    const applied = new Set(journal.applied || []);
+    const unseen = deltas.filter(entry => !applied.has(entry.name));
+    let deltaRecords = 0;
+    for (let i = 0; i < unseen.length; i++) {
+        sendSyncProgress(tabId, 'Applying changes from other devices…', 4, 5, `${i + 1} / ${unseen.length}`);
+        const delta = await backend.readDelta(session, unseen[i]);
+        if (delta && delta._format === DELTA_FORMAT && delta.stats) {
+            deltaRecords += await statsOp(db => idbBulkMergeNested(db, delta.stats));
+        }
+        applied.add(unseen[i].name);
+    }
+    console.log('[Sync] journal: remote deltas', deltas.length, '| applied now:', unseen.length, '| records upserted:', deltaRecords);
+
+    // ---- This device's changes ----
+    const dirty = await statsOp(db => idbExportDirty(db));
+    let ownDelta = null;
+    if (dirty.count > 0) {
+        const deviceId = await getSyncDeviceId();
+        const now = Date.now();
+        ownDelta = `${DELTA_FILE_PREFIX}${now}-${deviceId}.json`;
+        sendSyncProgress(tabId, `Uploading ${dirty.count} changed record${dirty.count === 1 ? '' : 's'}…`, 5, 5);
+        await backend.writeDelta(session, ownDelta, { _format: DELTA_FORMAT, device: deviceId, createdAt: now, stats: dirty.stats });
+        applied.add(ownDelta);
+        console.log('[Sync] journal: uploaded', ownDelta, '—', dirty.count, 'records');
+    }
+
+    // ---- Snapshot rewrite (settings/style/profiles to push, compaction, migration) ----
+    const sectionsChanged = (syncSettings && !sameSyncValue(merged.file.settings, remote && remote.settings))
+        || (syncStyle && !sameSyncValue(merged.file.style, remote && remote.style))
+        || (syncProfiles && !sameSyncValue(merged.file.profiles, remote && remote.profiles));
+    const rewriteReason = !version                          ? 'first upload'
+        : !journal.snapshotVersion                           ? 'first incremental sync on this device'
+        : remote && remote._format !== 'v2'                  ? 'legacy format'
+        : (journal.keyId || '') !== keyId                    ? 'passphrase changed'
+        : sectionsChanged                                    ? 'settings/style/profiles changed'
+        : deltas.length >= DELTA_COMPACT_COUNT               ? `compacting ${deltas.length} deltas`
+        : null;
+    let snapshotVersion = version;
+    let snapshot = remote || {};
+    if (rewriteReason) {
+        console.log('[Sync] journal: rewriting snapshot —', rewriteReason);
+        snapshot = { ...merged.file, stats: await exportSyncStats() };
+        await backend.write(session, snapshot);
+        snapshotVersion = await backend.snapshotVersion(session);
+        // Everything this device has seen is in the snapshot now; fold the old deltas away
+        const cutoff = Date.now() - DELTA_COMPACT_GRACE_MS;
+        let folded = 0;
+        for (const entry of deltas) {
+            if (deltaCreatedAt(entry.name) >= cutoff) continue;
+            await backend.deleteDelta(session, entry);
+            applied.delete(entry.name);
+            folded++;
+        }
+        console.log('[Sync] journal: snapshot written (version', snapshotVersion + ') — folded', folded, 'of', deltas.length, 'deltas');
+    }
+
+    if (dirty.count > 0) await statsOp(db => idbClearDirty(db, dirty.stamps));
+
+    // Forget names that are gone from the remote (folded by a compaction)
+    const listed = new Set(deltas.map(entry => entry.name));
+    await storageAPI.storage.local.set({
+        syncJournal: {
+            backend:  backend.name,
+            snapshotVersion,
+            keyId,
+            settings: snapshot.settings || null,
+            style:    snapshot.style || null,
+            profiles: snapshot.profiles || null,
+            applied:  [...applied].filter(name => listed.has(name) || name === ownDelta),
+        },
+    });
+    return { merged, deltasApplied: unseen.length, deltaRecords, uploadedRecords: dirty.count, rewrote: !!rewriteReason };
+}
+
+// ---- Main sync orchestrator ----
+
+async function _doSync(backend, interactive, syncOptions, tabId) {
+    const { syncStats = true, syncSettings = false, syncStyle = false } = syncOptions || {};
+    console.log('[Sync] _doSync start — backend:', backend.name, '| options:', syncOptions, '| tabId:', tabId);
+
+    const session = await backend.open(interactive, tabId);
+    if (!session) return { success: false, error: 'auth_silent_fail' };
+    // Transfer totals for the sync history; the backends add to them as they go
+    session.bytesIn = 0;
+    session.bytesOut = 0;
+
+    let merged;
+    let journalResult = null;
+    let recordsUploaded;
+    if (syncStats && backend.listDeltas) {
+        journalResult = await _doJournalSync(backend, session, syncOptions, tabId);
+        merged = journalResult.merged;
+        recordsUploaded = journalResult.uploadedRecords;
+    } else {
+        const remote = await backend.read(session);
+        merged = await buildSyncFile(remote, syncOptions, tabId);
+        await backend.write(session, merged.file);
+        recordsUploaded = syncStats ? countNestedRecords(merged.file.stats).messages : 0;
     }
+    await storageAPI.storage.local.set({ [backend.lastSyncKey]: Date.now() });
+    const conflictCount = await saveSyncMergeState(merged);
+    console.log('[Sync] _doSync: complete —', backend.name,
+        journalResult ? `| deltas applied: ${journalResult.deltasApplied} | records uploaded: ${journalResult.uploadedRecords} | snapshot rewritten: ${journalResult.rewrote}` : '| full file',
+        '| open conflicts:', conflictCount);
+
+    return {
+        success: true,
+        backend: backend.name,
+        syncedSettings: syncSettings || syncStyle || merged.profilesChanged,
+        conflicts: conflictCount,
+        metrics: {
+            bytesIn:  session.bytesIn,
+            bytesOut: session.bytesOut,
+            recordsMerged: merged.recordsMerged + (journalResult ? journalResult.deltaRecords : 0),
+            recordsUploaded,
+        },
+    };
+}
+
+// Reason Drive sync can't run in this build/browser, or null
+function driveSyncUnavailableReason() {
     if (!DRIVE_CLIENT_ID || DRIVE_CLIENT_ID.startsWith('YOUR_')) {
-        return { success: false, error: 'Google Drive sync is not configured. Please contact support.' };
+        return 'Google Drive sync is not configured. Please contact support.';
     }
     if (!TOKEN_BROKER_URL || TOKEN_BROKER_URL.includes('YOUR-SUBDOMAIN')) {
-        return { success: false, error: 'Google Drive sync is not configured (token broker URL not set). Please contact support.' };
+        return 'Google Drive sync is not configured (token broker URL not set). Please contact support.';
     }
     if (!storageAPI.identity || !storageAPI.identity.launchWebAuthFlow) {
-        return { success: false, error: 'Sign-in is not available on this browser. Try the desktop version.' };
+        return 'Sign-in is not available on this browser. Try the desktop version.';
+    }
+    return null;
+}
+
+async function runSync(interactive, syncOptions, tabId) {
+    if (syncInProgress) {
+        console.warn('[Sync] runSync: already in progress, skipping', interactive ? '(manual)' : '(auto)');
+        return { success: false, alreadyRunning: true, error: 'Sync already in progress — please wait…' };
+    }
+    const backendName = await getActiveSyncBackend();
+    const backend = SYNC_BACKENDS[backendName];
+    if (!backend) {
+        return { success: false, error: 'The sync file backend is manual — use Export / Import Sync File in the Data tab.' };
+    }
+    if (backend === driveSyncBackend) {
+        const unavailable = driveSyncUnavailableReason();
+        if (unavailable) return { success: false, error: unavailable };
     }
 
     syncInProgress = true;
-    console.log('[Sync] runDriveSync: lock acquired', interactive ? '(manual)' : '(auto)');
+    const startedAt = Date.now();
+    console.log('[Sync] runSync: lock acquired', interactive ? '(manual)' : '(auto)', '— backend:', backendName);
+    let result;
     try {
         try {
-            return await _doSync(interactive, syncOptions, tabId);
+            result = await _doSync(backend, interactive, syncOptions, tabId);
         } catch (err) {
-            if (err.message === AUTH_EXPIRED) {
-                console.warn('[Sync] Token expired/revoked, re-authenticating...');
-                return await _doSync(true, syncOptions, tabId);
+            if (err.message !== AUTH_EXPIRED) throw err;
+            console.warn('[Sync] Token expired/revoked, re-authenticating...');
+            result = await _doSync(backend, true, syncOptions, tabId);
+        }
+    } catch (err) {
+        const msg = friendlyError(err);
+        console.error('[Sync] runSync: failed —', err.message, '→ user message:', msg);
+        result = { success: false, error: msg };
+    } finally {
+        syncInProgress = false;
+        console.log('[Sync] runSync: lock released');
+    }
+    await recordSyncRun(backendName, interactive ? 'manual' : 'auto', startedAt, result);
+    return result;
+}
+
+// ---- Sync history ----
+// The last SYNC_HISTORY_LIMIT runs, newest first, for the toolbar popup:
+// { at, backend, trigger: 'manual'|'auto', durationMs, success, error, conflicts,
+//   bytesIn, bytesOut, recordsMerged, recordsUploaded }. Transfer figures are null
+// for runs that failed before finishing.
+
+const SYNC_HISTORY_KEY   = 'syncHistory';
+const SYNC_HISTORY_LIMIT = 20;
+
+async function recordSyncRun(backend, trigger, startedAt, result) {
+    const metrics = (result && result.metrics) || {};
+    const entry = {
+        at:         startedAt,
+        backend,
+        trigger,
+        durationMs: Date.now() - startedAt,
+        success:    !!(result && result.success),
+        error:      (result && !result.success && result.error) || null,
+        conflicts:  (result && result.conflicts) || 0,
+        bytesIn:         metrics.bytesIn ?? null,
+        bytesOut:        metrics.bytesOut ?? null,
+        recordsMerged:   metrics.recordsMerged ?? null,
+        recordsUploaded: metrics.recordsUploaded ?? null,
+    };
+    try {
+        const { [SYNC_HISTORY_KEY]: history } = await storageAPI.storage.local.get({ [SYNC_HISTORY_KEY]: [] });
+        await storageAPI.storage.local.set({ [SYNC_HISTORY_KEY]: [entry, ...history].slice(0, SYNC_HISTORY_LIMIT) });
+    } catch (err) {
+        console.warn('[Sync] recordSyncRun: could not store history entry —', err.message);
+    }
+    // Syncs are what grow the store; re-check the size warning after each run
+    checkStorageWarning().catch(() => {});
+}
+
+// ---- Storage usage ----
+// What the extension keeps on this device, for the Data tab's Storage panel. storage.local
+// sizes are the UTF-8 length of key + JSON value (what Chrome's getBytesInUse counts), so
+// they also work where getBytesInUse is missing; IndexedDB sizes are the same estimate per
+// record. The size warning compares the whole footprint against storageWarnMB.
+
+const STORAGE_WARN_KEY        = 'storageWarnMB';
+const STORAGE_WARNING_KEY     = 'storageWarning';
+const DEFAULT_STORAGE_WARN_MB = 100;
+
+// [group id, label, keys or key test] — the first match wins, the rest is 'settings'
+const STORAGE_USAGE_GROUPS = [
+    ['profiles',       'Generation profiles',      [PROFILES_KEY, PROFILES_META_KEY, 'characterProfileBindings', 'lastSelectedProfile']],
+    ['styles',         'Custom style',             STYLE_SYNC_KEYS],
+    ['failedMessages', 'Failed messages',          ['failedMessages']],
+    ['drafts',         'Drafts and offline queue', ['composerDrafts', 'offlineQueue']],
+    ['logs',           'Logs and sync history',    ['modelMismatchLog', SYNC_HISTORY_KEY]],
+    ['legacyStats',    'Pre-database stats copy',  [STATS_KEY]],
+    ['sync',           'Sync and device state',    key => BACKUP_EXCLUDED_KEYS.includes(key) || key.startsWith('driveSyncTemp')],
+    ['settings',       'Settings',                 () => true],
+];
+
+const utf8Encoder = new TextEncoder();
+const jsonBytes = (value) => utf8Encoder.encode(JSON.stringify(value) ?? '').length;
+
+function storageKeyGroup(key) {
+    return STORAGE_USAGE_GROUPS.find(([, , match]) =>
+        typeof match === 'function' ? match(key) : match.includes(key))[0];
+}
+
+// Record count and estimated bytes per character for one object store, largest first
+function idbSizeByCharacter(db, storeName) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readonly');
+        tx.onabort = () => reject(tx.error || new Error('idbSizeByCharacter aborted'));
+        tx.onerror = () => reject(tx.error);
+        const req = tx.objectStore(storeName).getAll();
+        req.onsuccess = () => {
+            const byCharacter = {};
+            for (const r of req.result) {
+                const characterId = r.characterId || 'unknown';
+                const c = byCharacter[characterId] || (byCharacter[characterId] = { characterId, records: 0, bytes: 0 });
+                c.records++;
+                c.bytes += jsonBytes(r);
             }
-            throw err;
+            resolve(Object.values(byCharacter).sort((a, b) => b.bytes - a.bytes));
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// The browser's own figure for the extension origin's IndexedDB (null where unsupported)
+async function idbUsageEstimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+    try {
+        const { usage } = await navigator.storage.estimate();
+        return typeof usage === 'number' ? usage : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Store or clear the storageWarning flag the Data tab and toolbar popup show. Without
+// a footprint it is measured cheaply: getBytesInUse plus the browser's estimate.
+async function checkStorageWarning(footprint = null) {
+    const prefs = await storageAPI.storage.local.get({ [STORAGE_WARN_KEY]: DEFAULT_STORAGE_WARN_MB, [STORAGE_WARNING_KEY]: null });
+    if (footprint == null) {
+        let localBytes;
+        try {
+            localBytes = await storageAPI.storage.local.getBytesInUse(null);
+        } catch (_) {
+            localBytes = jsonBytes(await storageAPI.storage.local.get(null));
+        }
+        footprint = localBytes + ((await idbUsageEstimate()) || 0);
+    }
+    const limitMB = Number(prefs[STORAGE_WARN_KEY]) || 0;
+    if (limitMB > 0 && footprint > limitMB * 1048576) {
+        await storageAPI.storage.local.set({ [STORAGE_WARNING_KEY]: { bytes: footprint, limitMB, at: Date.now() } });
+    } else if (prefs[STORAGE_WARNING_KEY]) {
+        await storageAPI.storage.local.remove(STORAGE_WARNING_KEY);
+    }
+}
+
+/**
+ * Everything the Storage panel shows: storage.local per key group, the stats and
+ * search-index stores per character, and the total footprint the warning uses
+ * (the browser's IndexedDB estimate where available, else the per-record estimate).
+ */
+async function storageUsage() {
+    const all = await storageAPI.storage.local.get(null);
+    const groups = STORAGE_USAGE_GROUPS.map(([id, label]) => ({ id, label, keys: 0, bytes: 0 }));
+    let localBytes = 0;
+    for (const key of Object.keys(all)) {
+        const bytes = utf8Encoder.encode(key).length + jsonBytes(all[key]);
+        const group = groups.find(g => g.id === storageKeyGroup(key));
+        group.keys++;
+        group.bytes += bytes;
+        localBytes += bytes;
+    }
+
+    const [stats, search] = await statsOp(async db =>
+        [await idbSizeByCharacter(db, IDB_STORE), await idbSizeByCharacter(db, IDB_SEARCH_STORE)]);
+    const total = (list, field) => list.reduce((n, c) => n + c[field], 0);
+    const idbBytes = total(stats, 'bytes') + total(search, 'bytes');
+    const idbEstimate = await idbUsageEstimate();
+    const footprint = localBytes + (idbEstimate ?? idbBytes);
+    await checkStorageWarning(footprint);
+
+    const { [STORAGE_WARN_KEY]: warnMB } = await storageAPI.storage.local.get({ [STORAGE_WARN_KEY]: DEFAULT_STORAGE_WARN_MB });
+    return {
+        local:  { bytes: localBytes, groups: groups.filter(g => g.keys) },
+        stats:  { records: total(stats, 'records'), bytes: total(stats, 'bytes'), characters: stats },
+        search: { records: total(search, 'records'), bytes: total(search, 'bytes') },
+        idbEstimate,
+        footprint,
+        warnMB,
+    };
+}
+
+// One-click cleanups offered by the Storage panel. Each resolves to what it removed.
+const STORAGE_CLEANUPS = {
+    emptyStats:     () => statsOp(db => idbPrune(db)),
+    searchIndex:    () => statsOp(db => searchClear(db)).then(() => null),
+    failedMessages: () => storageAPI.storage.local.set({ failedMessages: [] }).then(() => null),
+    logs:           () => storageAPI.storage.local.remove(['modelMismatchLog', SYNC_HISTORY_KEY]).then(() => null),
+    // The legacy blob is kept after migration as a safety net; only drop it once migrated
+    legacyStats: async () => {
+        const flag = await storageAPI.storage.local.get(STATS_MIGRATION_FLAG);
+        if (!flag[STATS_MIGRATION_FLAG]) throw new Error('Stats have not been moved to the database yet.');
+        await storageAPI.storage.local.remove(STATS_KEY);
+        return null;
+    },
+};
+
+checkStorageWarning().catch(() => {});
+
+/**
+ * Manual backend: merge a sync file the user picked (or none, for a plain export)
+ * and hand back the merged file for the Data tab to download.
+ * @param {object|null} remoteFile - parsed sai-toolkit-sync.json, possibly encrypted
+ */
+async function runSyncFileMerge(remoteFile, syncOptions, tabId) {
+    if (syncInProgress) {
+        return { success: false, alreadyRunning: true, error: 'Sync already in progress — please wait…' };
+    }
+    syncInProgress = true;
+    const startedAt = Date.now();
+    try {
+        const remote = remoteFile ? await decryptSyncPayload(remoteFile) : null;
+        if (remote && remote._format !== 'v2') {
+            throw new Error('That file is not an S.AI Toolkit sync file (sai-toolkit-sync.json).');
         }
+        const merged = await buildSyncFile(remote, syncOptions, tabId);
+        const file = await encryptSyncPayload(merged.file);
+        const conflictCount = await saveSyncMergeState(merged);
+        await storageAPI.storage.local.set({ syncFileLastMerge: Date.now() });
+        console.log('[Sync] runSyncFileMerge: complete — imported:', !!remote, '| open conflicts:', conflictCount);
+        const { syncSettings = false, syncStyle = false } = syncOptions || {};
+        const result = {
+            success: true, file, fileName: SYNC_FILE_NAME,
+            syncedSettings: !!remote && (syncSettings || syncStyle || merged.profilesChanged),
+            conflicts: conflictCount,
+        };
+        await recordSyncRun('file', 'manual', startedAt, {
+            ...result,
+            metrics: {
+                bytesIn:  remoteFile ? JSON.stringify(remoteFile).length : 0,
+                bytesOut: JSON.stringify(file).length,
+                recordsMerged: merged.recordsMerged,
+                recordsUploaded: countNestedRecords(merged.file.stats).messages,
+            },
+        });
+        return result;
     } catch (err) {
         const msg = friendlyError(err);
-        console.error('[Sync] runDriveSync: failed —', err.message, '→ user message:', msg);
+        console.error('[Sync] runSyncFileMerge: failed —', err.message, '→ user message:', msg);
+        await recordSyncRun('file', 'manual', startedAt, { success: false, error: msg });
         return { success: false, error: msg };
     } finally {
         syncInProgress = false;
-        console.log('[Sync] runDriveSync: lock released');
     }
 }
 
@@ -1368,12 +3433,28 @@ function notifyAuthRequired() {
     });
 }
 
+// ---- Scheduled backup alarm ----
+// Fires hourly while a schedule is set; runScheduledBackup decides whether one is due.
+
+storageAPI.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== BACKUP_ALARM_NAME) return;
+    try {
+        await runScheduledBackup();
+    } catch (err) {
+        console.warn('[Drive Backup] Scheduled backup failed:', err.message);
+    }
+});
+
 // ---- Auto-sync alarm ----
 
 storageAPI.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name !== AUTO_SYNC_ALARM_NAME) return;
-    const stored = await storageAPI.storage.local.get(['driveFileId', 'driveAutoSync']);
-    if (!stored.driveAutoSync || !stored.driveFileId) return;
+    const stored = await storageAPI.storage.local.get({ driveFileId: null, driveAutoSync: false, syncBackend: 'drive', webdavUrl: '' });
+    if (!stored.driveAutoSync) return;
+    // Only once the backend has been set up by a manual sync; the sync file backend has no auto-sync
+    if (stored.syncBackend === 'drive' && !stored.driveFileId) return;
+    if (stored.syncBackend === 'webdav' && !stored.webdavUrl) return;
+    if (stored.syncBackend === 'file') return;
     try {
         // Resolve a spicychat tab to delegate the Drive HTTP through. On MV2/Orion the
         // background can't fetch large payloads itself (it freezes), so readDriveFile/
@@ -1385,7 +3466,7 @@ storageAPI.alarms.onAlarm.addListener(async (alarm) => {
                 resolve(tabs && tabs.length ? tabs[0].id : null);
             });
         });
-        const result = await runDriveSync(false, { syncStats: true, syncSettings: false, syncStyle: false }, tabId);
+        const result = await runSync(false, { syncStats: true, syncSettings: false, syncStyle: false }, tabId);
         if (result && result.success) notifySpicyChatTabs();
         else if (result && result.error === 'auth_silent_fail') notifyAuthRequired();
     } catch (err) {
@@ -1454,15 +3535,17 @@ storageAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
+    // Runs the active sync backend (Drive or WebDAV); the name predates the other backends
     if (message.type === 'SAI_DRIVE_SYNC') {
         const syncOptions = {
             syncStats:    message.syncStats    !== false,
             syncSettings: !!message.syncSettings,
-            syncStyle:    !!message.syncStyle
+            syncStyle:    !!message.syncStyle,
+            syncProfiles: !!message.syncProfiles
         };
         const originTabId = sender.tab ? sender.tab.id : null;
         console.log('[Sync] SAI_DRIVE_SYNC received — originTabId:', originTabId, 'options:', syncOptions);
-        runDriveSync(true, syncOptions, originTabId)
+        runSync(true, syncOptions, originTabId)
             .then(result => {
                 console.log('[Sync] SAI_DRIVE_SYNC complete — result:', result);
                 sendResponse(result);
@@ -1475,6 +3558,81 @@ storageAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
+    // Everything the Storage panel shows (see storageUsage)
+    if (message.type === 'SAI_STORAGE_USAGE') {
+        storageUsage()
+            .then(usage => sendResponse({ success: true, ...usage }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // Save the warning size and answer with the warning it produces (null when under it)
+    if (message.type === 'SAI_STORAGE_SET_WARNING') {
+        (async () => {
+            await storageAPI.storage.local.set({ [STORAGE_WARN_KEY]: Math.max(0, Number(message.limitMB) || 0) });
+            await checkStorageWarning();
+            const { [STORAGE_WARNING_KEY]: warning } = await storageAPI.storage.local.get({ [STORAGE_WARNING_KEY]: null });
+            sendResponse({ success: true, warning });
+        })().catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (message.type === 'SAI_STORAGE_CLEANUP') {
+        const cleanup = STORAGE_CLEANUPS[message.target];
+        if (!cleanup) {
+            sendResponse({ success: false, error: 'Unknown cleanup: ' + message.target });
+            return false;
+        }
+        cleanup()
+            .then(removed => {
+                console.log('[Storage] cleanup', message.target, removed ?? '');
+                sendResponse({ success: true, removed });
+            })
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // Toolbar popup: the one piece of sync state that isn't in storage.local
+    if (message.type === 'SAI_SYNC_STATUS') {
+        sendResponse({ success: true, inProgress: syncInProgress });
+        return false;
+    }
+
+    if (message.type === 'SAI_DRIVE_RESOLVE_CONFLICTS') {
+        resolveDriveSyncConflicts(message.resolutions)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(err => {
+                console.error('[Sync] SAI_DRIVE_RESOLVE_CONFLICTS error:', err);
+                sendResponse({ success: false, error: err.message });
+            });
+        return true;
+    }
+
+    if (message.type === 'SAI_SYNC_FILE_MERGE') {
+        const syncOptions = {
+            syncStats:    message.syncStats    !== false,
+            syncSettings: !!message.syncSettings,
+            syncStyle:    !!message.syncStyle,
+            syncProfiles: !!message.syncProfiles
+        };
+        const originTabId = sender.tab ? sender.tab.id : null;
+        console.log('[Sync] SAI_SYNC_FILE_MERGE received — import:', !!message.remote, 'options:', syncOptions);
+        runSyncFileMerge(message.remote || null, syncOptions, originTabId)
+            .then(result => {
+                sendResponse(result);
+                if (result.success && message.remote) notifySpicyChatTabs();
+            })
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (message.type === 'SAI_SYNC_WEBDAV_TEST') {
+        testWebdavConnection()
+            .then(sendResponse)
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
     // Callbacks from the content-script-assisted download path
     if (message.type === 'SAI_DRIVE_DOWNLOAD_DONE') {
         console.log('[Sync] SAI_DRIVE_DOWNLOAD_DONE received — bytes:', message.bytes);
@@ -1525,6 +3683,22 @@ storageAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
+    if (message.type === 'SAI_DRIVE_SET_BACKUP_SCHEDULE') {
+        (async () => {
+            try {
+                if (BACKUP_SCHEDULE_MS[message.schedule]) {
+                    storageAPI.alarms.create(BACKUP_ALARM_NAME, { delayInMinutes: 1, periodInMinutes: 60 });
+                } else {
+                    storageAPI.alarms.clear(BACKUP_ALARM_NAME);
+                }
+                sendResponse({ success: true });
+            } catch (err) {
+                sendResponse({ success: false, error: err.message });
+            }
+        })();
+        return true;
+    }
+
     if (message.type === 'SAI_DRIVE_LIST_BACKUPS') {
         (async () => {
             try {
@@ -1547,16 +3721,17 @@ storageAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'SAI_DRIVE_CREATE_BACKUP') {
         (async () => {
             try {
+                const exportData = await buildBackupExportData();
                 let token = await getAccessToken(true);
                 try {
-                    sendResponse({ success: true, ...(await createDriveBackup(token, message.exportData)) });
+                    sendResponse({ success: true, ...(await createDriveBackup(token, exportData)) });
                 } catch (err) {
                     if (err.message !== AUTH_EXPIRED) throw err;
                     token = await getAccessToken(true);
-                    sendResponse({ success: true, ...(await createDriveBackup(token, message.exportData)) });
+                    sendResponse({ success: true, ...(await createDriveBackup(token, exportData)) });
                 }
             } catch (err) {
-                sendResponse({ success: false, error: err.message });
+                sendResponse({ success: false, error: friendlyError(err) });
             }
         })();
         return true;
@@ -1596,7 +3771,47 @@ storageAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     sendResponse({ success: true, data: await readDriveBackupFile(token, message.fileId) });
                 }
             } catch (err) {
-                sendResponse({ success: false, error: err.message });
+                sendResponse({ success: false, error: friendlyError(err) });
+            }
+        })();
+        return true;
+    }
+
+    if (message.type === 'SAI_DRIVE_DIFF_BACKUP') {
+        (async () => {
+            try {
+                let token = await getAccessToken(false);
+                if (!token) token = await getAccessToken(true);
+                let data;
+                try {
+                    data = await readDriveBackupFile(token, message.fileId);
+                } catch (err) {
+                    if (err.message !== AUTH_EXPIRED) throw err;
+                    token = await getAccessToken(true);
+                    data = await readDriveBackupFile(token, message.fileId);
+                }
+                sendResponse({ success: true, diff: await diffBackupAgainstCurrent(data) });
+            } catch (err) {
+                sendResponse({ success: false, error: friendlyError(err) });
+            }
+        })();
+        return true;
+    }
+
+    if (message.type === 'SAI_DRIVE_PRUNE_BACKUPS') {
+        (async () => {
+            try {
+                let token = await getAccessToken(false);
+                if (!token) token = await getAccessToken(true);
+                try {
+                    sendResponse({ success: true, removed: await pruneScheduledBackups(token) });
+                } catch (err) {
+                    if (err.message !== AUTH_EXPIRED) throw err;
+                    token = await getAccessToken(true);
+                    sendResponse({ success: true, removed: await pruneScheduledBackups(token) });
+                }
+            } catch (err) {
+                sendResponse({ success: false, error: friendlyError(err) });
             }
         })();
         return true;
@@ -1613,27 +3828,52 @@ storageAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
+    // `replace` (the data browser's edit) writes the record as given instead of
+    // merging it with the stored one
     if (message.type === 'SAI_STATS_PUT') {
-        statsOp(db => idbMergePut(db, message.record))
+        statsOp(db => message.replace ? idbReplace(db, message.record) : idbMergePut(db, message.record))
             .then(() => sendResponse({ success: true }))
             .catch(err => sendResponse({ success: false, error: err.message }));
         return true;
     }
 
+    // `tombstone` (the data browser's delete) makes the deletion sync to other devices
     if (message.type === 'SAI_STATS_DELETE') {
-        statsOp(db => idbDelete(db, message.messageId))
+        statsOp(db => idbDelete(db, message.messageId, { tombstone: !!message.tombstone }))
             .then(() => sendResponse({ success: true }))
             .catch(err => sendResponse({ success: false, error: err.message }));
         return true;
     }
 
+    if (message.type === 'SAI_STATS_DELETE_CHARACTER') {
+        statsOp(db => idbDeleteCharacter(db, message.characterId))
+            .then(removed => sendResponse({ success: true, removed }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (message.type === 'SAI_STATS_BROWSE') {
+        statsOp(db => statsBrowse(db, message))
+            .then(page => sendResponse({ success: true, ...page }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
     if (message.type === 'SAI_STATS_IMPORT_MERGE') {
-        statsOp(db => idbBulkMergeNested(db, message.stats || {}))
+        statsOp(db => idbBulkMergeNested(db, message.stats || {}, { markDirty: true }))
             .then(written => sendResponse({ success: true, written }))
             .catch(err => sendResponse({ success: false, error: err.message }));
         return true;
     }
 
+    // Dry run of SAI_STATS_IMPORT_MERGE for the import preview
+    if (message.type === 'SAI_STATS_IMPORT_PREVIEW') {
+        statsOp(db => idbPreviewMergeNested(db, message.stats || {}))
+            .then(preview => sendResponse({ success: true, ...preview }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
     if (message.type === 'SAI_STATS_EXPORT_ALL') {
         statsOp(db => idbExportNested(db))
             .then(stats => sendResponse({ success: true, stats }))
@@ -1648,6 +3888,20 @@ storageAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
+    if (message.type === 'SAI_STATS_BACKFILL_TIMES') {
+        statsOp(db => idbBackfillCreatedAt(db, message.times))
+            .then(written => sendResponse({ success: true, written }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (message.type === 'SAI_STATS_DASHBOARD') {
+        statsOp(db => statsDashboard(db, message.filters))
+            .then(dashboard => sendResponse({ success: true, ...dashboard }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
     if (message.type === 'SAI_STATS_CLEAR') {
         statsOp(db => idbClear(db))
             .then(() => sendResponse({ success: true }))
@@ -1655,5 +3909,35 @@ storageAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
+    // ---- Chat search index (opt-in, same DB, "messages" store) ----
+
+    if (message.type === 'SAI_SEARCH_INDEX') {
+        statsOp(db => searchReplaceConversation(db, message.conversationId, message.records))
+            .then(written => sendResponse({ success: true, written }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (message.type === 'SAI_SEARCH_QUERY') {
+        statsOp(db => searchQuery(db, message.filters))
+            .then(res => sendResponse({ success: true, ...res }))
+            .catch(err => sendResponse({ success: false, error: err.message, total: 0, results: [] }));
+        return true;
+    }
+
+    if (message.type === 'SAI_SEARCH_SUMMARY') {
+        statsOp(db => searchSummary(db))
+            .then(summary => sendResponse({ success: true, ...summary }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (message.type === 'SAI_SEARCH_CLEAR') {
+        statsOp(db => searchClear(db))
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
     return false;
 });
@@ -77,7 +77,7 @@ if (typeof storage !== 'undefined') {
 }
 
 // Debug log category filters - controls which log categories are shown
-// Categories: Core, Stats, Memories, Export, NSFW, ChatTitle, WYSIWYG, WYSIWYG-Text, Profile, Model, Cache, Migration, Custom, Compact, Sync, AutoRegen, MsgRecovery
+// Categories: Core, Stats, Memories, Export, NSFW, ChatTitle, WYSIWYG, WYSIWYG-Text, Profile, Model, Cache, Migration, Custom, Compact, Sync, AutoRegen, MsgRecovery, Search
 let debugLogFilters = {
     Core: true,
     Stats: true,
@@ -95,7 +95,8 @@ let debugLogFilters = {
     Compact: true,
     Sync: true,
     AutoRegen: true,
-    MsgRecovery: true
+    MsgRecovery: true,
+    Search: true
 };
 
 // Track sidebar width to detect transitions - prevents injection during React re-renders
@@ -379,6 +380,9 @@ window.addEventListener('message', async (event) => {
             const snapshot = event.data.snapshot || {};
             const reason = event.data.reason || 'unknown';
             if (!snapshot.message || typeof snapshot.message !== 'string') return;
+            // The page also captures failures for the Offline Queue; only keep
+            // them here when Message Recovery itself is on.
+            if (!(await storage.get('messageRecoveryEnabled', false))) return;
 
             const entry = {
                 id: 'fm_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8),
@@ -483,6 +487,12 @@ function normalizeImportPayload(data) {
 // typed when SpicyChat's backend errors out. See xhr-intercept.js header
 // for the full disclosure.
 //
+// The optional "Chat Search" feature (Features tab → Chat Search, default
+// OFF) stores the text of conversations the user opens in the extension's
+// local IndexedDB so they can be searched from the Search tab. It reuses the
+// chat-export API call in page-context.js; the interceptor itself still never
+// reads message text. The index is local-only and never synced or exported.
+//
 // DATA FLOW:
 // Page Context (xhr-intercept.js)
 //   → Reads API response (model settings only)
@@ -638,6 +648,16 @@ debugLog('[Stats] Injection script added to page context (EARLY)');
     const MEMORY_DOT_ENABLED_KEY = 'memoryDotEnabled';  // Show/hide memory limit indicator dot
     const MEMORY_DOT_COLOR_KEY = 'memoryDotColor';  // Custom color for memory limit indicator dot
     const HIDE_CREATOR_KEY = 'hideCreatorName';  // Hide bot creator @username link under bot messages
+    const CHAT_SEARCH_INDEX_KEY = 'enableChatSearchIndex';  // Opt-in: index opened conversations for full-text search
+    const REPETITION_DETECTION_KEY = 'repetitionDetection';  // Highlight phrases a bot reply repeats from recent replies
+    const REPETITION_REGEN_KEY = 'repetitionAutoRegen';  // Auto-regenerate when a reply repeats too much
+    const REPETITION_THRESHOLD_KEY = 'repetitionThreshold';  // Repeated share (percent) that triggers auto-regen
+    const SHORT_RESPONSE_THRESHOLD_KEY = 'shortResponseThreshold';  // Reply length (characters) below which auto-regen on short fires
+    const DRAFT_AUTOSAVE_KEY = 'draftAutosaveEnabled';  // Opt-in: autosave unsent chat input per conversation
+    const DRAFT_EXPIRY_HOURS_KEY = 'draftExpiryHours';  // Hours before a saved draft is discarded
+    const SEND_RETRY_KEY = 'sendRetryEnabled';  // Opt-in: resend chat messages that fail with a gateway error/timeout
+    const SEND_RETRY_MAX_KEY = 'sendRetryMaxAttempts';  // Max automatic resends per message
+    const OFFLINE_QUEUE_KEY = 'offlineQueueEnabled';  // Opt-in: queue sends that fail while the backend is down
 
     // Default custom style values
     const DEFAULT_CUSTOM_STYLE = {
@@ -2548,7 +2568,10 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
     // =============================================================================
 
     const PROFILES_KEY = 'generationProfiles';
+    const PROFILES_META_KEY = 'generationProfilesMeta';  // Per-profile edit times and tombstones for sync
     const LAST_PROFILE_KEY = 'lastSelectedProfile';
+    // Model families recognised when reading the model name from Generation Settings
+    const KNOWN_MODEL_PATTERN = /llama|mixtral|qwen|gemma|deepseek|mistral/i;
     // NOTE: message stats no longer live in storage.local — they are owned by the
     // background IndexedDB store and accessed via SAI_STATS_* messages (sendStatsMessage).
     let lastGenerationSettings = null;
@@ -2655,8 +2678,11 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
     window.__autoRegenOnMismatch = false;
     window.__autoRegenOnShort = false;
     window.__autoRegenMaxAttempts = 1;
+    window.__shortResponseThreshold = 50;
     
-    // When model override is active, suppress the first mismatch regen (model change is expected)
+    // When model override is active, suppress the first mismatch regen (model change is expected).
+    // Used up by the reply it was set for: the regenerate-on-mismatch check, or, with that
+    // option off, the mismatch log, which then leaves the expected change out.
     window.__suppressMismatchNext = false;
     
     // Track the last known engine to detect mismatches on new messages
@@ -2665,6 +2691,520 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
     // Flag to prevent re-entrancy during auto-regeneration
     window.__autoRegenInProgress = false;
     
+    // =============================================================================
+    // ===              MODEL MISMATCH AUDIT LOG                                ===
+    // =============================================================================
+    // Every time a reply is served by a different engine than the chat was using,
+    // an event is kept in storage.local (capped, oldest dropped first) so the Stats
+    // tab can show how often it happens and whether auto-regen got the model back.
+    // autoRegen is 'off' (no regen attempted), 'pending', 'fixed' or 'not-fixed'.
+
+    const MODEL_MISMATCH_LOG_KEY = 'modelMismatchLog';
+    const MODEL_MISMATCH_LOG_MAX = 500;
+
+    // prevId -> id of the mismatch event whose auto-regen outcome is still open
+    const pendingMismatchEvents = {};
+    let mismatchLogQueue = Promise.resolve();
+
+    // Core model of an engine string: "zai-org/GLM-4.6_friendli_dedicated" → "glm-4.6"
+    function extractCoreEngine(engineString) {
+        if (!engineString) return null;
+        const slashIndex = engineString.indexOf('/');
+        if (slashIndex === -1) return engineString.toLowerCase().trim();
+        const afterSlash = engineString.substring(slashIndex + 1);
+        const underscoreIndex = afterSlash.indexOf('_');
+        if (underscoreIndex === -1) return afterSlash.toLowerCase().trim();
+        return afterSlash.substring(0, underscoreIndex).toLowerCase().trim();
+    }
+
+    /**
+     * Compare a response engine against the last known engine for this chat.
+     * Blank engines on either side mean there is no baseline, so no mismatch.
+     * @returns {{expected: string, served: string}|null}
+     */
+    function detectEngineMismatch(responseEngine) {
+        const previous = window.__lastKnownEngine;
+        if (typeof previous !== 'string' || previous.trim() === '') return null;
+        if (typeof responseEngine !== 'string' || responseEngine.trim() === '') return null;
+        const currentCore = extractCoreEngine(responseEngine);
+        const previousCore = extractCoreEngine(previous);
+        debugLog('[AutoRegen] Mismatch check - current:', currentCore, 'previous:', previousCore);
+        if (!currentCore || !previousCore || currentCore === previousCore) return null;
+        return { expected: previous, served: responseEngine };
+    }
+
+    async function loadModelMismatchLog() {
+        const list = await storage.get(MODEL_MISMATCH_LOG_KEY, []);
+        return Array.isArray(list) ? list : [];
+    }
+
+    // Read-modify-write through a queue so an outcome update can't race the append.
+    function updateModelMismatchLog(mutate) {
+        mismatchLogQueue = mismatchLogQueue.catch(() => {}).then(async () => {
+            const list = (await loadModelMismatchLog()).slice();
+            mutate(list);
+            while (list.length > MODEL_MISMATCH_LOG_MAX) list.shift();
+            await storage.set(MODEL_MISMATCH_LOG_KEY, list);
+        }).catch(err => console.error('[AutoRegen] Failed to update mismatch log:', err));
+        return mismatchLogQueue;
+    }
+
+    /**
+     * Persist a mismatch event. Returns the event id.
+     * @param {{expected: string, served: string}} mismatch
+     * @param {Object} context - messageId, conversationId, requestedModel
+     * @param {string} autoRegen - initial outcome ('off' or 'pending')
+     * @param {number} [regenAttempts]
+     */
+    function logModelMismatch(mismatch, context, autoRegen, regenAttempts = 0) {
+        const event = {
+            id: 'mm_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8),
+            timestamp: Date.now(),
+            characterId: getCurrentCharacterId(),
+            characterName: getCurrentCharacterNameFromTitle(),
+            conversationId: context.conversationId || currentConversationId || null,
+            messageId: context.messageId || null,
+            requestedModel: context.requestedModel || null,
+            expectedEngine: mismatch.expected,
+            servedEngine: mismatch.served,
+            autoRegen,
+            regenAttempts
+        };
+        debugLog('[AutoRegen] Logging model mismatch:', event.expectedEngine, '→', event.servedEngine, '(' + autoRegen + ')');
+        updateModelMismatchLog(list => list.push(event));
+        return event.id;
+    }
+
+    function updateModelMismatchEvent(eventId, patch) {
+        return updateModelMismatchLog(list => {
+            const event = list.find(e => e.id === eventId);
+            if (event) Object.assign(event, patch);
+        });
+    }
+
+    // Close the open event for a thread once the regen outcome is known.
+    function resolvePendingMismatch(trackingKey, outcome, attempts) {
+        const eventId = pendingMismatchEvents[trackingKey];
+        if (!eventId) return;
+        delete pendingMismatchEvents[trackingKey];
+        debugLog('[AutoRegen] Mismatch outcome for', trackingKey.substring(0, 8), ':', outcome);
+        updateModelMismatchEvent(eventId, { autoRegen: outcome, regenAttempts: attempts });
+    }
+
+    /**
+     * Log a mismatch that no regeneration will follow up, unless a deliberate model
+     * change (__suppressMismatchNext) made it expected. With regenerate-on-mismatch
+     * off nothing else will use that flag for this reply, so it is cleared here.
+     */
+    function logUnhandledMismatch(mismatch, context) {
+        if (window.__suppressMismatchNext) {
+            window.__suppressMismatchNext = false;
+            debugLog('[AutoRegen] Mismatch not logged (model change was expected)');
+            return;
+        }
+        logModelMismatch(mismatch, context, 'off');
+    }
+
+    /**
+     * Record a mismatch when auto-regen is switched off entirely (the engine
+     * baseline is still tracked, so the log works without regenerating).
+     */
+    function noteModelMismatch(responseEngine, context) {
+        const mismatch = detectEngineMismatch(responseEngine);
+        if (!mismatch) return;
+        logUnhandledMismatch(mismatch, context);
+    }
+
+    function buildModelMismatchCsv(events) {
+        const cell = (value) => {
+            const text = value == null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        };
+        const header = ['timestamp', 'character_id', 'character_name', 'conversation_id', 'message_id',
+            'requested_model', 'expected_engine', 'served_engine', 'auto_regen', 'regen_attempts'];
+        const rows = events.map(e => [
+            new Date(e.timestamp).toISOString(), e.characterId, e.characterName, e.conversationId, e.messageId,
+            e.requestedModel, e.expectedEngine, e.servedEngine, e.autoRegen, e.regenAttempts
+        ].map(cell).join(','));
+        return [header.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    // =============================================================================
+    // ===              REPLY RULES                                             ===
+    // =============================================================================
+    // User-defined checks run against every new bot reply. A rule has a condition
+    // (length bounds, a regex that must / must not appear, repeated paragraphs), an
+    // action (regenerate, flag, notify) and an optional character it is scoped to.
+    // Regex patterns may use {{user}} for the user's persona name in this chat.
+    // Stored as a JSON string like generationProfiles.
+
+    const AUTO_REGEN_RULES_KEY = 'autoRegenRules';
+    const REPLY_RULE_FLAGS_KEY = 'replyRuleFlags';
+    const REPLY_RULE_FLAGS_MAX = 200;
+    const REPEATED_PARAGRAPH_MIN_LENGTH = 20;
+
+    const REPLY_RULE_TYPES = {
+        'min-length': 'Shorter than',
+        'max-length': 'Longer than',
+        'must-match': 'Missing pattern',
+        'must-not-match': 'Contains pattern',
+        'repeated-paragraphs': 'Repeats a paragraph'
+    };
+    const REPLY_RULE_ACTIONS = { regenerate: 'Regenerate', flag: 'Flag', notify: 'Notify' };
+
+    // Starting points offered by the rule editor
+    const REPLY_RULE_PRESETS = [
+        { name: 'Breaks character ("As an AI")', type: 'must-not-match', value: '\\bas an (?:ai|language model)\\b', action: 'regenerate' },
+        { name: 'Speaks as the user', type: 'must-not-match', value: '^\\s*\\**{{user}}\\**\\s*:', action: 'regenerate' },
+        { name: 'Repeated paragraphs', type: 'repeated-paragraphs', value: '', action: 'flag' },
+        { name: 'Very short reply', type: 'min-length', value: '100', action: 'regenerate' }
+    ];
+
+    // Persona name from the last GET /messages, for {{user}} in patterns
+    let currentUserPersonaName = null;
+    let replyRuleFlags = null;
+
+    async function loadReplyRules() {
+        const stored = await storage.get(AUTO_REGEN_RULES_KEY, '[]');
+        try {
+            const rules = JSON.parse(stored);
+            return Array.isArray(rules) ? rules : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    async function saveReplyRules(rules) {
+        await storage.set(AUTO_REGEN_RULES_KEY, JSON.stringify(rules));
+        await syncReplyTextReading();
+    }
+
+    // The interceptor only hands over bot reply text while a feature needs it:
+    // an enabled reply rule, or repetition detection. Sent on every page load
+    // so a stale localStorage mirror in the page context is corrected.
+    async function syncReplyTextReading() {
+        const rules = (await loadReplyRules()).some(rule => rule.enabled);
+        const repetition = !!(await storage.get(REPETITION_DETECTION_KEY, false));
+        window.postMessage({ type: 'SAI_SET_REPLY_TEXT_READING', rules, repetition }, '*');
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Compile a rule pattern, substituting {{user}}. Returns null when the pattern
+     * needs a persona name we don't have, and throws on invalid regex syntax.
+     */
+    function compileReplyRulePattern(pattern, userName) {
+        if (pattern.includes('{{user}}')) {
+            if (!userName) return null;
+            pattern = pattern.split('{{user}}').join(escapeRegExp(userName));
+        }
+        return new RegExp(pattern, 'im');
+    }
+
+    // Problem with a rule as entered in the editor, or null if it is usable
+    function validateReplyRule(rule) {
+        if (!REPLY_RULE_TYPES[rule.type]) return 'Unknown condition';
+        if (!REPLY_RULE_ACTIONS[rule.action]) return 'Unknown action';
+        if (rule.type === 'min-length' || rule.type === 'max-length') {
+            const n = Number(rule.value);
+            if (!Number.isInteger(n) || n < 1) return 'Length must be a whole number above 0';
+        }
+        if (rule.type === 'must-match' || rule.type === 'must-not-match') {
+            if (!rule.value) return 'Pattern is empty';
+            try {
+                compileReplyRulePattern(rule.value, 'user');
+            } catch (e) {
+                return 'Invalid pattern: ' + e.message;
+            }
+        }
+        return null;
+    }
+
+    function findRepeatedParagraph(content) {
+        const seen = new Set();
+        for (const paragraph of content.split(/\n\s*\n/)) {
+            const normalized = paragraph.replace(/\s+/g, ' ').trim().toLowerCase();
+            if (normalized.length < REPEATED_PARAGRAPH_MIN_LENGTH) continue;
+            if (seen.has(normalized)) return normalized;
+            seen.add(normalized);
+        }
+        return null;
+    }
+
+    /**
+     * Check one rule against a reply. Returns a short reason when it fires.
+     */
+    function testReplyRule(rule, content, userName) {
+        switch (rule.type) {
+            case 'min-length':
+                return content.length < Number(rule.value) ? `${content.length} chars < ${rule.value}` : null;
+            case 'max-length':
+                return content.length > Number(rule.value) ? `${content.length} chars > ${rule.value}` : null;
+            case 'must-match':
+            case 'must-not-match': {
+                let regex;
+                try {
+                    regex = compileReplyRulePattern(rule.value, userName);
+                } catch (e) {
+                    debugLog('[AutoRegen] Skipping rule with invalid pattern:', rule.name, e.message);
+                    return null;
+                }
+                if (!regex) return null;
+                const match = content.match(regex);
+                if (rule.type === 'must-match') return match ? null : 'pattern not found';
+                return match ? `matched "${match[0].trim().slice(0, 40)}"` : null;
+            }
+            case 'repeated-paragraphs': {
+                const repeated = findRepeatedParagraph(content);
+                return repeated ? `repeats "${repeated.slice(0, 40)}…"` : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Run the enabled rules that apply to this character against a reply.
+     * @returns {Promise<Array<{rule: Object, reason: string}>>}
+     */
+    async function matchReplyRules(content, characterId) {
+        if (typeof content !== 'string') return [];
+        const rules = await loadReplyRules();
+        const matches = [];
+        for (const rule of rules) {
+            if (!rule.enabled) continue;
+            if (rule.characterId && rule.characterId !== characterId) continue;
+            const reason = testReplyRule(rule, content, currentUserPersonaName);
+            if (reason) matches.push({ rule, reason });
+        }
+        if (matches.length) {
+            debugLog('[AutoRegen] Reply rules matched:', matches.map(m => `${m.rule.name}: ${m.reason}`));
+        }
+        return matches;
+    }
+
+    async function loadReplyRuleFlags() {
+        if (!replyRuleFlags) {
+            const stored = await storage.get(REPLY_RULE_FLAGS_KEY, {});
+            replyRuleFlags = stored && typeof stored === 'object' ? stored : {};
+        }
+        return replyRuleFlags;
+    }
+
+    // Remember a flagged reply (newest kept) so the marker survives a reload.
+    async function flagReply(messageId, ruleNames) {
+        const flags = await loadReplyRuleFlags();
+        delete flags[messageId];
+        flags[messageId] = ruleNames;
+        const ids = Object.keys(flags);
+        for (const id of ids.slice(0, Math.max(0, ids.length - REPLY_RULE_FLAGS_MAX))) delete flags[id];
+        await storage.set(REPLY_RULE_FLAGS_KEY, flags);
+    }
+
+    // Add a ⚑ marker to the stats line of each flagged reply that is on screen.
+    async function applyReplyRuleFlags() {
+        const flags = await loadReplyRuleFlags();
+        document.querySelectorAll('.generation-stats').forEach(statsDiv => {
+            const names = flags[statsDiv.dataset.versionId];
+            const existing = statsDiv.querySelector('.sai-rule-flag');
+            if (!names) {
+                if (existing) existing.remove();
+                return;
+            }
+            if (existing) return;
+            const marker = document.createElement('span');
+            marker.className = 'sai-rule-flag';
+            marker.textContent = ' ⚑';
+            marker.title = 'Flagged by reply rule: ' + names.join(', ');
+            marker.style.color = '#f59e0b';
+            marker.style.cursor = 'help';
+            statsDiv.appendChild(marker);
+        });
+    }
+
+    // Carry out the flag / notify actions; regenerate is handled by checkAndAutoRegenerate.
+    async function applyReplyRuleActions(messageId, matches) {
+        const flagged = matches.filter(m => m.rule.action === 'flag');
+        if (flagged.length && messageId) {
+            await flagReply(messageId, flagged.map(m => m.rule.name));
+            setTimeout(() => applyReplyRuleFlags(), 1500);
+            setTimeout(() => applyReplyRuleFlags(), 3000);
+        }
+        const notified = matches.filter(m => m.rule.action === 'notify');
+        if (notified.length) {
+            const first = notified[0];
+            const more = notified.length > 1 ? ` (+${notified.length - 1} more)` : '';
+            showNotification(`Reply matched rule "${first.rule.name}": ${first.reason}${more}`, true);
+        }
+    }
+
+    // =============================================================================
+    // ===              REPETITION DETECTION                                    ===
+    // =============================================================================
+    // Compares each new bot reply with the previous few bot replies in the chat
+    // using 4-word shingles. The score is the share of the reply's shingles that
+    // already appeared; repeated spans are painted with the CSS Custom Highlight
+    // API, which marks text through Ranges without touching React's DOM.
+
+    const REPETITION_SHINGLE_SIZE = 4;
+    const REPETITION_LOOKBACK = 5;
+    const REPETITION_HIGHLIGHT_NAME = 'sai-repetition';
+
+    // Bot replies seen in this chat: { id, prevId, createdAt, text }
+    let recentBotReplies = [];
+    // messageId -> { score, shingles: Set } for replies with repeated spans
+    const repetitionResults = {};
+    let latestRepetitionMessageId = null;
+
+    function repetitionWords(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+    }
+
+    function repetitionShingles(words) {
+        const shingles = [];
+        for (let i = 0; i + REPETITION_SHINGLE_SIZE <= words.length; i++) {
+            shingles.push(words.slice(i, i + REPETITION_SHINGLE_SIZE).join(' '));
+        }
+        return shingles;
+    }
+
+    // Replace the reply history when a chat's messages load (alternatives left out).
+    function seedRecentBotReplies(botMessages) {
+        recentBotReplies = botMessages
+            .filter(m => m.id && typeof m.content === 'string' && !m.is_alternative)
+            .map(m => ({ id: m.id, prevId: m.prev_id || null, createdAt: m.createdAt || 0, text: m.content }));
+    }
+
+    /**
+     * Score a new reply against the last REPETITION_LOOKBACK bot replies.
+     * Regenerations of the same turn (same prevId) are not compared with each other.
+     * @returns {{score: number, shingles: Set<string>}}
+     */
+    function scoreReplyRepetition(messageId, prevId, text) {
+        const history = recentBotReplies
+            .filter(r => r.id !== messageId && (!prevId || r.prevId !== prevId))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, REPETITION_LOOKBACK);
+        const seen = new Set();
+        for (const reply of history) {
+            for (const shingle of repetitionShingles(repetitionWords(reply.text))) seen.add(shingle);
+        }
+        const shingles = repetitionShingles(repetitionWords(text));
+        const repeated = new Set(shingles.filter(s => seen.has(s)));
+        const hits = shingles.filter(s => repeated.has(s)).length;
+        return { score: shingles.length ? hits / shingles.length : 0, shingles: repeated };
+    }
+
+    /**
+     * Record a new reply and score it. Returns the result when detection is on and
+     * something repeated, otherwise null.
+     */
+    async function checkReplyRepetition(messageId, prevId, createdAt, text) {
+        if (typeof text !== 'string' || !messageId) return null;
+        const result = scoreReplyRepetition(messageId, prevId, text);
+        recentBotReplies = recentBotReplies.filter(r => r.id !== messageId);
+        recentBotReplies.push({ id: messageId, prevId: prevId || null, createdAt: createdAt || Date.now(), text });
+
+        if (!await storage.get(REPETITION_DETECTION_KEY, false)) return null;
+        debugLog('[AutoRegen] Repetition score for', messageId.substring(0, 8), ':', Math.round(result.score * 100) + '%');
+        if (!result.shingles.size) return null;
+        repetitionResults[messageId] = result;
+        latestRepetitionMessageId = messageId;
+        setTimeout(() => applyRepetitionHighlights(), 1500);
+        setTimeout(() => applyRepetitionHighlights(), 3000);
+        return result;
+    }
+
+    // Message wrapper for a reply: by the stats markers, else the newest bot message.
+    function findBotMessageWrapper(messageId) {
+        const marked = document.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`)
+            || document.querySelector(`.generation-stats[data-version-id="${CSS.escape(messageId)}"]`);
+        if (marked) return marked.closest('div.w-full.flex.mb-lg') || marked;
+        if (messageId !== latestRepetitionMessageId) return null;
+        const botWrappers = Array.from(document.querySelectorAll('div.w-full.flex.mb-lg'))
+            .filter(w => w.querySelector('a[href*="/chatbot/"]'));
+        return botWrappers[botWrappers.length - 1] || null;
+    }
+
+    function ensureRepetitionHighlightStyle() {
+        if (document.getElementById('sai-repetition-style')) return;
+        const style = document.createElement('style');
+        style.id = 'sai-repetition-style';
+        style.textContent = `::highlight(${REPETITION_HIGHLIGHT_NAME}) { background-color: rgba(245, 158, 11, 0.35); }`;
+        document.head.appendChild(style);
+    }
+
+    // Build Ranges over every run of words inside a repeated shingle, per text node.
+    function repetitionRangesFor(wrapper, shingles) {
+        const words = [];
+        const walker = document.createTreeWalker(wrapper, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement && node.parentElement.closest('span.leading-6')
+                ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+        });
+        let node;
+        while ((node = walker.nextNode())) {
+            for (const match of node.data.matchAll(/[\p{L}\p{N}']+/gu)) {
+                words.push({ node, start: match.index, end: match.index + match[0].length, word: match[0].toLowerCase() });
+            }
+        }
+        const marked = new Array(words.length).fill(false);
+        for (let i = 0; i + REPETITION_SHINGLE_SIZE <= words.length; i++) {
+            const shingle = words.slice(i, i + REPETITION_SHINGLE_SIZE).map(w => w.word).join(' ');
+            if (shingles.has(shingle)) marked.fill(true, i, i + REPETITION_SHINGLE_SIZE);
+        }
+        const ranges = [];
+        let i = 0;
+        while (i < words.length) {
+            if (!marked[i]) { i++; continue; }
+            let j = i;
+            while (j + 1 < words.length && marked[j + 1] && words[j + 1].node === words[i].node) j++;
+            const range = document.createRange();
+            range.setStart(words[i].node, words[i].start);
+            range.setEnd(words[j].node, words[j].end);
+            ranges.push(range);
+            i = j + 1;
+        }
+        return ranges;
+    }
+
+    // Repaint repeated spans and the stats-line score. Safe to call often: React
+    // re-renders invalidate Ranges, so they are rebuilt from repetitionResults.
+    function applyRepetitionHighlights() {
+        const ids = Object.keys(repetitionResults);
+        const supported = typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function';
+        const ranges = [];
+        for (const id of ids) {
+            const wrapper = findBotMessageWrapper(id);
+            if (!wrapper) continue;
+            const { score, shingles } = repetitionResults[id];
+            if (supported) ranges.push(...repetitionRangesFor(wrapper, shingles));
+
+            const statsDiv = wrapper.querySelector('.generation-stats');
+            if (statsDiv && !statsDiv.querySelector('.sai-repetition-score')) {
+                const marker = document.createElement('span');
+                marker.className = 'sai-repetition-score';
+                marker.textContent = ` ↻ ${Math.round(score * 100)}%`;
+                marker.title = `${Math.round(score * 100)}% of this reply repeats the previous ${REPETITION_LOOKBACK} bot replies`;
+                marker.style.color = '#f59e0b';
+                marker.style.cursor = 'help';
+                statsDiv.appendChild(marker);
+            }
+        }
+        if (!supported) return;
+        ensureRepetitionHighlightStyle();
+        if (ranges.length) CSS.highlights.set(REPETITION_HIGHLIGHT_NAME, new Highlight(...ranges));
+        else CSS.highlights.delete(REPETITION_HIGHLIGHT_NAME);
+    }
+
+    function clearRepetitionHighlights() {
+        for (const id of Object.keys(repetitionResults)) delete repetitionResults[id];
+        latestRepetitionMessageId = null;
+        if (typeof CSS !== 'undefined' && CSS.highlights) CSS.highlights.delete(REPETITION_HIGHLIGHT_NAME);
+    }
+
     /**
      * Click the regenerate button on the last bot message.
      * The button has aria-label="RefreshCcw-button" and is in the last message's controls.
@@ -2689,8 +3229,11 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
      * @param {string} prevId - The previous message ID (used to track regen attempts)
      * @param {string} responseEngine - The engine used for this response
      * @param {number} responseContentLength - Length of the response content
+     * @param {Object} [context] - messageId, conversationId, requestedModel (for the mismatch log),
+     *   ruleMatch, the first reply rule with a "regenerate" action that fired, and
+     *   repetition, the repetition score when it crossed the auto-regen threshold
      */
-    function checkAndAutoRegenerate(prevId, responseEngine, responseContentLength) {
+    function checkAndAutoRegenerate(prevId, responseEngine, responseContentLength, context = {}) {
         if (window.__autoRegenInProgress) {
             debugLog('[AutoRegen] Already in progress, skipping');
             return;
@@ -2700,8 +3243,17 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         const trackingKey = prevId || 'unknown';
         const currentAttempts = autoRegenAttempts[trackingKey] || 0;
         
+        // Require both engines to be non-blank — a blank previous engine means we have no
+        // valid baseline to compare against (e.g. first message, or engine field missing
+        // from a prior response), so we must not regenerate.
+        const mismatch = detectEngineMismatch(responseEngine);
+        
+        // A regen for an earlier mismatch on this thread came back with the right model
+        if (!mismatch) resolvePendingMismatch(trackingKey, 'fixed', currentAttempts);
+        
         if (currentAttempts >= maxAttempts) {
             debugLog('[AutoRegen] Max attempts reached for', trackingKey.substring(0, 8), ':', currentAttempts, '/', maxAttempts);
+            if (mismatch) resolvePendingMismatch(trackingKey, 'not-fixed', currentAttempts);
             // Reset tracking for this message thread
             delete autoRegenAttempts[trackingKey];
             window.__autoRegenInProgress = false;
@@ -2712,47 +3264,44 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         let reason = '';
         
         // Check for model mismatch
-        // Require both engines to be non-blank — a blank previous engine means we have no
-        // valid baseline to compare against (e.g. first message, or engine field missing
-        // from a prior response), so we must not regenerate.
-        const hasValidPrevEngine = typeof window.__lastKnownEngine === 'string' && window.__lastKnownEngine.trim() !== '';
-        const hasValidCurrEngine = typeof responseEngine === 'string' && responseEngine.trim() !== '';
-        if (window.__autoRegenOnMismatch && hasValidCurrEngine && hasValidPrevEngine) {
-            // Use the same core model extraction as applyModelChangeIndicators
-            const extractCoreModel = (engineString) => {
-                if (!engineString) return null;
-                const slashIndex = engineString.indexOf('/');
-                if (slashIndex === -1) return engineString.toLowerCase().trim();
-                const afterSlash = engineString.substring(slashIndex + 1);
-                const underscoreIndex = afterSlash.indexOf('_');
-                if (underscoreIndex === -1) return afterSlash.toLowerCase().trim();
-                return afterSlash.substring(0, underscoreIndex).toLowerCase().trim();
-            };
-            
-            const currentCore = extractCoreModel(responseEngine);
-            const previousCore = extractCoreModel(window.__lastKnownEngine);
-            
-            debugLog('[AutoRegen] Mismatch check - current:', currentCore, 'previous:', previousCore);
-            
-            if (currentCore && previousCore && currentCore !== previousCore) {
-                if (window.__suppressMismatchNext) {
-                    window.__suppressMismatchNext = false;
-                    debugLog('[AutoRegen] Mismatch suppressed for this message (model override: change was expected)');
+        if (mismatch) {
+            if (!window.__autoRegenOnMismatch) {
+                logUnhandledMismatch(mismatch, context);
+            } else if (window.__suppressMismatchNext) {
+                window.__suppressMismatchNext = false;
+                debugLog('[AutoRegen] Mismatch suppressed for this message (model override: change was expected)');
+            } else {
+                shouldRegen = true;
+                reason = `model mismatch (${extractCoreEngine(mismatch.expected)} → ${extractCoreEngine(mismatch.served)})`;
+                if (pendingMismatchEvents[trackingKey]) {
+                    updateModelMismatchEvent(pendingMismatchEvents[trackingKey], { regenAttempts: currentAttempts + 1 });
                 } else {
-                    shouldRegen = true;
-                    reason = `model mismatch (${previousCore} → ${currentCore})`;
+                    pendingMismatchEvents[trackingKey] = logModelMismatch(mismatch, context, 'pending', 1);
                 }
             }
         }
         
         // Check for short response
         if (!shouldRegen && window.__autoRegenOnShort && responseContentLength !== undefined) {
-            if (responseContentLength < 50) {
+            const shortThreshold = window.__shortResponseThreshold || 50;
+            if (responseContentLength < shortThreshold) {
                 shouldRegen = true;
-                reason = `short response (${responseContentLength} chars < 50)`;
+                reason = `short response (${responseContentLength} chars < ${shortThreshold})`;
             }
         }
         
+        // Check user-defined reply rules
+        if (!shouldRegen && context.ruleMatch) {
+            shouldRegen = true;
+            reason = `rule "${context.ruleMatch.rule.name}" (${context.ruleMatch.reason})`;
+        }
+        
+        // Check repetition against recent replies
+        if (!shouldRegen && context.repetition) {
+            shouldRegen = true;
+            reason = `repetition (${Math.round(context.repetition.score * 100)}% repeated)`;
+        }
+        
         if (shouldRegen) {
             autoRegenAttempts[trackingKey] = currentAttempts + 1;
             debugLog('[AutoRegen] Triggering auto-regeneration - reason:', reason, '- attempt:', currentAttempts + 1, '/', maxAttempts);
@@ -2765,6 +3314,7 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 if (!clicked) {
                     debugLog('[AutoRegen] Failed to click regenerate button');
                     window.__autoRegenInProgress = false;
+                    resolvePendingMismatch(trackingKey, 'not-fixed', currentAttempts);
                 } else {
                     // Reset the in-progress flag after a reasonable time for the regen to complete
                     // The next SAI_NEW_MESSAGE will trigger another check if needed
@@ -3159,7 +3709,8 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             temperature: stats.settings?.temperature || stats.temperature || null,
             top_p: stats.settings?.top_p || stats.top_p || null,
             top_k: stats.settings?.top_k || stats.top_k || null,
-            role: stats.role || null
+            role: stats.role || null,
+            createdAt: messageTimestamps[messageId] || null
         };
 
         // Serialise through the write queue so concurrent handlers keep send ordering.
@@ -3407,7 +3958,7 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                             if (nextElem && nextElem.textContent && nextElem.textContent.trim().length > 0) {
                                 const possibleModel = nextElem.textContent.trim();
                                 // Verify it looks like a model name (contains common model keywords)
-                                if (possibleModel.match(/llama|mixtral|qwen|gemma|deepseek|mistral/i)) {
+                                if (KNOWN_MODEL_PATTERN.test(possibleModel)) {
                                     model = possibleModel;
                                     break;
                                 }
@@ -3454,7 +4005,10 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         // Listen for network interception data from page context
         if (event.data.type === 'SAI_MESSAGES_LOADED') {
             debugLog('[Stats] Received SAI_MESSAGES_LOADED from page context');
-            const { conversationId, botMessages, userMessages, label } = event.data;
+            const { conversationId, botMessages, userMessages, label, userPersonaName } = event.data;
+            currentUserPersonaName = userPersonaName || null;
+            clearRepetitionHighlights();
+            seedRecentBotReplies(botMessages);
             
             // =================================================================
             // HANDLE CHAT LABEL FOR PAGE TITLE (extracted from GET /messages)
@@ -3479,6 +4033,24 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             currentConversationId = conversationId;
             debugLog('[Stats] Conversation ID from event:', conversationId);
             debugLog('[Stats] Stored as currentConversationId:', currentConversationId);
+
+            // Chat Search: refresh this conversation's index entry (no-op unless opted in)
+            // and finish a pending jump-to-result from the Search tab.
+            scheduleSearchIndex(conversationId, [...botMessages, ...userMessages]);
+            resumePendingSearchJump();
+
+            // Draft Autosave: put back unsent text for this conversation
+            restoreDraft(conversationId).catch(err => {
+                console.error('[MsgRecovery] Draft restore failed:', err);
+            });
+
+            // Offline Queue: send anything queued for this conversation once it's reachable
+            resumeOfflineQueue(conversationId);
+
+            // Per-character default profile: apply it once per chat visit
+            autoApplyCharacterProfile(conversationId).catch(err => {
+                console.error('[Profile] Auto-apply failed:', err);
+            });
             
             // Debug: Log first few messages
             if (botMessages.length > 0) {
@@ -3511,6 +4083,17 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 }
             }
             debugLog('[Core] Built messageTimestamps map with', Object.keys(messageTimestamps).length, 'entries');
+
+            // Stats dashboard: give older stats records a createdAt for the timeline
+            const botTimes = {};
+            for (const msg of botMessages) {
+                if (msg.id && msg.createdAt) botTimes[msg.id] = msg.createdAt;
+            }
+            if (Object.keys(botTimes).length) {
+                sendStatsMessage('SAI_STATS_BACKFILL_TIMES', { times: botTimes }).catch(err => {
+                    debugLog('[Stats] createdAt backfill failed:', err.message);
+                });
+            }
             
             // =================================================================
             // BUILD PREV_ID TO MESSAGE_IDS MAP (For regeneration detection)
@@ -3726,7 +4309,7 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         
         if (event.data.type === 'SAI_NEW_MESSAGE') {
             debugLog('[Stats] Received SAI_NEW_MESSAGE from page context');
-            const { messageId, conversationId, model, settings, createdAt, role, isAlternative, isRegenerationRequested, altMessageId, prevId, responseContentLength, responseEngine } = event.data;
+            const { messageId, conversationId, model, settings, createdAt, role, isAlternative, isRegenerationRequested, altMessageId, prevId, responseContentLength, responseContent, responseEngine } = event.data;
             
             debugLog('[Stats CONTENT] ========== RECEIVED SAI_NEW_MESSAGE ==========');
             debugLog('[Stats CONTENT] Message ID:', messageId);
@@ -3913,9 +4496,27 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                     }
                     
                     // Check if auto-regeneration should be triggered
-                    if (window.__autoRegenOnMismatch || window.__autoRegenOnShort) {
-                        checkAndAutoRegenerate(prevId, responseEngine, responseContentLength);
+                    // Reply rules: flag/notify now, a "regenerate" match goes through auto-regen
+                    const ruleMatches = await matchReplyRules(responseContent, getCurrentCharacterId());
+                    applyReplyRuleActions(messageId, ruleMatches).catch(err => {
+                        console.error('[AutoRegen] Reply rule action failed:', err);
+                    });
+                    // Repetition: highlight repeated spans, and regenerate past the threshold if enabled
+                    const repetition = await checkReplyRepetition(messageId, prevId, createdAt, responseContent);
+                    const repetitionRegen = repetition && await storage.get(REPETITION_REGEN_KEY, false)
+                        && repetition.score * 100 >= await storage.get(REPETITION_THRESHOLD_KEY, 40);
+                    const mismatchContext = {
+                        messageId,
+                        conversationId,
+                        requestedModel: model ? model.split('→')[0].trim() : null,
+                        ruleMatch: ruleMatches.find(m => m.rule.action === 'regenerate') || null,
+                        repetition: repetitionRegen ? repetition : null
+                    };
+                    if (window.__autoRegenOnMismatch || window.__autoRegenOnShort || mismatchContext.ruleMatch || mismatchContext.repetition) {
+                        checkAndAutoRegenerate(prevId, responseEngine, responseContentLength, mismatchContext);
                     } else {
+                        // Still log a served-model swap for the mismatch audit log
+                        noteModelMismatch(responseEngine, mismatchContext);
                         // If auto-regen is off, still update lastKnownEngine for future use
                         if (typeof responseEngine === 'string' && responseEngine.trim() !== '') {
                             window.__lastKnownEngine = responseEngine;
@@ -3970,6 +4571,9 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             
             // Store the timestamp for when we detect the user message in the DOM
             lastUserMessageTimestamp = timestamp;
+
+            // Draft Autosave: the typed text has been sent
+            onDraftMessageSent(conversationId || getRouteConversationId(), event.data.sentMessage);
             
             // Trigger stats display for the newly sent user message (shows timestamp)
             setTimeout(() => processMessagesForStats(true), 500);
@@ -4139,9 +4743,145 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         return JSON.parse(stored);
     }
 
-    // Save profiles to storage
+    // Save profiles to storage, stamping each added/changed/deleted name in
+    // PROFILES_META_KEY so sync can merge profiles by name (deletions as tombstones)
     async function saveProfiles(profiles) {
-        await storage.set(PROFILES_KEY, JSON.stringify(profiles));
+        const previous = await loadProfiles();
+        const meta = await storage.get(PROFILES_META_KEY, {});
+        const now = Date.now();
+        for (const name of Object.keys(profiles)) {
+            const sig = JSON.stringify(profiles[name]);
+            if (!(name in previous) || JSON.stringify(previous[name]) !== sig) meta[name] = { updatedAt: now, sig };
+        }
+        for (const name of Object.keys(previous)) {
+            if (!(name in profiles)) meta[name] = { updatedAt: now, deleted: true };
+        }
+        await storage.setMultiple({ [PROFILES_KEY]: JSON.stringify(profiles), [PROFILES_META_KEY]: meta });
+    }
+
+    // ---- Profile files (.saiprofile.json) ----
+    // A shareable file holds one or more named profiles in the same shape
+    // getCurrentSettings() produces: { model, temperature, topP, topK }.
+    // Imports are validated field by field; a profile with an unrecognised model or
+    // a slider value outside the Generation Settings range is refused, not clamped.
+
+    const PROFILE_FILE_FORMAT = 'sai-profile';
+    const PROFILE_FILE_VERSION = 1;
+    const PROFILE_FILE_EXTENSION = '.saiprofile.json';
+    const PROFILE_NAME_MAX_LENGTH = 64;
+
+    // Fallback slider bounds when the Generation Settings modal isn't open to read them from
+    const DEFAULT_PROFILE_SLIDER_RANGES = {
+        temperature: { min: 0, max: 2 },
+        topP: { min: 0, max: 1 },
+        topK: { min: 1, max: 100 }
+    };
+
+    // Live slider bounds (sliders[1..3], same order applySettings uses), else the defaults
+    function getProfileSliderRanges() {
+        const ranges = JSON.parse(JSON.stringify(DEFAULT_PROFILE_SLIDER_RANGES));
+        const modal = findGenerationSettingsModal();
+        const sliders = modal ? modal.querySelectorAll('input[type="range"]') : [];
+        ['temperature', 'topP', 'topK'].forEach((field, i) => {
+            const slider = sliders[i + 1];
+            if (!slider) return;
+            const min = parseFloat(slider.min);
+            const max = parseFloat(slider.max);
+            if (Number.isFinite(min)) ranges[field].min = min;
+            if (Number.isFinite(max)) ranges[field].max = max;
+        });
+        return ranges;
+    }
+
+    // Models we recognise: anything already used by a local profile, or a name from
+    // one of the model families the Generation Settings reader accepts.
+    function isKnownProfileModel(model, localProfiles) {
+        if (typeof model !== 'string' || !model.trim() || model === 'Unknown') return false;
+        if (Object.values(localProfiles).some(p => p && p.model === model)) return true;
+        return KNOWN_MODEL_PATTERN.test(model);
+    }
+
+    // Returns { profile, errors } — profile holds only the known fields
+    function validateProfileSettings(settings, localProfiles, ranges) {
+        const errors = [];
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return { profile: null, errors: ['not a settings object'] };
+        }
+        const profile = {};
+        if (settings.model !== undefined) {
+            if (!isKnownProfileModel(settings.model, localProfiles)) {
+                errors.push(`unknown model "${String(settings.model)}"`);
+            } else {
+                profile.model = settings.model;
+            }
+        }
+        for (const field of ['temperature', 'topP', 'topK']) {
+            const value = settings[field];
+            if (value === undefined) {
+                errors.push(`missing ${field}`);
+                continue;
+            }
+            const { min, max } = ranges[field];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${field} is not a number`);
+            } else if (value < min || value > max) {
+                errors.push(`${field} ${value} is outside ${min}–${max}`);
+            } else {
+                profile[field] = value;
+            }
+        }
+        const unknownFields = Object.keys(settings).filter(k => !['model', 'temperature', 'topP', 'topK'].includes(k));
+        if (unknownFields.length) {
+            debugLog('[Profile] Ignoring unknown profile fields:', unknownFields);
+        }
+        return { profile: errors.length ? null : profile, errors };
+    }
+
+    function buildProfileFile(profiles) {
+        return {
+            format: PROFILE_FILE_FORMAT,
+            version: PROFILE_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            exportedBy: 'S.AI Toolkit',
+            profiles
+        };
+    }
+
+    // Parse a .saiprofile.json (or a legacy whole-map profiles export) into
+    // [{ name, profile, errors }] entries ready for the import review dialog.
+    function parseProfileFile(json, localProfiles) {
+        if (!json || typeof json !== 'object' || Array.isArray(json)) {
+            throw new Error('File is not a profile export');
+        }
+        let profileMap;
+        if (json.format === PROFILE_FILE_FORMAT) {
+            if (typeof json.version !== 'number' || json.version > PROFILE_FILE_VERSION) {
+                throw new Error('This profile file was made by a newer version of the toolkit');
+            }
+            profileMap = json.profiles;
+        } else {
+            profileMap = json; // Legacy "Export" output: { name: settings, ... }
+        }
+        if (!profileMap || typeof profileMap !== 'object' || Array.isArray(profileMap) || Object.keys(profileMap).length === 0) {
+            throw new Error('File contains no profiles');
+        }
+
+        const ranges = getProfileSliderRanges();
+        return Object.entries(profileMap).map(([rawName, settings]) => {
+            const name = String(rawName).trim();
+            if (!name || name.length > PROFILE_NAME_MAX_LENGTH) {
+                return { name: name.slice(0, PROFILE_NAME_MAX_LENGTH) || '(unnamed)', profile: null, errors: ['invalid profile name'] };
+            }
+            return { name, ...validateProfileSettings(settings, localProfiles, ranges) };
+        });
+    }
+
+    // "Name (2)", "Name (3)"… — first free name for a renamed import
+    function uniqueProfileName(name, profiles) {
+        let n = 2;
+        let candidate = `${name} (${n})`;
+        while (profiles[candidate]) candidate = `${name} (${++n})`;
+        return candidate;
     }
 
     // Change the model by clicking on it in the model selection modal
@@ -4510,11 +5250,49 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                     showNotification(`✓ Loaded profile: ${profileName}`);
                 }
             }
+            refreshCharacterDefaultCheckbox();
         });
 
         selectorRow.appendChild(label);
         selectorRow.appendChild(select);
 
+        // "Default for this character" row: binds the selected profile to the
+        // character in the URL so it is auto-applied whenever that chat opens
+        const characterId = getCurrentCharacterId();
+        const characterDefaultRow = document.createElement('label');
+        characterDefaultRow.className = 'flex items-center gap-2 text-foreground text-[12px] cursor-pointer';
+        const characterDefaultCheckbox = document.createElement('input');
+        characterDefaultCheckbox.type = 'checkbox';
+        characterDefaultCheckbox.id = 'profile-character-default';
+        const characterDefaultText = document.createElement('span');
+        characterDefaultText.textContent = 'Auto-apply this profile for this character';
+        characterDefaultRow.appendChild(characterDefaultCheckbox);
+        characterDefaultRow.appendChild(characterDefaultText);
+        if (!characterId) characterDefaultRow.style.display = 'none';
+
+        async function refreshCharacterDefaultCheckbox() {
+            if (!characterId) return;
+            const bindings = await loadCharacterProfileBindings();
+            characterDefaultCheckbox.checked = !!select.value && bindings[characterId]?.profile === select.value;
+        }
+
+        characterDefaultCheckbox.addEventListener('change', async function() {
+            if (this.checked && !select.value) {
+                this.checked = false;
+                alert('Select a profile first');
+                return;
+            }
+            await bindProfileToCharacter(characterId, this.checked ? select.value : null);
+            characterProfileState = this.checked
+                ? { characterId, profile: select.value, status: 'applied' }
+                : null;
+            updateCharacterProfileBadge();
+            showNotification(this.checked
+                ? `"${select.value}" will be applied whenever this character's chat opens`
+                : 'Removed the default profile for this character');
+        });
+        refreshCharacterDefaultCheckbox();
+
         // Buttons row
         const buttonsRow = document.createElement('div');
         buttonsRow.className = 'flex justify-undefined items-center gap-2';
@@ -4553,10 +5331,12 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                     const profiles = await loadProfiles();
                     delete profiles[profileName];
                     await saveProfiles(profiles);
+                    await removeBindingsForProfile(profileName);
                     
                     // Refresh dropdown
                     updateProfileDropdown();
                     select.value = '';
+                    refreshCharacterDefaultCheckbox();
                     
                     showNotification(`Deleted profile: ${profileName}`);
                 }
@@ -4569,6 +5349,7 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         buttonsRow.appendChild(deleteBtn);
 
         controlsDiv.appendChild(selectorRow);
+        controlsDiv.appendChild(characterDefaultRow);
         controlsDiv.appendChild(buttonsRow);
 
         // Insert at the end of the scrollable settings container (under Top-K)
@@ -4609,58 +5390,352 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         }
     }
 
-    // Show notification
-    function showNotification(message, isWarning = false) {
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: ${isWarning ? 'rgba(255, 153, 0, 0.95)' : 'rgba(0, 0, 0, 0.85)'};
-            color: white;
-            padding: 12px 20px;
-            border-radius: 8px;
-            z-index: 10000003;
-            font-size: 14px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-            animation: slideIn 0.3s ease-out;
-            white-space: pre-line;
-            max-width: 400px;
-        `;
-        notification.textContent = message;
-        
-        document.body.appendChild(notification);
-        
-        const duration = isWarning ? 5000 : 2500;
-        setTimeout(() => {
-            notification.style.opacity = '0';
-            notification.style.transition = 'opacity 0.3s';
-            setTimeout(() => notification.remove(), 300);
-        }, duration);
-    }
+    // =====================================================================
+    // PER-CHARACTER DEFAULT PROFILE
+    // =====================================================================
+    // A profile can be bound to a character ID. When a chat with that character
+    // opens we open Generation Settings, applySettings(profile, true) (which also
+    // switches the model), close the modal again and show a header badge naming the
+    // active profile. Bindings are stored like profiles: a JSON string keyed by
+    // character ID → { profile, characterName }.
 
-    // Add animation styles
-    const style = document.createElement('style');
-    style.textContent = `
-        @keyframes slideIn {
-            from {
-                transform: translateX(100%);
-                opacity: 0;
-            }
-            to {
-                transform: translateX(0);
-                opacity: 1;
-            }
+    const CHARACTER_PROFILES_KEY = 'characterProfileBindings';
+
+    // What the header badge shows: { characterId, profile, status: 'applying' | 'applied' | 'missing' | 'failed' }
+    let characterProfileState = null;
+    let lastAutoAppliedChatKey = null;
+
+    async function loadCharacterProfileBindings() {
+        const stored = await storage.get(CHARACTER_PROFILES_KEY, '{}');
+        try {
+            return JSON.parse(stored) || {};
+        } catch (e) {
+            return {};
         }
-        
-        @keyframes sai-slide-up {
-            from {
-                transform: translate(-50%, 20px);
-                opacity: 0;
-            }
-            to {
-                transform: translate(-50%, 0);
-                opacity: 1;
+    }
+
+    async function saveCharacterProfileBindings(bindings) {
+        await storage.set(CHARACTER_PROFILES_KEY, JSON.stringify(bindings));
+    }
+
+    // Character name for display in the bindings list (from the page title, like updatePageTitle)
+    function getCurrentCharacterNameFromTitle() {
+        const fullTitleMatch = document.title.match(/^Chat with (.+) - AI Sex Chatbot \| Spicychat$/);
+        if (fullTitleMatch) return fullTitleMatch[1];
+        const shortTitleMatch = document.title.match(/^([^(]+?)(?:\s*\([^)]+\))?$/);
+        if (shortTitleMatch && !document.title.includes('Spicychat')) return shortTitleMatch[1].trim();
+        return null;
+    }
+
+    // Stats records and failed sends only carry character IDs; borrow names from
+    // the search index, profile bindings and the open chat where we have them.
+    async function loadKnownCharacterNames() {
+        const names = {};
+        const summary = await sendStatsMessage('SAI_SEARCH_SUMMARY').catch(() => null);
+        if (summary && summary.success) {
+            for (const c of summary.characters) names[c.id] = c.name;
+        }
+        const bindings = await loadCharacterProfileBindings();
+        for (const [id, b] of Object.entries(bindings)) {
+            if (b.characterName && !names[id]) names[id] = b.characterName;
+        }
+        const currentId = getCurrentCharacterId();
+        const currentName = getCurrentCharacterNameFromTitle();
+        if (currentId && currentName && !names[currentId]) names[currentId] = currentName;
+        return names;
+    }
+
+    async function bindProfileToCharacter(characterId, profileName) {
+        const bindings = await loadCharacterProfileBindings();
+        if (profileName) {
+            bindings[characterId] = {
+                profile: profileName,
+                characterName: getCurrentCharacterNameFromTitle() || bindings[characterId]?.characterName || null
+            };
+        } else {
+            delete bindings[characterId];
+        }
+        await saveCharacterProfileBindings(bindings);
+        debugLog('[Profile] Character binding updated:', characterId, '->', profileName || '(none)');
+    }
+
+    // Drop bindings that point at a profile that no longer exists (after delete)
+    async function removeBindingsForProfile(profileName) {
+        const bindings = await loadCharacterProfileBindings();
+        let changed = false;
+        for (const [characterId, binding] of Object.entries(bindings)) {
+            if (binding.profile === profileName) {
+                delete bindings[characterId];
+                changed = true;
+            }
+        }
+        if (changed) await saveCharacterProfileBindings(bindings);
+    }
+
+    // Open Generation Settings through the chat dropdown menu and wait for it
+    async function openGenerationSettingsModal() {
+        const existing = findGenerationSettingsModal();
+        if (existing) return { modal: existing, openedByUs: false };
+
+        const menuButton = document.querySelector('button[aria-label="chat-dropdown"]');
+        if (!menuButton) return { modal: null, openedByUs: false };
+        menuButton.click();
+        await new Promise(resolve => setTimeout(resolve, 150));
+
+        const menuItem = Array.from(document.querySelectorAll('button, [role="menuitem"]'))
+            .find(el => (el.textContent || '').trim().includes('Generation Settings'));
+        if (!menuItem) {
+            // Close the dropdown we just opened
+            menuButton.click();
+            return { modal: null, openedByUs: false };
+        }
+        menuItem.click();
+
+        for (let i = 0; i < 10; i++) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            const modal = findGenerationSettingsModal();
+            if (modal && modal.querySelectorAll('input[type="range"]').length > 0) {
+                return { modal, openedByUs: true };
+            }
+        }
+        return { modal: null, openedByUs: true };
+    }
+
+    function closeGenerationSettingsModal(modal) {
+        if (!modal || !modal.isConnected) return;
+        const closeButton = modal.querySelector('button[aria-label="Close"]') ||
+            Array.from(modal.querySelectorAll('button')).find(btn => btn.querySelector('svg.lucide-x'));
+        if (closeButton) {
+            closeButton.click();
+        } else {
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        }
+    }
+
+    function profileMatchesSettings(profile, current) {
+        if (!current) return false;
+        const same = (a, b) => a === undefined || (typeof a === 'number' && typeof b === 'number' ? Math.abs(a - b) < 1e-6 : a === b);
+        return same(profile.temperature, current.temperature) &&
+            same(profile.topP, current.topP) &&
+            same(profile.topK, current.topK) &&
+            (!profile.model || profile.model === current.model);
+    }
+
+    // Called when a chat's messages load. Applies the bound profile once per
+    // character+conversation visit, and only while Generation Profiles is enabled.
+    async function autoApplyCharacterProfile(conversationId) {
+        const characterId = getCurrentCharacterId();
+        if (!characterId) return;
+
+        if (!(await storage.get(ENABLE_GENERATION_PROFILES_KEY, false))) {
+            characterProfileState = null;
+            updateCharacterProfileBadge();
+            return;
+        }
+
+        const chatKey = `${characterId}:${conversationId || ''}`;
+        if (chatKey === lastAutoAppliedChatKey) return;
+        lastAutoAppliedChatKey = chatKey;
+
+        const bindings = await loadCharacterProfileBindings();
+        const binding = bindings[characterId];
+        if (!binding) {
+            characterProfileState = null;
+            updateCharacterProfileBadge();
+            return;
+        }
+
+        const profiles = await loadProfiles();
+        const profile = profiles[binding.profile];
+        if (!profile) {
+            debugLog('[Profile] Bound profile no longer exists:', binding.profile);
+            characterProfileState = { characterId, profile: binding.profile, status: 'missing' };
+            updateCharacterProfileBadge();
+            return;
+        }
+
+        const state = { characterId, profile: binding.profile, status: 'applying' };
+        characterProfileState = state;
+        updateCharacterProfileBadge();
+
+        // Unbinding the profile replaces (or clears) the state while this runs, and
+        // the user can leave the chat: stop then, without leaving "applying" behind.
+        const superseded = () => {
+            if (characterProfileState !== state) return true;
+            if (getCurrentCharacterId() === characterId) return false;
+            characterProfileState = null;
+            if (lastAutoAppliedChatKey === chatKey) lastAutoAppliedChatKey = null;
+            updateCharacterProfileBadge();
+            return true;
+        };
+        const finish = (status) => {
+            state.status = status;
+            updateCharacterProfileBadge();
+        };
+
+        // Let the chat finish rendering before driving its menus
+        await new Promise(resolve => setTimeout(resolve, TIMING.MODAL_OPEN_DELAY));
+        if (superseded()) return;
+
+        const { modal, openedByUs } = await openGenerationSettingsModal();
+        if (superseded()) {
+            if (modal && openedByUs) closeGenerationSettingsModal(findGenerationSettingsModal());
+            return;
+        }
+        if (!modal) {
+            debugLog('[Profile] Could not open Generation Settings to auto-apply', binding.profile);
+            finish('failed');
+            return;
+        }
+
+        const current = await getCurrentSettings();
+        if (superseded()) {
+            if (openedByUs) closeGenerationSettingsModal(findGenerationSettingsModal());
+            return;
+        }
+        if (profileMatchesSettings(profile, current)) {
+            debugLog('[Profile] Character profile already active:', binding.profile);
+        } else {
+            debugLog('[Profile] Auto-applying character profile:', binding.profile);
+            const modelChanging = !!(profile.model && current && current.model !== profile.model);
+            const ok = await applySettings(profile, true);
+            if (superseded()) return;
+            if (!ok) {
+                finish('failed');
+                return;
+            }
+            await storage.set(LAST_PROFILE_KEY, binding.profile);
+            // changeModel drives the model picker asynchronously — give it time to finish
+            if (modelChanging) {
+                await new Promise(resolve => setTimeout(resolve, TIMING.MODAL_OPEN_DELAY + TIMING.MODAL_CONFIRM_DELAY + TIMING.MODEL_CHANGE_CONFIRM));
+                if (superseded()) return;
+            } else {
+                showNotification(`✓ Loaded profile for this character: ${binding.profile}`);
+            }
+        }
+
+        if (openedByUs) closeGenerationSettingsModal(findGenerationSettingsModal());
+        finish('applied');
+    }
+
+    // Header badge (left of the export button) naming the character's profile
+    function updateCharacterProfileBadge() {
+        let badge = document.getElementById('sai-profile-badge');
+        const state = characterProfileState;
+
+        if (!state || !isOnChatPage() || state.characterId !== getCurrentCharacterId()) {
+            if (badge) badge.remove();
+            return;
+        }
+
+        if (!badge) {
+            const referenceButton = document.getElementById('sai-export-btn') ||
+                document.getElementById('sai-toolkit-mobile-btn') ||
+                document.querySelector('button[aria-label="chat-dropdown"]');
+            const buttonContainer = referenceButton?.closest('.flex.justify-end.items-center.gap-sm');
+            if (!buttonContainer) return;
+
+            badge = document.createElement('span');
+            badge.id = 'sai-profile-badge';
+            badge.className = 'inline-flex items-center h-9 px-3 rounded-full border-1 border-solid border-gray-5 dark:border-gray-8 text-[12px] text-black dark:text-white whitespace-nowrap max-w-[160px] overflow-hidden text-ellipsis';
+            buttonContainer.insertBefore(badge, referenceButton);
+        }
+
+        const labels = {
+            applying: `⏳ ${state.profile}`,
+            applied: `⚙ ${state.profile}`,
+            missing: `⚠ ${state.profile}`,
+            failed: `⚠ ${state.profile}`
+        };
+        const titles = {
+            applying: `Applying generation profile "${state.profile}" for this character…`,
+            applied: `Generation profile "${state.profile}" is the default for this character`,
+            missing: `Default profile "${state.profile}" no longer exists — pick another in Generation Settings`,
+            failed: `Could not auto-apply "${state.profile}" — open Generation Settings to apply it manually`
+        };
+        badge.textContent = labels[state.status] || state.profile;
+        badge.title = titles[state.status] || '';
+    }
+
+    // Show notification
+    // options.duration overrides the default (0 keeps it up until dismissed);
+    // options.action adds a button ({ label, onClick }) that also dismisses it.
+    // Returns a handle to update the text or dismiss early.
+    function showNotification(message, isWarning = false, options = {}) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: ${isWarning ? 'rgba(255, 153, 0, 0.95)' : 'rgba(0, 0, 0, 0.85)'};
+            color: white;
+            padding: 12px 20px;
+            border-radius: 8px;
+            z-index: 10000003;
+            font-size: 14px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+            animation: slideIn 0.3s ease-out;
+            white-space: pre-line;
+            max-width: 400px;
+        `;
+        const textEl = document.createElement('span');
+        textEl.textContent = message;
+        notification.appendChild(textEl);
+
+        let dismissed = false;
+        const dismiss = () => {
+            if (dismissed) return;
+            dismissed = true;
+            notification.style.opacity = '0';
+            notification.style.transition = 'opacity 0.3s';
+            setTimeout(() => notification.remove(), 300);
+        };
+
+        if (options.action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.textContent = options.action.label;
+            actionBtn.style.cssText = 'margin-left: 12px; padding: 2px 10px; background: transparent; color: white; border: 1px solid rgba(255,255,255,0.5); border-radius: 4px; cursor: pointer; font-size: 13px;';
+            actionBtn.onclick = () => {
+                dismiss();
+                options.action.onClick();
+            };
+            notification.appendChild(actionBtn);
+        }
+        
+        document.body.appendChild(notification);
+        
+        const duration = options.duration !== undefined ? options.duration : (isWarning ? 5000 : 2500);
+        if (duration > 0) setTimeout(dismiss, duration);
+
+        return {
+            update: (text) => { textEl.textContent = text; },
+            dismiss
+        };
+    }
+
+    // Add animation styles
+    const style = document.createElement('style');
+    style.textContent = `
+        @keyframes slideIn {
+            from {
+                transform: translateX(100%);
+                opacity: 0;
+            }
+            to {
+                transform: translateX(0);
+                opacity: 1;
+            }
+        }
+        
+        @keyframes sai-slide-up {
+            from {
+                transform: translate(-50%, 20px);
+                opacity: 0;
+            }
+            to {
+                transform: translate(-50%, 0);
+                opacity: 1;
             }
         }
         
@@ -5426,6 +6501,185 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         await storage.set(PAGE_JUMP_KEY, enable);
     }
     
+    // =============================================================================
+    // SNIPPET LIBRARY - Reusable text blocks for the chat composer
+    // =============================================================================
+    // Snippets are named text blocks inserted into the WYSIWYG editor by typing
+    // "/name" (a popup lists matches) or pressing Alt+/ to browse them all. Text may
+    // use {{char}}, {{user}}, {{date}}, {{time}} and {{cursor}} (where the caret
+    // lands). A snippet is global or tied to one character; a character's own
+    // snippet wins over a global one with the same name. Stored as a JSON string.
+
+    const SNIPPETS_KEY = 'snippetLibrary';
+    const SNIPPET_NAME_PATTERN = /^[\w-]{1,32}$/;
+    const SNIPPET_CURSOR_MARKER = '{{cursor}}';
+    const SNIPPET_POPUP_MAX_ITEMS = 8;
+
+    async function loadSnippets() {
+        const stored = await storage.get(SNIPPETS_KEY, '[]');
+        try {
+            const snippets = JSON.parse(stored);
+            return Array.isArray(snippets) ? snippets : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    async function saveSnippets(snippets) {
+        await storage.set(SNIPPETS_KEY, JSON.stringify(snippets));
+    }
+
+    // Snippets usable in the current chat, character-specific ones shadowing globals
+    async function getSnippetsForCurrentCharacter() {
+        const characterId = getCurrentCharacterId();
+        const byName = new Map();
+        for (const snippet of await loadSnippets()) {
+            if (snippet.characterId && snippet.characterId !== characterId) continue;
+            const existing = byName.get(snippet.name);
+            if (!existing || (snippet.characterId && !existing.characterId)) byName.set(snippet.name, snippet);
+        }
+        return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Fill in a snippet's placeholders. Unknown values ({{user}} before the chat's
+     * messages have loaded) are left as-is. Returns the text and the caret offset.
+     */
+    function expandSnippet(text) {
+        const now = new Date();
+        const values = {
+            char: getCurrentCharacterNameFromTitle(),
+            user: currentUserPersonaName,
+            date: now.toLocaleDateString(),
+            time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        };
+        let expanded = text.replace(/\{\{(char|user|date|time)\}\}/gi, (match, key) => values[key.toLowerCase()] || match);
+        const cursorIndex = expanded.indexOf(SNIPPET_CURSOR_MARKER);
+        expanded = expanded.split(SNIPPET_CURSOR_MARKER).join('');
+        return { text: expanded, cursor: cursorIndex === -1 ? expanded.length : cursorIndex };
+    }
+
+    // Problem with a snippet as entered in the editor, or null if it is usable
+    function validateSnippet(snippet, snippets) {
+        if (!SNIPPET_NAME_PATTERN.test(snippet.name)) return 'Name must be 1–32 letters, numbers, - or _';
+        if (!snippet.text.trim()) return 'Snippet text is empty';
+        const clash = snippets.find(s => s.id !== snippet.id && s.name === snippet.name
+            && (s.characterId || null) === (snippet.characterId || null));
+        if (clash) return `/${snippet.name} already exists for ${snippet.characterId ? 'this character' : 'all characters'}`;
+        return null;
+    }
+
+    /**
+     * Slash-command popup for one editor. `host` supplies the editor-specific parts:
+     * getTextBeforeCaret() and insert(replaceLength, text, caretOffset).
+     */
+    function attachSnippetPopup(editor, host) {
+        let popup = null;
+        let items = [];
+        let selected = 0;
+        let tokenLength = 0;
+
+        const close = () => {
+            if (popup) popup.remove();
+            popup = null;
+            items = [];
+        };
+
+        const render = () => {
+            popup.replaceChildren();
+            items.forEach((snippet, i) => {
+                const row = document.createElement('div');
+                row.style.cssText = `padding: 6px 10px; cursor: pointer; border-radius: 6px; display: flex; gap: 8px; align-items: baseline;${i === selected ? ' background: #3b82f6; color: white;' : ''}`;
+                const name = document.createElement('strong');
+                name.textContent = '/' + snippet.name + (snippet.characterId ? ' •' : '');
+                const preview = document.createElement('span');
+                preview.textContent = snippet.text.replace(/\s+/g, ' ').slice(0, 60);
+                preview.style.cssText = 'opacity: 0.7; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+                row.append(name, preview);
+                row.onmousedown = (e) => {
+                    e.preventDefault(); // keep editor focus and selection
+                    choose(i);
+                };
+                popup.appendChild(row);
+            });
+        };
+
+        const open = (matches, replaceLength) => {
+            items = matches.slice(0, SNIPPET_POPUP_MAX_ITEMS);
+            tokenLength = replaceLength;
+            if (!items.length) return close();
+            selected = Math.min(selected, items.length - 1);
+            if (!popup) {
+                popup = document.createElement('div');
+                popup.className = 'sai-snippet-popup';
+                popup.style.cssText = `
+                    position: fixed;
+                    z-index: 10000002;
+                    min-width: 240px;
+                    max-width: 420px;
+                    padding: 4px;
+                    background: #1f2937;
+                    color: #e5e7eb;
+                    border: 1px solid #374151;
+                    border-radius: 8px;
+                    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.35);
+                    font-size: 13px;
+                    font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+                `;
+                document.body.appendChild(popup);
+            }
+            render();
+            const rect = editor.getBoundingClientRect();
+            popup.style.left = `${Math.max(8, rect.left)}px`;
+            popup.style.bottom = `${Math.max(8, window.innerHeight - rect.top + 6)}px`;
+        };
+
+        const choose = (index) => {
+            const snippet = items[index];
+            if (!snippet) return;
+            const { text, cursor } = expandSnippet(snippet.text);
+            debugLog('[WYSIWYG] Inserting snippet /' + snippet.name);
+            host.insert(tokenLength, text, cursor);
+            close();
+        };
+
+        const refresh = async () => {
+            const match = host.getTextBeforeCaret().match(/(?:^|\s)\/([\w-]*)$/);
+            if (!match) return close();
+            const prefix = match[1].toLowerCase();
+            const snippets = await getSnippetsForCurrentCharacter();
+            selected = 0;
+            open(snippets.filter(s => s.name.toLowerCase().startsWith(prefix)), match[1].length + 1);
+        };
+
+        editor.addEventListener('input', () => {
+            if (!editor._isComposing) refresh();
+        });
+        editor.addEventListener('blur', close);
+
+        // Capture phase so Enter/Arrow keys reach us before the editor's own handler
+        editor.addEventListener('keydown', async (e) => {
+            if (e.altKey && e.key === '/') {
+                e.preventDefault();
+                selected = 0;
+                open(await getSnippetsForCurrentCharacter(), 0);
+                return;
+            }
+            if (!popup) return;
+            const handled = { ArrowDown: 1, ArrowUp: 1, Enter: 1, Tab: 1, Escape: 1 };
+            if (!handled[e.key] || e.shiftKey) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (e.key === 'Escape') return close();
+            if (e.key === 'ArrowDown') selected = (selected + 1) % items.length;
+            else if (e.key === 'ArrowUp') selected = (selected - 1 + items.length) % items.length;
+            else return choose(selected);
+            render();
+        }, true);
+
+        return { close };
+    }
+
     // =============================================================================
     // WYSIWYG EDITOR - Live formatting preview in textareas
     // =============================================================================
@@ -6535,6 +7789,37 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 }, debounceDelay);
             }
         });
+
+        // Snippet library: "/name" popup and Alt+/ — inserts go through the same
+        // execCommand + sync path as paste
+        attachSnippetPopup(editor, {
+            getTextBeforeCaret() {
+                const selection = window.getSelection();
+                if (!selection.rangeCount || !editor.contains(selection.anchorNode)) return '';
+                const range = selection.getRangeAt(0);
+                const preCaretRange = range.cloneRange();
+                preCaretRange.selectNodeContents(editor);
+                preCaretRange.setEnd(range.startContainer, range.startOffset);
+                return preCaretRange.toString();
+            },
+            insert(replaceLength, text, caret) {
+                const pos = saveCursorPosition();
+                if (!pos) return;
+                const start = Math.max(0, pos.start - replaceLength);
+                restoreCursorPosition({ start, end: pos.start });
+                document.execCommand('insertText', false, text);
+                // Offsets count text nodes only, so line breaks don't take a position
+                const caretPos = start + text.slice(0, caret).replace(/\n/g, '').length;
+                restoreCursorPosition({ start: caretPos, end: caretPos });
+                lastInputTime = Date.now();
+                syncToTextarea();
+                lastKnownValue = textarea.value;
+                clearTimeout(inputDebounceTimer);
+                inputDebounceTimer = setTimeout(() => {
+                    if (!isComposing) updateEditorDisplay();
+                }, debounceDelay);
+            }
+        });
         
         // Handle keydown for special keys
         editor.addEventListener('keydown', (e) => {
@@ -8277,6 +9562,11 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
     //       button next to SpicyChat's "Resubmit" button. Clicking it
     //       refills the chat textarea with the most-recent failed message
     //       and removes that entry from the queue.
+    //     - Every captured failure (across conversations) is listed under
+    //       "Message Recovery" in the Data tab, where each one can be
+    //       copied, restored into the chat box or discarded. An outage
+    //       can eat several sends before the user notices; the banner
+    //       only ever offers the latest.
     //
     // WHY OPT-IN
     //   Capturing message *content* is materially different from the rest
@@ -8291,7 +9581,8 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
     //   - Key: 'failedMessages'  (chrome.storage.local)
     //   - Cap: 50 entries, FIFO. Old entries are evicted when the cap is
     //     hit so a long outage can't blow up storage.
-    //   - On recovery, the entry is removed from the queue.
+    //   - On recovery (banner button or history Restore) or Discard, the
+    //     entry is removed from the queue. Copy leaves it in place.
     //   - Disabling the feature does not auto-clear the queue (so the
     //     user can recover anything that was already captured) but no
     //     new entries are added until it is re-enabled.
@@ -8301,16 +9592,18 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
 
     async function initMessageRecovery() {
         const enabled = await storage.get('messageRecoveryEnabled', false);
+        const queueEnabled = await storage.get(OFFLINE_QUEUE_KEY, false);
         messageRecoveryActive = enabled;
-        debugLog('[MsgRecovery] Init, enabled:', enabled);
-        // Tell the page-context interceptor whether to capture message text.
+        debugLog('[MsgRecovery] Init, enabled:', enabled, 'offline queue:', queueEnabled);
+        // Tell the page-context interceptor whether to capture message text
+        // (the Offline Queue works from the same failed-send snapshot).
         // Sent regardless of the value so we explicitly disable on every
         // page load (rather than relying on the page-context script's
         // localStorage fallback, which could drift if the user disabled
         // the feature in another tab).
         window.postMessage({
             type: 'SAI_SET_MESSAGE_RECOVERY',
-            enabled: !!enabled
+            enabled: !!(enabled || queueEnabled)
         }, '*');
     }
 
@@ -8385,25 +9678,41 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         debugLog('[MsgRecovery] Recover button injected');
     }
 
+    async function loadFailedMessages() {
+        const list = await storage.get('failedMessages', []);
+        return Array.isArray(list) ? list : [];
+    }
+
+    async function removeFailedMessage(id) {
+        const list = await loadFailedMessages();
+        await storage.set('failedMessages', list.filter(entry => entry.id !== id));
+    }
+
+    // Human-readable label for the reason codes emitted by xhr-intercept.js
+    function describeFailureReason(reason) {
+        const status = /^(xhr|fetch)-status-(\d+)$/.exec(reason || '');
+        if (status) return `HTTP ${status[2]}`;
+        switch (reason) {
+            case 'xhr-error': return 'Network error';
+            case 'xhr-timeout': return 'Timed out';
+            case 'xhr-abort': return 'Aborted';
+            case 'fetch-throw': return 'Network error (fetch)';
+            default: return reason || 'Unknown';
+        }
+    }
+
     async function onRecoverButtonClick(ev) {
         ev.preventDefault();
         ev.stopPropagation();
 
-        const list = await storage.get('failedMessages', []);
-        if (!Array.isArray(list) || list.length === 0) {
+        const list = await loadFailedMessages();
+        if (list.length === 0) {
             showNotification('No saved message to recover');
             return;
         }
         const entry = list[list.length - 1];
 
-        // Find the chat input textarea. The reference chat-page has a single
-        // <textarea placeholder="Message...">. We use that as the primary
-        // selector and fall back to the only visible textarea on the page.
-        let textarea = document.querySelector('textarea[placeholder="Message..."]');
-        if (!textarea) {
-            const all = Array.from(document.querySelectorAll('textarea'));
-            textarea = all.find(t => t.offsetParent !== null) || all[0] || null;
-        }
+        const textarea = findChatTextarea();
 
         if (!textarea) {
             // No input found — fall back to clipboard so the message isn't
@@ -8416,25 +9725,13 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 return;
             }
         } else {
-            // React-controlled inputs need the native setter so React's
-            // synthetic event system picks up the change. setting .value
-            // directly is silently overwritten on next render.
-            const proto = Object.getPrototypeOf(textarea);
-            const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
-            if (setter) {
-                setter.call(textarea, entry.message);
-            } else {
-                textarea.value = entry.message;
-            }
-            textarea.dispatchEvent(new Event('input', { bubbles: true }));
-            textarea.dispatchEvent(new Event('change', { bubbles: true }));
+            setReactTextareaValue(textarea, entry.message);
             textarea.focus();
             showNotification('Message recovered');
         }
 
         // Drop the recovered entry from the queue.
-        const updated = list.slice(0, -1);
-        await storage.set('failedMessages', updated);
+        await removeFailedMessage(entry.id);
 
         // Remove our button — the banner will go away on its own when
         // the user types or the site clears it, but the button has done
@@ -8443,44 +9740,685 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         if (btn) btn.remove();
     }
 
-    // Show export dropdown menu
-    function showExportMenu(anchorButton) {
-        // Remove any existing menu
-        const existingMenu = document.getElementById('sai-export-menu');
-        if (existingMenu) {
-            existingMenu.remove();
-            return; // Toggle off if already open
+    // =========================================================================
+    // DRAFT AUTOSAVE
+    // =========================================================================
+    //
+    // Message Recovery only covers sends that fail. Draft Autosave covers the
+    // text that was never sent: a tab reload (including our own new-tab reload
+    // in checkAndReloadIfNeeded), navigating to another chat, or closing the
+    // tab. While enabled, the chat input is saved (debounced) per conversation
+    // ID and put back when that conversation is opened again with an empty
+    // input. The WYSIWYG editor picks the value up through its textarea watcher.
+    //
+    // Opt-in for the same reason as Message Recovery: it persists message text.
+    //
+    // STORAGE / EVICTION
+    //   - Key: 'composerDrafts' → { [conversationId]: { text, savedAt, characterId } }
+    //   - Drafts older than the configured expiry are dropped on load and
+    //     never restored. Capped at 100 conversations, oldest first.
+    //   - A draft is deleted once its message is sent (SAI_USER_MESSAGE_SENT)
+    //     or the input is emptied.
+    //   - Local only: not a sync key, and Drive backups are built from an
+    //     allow-list that leaves it out (backupKeys in background.js).
+
+    const DRAFTS_KEY = 'composerDrafts';
+    const DRAFT_SAVE_DEBOUNCE_MS = 800;
+    const DRAFTS_MAX = 100;
+    const DRAFT_RESTORE_RETRIES = 10;
+
+    let draftAutosaveActive = false;
+    let draftSaveTimer = null;
+    let pendingDraft = null; // { conversationId, characterId, text } as of the last input
+    let draftWriteQueue = Promise.resolve();
+    let draftSaveSuppressed = false;
+    let draftListenerInstalled = false;
+
+    // The chat page has a single <textarea placeholder="Message...">; fall back
+    // to the only visible textarea.
+    function findChatTextarea() {
+        const textarea = document.querySelector('textarea[placeholder="Message..."]');
+        if (textarea) return textarea;
+        const all = Array.from(document.querySelectorAll('textarea'));
+        return all.find(t => t.offsetParent !== null) || all[0] || null;
+    }
+
+    // React-controlled inputs need the native setter so React's synthetic
+    // event system picks up the change; setting .value directly is silently
+    // overwritten on next render.
+    function setReactTextareaValue(textarea, text) {
+        const proto = Object.getPrototypeOf(textarea);
+        const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+        if (setter) {
+            setter.call(textarea, text);
+        } else {
+            textarea.value = text;
         }
-        
-        // Create dropdown menu
-        const menu = document.createElement('div');
-        menu.id = 'sai-export-menu';
-        menu.style.cssText = `
-            position: fixed;
-            z-index: 10000005;
-            background: white;
-            border: 1px solid #e5e7eb;
-            border-radius: 8px;
-            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
-            min-width: 160px;
-            padding: 4px;
-        `;
-        
-        // Check for dark mode
-        const isDarkMode = document.documentElement.classList.contains('dark') || 
-                          window.matchMedia('(prefers-color-scheme: dark)').matches;
-        if (isDarkMode) {
-            menu.style.background = '#353535';
-            menu.style.borderColor = '#374151';
-            menu.style.color = 'white';
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        textarea.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    function getRouteConversationId() {
+        try {
+            return getChatRouteIds().conversationId || null;
+        } catch (e) {
+            return null;
         }
-        
-        // Create menu items
-        const menuItems = [
-            { label: 'Export as JSON', icon: '{}', action: () => exportChatAsJSON() },
-            { label: 'Export as HTML', icon: '📄', action: () => exportChatAsHTML() }
-        ];
-        
+    }
+
+    // Load drafts with expired entries dropped (written back when anything expired).
+    async function loadDrafts() {
+        const drafts = await storage.get(DRAFTS_KEY, {});
+        const list = drafts && typeof drafts === 'object' ? drafts : {};
+        const expiryHours = await storage.get(DRAFT_EXPIRY_HOURS_KEY, 72);
+        const cutoff = Date.now() - expiryHours * 60 * 60 * 1000;
+        let expired = 0;
+        for (const [id, draft] of Object.entries(list)) {
+            if (!draft || typeof draft.text !== 'string' || !(draft.savedAt >= cutoff)) {
+                delete list[id];
+                expired++;
+            }
+        }
+        if (expired) {
+            debugLog('[MsgRecovery] Dropped', expired, 'expired drafts');
+            await storage.set(DRAFTS_KEY, list);
+        }
+        return list;
+    }
+
+    // Read-modify-write of the drafts map, one at a time so a clear can't race a save.
+    function updateDrafts(mutate) {
+        draftWriteQueue = draftWriteQueue.catch(() => {}).then(async () => {
+            const drafts = await loadDrafts();
+            if (mutate(drafts) === false) return;
+            await storage.set(DRAFTS_KEY, drafts);
+        });
+        return draftWriteQueue;
+    }
+
+    // Write the pending draft, for the conversation it was typed in.
+    async function saveDraftNow() {
+        clearTimeout(draftSaveTimer);
+        draftSaveTimer = null;
+        const pending = pendingDraft;
+        pendingDraft = null;
+        if (!draftAutosaveActive || !pending) return;
+
+        const { conversationId, characterId, text } = pending;
+        await updateDrafts(drafts => {
+            if (text.trim()) {
+                delete drafts[conversationId];
+                drafts[conversationId] = { text, savedAt: Date.now(), characterId };
+                const ids = Object.keys(drafts);
+                for (const id of ids.slice(0, Math.max(0, ids.length - DRAFTS_MAX))) delete drafts[id];
+            } else if (drafts[conversationId]) {
+                delete drafts[conversationId];
+            } else {
+                return false;
+            }
+        });
+    }
+
+    // The conversation and text are taken now, not when the debounce fires, so a
+    // chat switch in between can't file the text under the wrong conversation.
+    function scheduleDraftSave(textarea) {
+        if (draftSaveSuppressed) return;
+        const conversationId = getRouteConversationId();
+        if (!conversationId) return;
+        pendingDraft = { conversationId, characterId: getCurrentCharacterId(), text: textarea.value || '' };
+        clearTimeout(draftSaveTimer);
+        draftSaveTimer = setTimeout(() => {
+            saveDraftNow().catch(err => console.error('[MsgRecovery] Draft save failed:', err));
+        }, DRAFT_SAVE_DEBOUNCE_MS);
+    }
+
+    // Run fn without saving the text it puts in the chat box as a draft (the input
+    // events it fires are handled synchronously)
+    function withoutDraftSave(fn) {
+        draftSaveSuppressed = true;
+        try {
+            return fn();
+        } finally {
+            draftSaveSuppressed = false;
+        }
+    }
+
+    // Called on SAI_USER_MESSAGE_SENT, which only arrives once the bot has replied:
+    // the draft of the conversation the message went to is done with, even if the
+    // user has moved to another chat since. Text typed there after the send stays.
+    function onDraftMessageSent(conversationId, sentMessage) {
+        if (!draftAutosaveActive || !conversationId) return;
+        if (pendingDraft && pendingDraft.conversationId === conversationId
+            && (!pendingDraft.text.trim() || (sentMessage && pendingDraft.text.trim() === sentMessage.trim()))) {
+            clearTimeout(draftSaveTimer);
+            draftSaveTimer = null;
+            pendingDraft = null;
+        }
+        updateDrafts(drafts => {
+            if (!drafts[conversationId]) return false;
+            delete drafts[conversationId];
+        }).catch(err => console.error('[MsgRecovery] Draft clear failed:', err));
+    }
+
+    /**
+     * Put a saved draft back into the chat input for this conversation. Only
+     * fills an empty input, and retries briefly while the page renders it.
+     */
+    async function restoreDraft(conversationId, attempt = 0) {
+        if (!draftAutosaveActive || !conversationId) return;
+        if (conversationId !== getRouteConversationId()) return;
+        const drafts = await loadDrafts();
+        const draft = drafts[conversationId];
+        if (!draft) return;
+
+        const textarea = findChatTextarea();
+        if (!textarea) {
+            if (attempt < DRAFT_RESTORE_RETRIES) setTimeout(() => restoreDraft(conversationId, attempt + 1), 500);
+            return;
+        }
+        if (textarea.value.trim()) return;
+        setReactTextareaValue(textarea, draft.text);
+        debugLog('[MsgRecovery] Restored draft for conversation', conversationId, '(' + draft.text.length + ' chars)');
+        showNotification('Unsent draft restored');
+    }
+
+    async function initDraftAutosave() {
+        draftAutosaveActive = await storage.get(DRAFT_AUTOSAVE_KEY, false);
+        debugLog('[MsgRecovery] Draft autosave enabled:', draftAutosaveActive);
+        if (!draftAutosaveActive || draftListenerInstalled) return;
+        draftListenerInstalled = true;
+
+        await loadDrafts(); // prune expired drafts
+
+        // Typing in the native textarea and the WYSIWYG editor's sync both fire
+        // 'input' on the chat textarea.
+        document.addEventListener('input', (e) => {
+            if (e.target instanceof HTMLTextAreaElement && e.target === findChatTextarea()) {
+                scheduleDraftSave(e.target);
+            }
+        }, true);
+
+        // Flush a pending save before the page goes away
+        window.addEventListener('pagehide', () => { if (draftSaveTimer) saveDraftNow(); });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && draftSaveTimer) saveDraftNow();
+        });
+    }
+
+    // =========================================================================
+    // SEND RETRY
+    // =========================================================================
+    //
+    // Opt-in automatic resend of chat POSTs that fail with a gateway error
+    // (502/503/504, Cloudflare 522/524) or time out. The retrying itself
+    // happens in xhr-intercept.js so the site's own request is what succeeds;
+    // this side forwards the settings and shows a countdown toast per
+    // scheduled retry with a Cancel button. Cancelling (or running out of
+    // attempts) hands the failure to the site, and Message Recovery still
+    // captures the text if it is enabled.
+
+    const sendRetryToasts = new Map(); // retryId -> { toast, interval }
+
+    async function initSendRetry() {
+        const settings = await storage.getMultiple({
+            [SEND_RETRY_KEY]: false,
+            [SEND_RETRY_MAX_KEY]: 3
+        });
+        debugLog('[MsgRecovery] Send retry enabled:', settings[SEND_RETRY_KEY], 'max attempts:', settings[SEND_RETRY_MAX_KEY]);
+        // Always sent, so disabling in another tab can't leave a stale
+        // localStorage flag enabled in the page context
+        window.postMessage({
+            type: 'SAI_SET_SEND_RETRY',
+            enabled: !!settings[SEND_RETRY_KEY],
+            maxAttempts: settings[SEND_RETRY_MAX_KEY]
+        }, '*');
+    }
+
+    function clearSendRetryToast(retryId) {
+        const entry = sendRetryToasts.get(retryId);
+        if (!entry) return;
+        clearInterval(entry.interval);
+        entry.toast.dismiss();
+        sendRetryToasts.delete(retryId);
+    }
+
+    function showSendRetryCountdown({ retryId, attempt, maxAttempts, delayMs, reason }) {
+        clearSendRetryToast(retryId);
+        const endsAt = Date.now() + delayMs;
+        const label = () => {
+            const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+            return `Send failed (${describeFailureReason(reason)}) — retrying in ${seconds}s (${attempt}/${maxAttempts})`;
+        };
+        const toast = showNotification(label(), true, {
+            duration: 0,
+            action: {
+                label: 'Cancel',
+                onClick: () => {
+                    clearSendRetryToast(retryId);
+                    window.postMessage({ type: 'SAI_CANCEL_SEND_RETRY', retryId: retryId }, '*');
+                }
+            }
+        });
+        const interval = setInterval(() => {
+            if (Date.now() >= endsAt) {
+                toast.update(`Retrying send (${attempt}/${maxAttempts})…`);
+                clearInterval(interval);
+                return;
+            }
+            toast.update(label());
+        }, 1000);
+        sendRetryToasts.set(retryId, { toast, interval });
+    }
+
+    window.addEventListener('message', (event) => {
+        if (event.source !== window || !event.data) return;
+        if (event.data.type === 'SAI_SEND_RETRY_SCHEDULED') {
+            showSendRetryCountdown(event.data);
+        }
+        if (event.data.type === 'SAI_SEND_RETRY_RESULT') {
+            const { retryId, outcome, attempts } = event.data;
+            clearSendRetryToast(retryId);
+            debugLog('[MsgRecovery] Send retry result:', outcome, 'after', attempts, 'retries');
+            if (outcome === 'sent') {
+                showNotification(attempts === 1 ? 'Message sent on retry' : `Message sent after ${attempts} retries`);
+            } else if (outcome === 'failed') {
+                showNotification(`Send still failing after ${attempts} ${attempts === 1 ? 'retry' : 'retries'}`, true);
+            }
+        }
+    });
+
+    // =========================================================================
+    // OFFLINE QUEUE
+    // =========================================================================
+    //
+    // "Queue and send later" for outages that outlast Send Retry. A failed
+    // send that looks like the backend being down (5xx, timeout, network
+    // error — never a 4xx or an abort) is queued for its conversation, using
+    // the same page-context snapshot as Message Recovery. While the open chat
+    // has queued messages, the page context probes the chat endpoint with
+    // backoff; once it answers, they are sent one at a time through the chat
+    // box, exactly as if typed. Queued messages for other chats wait until
+    // that chat is opened.
+    //
+    // NEVER TWICE
+    //   - An entry is marked 'sending' in storage before Send is clicked and
+    //     only removed once the site confirms it (SAI_USER_MESSAGE_SENT). If
+    //     the page goes away or nothing comes back, it stays 'sending' and is
+    //     shown as "may have been sent" — it is never sent again
+    //     automatically; the user checks the chat and picks Resend or Discard.
+    //   - A successful send of the same text (e.g. the user pressed the site's
+    //     Resubmit) removes the matching entry.
+    //
+    // STORAGE
+    //   - Key: 'offlineQueue' → { [conversationId]: Array<{ id, message,
+    //     characterId, url, queuedAt, status: 'queued' | 'sending' }> }
+    //   - Local only; not part of sync or backups.
+
+    const OFFLINE_QUEUE_STORE_KEY = 'offlineQueue';
+    const OFFLINE_QUEUE_PROBE_DELAYS_MS = [10000, 20000, 40000, 60000, 120000];
+    const OFFLINE_QUEUE_SEND_TIMEOUT_MS = 90000;
+
+    let offlineQueueActive = false;
+    let offlineQueueWriteChain = Promise.resolve();
+    let offlineQueueProbeTimer = null;
+    let offlineQueueProbeStep = 0;
+    let offlineQueueNextProbeAt = null;
+    let offlineQueueProbeUrl = null;
+    let offlineQueueDelivering = null; // { conversationId, id, timer }
+
+    function isBackendDownReason(reason) {
+        const status = /-status-(\d+)$/.exec(reason || '');
+        if (status) {
+            const code = parseInt(status[1], 10);
+            return code === 0 || code >= 500;
+        }
+        return reason === 'xhr-error' || reason === 'xhr-timeout' || reason === 'fetch-throw';
+    }
+
+    async function loadOfflineQueue() {
+        const queue = await storage.get(OFFLINE_QUEUE_STORE_KEY, {});
+        return queue && typeof queue === 'object' ? queue : {};
+    }
+
+    // Serialized read-modify-write so the failure, success and UI paths can't
+    // clobber each other. Resolves to mutate()'s return value.
+    function updateOfflineQueue(mutate) {
+        const run = offlineQueueWriteChain.catch(() => {}).then(async () => {
+            const queue = await loadOfflineQueue();
+            const result = mutate(queue);
+            for (const id of Object.keys(queue)) {
+                if (!Array.isArray(queue[id]) || queue[id].length === 0) delete queue[id];
+            }
+            await storage.set(OFFLINE_QUEUE_STORE_KEY, queue);
+            return result;
+        });
+        offlineQueueWriteChain = run;
+        return run.catch(err => console.error('[MsgRecovery] Failed to update offline queue:', err));
+    }
+
+    async function getOfflineQueueForCurrentChat() {
+        const conversationId = getRouteConversationId();
+        if (!conversationId) return { conversationId: null, entries: [] };
+        const queue = await loadOfflineQueue();
+        return { conversationId, entries: queue[conversationId] || [] };
+    }
+
+    function setOfflineQueueEntryStatus(conversationId, id, status) {
+        return updateOfflineQueue(queue => {
+            const entry = (queue[conversationId] || []).find(e => e.id === id);
+            if (entry) entry.status = status;
+        });
+    }
+
+    function removeOfflineQueueEntries(conversationId, predicate) {
+        return updateOfflineQueue(queue => {
+            const list = queue[conversationId] || [];
+            queue[conversationId] = list.filter(e => !predicate(e));
+            return list.length - queue[conversationId].length;
+        });
+    }
+
+    async function enqueueFailedSend(snapshot, reason) {
+        if (!offlineQueueActive || !snapshot || !snapshot.conversationId || !isBackendDownReason(reason)) return;
+        if (!snapshot.message || !snapshot.message.trim()) return;
+        offlineQueueProbeUrl = snapshot.url || offlineQueueProbeUrl;
+        const conversationId = snapshot.conversationId;
+
+        const added = await updateOfflineQueue(queue => {
+            const list = queue[conversationId] || (queue[conversationId] = []);
+            const existing = list.find(e => e.message.trim() === snapshot.message.trim());
+            if (existing) {
+                // Our own delivery failed outright: definitely not sent, so it can go again
+                existing.status = 'queued';
+                return false;
+            }
+            list.push({
+                id: 'oq_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8),
+                message: snapshot.message,
+                characterId: snapshot.characterId || null,
+                url: snapshot.url || null,
+                queuedAt: Date.now(),
+                status: 'queued'
+            });
+            return true;
+        });
+
+        if (offlineQueueDelivering && offlineQueueDelivering.conversationId === conversationId) {
+            clearTimeout(offlineQueueDelivering.timer);
+            offlineQueueDelivering = null;
+            showNotification('Chat is still unavailable — message stays queued', true);
+        } else if (added) {
+            debugLog('[MsgRecovery] Queued failed send for', conversationId, 'reason:', reason);
+            showNotification('Chat unavailable — message queued, it will be sent when the chat is back');
+        }
+        if (conversationId === getRouteConversationId()) scheduleOfflineProbe();
+        renderOfflineQueueChip();
+    }
+
+    async function onOfflineQueueMessageSent({ conversationId, sentMessage }) {
+        if (!offlineQueueActive || !conversationId) return;
+        const delivered = offlineQueueDelivering && offlineQueueDelivering.conversationId === conversationId;
+        if (delivered) {
+            clearTimeout(offlineQueueDelivering.timer);
+            const id = offlineQueueDelivering.id;
+            offlineQueueDelivering = null;
+            await removeOfflineQueueEntries(conversationId, e => e.id === id);
+            debugLog('[MsgRecovery] Queued message delivered:', id);
+            showNotification('Queued message sent');
+        } else if (sentMessage) {
+            const removed = await removeOfflineQueueEntries(conversationId, e => e.message.trim() === sentMessage.trim());
+            if (removed) debugLog('[MsgRecovery] Queued message was sent manually, dropped from queue');
+        }
+        // A send just went through, so the endpoint is up: carry on with the rest
+        if (conversationId === getRouteConversationId()) {
+            offlineQueueProbeStep = 0;
+            setTimeout(deliverNextQueuedMessage, 1500);
+        }
+        renderOfflineQueueChip();
+    }
+
+    // kind: 'chat' or 'story' — the page context picks the URL itself
+    function probeChatEndpoint(kind) {
+        return new Promise(resolve => {
+            const probeId = 'probe_' + Date.now().toString(36);
+            const done = (up) => {
+                clearTimeout(timeout);
+                window.removeEventListener('message', onResult);
+                resolve(up);
+            };
+            const onResult = (event) => {
+                if (event.source !== window || !event.data) return;
+                if (event.data.type === 'SAI_CHAT_ENDPOINT_PROBE_RESULT' && event.data.probeId === probeId) {
+                    done(!!event.data.up);
+                }
+            };
+            const timeout = setTimeout(() => done(false), 15000);
+            window.addEventListener('message', onResult);
+            window.postMessage({ type: 'SAI_PROBE_CHAT_ENDPOINT', probeId: probeId, endpoint: kind }, '*');
+        });
+    }
+
+    function scheduleOfflineProbe(delayMs) {
+        clearTimeout(offlineQueueProbeTimer);
+        const delay = delayMs !== undefined ? delayMs : OFFLINE_QUEUE_PROBE_DELAYS_MS[offlineQueueProbeStep];
+        offlineQueueNextProbeAt = Date.now() + delay;
+        offlineQueueProbeTimer = setTimeout(runOfflineProbe, delay);
+        renderOfflineQueueChip();
+    }
+
+    async function runOfflineProbe() {
+        offlineQueueProbeTimer = null;
+        offlineQueueNextProbeAt = null;
+        if (!offlineQueueActive || offlineQueueDelivering) return;
+        const { entries } = await getOfflineQueueForCurrentChat();
+        const queued = entries.filter(e => e.status === 'queued');
+        if (queued.length === 0) {
+            renderOfflineQueueChip();
+            return;
+        }
+        renderOfflineQueueChip();
+        const url = offlineQueueProbeUrl || queued[0].url;
+        const up = url ? await probeChatEndpoint(/\/story/i.test(url) ? 'story' : 'chat') : true;
+        if (up) {
+            offlineQueueProbeStep = 0;
+            deliverNextQueuedMessage();
+            return;
+        }
+        offlineQueueProbeStep = Math.min(offlineQueueProbeStep + 1, OFFLINE_QUEUE_PROBE_DELAYS_MS.length - 1);
+        scheduleOfflineProbe();
+    }
+
+    async function deliverNextQueuedMessage() {
+        if (!offlineQueueActive || offlineQueueDelivering) return;
+        const { conversationId, entries } = await getOfflineQueueForCurrentChat();
+        const entry = entries.find(e => e.status === 'queued');
+        if (!entry) {
+            renderOfflineQueueChip();
+            return;
+        }
+
+        const textarea = findChatTextarea();
+        if (!textarea || textarea.value.trim()) {
+            // Don't touch what the user is typing; look again shortly
+            scheduleOfflineProbe(OFFLINE_QUEUE_PROBE_DELAYS_MS[0]);
+            return;
+        }
+
+        // Marked before anything is clicked: from here on it is never resent on its own
+        await setOfflineQueueEntryStatus(conversationId, entry.id, 'sending');
+        // Queued text isn't something the user is typing: keep it out of the draft
+        withoutDraftSave(() => setReactTextareaValue(textarea, entry.message));
+        await new Promise(resolve => setTimeout(resolve, 150)); // let React enable Send
+
+        const sendButton = document.querySelector('button[aria-label="send-message"]');
+        if (!sendButton || sendButton.disabled) {
+            await setOfflineQueueEntryStatus(conversationId, entry.id, 'queued');
+            withoutDraftSave(() => setReactTextareaValue(textarea, ''));
+            showNotification('Could not find the Send button — queued message kept', true);
+            scheduleOfflineProbe(OFFLINE_QUEUE_PROBE_DELAYS_MS[OFFLINE_QUEUE_PROBE_DELAYS_MS.length - 1]);
+            return;
+        }
+
+        offlineQueueDelivering = {
+            conversationId: conversationId,
+            id: entry.id,
+            // No confirmation and no failure: leave it as 'sending' for the user to check
+            timer: setTimeout(() => {
+                offlineQueueDelivering = null;
+                renderOfflineQueueChip();
+            }, OFFLINE_QUEUE_SEND_TIMEOUT_MS)
+        };
+        debugLog('[MsgRecovery] Sending queued message', entry.id, 'for', conversationId);
+        sendButton.click();
+        renderOfflineQueueChip();
+    }
+
+    // Status pill above the chat box while this chat has queued messages. Redrawn when
+    // the queue changes in storage (see initOfflineQueue) and when the probe or
+    // delivery state changes; there is no timer.
+    async function renderOfflineQueueChip() {
+        const { conversationId, entries } = offlineQueueActive && isOnChatPage()
+            ? await getOfflineQueueForCurrentChat()
+            : { conversationId: null, entries: [] };
+        // Looked up after the read so overlapping renders share one chip
+        let chip = document.getElementById('sai-offline-queue-chip');
+
+        if (entries.length === 0) {
+            if (chip) chip.remove();
+            return;
+        }
+
+        if (!chip) {
+            chip = document.createElement('div');
+            chip.id = 'sai-offline-queue-chip';
+            chip.style.cssText = 'position: fixed; bottom: 96px; right: 20px; z-index: 10000002; display: flex; align-items: center; gap: 8px; max-width: 420px; padding: 8px 12px; border-radius: 999px; background: rgba(0, 0, 0, 0.85); color: white; font-size: 13px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);';
+            document.body.appendChild(chip);
+        }
+
+        const queued = entries.filter(e => e.status === 'queued');
+        const uncertain = offlineQueueDelivering ? [] : entries.filter(e => e.status === 'sending');
+        let text;
+        if (offlineQueueDelivering) {
+            text = '📤 Sending queued message…';
+        } else if (uncertain.length) {
+            text = `⚠ ${uncertain.length === 1 ? 'A queued message' : uncertain.length + ' queued messages'} may have been sent — check the chat`;
+        } else {
+            text = `📤 ${queued.length} queued · chat unavailable` + (offlineQueueNextProbeAt
+                ? ` — next check ${new Date(offlineQueueNextProbeAt).toLocaleTimeString()}`
+                : ' — checking…');
+        }
+
+        const button = (label, onClick) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = label;
+            btn.style.cssText = 'padding: 2px 10px; background: transparent; color: white; border: 1px solid rgba(255,255,255,0.5); border-radius: 999px; cursor: pointer; font-size: 12px; white-space: nowrap;';
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                onClick();
+            };
+            return btn;
+        };
+
+        const label = document.createElement('span');
+        label.textContent = text;
+        label.title = entries.map(e => `${new Date(e.queuedAt).toLocaleTimeString()} — ${e.message.length > 120 ? e.message.slice(0, 120) + '…' : e.message}`).join('\n');
+        const children = [label];
+        if (uncertain.length) {
+            children.push(button('Resend', async () => {
+                for (const e of uncertain) await setOfflineQueueEntryStatus(conversationId, e.id, 'queued');
+                offlineQueueProbeStep = 0;
+                scheduleOfflineProbe(0);
+            }));
+            children.push(button('Discard', async () => {
+                const ids = new Set(uncertain.map(e => e.id));
+                await removeOfflineQueueEntries(conversationId, e => ids.has(e.id));
+                renderOfflineQueueChip();
+            }));
+        } else if (!offlineQueueDelivering) {
+            children.push(button('Check now', () => scheduleOfflineProbe(0)));
+            children.push(button('Discard', async () => {
+                if (!confirm(`Discard ${queued.length} queued message${queued.length === 1 ? '' : 's'} for this chat?`)) return;
+                await removeOfflineQueueEntries(conversationId, e => e.status === 'queued');
+                renderOfflineQueueChip();
+            }));
+        }
+        chip.replaceChildren(...children);
+    }
+
+    // Called on SAI_MESSAGES_LOADED: pick the queue back up for this chat
+    async function resumeOfflineQueue(conversationId) {
+        if (!offlineQueueActive || !conversationId) return;
+        const queue = await loadOfflineQueue();
+        if (!(queue[conversationId] || []).length) {
+            renderOfflineQueueChip();
+            return;
+        }
+        offlineQueueProbeStep = 0;
+        scheduleOfflineProbe(2000);
+    }
+
+    async function initOfflineQueue() {
+        offlineQueueActive = await storage.get(OFFLINE_QUEUE_KEY, false);
+        debugLog('[MsgRecovery] Offline queue enabled:', offlineQueueActive);
+        if (!offlineQueueActive) return;
+
+        window.addEventListener('message', (event) => {
+            if (event.source !== window || !event.data) return;
+            if (event.data.type === 'SAI_MESSAGE_SEND_FAILED') {
+                enqueueFailedSend(event.data.snapshot, event.data.reason);
+            }
+            if (event.data.type === 'SAI_USER_MESSAGE_SENT') {
+                onOfflineQueueMessageSent(event.data);
+            }
+        });
+        // Covers every write, including ones from this chat open in another tab
+        storage.onChanged((changes) => {
+            if (changes && changes[OFFLINE_QUEUE_STORE_KEY]) renderOfflineQueueChip();
+        });
+    }
+
+    // Show export dropdown menu
+    function showExportMenu(anchorButton) {
+        // Remove any existing menu
+        const existingMenu = document.getElementById('sai-export-menu');
+        if (existingMenu) {
+            existingMenu.remove();
+            return; // Toggle off if already open
+        }
+        
+        // Create dropdown menu
+        const menu = document.createElement('div');
+        menu.id = 'sai-export-menu';
+        menu.style.cssText = `
+            position: fixed;
+            z-index: 10000005;
+            background: white;
+            border: 1px solid #e5e7eb;
+            border-radius: 8px;
+            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+            min-width: 160px;
+            padding: 4px;
+        `;
+        
+        // Check for dark mode
+        const isDarkMode = document.documentElement.classList.contains('dark') || 
+                          window.matchMedia('(prefers-color-scheme: dark)').matches;
+        if (isDarkMode) {
+            menu.style.background = '#353535';
+            menu.style.borderColor = '#374151';
+            menu.style.color = 'white';
+        }
+        
+        // Create menu items
+        const menuItems = [
+            { label: 'Export as JSON', icon: '{}', action: () => exportChatAsJSON() },
+            { label: 'Export as HTML', icon: '📄', action: () => exportChatAsHTML() },
+            { label: 'Export as Markdown', icon: 'MD', action: () => exportChatAsMarkdown() },
+            { label: 'Export as Text', icon: 'TXT', action: () => exportChatAsText() },
+            { label: 'Export all chats (ZIP)', icon: '🗂', action: () => exportAllChatsForCharacter() }
+        ];
+        
         menuItems.forEach(item => {
             const menuItem = document.createElement('button');
             menuItem.style.cssText = `
@@ -8524,6 +10462,30 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             
             menu.appendChild(menuItem);
         });
+
+        // "Include stats" toggle for the Markdown/TXT exporters (persisted)
+        const statsToggle = document.createElement('label');
+        statsToggle.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 12px;
+            margin-top: 4px;
+            border-top: 1px solid ${isDarkMode ? '#4b5563' : '#e5e7eb'};
+            font-size: 13px;
+            cursor: pointer;
+            color: ${isDarkMode ? '#d1d5db' : '#6b7280'};
+        `;
+        const statsCheckbox = document.createElement('input');
+        statsCheckbox.type = 'checkbox';
+        storage.get(EXPORT_INCLUDE_STATS_KEY, false).then(v => { statsCheckbox.checked = !!v; });
+        statsCheckbox.addEventListener('change', () => storage.set(EXPORT_INCLUDE_STATS_KEY, statsCheckbox.checked));
+        const statsLabel = document.createElement('span');
+        statsLabel.textContent = 'Include stats (MD/TXT)';
+        statsToggle.appendChild(statsCheckbox);
+        statsToggle.appendChild(statsLabel);
+        statsToggle.addEventListener('click', (e) => e.stopPropagation());
+        menu.appendChild(statsToggle);
         
         // Position the menu below the button
         const rect = anchorButton.getBoundingClientRect();
@@ -8543,7 +10505,8 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
     }
     
     // Fetch all messages from the API (without limit)
-    async function fetchAllChatMessages() {
+    // Character/conversation IDs for the chat in the URL
+    function getChatRouteIds() {
         // URL format: /chat/{characterId}/{conversationId} or /{language}/chat/{characterId}/{conversationId}
         const pathParts = window.location.pathname.split('/').filter(p => p);
         // pathParts should be: ['chat', characterId, conversationId] or ['en', 'chat', ...] or ['Chat', ...]
@@ -8570,14 +10533,27 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         
         debugLog('[Export] Character ID:', characterId);
         debugLog('[Export] Conversation ID:', conversationId);
-        
+        return { characterId, conversationId };
+    }
+    
+    async function fetchAllChatMessages() {
+        const { characterId, conversationId } = getChatRouteIds();
+        return requestChatData(characterId, conversationId);
+    }
+    
+    // Fetch one conversation (messages + character) through page-context.js
+    function requestChatData(characterId, conversationId) {
         return new Promise((resolve, reject) => {
             // Use postMessage to communicate with page-context.js instead of inline script
             // This avoids CSP issues with inline script injection
+            // Tag the request so concurrent callers (an export and a background search
+            // index) each resolve with their own response.
+            const requestId = 'exp_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
             const handler = (event) => {
                 // Only handle our specific response
                 if (event.source !== window) return;
                 if (event.data.type !== 'SAI_EXPORT_CHAT_RESPONSE') return;
+                if (event.data.requestId !== requestId) return;
                 
                 window.removeEventListener('message', handler);
                 
@@ -8593,7 +10569,8 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             window.postMessage({
                 type: 'SAI_EXPORT_CHAT_REQUEST',
                 characterId: characterId,
-                conversationId: conversationId
+                conversationId: conversationId,
+                requestId: requestId
             }, '*');
             
             // Timeout after 30 seconds
@@ -8604,6 +10581,40 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         });
     }
     
+    // List every conversation with a character through page-context.js
+    function requestConversationList(characterId) {
+        return new Promise((resolve, reject) => {
+            const requestId = 'list_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
+            const handler = (event) => {
+                if (event.source !== window) return;
+                if (event.data.type !== 'SAI_LIST_CONVERSATIONS_RESPONSE') return;
+                if (event.data.requestId !== requestId) return;
+                
+                window.removeEventListener('message', handler);
+                
+                if (event.data.success) {
+                    resolve(event.data.conversations || []);
+                } else {
+                    // unsupported: the list endpoint answered with something we can't use
+                    reject(Object.assign(new Error(event.data.error || 'Failed to list conversations'),
+                        { unsupported: !!event.data.unsupported }));
+                }
+            };
+            window.addEventListener('message', handler);
+            
+            window.postMessage({
+                type: 'SAI_LIST_CONVERSATIONS_REQUEST',
+                characterId: characterId,
+                requestId: requestId
+            }, '*');
+            
+            setTimeout(() => {
+                window.removeEventListener('message', handler);
+                reject(new Error('Conversation list request timed out after 30 seconds'));
+            }, 30000);
+        });
+    }
+    
     // Export chat as JSON
     async function exportChatAsJSON() {
         try {
@@ -8612,30 +10623,12 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             const { messages, character } = await fetchAllChatMessages();
             
             debugLog('[Export] Data received - messages:', messages?.messages?.length || 0, 'character:', character?.name || 'unknown');
+            indexChatForSearch(messages, character).catch(() => {});
             
-            const exportData = {
-                exportedAt: new Date().toISOString(),
-                exportedBy: 'S.AI Toolkit',
-                character: character ? {
-                    id: character.id,
-                    name: character.name,
-                    title: character.title,
-                    avatar_url: character.avatar_url
-                } : null,
-                conversationId: messages.conversation_id,
-                userPersona: messages.userPersona,
-                messageCount: messages.messages?.length || 0,
-                messages: messages.messages || []
-            };
+            const exportData = buildChatExportData(messages, character);
             
             // Build filename with chat label if available
-            const chatLabel = window.__saiChatLabel;
-            const characterName = character?.name || 'export';
-            const safeCharName = characterName.replace(/[^a-zA-Z0-9-_ ]/g, '').trim();
-            const dateStr = new Date().toISOString().slice(0, 10);
-            const filename = chatLabel 
-                ? `chat-${safeCharName}-${chatLabel.replace(/[^a-zA-Z0-9-_ ]/g, '').trim()}-${dateStr}.json`
-                : `chat-${safeCharName}-${dateStr}.json`;
+            const filename = buildChatExportFilename(character?.name, 'json');
             downloadFile(JSON.stringify(exportData, null, 2), filename, 'application/json');
             
             debugLog('[Export] JSON export complete:', filename, 'with', exportData.messageCount, 'messages');
@@ -8645,135 +10638,883 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         }
     }
     
+    // The JSON export document for one conversation (also used per chat in bulk ZIPs)
+    function buildChatExportData(messages, character) {
+        return {
+            exportedAt: new Date().toISOString(),
+            exportedBy: 'S.AI Toolkit',
+            character: character ? {
+                id: character.id,
+                name: character.name,
+                title: character.title,
+                avatar_url: character.avatar_url
+            } : null,
+            conversationId: messages.conversation_id,
+            label: messages.label || null,
+            userPersona: messages.userPersona,
+            messageCount: messages.messages?.length || 0,
+            messages: messages.messages || []
+        };
+    }
+    
     // Export chat as formatted HTML with embedded images (data URLs)
     async function exportChatAsHTML() {
         try {
             debugLog('[Export] Starting HTML export...');
             
-            // Fetch custom style settings for highlight colors
-            const customStyleEnabled = await storage.get(CUSTOM_STYLE_KEY, false);
-            const customStyleValuesStr = await storage.get(CUSTOM_STYLE_VALUES_KEY, JSON.stringify(DEFAULT_CUSTOM_STYLE));
-            const customStyleValues = JSON.parse(customStyleValuesStr);
-            
             const { messages, character } = await fetchAllChatMessages();
+            indexChatForSearch(messages, character).catch(() => {});
             
-            const botName = character?.name || 'Bot';
-            const safeBotName = botName.replace(/[^a-zA-Z0-9-_ ]/g, '').trim();
+            const html = await buildChatHTML(messages, character);
             
-            // Build full avatar URL - avatars are served from cdn.nd-api.com
-            const buildAvatarUrl = (avatarPath) => {
-                if (!avatarPath) return null;
-                if (avatarPath.startsWith('http')) return avatarPath;
-                // Avatar paths like "avatars/xxx.png" need cdn.nd-api.com prefix
-                return `https://cdn.nd-api.com/${avatarPath}`;
-            };
+            // Build filename with chat label if available
+            const filename = buildChatExportFilename(character?.name || 'Bot', 'html');
+            downloadFile(html, filename, 'text/html');
             
-            const botAvatarUrl = buildAvatarUrl(character?.avatar_url);
-            
-            const userPersona = messages.userPersona || {};
-            const userName = userPersona.name || 'User';
-            const userAvatarUrl = buildAvatarUrl(userPersona.avatar_url);
-            
-            debugLog('[Export] Bot avatar URL:', botAvatarUrl);
-            debugLog('[Export] User avatar URL:', userAvatarUrl);
-            debugLog('[Export] Fetching avatar images...');
-            
-            // Build sub-character map for group chats
-            // Maps character_id -> { name, avatar_url }
-            const subCharacterMap = {};
-            if (character?.sub_characters && Array.isArray(character.sub_characters)) {
-                debugLog('[Export] Group chat detected with', character.sub_characters.length, 'sub-characters');
-                for (const subChar of character.sub_characters) {
-                    if (subChar.id) {
-                        subCharacterMap[subChar.id] = {
-                            name: subChar.name || 'Bot',
-                            avatarUrl: buildAvatarUrl(subChar.avatar_url)
-                        };
-                        debugLog('[Export] Sub-character:', subChar.id, '->', subChar.name);
+            debugLog('[Export] HTML export complete:', filename);
+        } catch (error) {
+            console.error('[Export] HTML export failed:', error);
+            alert('Failed to export chat: ' + error.message);
+        }
+    }
+    
+    // Render one conversation as a standalone HTML page (avatars embedded as data URLs).
+    // imageCache (url -> pending fetch) lets a bulk export fetch each avatar once.
+    async function buildChatHTML(messages, character, { imageCache = null } = {}) {
+        // Fetch custom style settings for highlight colors
+        const customStyleEnabled = await storage.get(CUSTOM_STYLE_KEY, false);
+        const customStyleValuesStr = await storage.get(CUSTOM_STYLE_VALUES_KEY, JSON.stringify(DEFAULT_CUSTOM_STYLE));
+        const customStyleValues = JSON.parse(customStyleValuesStr);
+        
+        const botName = character?.name || 'Bot';
+        
+        // Build full avatar URL - avatars are served from cdn.nd-api.com
+        const buildAvatarUrl = (avatarPath) => {
+            if (!avatarPath) return null;
+            if (avatarPath.startsWith('http')) return avatarPath;
+            // Avatar paths like "avatars/xxx.png" need cdn.nd-api.com prefix
+            return `https://cdn.nd-api.com/${avatarPath}`;
+        };
+        
+        const botAvatarUrl = buildAvatarUrl(character?.avatar_url);
+        
+        const userPersona = messages.userPersona || {};
+        const userName = userPersona.name || 'User';
+        const userAvatarUrl = buildAvatarUrl(userPersona.avatar_url);
+        
+        debugLog('[Export] Bot avatar URL:', botAvatarUrl);
+        debugLog('[Export] User avatar URL:', userAvatarUrl);
+        debugLog('[Export] Fetching avatar images...');
+        const fetchAvatar = (url) => {
+            if (!imageCache) return fetchImageAsBase64(url);
+            if (!imageCache.has(url)) imageCache.set(url, fetchImageAsBase64(url));
+            return imageCache.get(url);
+        };
+        
+        // Build sub-character map for group chats
+        // Maps character_id -> { name, avatar_url }
+        const subCharacterMap = {};
+        if (character?.sub_characters && Array.isArray(character.sub_characters)) {
+            debugLog('[Export] Group chat detected with', character.sub_characters.length, 'sub-characters');
+            for (const subChar of character.sub_characters) {
+                if (subChar.id) {
+                    subCharacterMap[subChar.id] = {
+                        name: subChar.name || 'Bot',
+                        avatarUrl: buildAvatarUrl(subChar.avatar_url)
+                    };
+                    debugLog('[Export] Sub-character:', subChar.id, '->', subChar.name);
+                }
+            }
+        }
+        const isGroupChat = Object.keys(subCharacterMap).length > 0;
+        
+        // Fetch and convert images to data URLs
+        let botImageDataUrl = botAvatarUrl; // Fallback to original URL
+        let userImageDataUrl = userAvatarUrl; // Fallback to original URL
+        
+        if (botAvatarUrl) {
+            try {
+                const imageData = await fetchAvatar(botAvatarUrl);
+                if (imageData) {
+                    botImageDataUrl = `data:${imageData.mimeType};base64,${imageData.base64}`;
+                    debugLog('[Export] Bot avatar embedded successfully');
+                }
+            } catch (e) {
+                debugLog('[Export] Failed to fetch bot avatar, using URL fallback:', e.message);
+            }
+        }
+        
+        if (userAvatarUrl) {
+            try {
+                const imageData = await fetchAvatar(userAvatarUrl);
+                if (imageData) {
+                    userImageDataUrl = `data:${imageData.mimeType};base64,${imageData.base64}`;
+                    debugLog('[Export] User avatar embedded successfully');
+                }
+            } catch (e) {
+                debugLog('[Export] Failed to fetch user avatar, using URL fallback:', e.message);
+            }
+        }
+        
+        // For group chats, fetch and embed avatars for each sub-character
+        const subCharacterImageMap = {}; // character_id -> data URL or original URL
+        if (isGroupChat) {
+            for (const [charId, charInfo] of Object.entries(subCharacterMap)) {
+                subCharacterImageMap[charId] = charInfo.avatarUrl; // Default to URL
+                if (charInfo.avatarUrl) {
+                    try {
+                        const imageData = await fetchAvatar(charInfo.avatarUrl);
+                        if (imageData) {
+                            subCharacterImageMap[charId] = `data:${imageData.mimeType};base64,${imageData.base64}`;
+                            debugLog('[Export] Sub-character avatar embedded:', charInfo.name);
+                        }
+                    } catch (e) {
+                        debugLog('[Export] Failed to fetch sub-character avatar for', charInfo.name, ':', e.message);
                     }
                 }
             }
-            const isGroupChat = Object.keys(subCharacterMap).length > 0;
-            
-            // Fetch and convert images to data URLs
-            let botImageDataUrl = botAvatarUrl; // Fallback to original URL
-            let userImageDataUrl = userAvatarUrl; // Fallback to original URL
-            
-            if (botAvatarUrl) {
-                try {
-                    const imageData = await fetchImageAsBase64(botAvatarUrl);
-                    if (imageData) {
-                        botImageDataUrl = `data:${imageData.mimeType};base64,${imageData.base64}`;
-                        debugLog('[Export] Bot avatar embedded successfully');
+        }
+        
+        // Build the HTML with embedded data URLs
+        return generateChatHTML({
+            botName,
+            botImageUrl: botImageDataUrl,
+            userName,
+            userImageUrl: userImageDataUrl,
+            characterTitle: character?.title || '',
+            conversationId: messages.conversation_id,
+            messages: messages.messages || [],
+            exportedAt: new Date().toISOString(),
+            // Group chat support
+            isGroupChat,
+            subCharacterMap,
+            subCharacterImageMap,
+            // Custom style colors for backtick formatting
+            highlightBgColor: customStyleEnabled && customStyleValues.highlightBgColor ? customStyleValues.highlightBgColor : '#ffdd6d',
+            highlightTextColor: customStyleEnabled && customStyleValues.highlightTextColor ? customStyleValues.highlightTextColor : '#000000'
+        });
+    }
+
+    // =====================================================================
+    // MARKDOWN / PLAIN-TEXT EXPORT
+    // =====================================================================
+    // Both formats reuse parseFormattedText so *narration*, **bold**, ***bold
+    // narration***, `highlight` and "dialogue" are detected exactly the way the
+    // WYSIWYG editor sees them. Markdown re-emits the markers as real emphasis and
+    // escapes everything else; TXT keeps the markers verbatim (they ARE the plain-text
+    // convention). Per-message stats are optional: footnotes in Markdown, a bracketed
+    // line under the speaker in TXT. The choice is remembered in 'exportIncludeStats'.
+
+    const EXPORT_INCLUDE_STATS_KEY = 'exportIncludeStats';
+
+    // Escape characters Markdown would otherwise interpret inside plain prose.
+    function escapeMarkdown(str) {
+        return str.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    }
+
+    // Walk parseFormattedText's span output and rebuild it as Markdown. Emphasis
+    // markers must hug the text, so edge whitespace is moved outside the markers.
+    function messageContentToMarkdown(content) {
+        const wrap = (marker, inner) => {
+            const m = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            return m[2] ? `${m[1]}${marker}${m[2]}${marker}${m[3]}` : inner;
+        };
+        const strip = (text, n) => text.slice(n, text.length - n);
+        const render = (nodes) => {
+            let out = '';
+            for (const node of nodes) {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    out += escapeMarkdown(node.nodeValue);
+                    continue;
+                }
+                const cls = node.className || '';
+                if (cls === 'wysiwyg-highlight') {
+                    out += '`' + strip(node.textContent, 1).replace(/`/g, "'") + '`';
+                } else if (cls === 'wysiwyg-bold-narration') {
+                    out += wrap('***', escapeMarkdown(strip(node.textContent, 3)));
+                } else if (cls === 'wysiwyg-bold') {
+                    out += wrap('**', escapeMarkdown(strip(node.textContent, 2)));
+                } else if (cls === 'wysiwyg-narration') {
+                    // Children: "*…" text, nested dialogue/highlight spans, "…*" text
+                    const children = Array.from(node.childNodes);
+                    const first = children[0];
+                    const last = children[children.length - 1];
+                    if (first && first.nodeType === Node.TEXT_NODE) first.nodeValue = first.nodeValue.slice(1);
+                    if (last && last.nodeType === Node.TEXT_NODE) last.nodeValue = last.nodeValue.slice(0, -1);
+                    out += wrap('*', render(children));
+                } else {
+                    // wysiwyg-dialogue and anything unexpected: keep the text, quotes included
+                    out += render(Array.from(node.childNodes));
+                }
+            }
+            return out;
+        };
+        const md = render(Array.from(parseHTMLToFragment(parseFormattedText(content || '')).childNodes));
+        // Single newlines are soft breaks in Markdown — force hard breaks, keep paragraphs.
+        return md.replace(/\r\n/g, '\n').replace(/([^\n])\n(?!\n)/g, '$1  \n');
+    }
+
+    // Merge what the API returns on a bot message with the richer toolkit stats
+    // record (the stored "request → engine" model wins when present).
+    function describeMessageStats(msg, storedStats) {
+        const api = msg.inference_settings || {};
+        const s = storedStats || {};
+        const parts = [];
+        const model = s.model || msg.inference_model;
+        if (model) parts.push(model);
+        const temperature = s.temperature ?? api.temperature;
+        if (temperature != null) parts.push(`temp ${temperature}`);
+        const topP = s.top_p ?? api.top_p;
+        if (topP != null) parts.push(`top_p ${topP}`);
+        const topK = s.top_k ?? api.top_k;
+        if (topK != null) parts.push(`top_k ${topK}`);
+        const maxTokens = s.max_tokens ?? api.max_new_tokens;
+        if (maxTokens != null) parts.push(`${maxTokens} max tokens`);
+        if (msg.createdAt) parts.push(new Date(msg.createdAt).toLocaleString());
+        return parts.join(' · ');
+    }
+
+    // Resolve the display name for a message (user persona, bot, or group sub-character).
+    function exportSpeakerName(msg, character, userName) {
+        if (msg.role !== 'bot') return userName;
+        if (msg.character_id && Array.isArray(character?.sub_characters)) {
+            const sub = character.sub_characters.find(c => c.id === msg.character_id);
+            if (sub && sub.name) return sub.name;
+        }
+        return character?.name || 'Bot';
+    }
+
+    function buildChatExportFilename(characterName, extension, chatLabel = window.__saiChatLabel) {
+        const safeCharName = (characterName || 'export').replace(/[^a-zA-Z0-9-_ ]/g, '').trim();
+        const dateStr = new Date().toISOString().slice(0, 10);
+        return chatLabel
+            ? `chat-${safeCharName}-${chatLabel.replace(/[^a-zA-Z0-9-_ ]/g, '').trim()}-${dateStr}.${extension}`
+            : `chat-${safeCharName}-${dateStr}.${extension}`;
+    }
+
+    // Shared prep for the text exporters: names, label and (optionally) stats.
+    async function prepareTextExport(messages, character) {
+        const includeStats = await storage.get(EXPORT_INCLUDE_STATS_KEY, false);
+        const statsMap = includeStats ? await loadCharacterStats(character?.id || getCurrentCharacterId()) : {};
+        return {
+            character,
+            conversationId: messages.conversation_id,
+            userName: messages.userPersona?.name || 'User',
+            label: messages.label !== undefined ? messages.label : window.__saiChatLabel,
+            // Oldest first, as in the HTML export
+            list: [...(messages.messages || [])].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)),
+            includeStats,
+            statsMap
+        };
+    }
+
+    function buildChatMarkdown(data) {
+        const botName = data.character?.name || 'Bot';
+        const yamlString = (v) => JSON.stringify(String(v ?? ''));
+
+        const lines = [
+            '---',
+            `title: ${yamlString(data.label ? `${botName} (${data.label})` : botName)}`,
+            `character: ${yamlString(botName)}`,
+            `character_id: ${yamlString(data.character?.id)}`,
+            `conversation_id: ${yamlString(data.conversationId)}`,
+            `exported_at: ${yamlString(new Date().toISOString())}`,
+            'exported_by: "S.AI Toolkit"',
+            `message_count: ${data.list.length}`,
+            '---',
+            '',
+            `# ${escapeMarkdown(botName)}`,
+            ''
+        ];
+        if (data.character?.title) lines.push(`> ${escapeMarkdown(data.character.title)}`, '');
+
+        const footnotes = [];
+        for (const msg of data.list) {
+            let heading = `**${escapeMarkdown(exportSpeakerName(msg, data.character, data.userName))}**`;
+            if (msg.is_alternative) heading += ' _(alternative)_';
+            if (data.includeStats && msg.role === 'bot') {
+                const desc = describeMessageStats(msg, data.statsMap[msg.id]);
+                if (desc) {
+                    footnotes.push(`[^${footnotes.length + 1}]: ${escapeMarkdown(desc)}`);
+                    heading += `[^${footnotes.length}]`;
+                }
+            }
+            lines.push(heading, '', messageContentToMarkdown(msg.content), '', '---', '');
+        }
+        if (footnotes.length) lines.push(...footnotes, '');
+        return lines.join('\n');
+    }
+
+    function buildChatText(data) {
+        const botName = data.character?.name || 'Bot';
+        const lines = [
+            data.label ? `${botName} (${data.label})` : botName,
+            `Exported ${new Date().toLocaleString()} by S.AI Toolkit — ${data.list.length} messages`,
+            ''
+        ];
+        for (const msg of data.list) {
+            lines.push(`${exportSpeakerName(msg, data.character, data.userName)}${msg.is_alternative ? ' (alternative)' : ''}:`);
+            if (data.includeStats && msg.role === 'bot') {
+                const desc = describeMessageStats(msg, data.statsMap[msg.id]);
+                if (desc) lines.push(`[${desc}]`);
+            }
+            lines.push((msg.content || '').replace(/\r\n/g, '\n'), '');
+        }
+        return lines.join('\n');
+    }
+
+    async function exportChatAsMarkdown() {
+        try {
+            debugLog('[Export] Starting Markdown export...');
+            const { messages, character } = await fetchAllChatMessages();
+            indexChatForSearch(messages, character).catch(() => {});
+            const data = await prepareTextExport(messages, character);
+
+            const filename = buildChatExportFilename(character?.name || 'Bot', 'md');
+            downloadFile(buildChatMarkdown(data), filename, 'text/markdown');
+            debugLog('[Export] Markdown export complete:', filename, 'with', data.list.length, 'messages');
+        } catch (error) {
+            console.error('[Export] Markdown export failed:', error);
+            alert('Failed to export chat: ' + error.message);
+        }
+    }
+
+    async function exportChatAsText() {
+        try {
+            debugLog('[Export] Starting TXT export...');
+            const { messages, character } = await fetchAllChatMessages();
+            indexChatForSearch(messages, character).catch(() => {});
+            const data = await prepareTextExport(messages, character);
+
+            const filename = buildChatExportFilename(character?.name || 'Bot', 'txt');
+            downloadFile(buildChatText(data), filename, 'text/plain');
+            debugLog('[Export] TXT export complete:', filename, 'with', data.list.length, 'messages');
+        } catch (error) {
+            console.error('[Export] TXT export failed:', error);
+            alert('Failed to export chat: ' + error.message);
+        }
+    }
+
+    // =====================================================================
+    // BULK EXPORT (every conversation with a character → one ZIP)
+    // =====================================================================
+    // Lists the character's conversations through page-context.js, then fetches
+    // them one at a time through the same SAI_EXPORT_CHAT_REQUEST channel as the
+    // single-chat exporters. Requests are spaced out (and backed off on 429) so a
+    // large history doesn't hammer the API. Output: one JSON + one HTML file per
+    // chat plus manifest.json, packed into an uncompressed ZIP.
+
+    const BULK_EXPORT_DELAY_MS = 1500;
+    const BULK_EXPORT_RATE_LIMIT_BACKOFF_MS = 15000;
+
+    let crc32Table = null;
+    function crc32(bytes) {
+        if (!crc32Table) {
+            crc32Table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                crc32Table[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Minimal ZIP writer (STORE method, UTF-8 names). files: [{ name, data: string|Uint8Array }]
+    function buildZipArchive(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const nameBytes = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);          // version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 file names
+            local.setUint16(8, 0, true);           // STORE
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);        // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let pos = 0;
+        for (const part of parts) {
+            zip.set(part, pos);
+            pos += part.length;
+        }
+        return zip;
+    }
+
+    // Small fixed progress panel with a Cancel button
+    function createBulkExportProgress() {
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: rgba(0, 0, 0, 0.85);
+            color: white;
+            padding: 12px 16px;
+            border-radius: 8px;
+            z-index: 10000003;
+            font-size: 14px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+            animation: slideIn 0.3s ease-out;
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            max-width: 400px;
+        `;
+        const text = document.createElement('span');
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = `
+            background: transparent;
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.5);
+            border-radius: 6px;
+            padding: 4px 10px;
+            cursor: pointer;
+            font-size: 13px;
+        `;
+        panel.appendChild(text);
+        panel.appendChild(cancelBtn);
+        document.body.appendChild(panel);
+
+        const progress = {
+            cancelled: false,
+            update(message) { text.textContent = message; },
+            close() { panel.remove(); }
+        };
+        cancelBtn.addEventListener('click', () => {
+            progress.cancelled = true;
+            cancelBtn.disabled = true;
+            text.textContent = 'Cancelling after the current chat...';
+        });
+        return progress;
+    }
+
+    let bulkExportRunning = false;
+
+    async function exportAllChatsForCharacter() {
+        if (bulkExportRunning) {
+            showNotification('A bulk export is already running.', true);
+            return;
+        }
+        if (isIOS()) {
+            alert('Exporting all chats as a ZIP is not supported on iOS. Export chats one at a time instead.');
+            return;
+        }
+
+        bulkExportRunning = true;
+        const progress = createBulkExportProgress();
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        try {
+            const { characterId, conversationId } = getChatRouteIds();
+            progress.update('Listing conversations...');
+            let conversations;
+            try {
+                conversations = await requestConversationList(characterId);
+            } catch (error) {
+                if (!error.unsupported || !conversationId) throw error;
+                // Without the list only the open chat is known; offer that rather than nothing
+                console.warn('[Export] Conversation list unavailable:', error.message);
+                if (!confirm(`${error.message}.\n\nExport just the chat that is open instead?`)) return;
+                conversations = [{ id: conversationId, label: null, createdAt: null, updatedAt: null }];
+            }
+            if (conversations.length === 0) {
+                throw new Error('No conversations found for this character');
+            }
+            // The open chat is missing from a list that should hold every chat, so
+            // the list can't be trusted to be complete
+            if (conversationId && !conversations.some(c => String(c.id) === conversationId)) {
+                throw new Error('The conversation list from SpicyChat is missing the open chat, so it may be incomplete — bulk export cancelled');
+            }
+            debugLog('[Export] Bulk export:', conversations.length, 'conversations for character', characterId);
+
+            const files = [];
+            const exported = [];
+            const failed = [];
+            const usedNames = new Set();
+            const avatarCache = new Map();
+            let character = null;
+
+            for (let i = 0; i < conversations.length && !progress.cancelled; i++) {
+                const conv = conversations[i];
+                progress.update(`Exporting chat ${i + 1} of ${conversations.length}...`);
+                if (i > 0) await sleep(BULK_EXPORT_DELAY_MS);
+
+                let data = null;
+                for (let attempt = 0; attempt < 2 && !data; attempt++) {
+                    try {
+                        data = await requestChatData(characterId, conv.id);
+                    } catch (error) {
+                        if (attempt === 0 && /\b429\b/.test(error.message)) {
+                            debugLog('[Export] Bulk export rate-limited, backing off');
+                            progress.update(`Rate-limited — waiting before chat ${i + 1} of ${conversations.length}...`);
+                            await sleep(BULK_EXPORT_RATE_LIMIT_BACKOFF_MS);
+                            continue;
+                        }
+                        debugLog('[Export] Bulk export failed for conversation', conv.id, error.message);
+                        failed.push({ conversationId: conv.id, error: error.message });
+                        break;
                     }
-                } catch (e) {
-                    debugLog('[Export] Failed to fetch bot avatar, using URL fallback:', e.message);
                 }
+                if (!data) continue;
+
+                const { messages } = data;
+                character = character || data.character;
+                indexChatForSearch(messages, data.character).catch(() => {});
+
+                // Readable, unique base name: index, label (if any), short id
+                const label = (messages.label || conv.label || '').replace(/[^a-zA-Z0-9-_ ]/g, '').trim().slice(0, 60);
+                let baseName = `${String(i + 1).padStart(3, '0')}${label ? '-' + label : ''}-${String(conv.id).slice(0, 8)}`;
+                while (usedNames.has(baseName)) baseName += '_';
+                usedNames.add(baseName);
+
+                files.push({ name: `chats/${baseName}.json`, data: JSON.stringify(buildChatExportData(messages, data.character), null, 2) });
+                files.push({ name: `chats/${baseName}.html`, data: await buildChatHTML(messages, data.character, { imageCache: avatarCache }) });
+                exported.push({
+                    conversationId: messages.conversation_id || conv.id,
+                    label: messages.label || conv.label || null,
+                    createdAt: conv.createdAt,
+                    updatedAt: conv.updatedAt,
+                    messageCount: messages.messages?.length || 0,
+                    files: [`chats/${baseName}.json`, `chats/${baseName}.html`]
+                });
             }
-            
-            if (userAvatarUrl) {
+
+            if (exported.length === 0) {
+                throw new Error(progress.cancelled ? 'Export cancelled' : 'None of the conversations could be exported');
+            }
+
+            const manifest = {
+                exportedAt: new Date().toISOString(),
+                exportedBy: 'S.AI Toolkit',
+                character: character ? {
+                    id: character.id,
+                    name: character.name,
+                    title: character.title,
+                    avatar_url: character.avatar_url
+                } : { id: characterId },
+                conversationCount: conversations.length,
+                exportedCount: exported.length,
+                cancelled: progress.cancelled,
+                conversations: exported,
+                failed
+            };
+            files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+            progress.update('Building ZIP...');
+            const zip = buildZipArchive(files);
+            const safeCharName = (character?.name || 'export').replace(/[^a-zA-Z0-9-_ ]/g, '').trim();
+            const filename = `chats-${safeCharName}-all-${new Date().toISOString().slice(0, 10)}.zip`;
+            downloadFile(zip, filename, 'application/zip');
+
+            debugLog('[Export] Bulk export complete:', filename, exported.length, 'chats,', failed.length, 'failed');
+            const summary = `Exported ${exported.length} of ${conversations.length} chats`;
+            showNotification(failed.length || progress.cancelled
+                ? `${summary}${failed.length ? ` (${failed.length} failed — see manifest.json)` : ''}${progress.cancelled ? ' (cancelled)' : ''}`
+                : summary, failed.length > 0 || progress.cancelled);
+        } catch (error) {
+            console.error('[Export] Bulk export failed:', error);
+            alert('Failed to export chats: ' + error.message);
+        } finally {
+            progress.close();
+            bulkExportRunning = false;
+        }
+    }
+
+    // =====================================================================
+    // CHAT ARCHIVE VIEWER (read-only, for exported JSON files)
+    // =====================================================================
+    // Loads a JSON file written by exportChatAsJSON / the bulk ZIP export and shows
+    // it in a full-screen overlay, rendered by the same generateChatHTML used for
+    // HTML exports. The page lives in a sandboxed iframe with scripts disabled
+    // (same-origin only so we can search it), so archive content can't run code.
+    // Works without the site — nothing is fetched except avatar images.
+
+    // Validate an exported JSON document and convert it back into the
+    // { messages, character } shape the exporters work with.
+    function parseChatArchive(json) {
+        if (!json || typeof json !== 'object' || json.exportedBy !== 'S.AI Toolkit') {
+            throw new Error('Not an S.AI Toolkit chat export');
+        }
+        if (!Array.isArray(json.messages)) {
+            if (Array.isArray(json.conversations) && json.conversationCount !== undefined) {
+                throw new Error('This is a bulk export manifest — open one of the files in its chats/ folder instead');
+            }
+            throw new Error('Chat export has no messages');
+        }
+        const messages = json.messages.filter(m => m && typeof m === 'object' && typeof m.content === 'string');
+        return {
+            exportedAt: json.exportedAt || null,
+            messages: {
+                conversation_id: json.conversationId || null,
+                label: json.label || null,
+                userPersona: json.userPersona || null,
+                messages
+            },
+            character: json.character || null
+        };
+    }
+
+    function openChatArchiveViewer() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = async (event) => {
                 try {
-                    const imageData = await fetchImageAsBase64(userAvatarUrl);
-                    if (imageData) {
-                        userImageDataUrl = `data:${imageData.mimeType};base64,${imageData.base64}`;
-                        debugLog('[Export] User avatar embedded successfully');
+                    const archive = parseChatArchive(JSON.parse(event.target.result));
+                    debugLog('[Export] Archive loaded:', file.name, archive.messages.messages.length, 'messages');
+                    await showChatArchiveViewer(archive, file.name);
+                } catch (error) {
+                    console.error('[Export] Failed to open archive:', error);
+                    alert('Could not open chat archive: ' + error.message);
+                }
+            };
+            reader.readAsText(file);
+        });
+        input.click();
+    }
+
+    async function showChatArchiveViewer(archive, sourceName) {
+        document.getElementById('sai-archive-viewer')?.remove();
+
+        const { messages, character } = archive;
+        const botName = character?.name || 'Bot';
+
+        const overlay = document.createElement('div');
+        overlay.id = 'sai-archive-viewer';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: #0f0f0f;
+            z-index: 10000010;
+            display: flex;
+            flex-direction: column;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        `;
+
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            padding: 10px 16px;
+            background: #1a1a1a;
+            border-bottom: 1px solid #333;
+            color: #e5e5e5;
+            font-size: 14px;
+        `;
+
+        const title = document.createElement('div');
+        title.style.cssText = 'flex: 1 1 200px; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        const titleName = document.createElement('strong');
+        titleName.textContent = messages.label ? `${botName} — ${messages.label}` : botName;
+        const titleMeta = document.createElement('span');
+        titleMeta.style.cssText = 'color: #9ca3af; margin-left: 8px; font-size: 12px;';
+        titleMeta.textContent = `Archive · ${messages.messages.length} messages` +
+            (archive.exportedAt ? ` · exported ${new Date(archive.exportedAt).toLocaleDateString()}` : '');
+        title.title = sourceName || '';
+        title.appendChild(titleName);
+        title.appendChild(titleMeta);
+
+        const controlStyle = `
+            background: #262626;
+            color: #e5e5e5;
+            border: 1px solid #404040;
+            border-radius: 6px;
+            padding: 6px 10px;
+            font-size: 13px;
+        `;
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.placeholder = 'Search this archive...';
+        searchInput.style.cssText = controlStyle + 'width: 220px;';
+        const matchCount = document.createElement('span');
+        matchCount.style.cssText = 'color: #9ca3af; font-size: 12px; min-width: 70px;';
+
+        const exportSelect = document.createElement('select');
+        exportSelect.style.cssText = controlStyle + 'cursor: pointer;';
+        [['', 'Re-export…'], ['json', 'JSON'], ['html', 'HTML'], ['md', 'Markdown'], ['txt', 'Text']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            exportSelect.appendChild(option);
+        });
+
+        const makeButton = (label) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.style.cssText = controlStyle + 'cursor: pointer;';
+            return btn;
+        };
+        const openBtn = makeButton('Open…');
+        const closeBtn = makeButton('Close');
+
+        toolbar.append(title, searchInput, matchCount, exportSelect, openBtn, closeBtn);
+
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', 'allow-same-origin');
+        frame.style.cssText = 'flex: 1; width: 100%; border: none; background: #0f0f0f;';
+
+        overlay.appendChild(toolbar);
+        overlay.appendChild(frame);
+        document.body.appendChild(overlay);
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') closeViewer();
+        };
+        const closeViewer = () => {
+            document.removeEventListener('keydown', onKeyDown, true);
+            overlay.remove();
+        };
+        document.addEventListener('keydown', onKeyDown, true);
+        closeBtn.addEventListener('click', closeViewer);
+        openBtn.addEventListener('click', openChatArchiveViewer);
+
+        // Render with the regular HTML exporter (avatars embedded when reachable)
+        titleMeta.textContent += ' · rendering…';
+        const html = await buildChatHTML(messages, character);
+        titleMeta.textContent = titleMeta.textContent.replace(' · rendering…', '');
+        frame.srcdoc = html;
+
+        // Search: hide non-matching messages and mark hits. A pristine copy of each
+        // message's nodes is cached, and every query restores from a fresh clone of it.
+        const originalMarkup = new Map();
+        const runSearch = () => {
+            const doc = frame.contentDocument;
+            if (!doc) return;
+            const terms = searchInput.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+            let matches = 0;
+            doc.querySelectorAll('.message').forEach((messageEl) => {
+                const textEl = messageEl.querySelector('.message-text');
+                if (!textEl) return;
+                if (!originalMarkup.has(textEl)) originalMarkup.set(textEl, textEl.cloneNode(true));
+                textEl.replaceChildren(...originalMarkup.get(textEl).cloneNode(true).childNodes);
+
+                const haystack = messageEl.textContent.toLowerCase();
+                const isMatch = terms.every(t => haystack.includes(t));
+                messageEl.style.display = isMatch ? '' : 'none';
+                if (!isMatch || terms.length === 0) return;
+                matches++;
+
+                const walker = doc.createTreeWalker(textEl, NodeFilter.SHOW_TEXT);
+                const textNodes = [];
+                while (walker.nextNode()) textNodes.push(walker.currentNode);
+                const pattern = new RegExp(terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+                for (const node of textNodes) {
+                    const value = node.nodeValue;
+                    pattern.lastIndex = 0;
+                    if (!pattern.test(value)) continue;
+                    pattern.lastIndex = 0;
+                    const frag = doc.createDocumentFragment();
+                    let last = 0;
+                    let m;
+                    while ((m = pattern.exec(value)) !== null) {
+                        frag.appendChild(doc.createTextNode(value.slice(last, m.index)));
+                        const mark = doc.createElement('mark');
+                        mark.style.cssText = 'background: #ffdd6d; color: #000; border-radius: 2px;';
+                        mark.textContent = m[0];
+                        frag.appendChild(mark);
+                        last = m.index + m[0].length;
                     }
-                } catch (e) {
-                    debugLog('[Export] Failed to fetch user avatar, using URL fallback:', e.message);
+                    frag.appendChild(doc.createTextNode(value.slice(last)));
+                    node.parentNode.replaceChild(frag, node);
                 }
+            });
+            matchCount.textContent = terms.length ? `${matches} match${matches === 1 ? '' : 'es'}` : '';
+            if (terms.length && matches) {
+                doc.querySelector('.message:not([style*="display: none"])')?.scrollIntoView({ block: 'start' });
             }
-            
-            // For group chats, fetch and embed avatars for each sub-character
-            const subCharacterImageMap = {}; // character_id -> data URL or original URL
-            if (isGroupChat) {
-                for (const [charId, charInfo] of Object.entries(subCharacterMap)) {
-                    subCharacterImageMap[charId] = charInfo.avatarUrl; // Default to URL
-                    if (charInfo.avatarUrl) {
-                        try {
-                            const imageData = await fetchImageAsBase64(charInfo.avatarUrl);
-                            if (imageData) {
-                                subCharacterImageMap[charId] = `data:${imageData.mimeType};base64,${imageData.base64}`;
-                                debugLog('[Export] Sub-character avatar embedded:', charInfo.name);
-                            }
-                        } catch (e) {
-                            debugLog('[Export] Failed to fetch sub-character avatar for', charInfo.name, ':', e.message);
-                        }
+        };
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(runSearch, 200);
+        });
+        frame.addEventListener('load', () => {
+            originalMarkup.clear();
+            runSearch();
+        });
+
+        exportSelect.addEventListener('change', async () => {
+            const format = exportSelect.value;
+            exportSelect.value = '';
+            if (!format) return;
+            try {
+                const filename = buildChatExportFilename(botName, format, messages.label);
+                if (format === 'json') {
+                    const exportData = buildChatExportData(messages, character);
+                    downloadFile(JSON.stringify(exportData, null, 2), filename, 'application/json');
+                } else if (format === 'html') {
+                    downloadFile(html, filename, 'text/html');
+                } else {
+                    const data = await prepareTextExport(messages, character);
+                    if (format === 'md') {
+                        downloadFile(buildChatMarkdown(data), filename, 'text/markdown');
+                    } else {
+                        downloadFile(buildChatText(data), filename, 'text/plain');
                     }
                 }
+                debugLog('[Export] Archive re-exported as', format, filename);
+            } catch (error) {
+                console.error('[Export] Archive re-export failed:', error);
+                alert('Failed to export archive: ' + error.message);
             }
-            
-            // Build the HTML with embedded data URLs
-            const html = generateChatHTML({
-                botName,
-                botImageUrl: botImageDataUrl,
-                userName,
-                userImageUrl: userImageDataUrl,
-                characterTitle: character?.title || '',
-                conversationId: messages.conversation_id,
-                messages: messages.messages || [],
-                exportedAt: new Date().toISOString(),
-                // Group chat support
-                isGroupChat,
-                subCharacterMap,
-                subCharacterImageMap,
-                // Custom style colors for backtick formatting
-                highlightBgColor: customStyleEnabled && customStyleValues.highlightBgColor ? customStyleValues.highlightBgColor : '#ffdd6d',
-                highlightTextColor: customStyleEnabled && customStyleValues.highlightTextColor ? customStyleValues.highlightTextColor : '#000000'
-            });
-            
-            // Build filename with chat label if available
-            const chatLabel = window.__saiChatLabel;
-            const dateStr = new Date().toISOString().slice(0, 10);
-            const filename = chatLabel 
-                ? `chat-${safeBotName}-${chatLabel.replace(/[^a-zA-Z0-9-_ ]/g, '').trim()}-${dateStr}.html`
-                : `chat-${safeBotName}-${dateStr}.html`;
-            downloadFile(html, filename, 'text/html');
-            
-            debugLog('[Export] HTML export complete:', filename);
-        } catch (error) {
-            console.error('[Export] HTML export failed:', error);
-            alert('Failed to export chat: ' + error.message);
-        }
+        });
+
+        searchInput.focus();
     }
 
     // Fetch an image and convert to base64 using Image + Canvas (handles CORS better)
@@ -9431,6 +12172,184 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         document.body.appendChild(modal);
     }
     
+    // =============================================================================
+    // CHAT SEARCH (opt-in full-text index of captured conversations)
+    // =============================================================================
+    // When "Chat Search" is enabled (Features tab, default OFF) every conversation
+    // the user opens is fetched through the chat-export bridge (fetchAllChatMessages)
+    // shortly after SAI_MESSAGES_LOADED, and its messages are handed to the background,
+    // which keeps them in the extension-origin IndexedDB ("messages" store next to the
+    // stats). Exports index the fetched chat as a side effect. The xhr interceptor
+    // itself still never reads message text — all content comes from the same
+    // user-authenticated API call the export feature already makes.
+    //
+    // Jumping to a result navigates to the conversation and leaves a one-shot marker
+    // in sessionStorage; resumePendingSearchJump() picks it up once the messages load.
+
+    const SEARCH_INDEX_DEBOUNCE_MS = 2000;
+    const SEARCH_JUMP_KEY = 'saiSearchJump';
+    const SEARCH_JUMP_TIMEOUT_MS = 10000;
+
+    // conversationId -> { id, time } of the newest message at last index, so reloading
+    // the same chat (or scrolling up into older pages) is a no-op
+    const searchIndexedSignatures = new Map();
+    let searchIndexTimer = null;
+
+    // Any new or regenerated message becomes the newest one, so this is what changes
+    // when the conversation does
+    function newestMessageSignature(messages) {
+        let newest = null;
+        for (const msg of messages || []) {
+            if (!msg || !msg.id) continue;
+            const time = new Date(msg.createdAt || 0).getTime() || 0;
+            if (!newest || time > newest.time) newest = { id: msg.id, time };
+        }
+        return newest;
+    }
+
+    // Flatten an export-bridge payload into the records the background stores.
+    function buildSearchRecords(messagesData, character) {
+        const characterId = character?.id || getCurrentCharacterId() || null;
+        const characterName = character?.name || null;
+        return (messagesData?.messages || [])
+            .filter(msg => msg && msg.id && typeof msg.content === 'string' && msg.content.trim())
+            .map(msg => ({
+                messageId: msg.id,
+                characterId,
+                characterName,
+                role: msg.role || null,
+                content: msg.content,
+                createdAt: msg.createdAt || null,
+                model: msg.role === 'bot' ? (msg.inference_model || null) : null
+            }));
+    }
+
+    // Send one fetched conversation to the index. Silently skipped when the feature is off.
+    async function indexChatForSearch(messagesData, character) {
+        if (!(await storage.get(CHAT_SEARCH_INDEX_KEY, false))) return;
+        const conversationId = messagesData?.conversation_id || getCurrentConversationId();
+        if (!conversationId) return;
+        const records = buildSearchRecords(messagesData, character);
+        const res = await sendStatsMessage('SAI_SEARCH_INDEX', { conversationId, records });
+        if (res && res.success) {
+            const signature = newestMessageSignature(messagesData?.messages);
+            if (signature) searchIndexedSignatures.set(conversationId, signature);
+            debugLog('[Search] Indexed', res.written, 'messages for conversation', conversationId);
+        } else {
+            debugLog('[Search] Index write failed:', res && res.error);
+        }
+    }
+
+    // Called from the SAI_MESSAGES_LOADED handler. Debounced because SpicyChat fires the
+    // GET /messages call more than once while a chat settles.
+    // loadedMessages: the page of messages that just loaded, which may be an older one.
+    function scheduleSearchIndex(conversationId, loadedMessages) {
+        if (!conversationId) return;
+        const indexed = searchIndexedSignatures.get(conversationId);
+        const loaded = newestMessageSignature(loadedMessages);
+        if (indexed && loaded && (loaded.id === indexed.id || loaded.time <= indexed.time)) return;
+        clearTimeout(searchIndexTimer);
+        searchIndexTimer = setTimeout(async () => {
+            try {
+                if (!(await storage.get(CHAT_SEARCH_INDEX_KEY, false))) return;
+                if (getCurrentConversationId() && getCurrentConversationId() !== conversationId) return;
+                const { messages, character } = await fetchAllChatMessages();
+                await indexChatForSearch(messages, character);
+            } catch (e) {
+                debugLog('[Search] Background index failed:', e.message);
+            }
+        }, SEARCH_INDEX_DEBOUNCE_MS);
+    }
+
+    // Scroll to and briefly outline a message. Prefers the data-message-id marker the
+    // stats display writes; falls back to matching a slice of the result's snippet text.
+    function revealSearchMessage(messageId, probeText) {
+        let el = document.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+        if (!el && probeText) {
+            const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+            let node;
+            while ((node = walker.nextNode())) {
+                if (node.nodeValue && node.nodeValue.includes(probeText)) { el = node.parentElement; break; }
+            }
+        }
+        if (!el) return false;
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const prevOutline = el.style.outline;
+        el.style.outline = '2px solid #3b82f6';
+        setTimeout(() => { el.style.outline = prevOutline; }, 2500);
+        return true;
+    }
+
+    function searchProbeFromSnippet(snippet) {
+        const clean = String(snippet || '').replace(/^…|…$/g, '').trim();
+        return clean.slice(Math.floor(clean.length / 3), Math.floor(clean.length / 3) + 30).trim();
+    }
+
+    // Open a search result: scroll in place if that conversation is already open,
+    // otherwise navigate and let resumePendingSearchJump() finish the job.
+    function jumpToSearchResult(result) {
+        const probe = searchProbeFromSnippet(result.snippet);
+        if (getCurrentConversationId() === result.conversationId && revealSearchMessage(result.messageId, probe)) {
+            return;
+        }
+        try {
+            sessionStorage.setItem(SEARCH_JUMP_KEY, JSON.stringify({
+                conversationId: result.conversationId,
+                messageId: result.messageId,
+                probe,
+                at: Date.now()
+            }));
+        } catch (e) { /* sessionStorage unavailable — navigate anyway */ }
+        window.location.href = `/chat/${encodeURIComponent(result.characterId || '')}/${encodeURIComponent(result.conversationId)}`;
+    }
+
+    // Poll for the target message after navigation (React renders the list late).
+    function resumePendingSearchJump() {
+        let pending = null;
+        try { pending = JSON.parse(sessionStorage.getItem(SEARCH_JUMP_KEY) || 'null'); } catch (e) { pending = null; }
+        if (!pending || pending.conversationId !== getCurrentConversationId()) return;
+        sessionStorage.removeItem(SEARCH_JUMP_KEY);
+        if (Date.now() - (pending.at || 0) > 60000) return;
+        const startedAt = Date.now();
+        const poll = setInterval(() => {
+            if (revealSearchMessage(pending.messageId, pending.probe)) {
+                clearInterval(poll);
+            } else if (Date.now() - startedAt > SEARCH_JUMP_TIMEOUT_MS) {
+                clearInterval(poll);
+                showNotification('Message not in the loaded history — scroll up to load older messages', true);
+            }
+        }, 500);
+    }
+
+    // Render search results into the settings modal's Search tab.
+    function renderSearchResults(listEl, results, onPick) {
+        listEl.replaceChildren();
+        if (!results.length) {
+            const empty = document.createElement('div');
+            empty.className = 'drive-backup-empty';
+            empty.textContent = 'No matches';
+            listEl.appendChild(empty);
+            return;
+        }
+        for (const r of results) {
+            const item = document.createElement('div');
+            item.className = 'search-result';
+            const meta = document.createElement('div');
+            meta.className = 'search-result-meta';
+            const who = r.role === 'user' ? 'You' : (r.characterName || 'Bot');
+            const when = r.createdAt ? new Date(r.createdAt).toLocaleString() : '';
+            meta.textContent = [r.characterName || r.characterId || 'Unknown', who !== r.characterName ? who : null, when, r.model]
+                .filter(Boolean).join(' · ');
+            const text = document.createElement('div');
+            text.className = 'search-result-snippet';
+            text.textContent = r.snippet;
+            item.appendChild(meta);
+            item.appendChild(text);
+            item.onclick = (e) => { e.stopPropagation(); onPick(r); };
+            listEl.appendChild(item);
+        }
+    }
+
     // Function to show toolkit settings modal
     async function showToolkitSettingsModal() {
     debugLog('[Core] ===== OPENING SETTINGS MODAL =====');
@@ -9784,6 +12703,34 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                     gap: 0.25rem;
                     flex-shrink: 0;
                 }
+                .drive-backup-item-meta {
+                    opacity: 0.7;
+                }
+                .drive-backup-diff {
+                    font-size: 11px;
+                    color: #374151;
+                    padding: 0.3rem 0.5rem 0.4rem;
+                    line-height: 1.45;
+                    overflow-wrap: anywhere;
+                }
+                .import-preview-table {
+                    width: 100%;
+                    margin-top: 0.5rem;
+                    border-collapse: collapse;
+                    font-size: 11px;
+                }
+                .import-preview-table th, .import-preview-table td {
+                    padding: 0.2rem 0.35rem;
+                    text-align: right;
+                    border-bottom: 1px solid rgba(128, 128, 128, 0.2);
+                }
+                .import-preview-table th:first-child, .import-preview-table td:first-child {
+                    text-align: left;
+                    max-width: 180px;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
                 .drive-backup-empty, .drive-backup-loading {
                     font-size: 11px;
                     color: #9ca3af;
@@ -9794,12 +12741,127 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                     .drive-backup-title { color: #d1d5db; }
                     .drive-backup-item { background: #374151; }
                     .drive-backup-item-date { color: #d1d5db; }
+                    .drive-backup-diff { color: #d1d5db; }
                 }
                 .data-buttons {
                     display: flex;
                     gap: 0.5rem;
                     flex-wrap: wrap;
                 }
+                .search-input {
+                    width: 100%;
+                    box-sizing: border-box;
+                    padding: 0.4rem 0.5rem;
+                    border-radius: 6px;
+                    border: 1px solid #d1d5db;
+                    background: #f9fafb;
+                    color: #374151;
+                    font-size: 12px;
+                    margin-bottom: 0.4rem;
+                }
+                .search-filters {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    gap: 0.4rem;
+                    margin-bottom: 0.5rem;
+                }
+                .search-filters .search-input { margin-bottom: 0; }
+                .search-results {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.3rem;
+                    max-height: 320px;
+                    overflow-y: auto;
+                    margin-top: 0.3rem;
+                }
+                .search-result {
+                    padding: 0.4rem 0.55rem;
+                    background: #f3f4f6;
+                    border-radius: 6px;
+                    cursor: pointer;
+                }
+                .search-result:hover { background: #e5e7eb; }
+                .search-result-meta {
+                    font-size: 10px;
+                    color: #6b7280;
+                    margin-bottom: 0.15rem;
+                }
+                .search-result-snippet {
+                    font-size: 12px;
+                    color: #374151;
+                    white-space: pre-wrap;
+                    word-break: break-word;
+                }
+                @media (prefers-color-scheme: dark) {
+                    .search-input { border-color: #4b5563; background: #374151; color: white; }
+                    .search-result { background: #374151; }
+                    .search-result:hover { background: #4b5563; }
+                    .search-result-meta { color: #9ca3af; }
+                    .search-result-snippet { color: #e5e7eb; }
+                }
+                .stats-chart-title { margin-top: 0.9rem; }
+                .stats-chart svg { display: block; width: 100%; height: auto; }
+                .stats-chart text { font-size: 10px; fill: #4b5563; }
+                .stats-legend {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 0.3rem 0.75rem;
+                    font-size: 11px;
+                    color: #6b7280;
+                    margin-bottom: 0.3rem;
+                }
+                .stats-swatch {
+                    display: inline-block;
+                    width: 9px;
+                    height: 9px;
+                    border-radius: 2px;
+                    margin-right: 0.3rem;
+                    vertical-align: middle;
+                }
+                .stats-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 11px;
+                }
+                .stats-table th, .stats-table td {
+                    text-align: left;
+                    padding: 0.2rem 0.35rem;
+                    border-bottom: 1px solid #e5e7eb;
+                }
+                .stats-table th { color: #6b7280; font-weight: 600; }
+                .mismatch-log {
+                    max-height: 260px;
+                    overflow-y: auto;
+                    margin-top: 0.3rem;
+                }
+                .stats-table td.num, .stats-table th.num { text-align: right; }
+                .stats-table td.stats-browser-model {
+                    max-width: 130px;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                .stats-table td.stats-browser-actions { white-space: nowrap; text-align: right; }
+                .stats-browser-pager {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin-top: 0.4rem;
+                }
+                .stats-edit-grid {
+                    display: grid;
+                    grid-template-columns: auto 1fr;
+                    gap: 0.35rem 0.5rem;
+                    align-items: center;
+                    font-size: 12px;
+                }
+                .stats-edit-grid .search-input { margin-bottom: 0; }
+                @media (prefers-color-scheme: dark) {
+                    .stats-chart text { fill: #d1d5db; }
+                    .stats-legend { color: #9ca3af; }
+                    .stats-table th { color: #9ca3af; }
+                    .stats-table th, .stats-table td { border-color: #404040; }
+                }
                 .version-text {
                     margin-top: 0.75rem;
                     text-align: center;
@@ -10085,12 +13147,22 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             'autoRegenOnMismatch': false,
             'autoRegenOnShort': false,
             'autoRegenMaxAttempts': 1,
+            [SHORT_RESPONSE_THRESHOLD_KEY]: 50,
             'timestampDateFirst': true,
             'timestamp24Hour': false,
             [SHOW_MESSAGE_IDS_KEY]: false,
             'showChatNameInTitle': false,
             'nsfwToggleEnabled': false,
             'messageRecoveryEnabled': false,
+            [DRAFT_AUTOSAVE_KEY]: false,
+            [DRAFT_EXPIRY_HOURS_KEY]: 72,
+            [SEND_RETRY_KEY]: false,
+            [SEND_RETRY_MAX_KEY]: 3,
+            [OFFLINE_QUEUE_KEY]: false,
+            [CHAT_SEARCH_INDEX_KEY]: false,
+            [REPETITION_DETECTION_KEY]: false,
+            [REPETITION_REGEN_KEY]: false,
+            [REPETITION_THRESHOLD_KEY]: 40,
             [WYSIWYG_EDITOR_KEY]: false,
             [ENABLE_GENERATION_PROFILES_KEY]: false,
             [SMALL_PROFILE_IMAGES_KEY]: false,
@@ -10119,12 +13191,22 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         let autoRegenOnMismatchEnabled = modalSettings['autoRegenOnMismatch'];
         let autoRegenOnShortEnabled = modalSettings['autoRegenOnShort'];
         let autoRegenMaxAttempts = modalSettings['autoRegenMaxAttempts'];
+        let shortResponseThreshold = modalSettings[SHORT_RESPONSE_THRESHOLD_KEY];
         let timestampDateFirst = modalSettings['timestampDateFirst']; // true = date@time, false = time@date
         let timestamp24Hour = modalSettings['timestamp24Hour'];
         let showMessageIdsEnabled = modalSettings[SHOW_MESSAGE_IDS_KEY]; // false = 12-hour (default), true = 24-hour
         let showChatNameInTitleEnabled = modalSettings['showChatNameInTitle'];
         let nsfwToggleEnabled = modalSettings['nsfwToggleEnabled'];
         let messageRecoveryEnabled = modalSettings['messageRecoveryEnabled'];
+        let draftAutosaveEnabled = modalSettings[DRAFT_AUTOSAVE_KEY];
+        let draftExpiryHours = modalSettings[DRAFT_EXPIRY_HOURS_KEY];
+        let sendRetryEnabled = modalSettings[SEND_RETRY_KEY];
+        let sendRetryMaxAttempts = modalSettings[SEND_RETRY_MAX_KEY];
+        let offlineQueueEnabled = modalSettings[OFFLINE_QUEUE_KEY];
+        let chatSearchEnabled = modalSettings[CHAT_SEARCH_INDEX_KEY];
+        let repetitionDetectionEnabled = modalSettings[REPETITION_DETECTION_KEY];
+        let repetitionRegenEnabled = modalSettings[REPETITION_REGEN_KEY];
+        let repetitionThreshold = modalSettings[REPETITION_THRESHOLD_KEY];
         let wysiwygEnabled = modalSettings[WYSIWYG_EDITOR_KEY];
         let enableGenerationProfilesEnabled = modalSettings[ENABLE_GENERATION_PROFILES_KEY];
         let smallProfileImagesEnabled = modalSettings[SMALL_PROFILE_IMAGES_KEY];
@@ -10184,6 +13266,21 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                     </svg>
                     <span>Data</span>
                 </button>
+                <button class="tab-btn" data-tab="search">
+                    <svg class="tab-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="11" cy="11" r="8"></circle>
+                        <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                    </svg>
+                    <span>Search</span>
+                </button>
+                <button class="tab-btn" data-tab="stats">
+                    <svg class="tab-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="20" x2="18" y2="10"></line>
+                        <line x1="12" y1="20" x2="12" y2="4"></line>
+                        <line x1="6" y1="20" x2="6" y2="14"></line>
+                    </svg>
+                    <span>Stats</span>
+                </button>
             </div>
             
             <div class="modal-body">
@@ -10619,45 +13716,147 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         <input type="checkbox" class="setting-checkbox" id="auto-regen-short-checkbox" autocomplete="off">
                         <div class="sub-setting-text">
                             <div class="sub-setting-title">Auto-Regenerate on Short Response</div>
-                            <div class="setting-desc">Automatically regenerate if response is under 50 characters</div>
+                            <div class="setting-desc">Automatically regenerate if response is under the minimum length</div>
+                        </div>
+                    </label>
+                    <div class="sub-setting-row hidden" id="short-response-threshold-row">
+                        <div class="sub-setting-text" style="display: flex; align-items: center; gap: 8px;">
+                            <div class="sub-setting-title" style="white-space: nowrap;">Minimum Length</div>
+                            <select id="short-response-threshold-select" style="background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; padding: 2px 6px; font-size: 12px;">
+                                <option value="20">20 characters</option>
+                                <option value="50">50 characters</option>
+                                <option value="100">100 characters</option>
+                                <option value="200">200 characters</option>
+                                <option value="400">400 characters</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="sub-setting-row hidden" id="auto-regen-max-row">
+                        <div class="sub-setting-text" style="display: flex; align-items: center; gap: 8px;">
+                            <div class="sub-setting-title" style="white-space: nowrap;">Max Auto-Regenerations</div>
+                            <select id="auto-regen-max-select" style="background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; padding: 2px 6px; font-size: 12px;">
+                                <option value="1">1</option>
+                                <option value="2">2</option>
+                                <option value="3">3</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="setting-row">
+                        <div class="setting-text">
+                            <div class="setting-title">Reply Rules</div>
+                            <div class="setting-desc" id="reply-rules-summary">Regenerate, flag or notify on replies that match your own rules</div>
+                        </div>
+                        <button class="btn-data" id="reply-rules-edit-btn" style="flex-shrink: 0;">Edit</button>
+                    </div>
+                    <label class="setting-row">
+                        <input type="checkbox" class="setting-checkbox" id="repetition-detection-checkbox" autocomplete="off">
+                        <div class="setting-text">
+                            <div class="setting-title">Repetition Detection</div>
+                            <div class="setting-desc">Highlight phrases a new reply repeats from the last 5 bot replies</div>
+                        </div>
+                    </label>
+                    <label class="sub-setting-row hidden" id="repetition-regen-row">
+                        <input type="checkbox" class="setting-checkbox" id="repetition-regen-checkbox" autocomplete="off">
+                        <div class="sub-setting-text">
+                            <div class="sub-setting-title">Auto-Regenerate on Repetition</div>
+                            <div class="setting-desc">Regenerate when enough of a reply is repeated (shares Max Auto-Regenerations)</div>
+                        </div>
+                    </label>
+                    <div class="sub-setting-row hidden" id="repetition-threshold-row">
+                        <div class="sub-setting-text" style="display: flex; align-items: center; gap: 8px;">
+                            <div class="sub-setting-title" style="white-space: nowrap;">Repeated Share Threshold</div>
+                            <select id="repetition-threshold-select" style="background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; padding: 2px 6px; font-size: 12px;">
+                                <option value="20">20%</option>
+                                <option value="30">30%</option>
+                                <option value="40">40%</option>
+                                <option value="50">50%</option>
+                                <option value="60">60%</option>
+                            </select>
+                        </div>
+                    </div>
+                    <label class="setting-row">
+                        <input type="checkbox" class="setting-checkbox" id="showchatnametitle-checkbox" autocomplete="off">
+                        <div class="setting-text">
+                            <div class="setting-title">Chat Name in Title</div>
+                            <div class="setting-desc">Show "Character (Label)" in browser tab</div>
+                        </div>
+                    </label>
+                    <label class="setting-row">
+                        <input type="checkbox" class="setting-checkbox" id="nsfwtoggle-checkbox" autocomplete="off">
+                        <div class="setting-text">
+                            <div class="setting-title">NSFW Image Toggle</div>
+                            <div class="setting-desc">Show NSFW toggle button in chat toolbar</div>
+                        </div>
+                    </label>
+                    <label class="setting-row">
+                        <input type="checkbox" class="setting-checkbox" id="wysiwyg-checkbox" autocomplete="off">
+                        <div class="setting-text">
+                            <div class="setting-title">Live Text Formatting</div>
+                            <div class="setting-desc">WYSIWYG preview in message editor and chat input</div>
+                        </div>
+                    </label>
+                    <div class="setting-row">
+                        <div class="setting-text">
+                            <div class="setting-title">Snippets</div>
+                            <div class="setting-desc" id="snippets-summary">Reusable text inserted with /name in the chat box (needs Live Text Formatting)</div>
+                        </div>
+                        <button class="btn-data" id="snippets-edit-btn" style="flex-shrink: 0;">Edit</button>
+                    </div>
+                    <label class="setting-row">
+                        <input type="checkbox" class="setting-checkbox" id="message-recovery-checkbox" autocomplete="off">
+                        <div class="setting-text">
+                            <div class="setting-title">Message Recovery</div>
+                            <div class="setting-desc">Save messages locally when SpicyChat fails to send them, and offer one-click recovery</div>
+                        </div>
+                    </label>
+                    <label class="setting-row">
+                        <input type="checkbox" class="setting-checkbox" id="send-retry-checkbox" autocomplete="off">
+                        <div class="setting-text">
+                            <div class="setting-title">Retry Failed Sends</div>
+                            <div class="setting-desc">Resend automatically with increasing delays on server errors (502/503) and timeouts — never on other errors</div>
                         </div>
                     </label>
-                    <div class="sub-setting-row hidden" id="auto-regen-max-row">
+                    <div class="sub-setting-row hidden" id="send-retry-max-row">
                         <div class="sub-setting-text" style="display: flex; align-items: center; gap: 8px;">
-                            <div class="sub-setting-title" style="white-space: nowrap;">Max Auto-Regenerations</div>
-                            <select id="auto-regen-max-select" style="background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; padding: 2px 6px; font-size: 12px;">
+                            <div class="sub-setting-title" style="white-space: nowrap;">Max Retries</div>
+                            <select id="send-retry-max-select" style="background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; padding: 2px 6px; font-size: 12px;">
                                 <option value="1">1</option>
                                 <option value="2">2</option>
                                 <option value="3">3</option>
+                                <option value="5">5</option>
                             </select>
                         </div>
                     </div>
                     <label class="setting-row">
-                        <input type="checkbox" class="setting-checkbox" id="showchatnametitle-checkbox" autocomplete="off">
+                        <input type="checkbox" class="setting-checkbox" id="offline-queue-checkbox" autocomplete="off">
                         <div class="setting-text">
-                            <div class="setting-title">Chat Name in Title</div>
-                            <div class="setting-desc">Show "Character (Label)" in browser tab</div>
+                            <div class="setting-title">Queue Failed Sends</div>
+                            <div class="setting-desc">When the chat is down, keep the message and send it automatically once the chat responds again</div>
                         </div>
                     </label>
                     <label class="setting-row">
-                        <input type="checkbox" class="setting-checkbox" id="nsfwtoggle-checkbox" autocomplete="off">
+                        <input type="checkbox" class="setting-checkbox" id="draft-autosave-checkbox" autocomplete="off">
                         <div class="setting-text">
-                            <div class="setting-title">NSFW Image Toggle</div>
-                            <div class="setting-desc">Show NSFW toggle button in chat toolbar</div>
+                            <div class="setting-title">Draft Autosave</div>
+                            <div class="setting-desc">Keep unsent text per chat and put it back when you return, even after a reload</div>
                         </div>
                     </label>
-                    <label class="setting-row">
-                        <input type="checkbox" class="setting-checkbox" id="wysiwyg-checkbox" autocomplete="off">
-                        <div class="setting-text">
-                            <div class="setting-title">Live Text Formatting</div>
-                            <div class="setting-desc">WYSIWYG preview in message editor and chat input</div>
+                    <div class="sub-setting-row hidden" id="draft-expiry-row">
+                        <div class="sub-setting-text" style="display: flex; align-items: center; gap: 8px;">
+                            <div class="sub-setting-title" style="white-space: nowrap;">Discard Drafts After</div>
+                            <select id="draft-expiry-select" style="background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; padding: 2px 6px; font-size: 12px;">
+                                <option value="24">1 day</option>
+                                <option value="72">3 days</option>
+                                <option value="168">1 week</option>
+                                <option value="720">30 days</option>
+                            </select>
                         </div>
-                    </label>
+                    </div>
                     <label class="setting-row">
-                        <input type="checkbox" class="setting-checkbox" id="message-recovery-checkbox" autocomplete="off">
+                        <input type="checkbox" class="setting-checkbox" id="chat-search-checkbox" autocomplete="off">
                         <div class="setting-text">
-                            <div class="setting-title">Message Recovery</div>
-                            <div class="setting-desc">Save messages locally when SpicyChat fails to send them, and offer one-click recovery</div>
+                            <div class="setting-title">Chat Search</div>
+                            <div class="setting-desc">Keep a local, searchable copy of the chats you open (Search tab)</div>
                         </div>
                     </label>
                     <label class="setting-row">
@@ -10680,23 +13879,44 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 <div class="tab-content" id="tab-data">
                     <div id="generation-profiles-section">
                         <div class="section-title">Generation Profiles</div>
-                        <div class="section-desc">Export or delete generation profiles</div>
+                        <div class="section-desc">Share profiles as .saiprofile.json files, import shared ones, or delete all</div>
                         <div class="data-buttons">
                             <button class="btn-data" id="export-profiles-btn">Export</button>
-                            <button class="btn-data" id="import-profiles-btn" style="display: none;">Import</button>
+                            <button class="btn-data" id="import-profiles-btn">Import</button>
                             <button class="btn-data" id="delete-profiles-btn" style="background: #dc2626; border-color: #dc2626; color: white;">Delete</button>
                         </div>
+                        <div class="drive-backup-title" style="margin-top: 0.5rem;">Character defaults</div>
+                        <div class="section-desc">Profiles auto-applied when a character's chat opens. Set one from the Profile controls in Generation Settings.</div>
+                        <div id="character-profile-bindings" class="drive-backup-list"></div>
                     </div>
                     
-                    <div class="section-title">Drive Sync</div>
-                    <div class="section-desc">Sync your data across devices via Google Drive. This will automatically save your generation stats across all your devices, enabling you to start a chat on one, and resume on another while carrying over the generation statistics.</div>
+                    <div class="section-title">Sync</div>
+                    <div class="section-desc">Sync your data across devices via Google Drive, your own WebDAV server (Nextcloud and similar) or a sync file you carry over yourself. This will automatically save your generation stats across all your devices, enabling you to start a chat on one, and resume on another while carrying over the generation statistics.</div>
+                    <div class="sync-scope-row">
+                        <span class="sync-scope-label">Sync via:</span>
+                        <select id="sync-backend-select" class="auto-sync-select">
+                            <option value="drive">Google Drive</option>
+                            <option value="webdav">WebDAV</option>
+                            <option value="file">Sync file (manual)</option>
+                        </select>
+                    </div>
+                    <div id="webdav-config-section" style="display: none;">
+                        <div class="sync-scope-row">
+                            <input type="url" id="webdav-url-input" class="auto-sync-select" placeholder="Folder URL, e.g. https://cloud.example.com/remote.php/dav/files/you/SAI/" autocomplete="off" style="flex: 1; cursor: text;">
+                        </div>
+                        <div class="sync-scope-row">
+                            <input type="text" id="webdav-username-input" class="auto-sync-select" placeholder="Username" autocomplete="off" style="cursor: text;">
+                            <input type="password" id="webdav-password-input" class="auto-sync-select" placeholder="App password" autocomplete="new-password" style="cursor: text;">
+                            <button class="btn-data" id="webdav-test-btn" style="padding:0.15rem 0.45rem;font-size:11px;">Test</button>
+                        </div>
+                    </div>
                     <div class="sync-scope-row">
                         <span class="sync-scope-label">Sync:</span>
                         <label class="sync-scope-item">
                             <input type="checkbox" class="setting-checkbox" id="sync-stats-toggle" autocomplete="off">
                             <span>Stats</span>
                         </label>
-                        <label class="sync-scope-item">
+                        <label class="sync-scope-item" title="Includes your reply rules and the full text of your snippets">
                             <input type="checkbox" class="setting-checkbox" id="sync-settings-toggle" autocomplete="off">
                             <span>Settings</span>
                         </label>
@@ -10704,8 +13924,12 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                             <input type="checkbox" class="setting-checkbox" id="sync-style-toggle" autocomplete="off">
                             <span>Style</span>
                         </label>
+                        <label class="sync-scope-item">
+                            <input type="checkbox" class="setting-checkbox" id="sync-profiles-toggle" autocomplete="off">
+                            <span>Profiles</span>
+                        </label>
                     </div>
-                    <div class="sync-scope-row">
+                    <div class="sync-scope-row" id="auto-sync-row">
                         <label class="sync-scope-item">
                             <input type="checkbox" class="setting-checkbox" id="auto-sync-toggle" autocomplete="off">
                             <span>Auto-sync</span>
@@ -10716,7 +13940,32 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                             <option value="15">every 15 min</option>
                         </select>
                     </div>
+                    <div class="sync-scope-row">
+                        <label class="sync-scope-item" title="Encrypt the sync file and Drive backups with a passphrase that never leaves this device">
+                            <input type="checkbox" class="setting-checkbox" id="drive-encrypt-toggle" autocomplete="off">
+                            <span>Encrypt</span>
+                        </label>
+                        <input type="password" id="drive-passphrase-input" class="auto-sync-select" placeholder="Passphrase (8+ characters)" autocomplete="new-password" style="display:none; cursor: text;">
+                    </div>
                     <div id="drive-sync-status" class="drive-sync-status">Checking…</div>
+                    <div id="drive-conflicts-section" style="display: none; margin-top: 0.5rem;">
+                        <div class="drive-backup-header">
+                            <span class="drive-backup-title" id="drive-conflicts-title">Sync conflicts</span>
+                            <div style="display: flex; gap: 0.4rem;">
+                                <button class="btn-data" id="drive-conflicts-local-btn">Keep All Mine</button>
+                                <button class="btn-data" id="drive-conflicts-remote-btn">Use All Drive</button>
+                            </div>
+                        </div>
+                        <div class="section-desc">Changed on this device and on another since the last sync. Pick which value to keep; the synced copy keeps its value until you do.</div>
+                        <div id="drive-conflicts-list" class="drive-backup-list"></div>
+                    </div>
+                    <div id="sync-file-section" style="display: none; margin-top: 0.5rem;">
+                        <div class="section-desc">Export a sync file and import it on another device: it is merged there like any sync and the merged file is downloaded again, ready to import back here.</div>
+                        <div class="data-buttons">
+                            <button class="btn-data" id="sync-file-export-btn">Export Sync File</button>
+                            <button class="btn-data" id="sync-file-import-btn">Import Sync File</button>
+                        </div>
+                    </div>
                     <div class="data-buttons" style="margin-top: 0.5rem;">
                         <button class="btn-data" id="drive-sync-btn">Sync Now</button>
                         <button class="btn-data" id="drive-disconnect-btn" style="display: none; color: #dc2626; border-color: #dc2626;">Disconnect</button>
@@ -10735,6 +13984,23 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                                 <button class="btn-data" id="drive-open-folder-btn">Open in Drive ↗</button>
                             </div>
                         </div>
+                        <div class="sync-scope-row">
+                            <span class="sync-scope-label">Scheduled:</span>
+                            <select id="drive-backup-schedule" class="auto-sync-select">
+                                <option value="off">off</option>
+                                <option value="daily">daily</option>
+                                <option value="weekly">weekly</option>
+                            </select>
+                        </div>
+                        <div class="sync-scope-row" id="drive-backup-retention-row" style="display:none;" title="Scheduled backups beyond these are deleted after each new one. Backups you create by hand are never deleted automatically.">
+                            <span class="sync-scope-label">Keep:</span>
+                            <input type="number" id="drive-backup-keep-daily" class="auto-sync-select" min="0" max="60" style="width:3.2rem; cursor:text;">
+                            <span class="sync-scope-item">daily</span>
+                            <input type="number" id="drive-backup-keep-weekly" class="auto-sync-select" min="0" max="60" style="width:3.2rem; cursor:text;">
+                            <span class="sync-scope-item">weekly</span>
+                            <input type="number" id="drive-backup-keep-monthly" class="auto-sync-select" min="0" max="60" style="width:3.2rem; cursor:text;">
+                            <span class="sync-scope-item">monthly</span>
+                        </div>
                         <div id="drive-backup-status" class="drive-sync-status"></div>
                         <div id="drive-backup-list" class="drive-backup-list">
                             <div class="drive-backup-loading">Loading backups…</div>
@@ -10748,6 +14014,57 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         <button class="btn-data" id="import-custom-style-btn">Import</button>
                     </div>
                     
+                    <div class="section-title">Chat Archive</div>
+                    <div class="section-desc">Open a chat exported as JSON to read, search or re-export it — even if it was deleted on the site</div>
+                    <div class="data-buttons">
+                        <button class="btn-data" id="open-chat-archive-btn">Open Archive…</button>
+                    </div>
+                    
+                    <div class="section-title">Message Recovery</div>
+                    <div class="section-desc">Messages captured when a send failed (needs Message Recovery in the Features tab). Restore puts one back into the open chat's message box.</div>
+                    <div id="failed-messages-list" class="drive-backup-list"></div>
+                    <div class="data-buttons" style="margin-top: 0.5rem;">
+                        <button class="btn-data" id="failed-messages-clear-btn" style="color: #dc2626; border-color: #dc2626;">Discard All</button>
+                    </div>
+                    
+                    <div class="section-title">Stats Records</div>
+                    <div class="section-desc" id="stats-browser-status">Browse the generation stats stored for each message and fix or delete bad entries. Edits and deletions reach your other devices with the next sync and take precedence over their copies.</div>
+                    <div class="search-filters">
+                        <select class="search-input" id="stats-browser-character">
+                            <option value="">All characters</option>
+                        </select>
+                        <select class="search-input" id="stats-browser-model">
+                            <option value="">All models</option>
+                        </select>
+                        <select class="search-input" id="stats-browser-role">
+                            <option value="">All roles</option>
+                            <option value="bot">Bot</option>
+                            <option value="user">User</option>
+                            <option value="none">No role</option>
+                        </select>
+                        <button class="btn-data" id="stats-browser-load-btn">Browse</button>
+                    </div>
+                    <div id="stats-browser-table" class="mismatch-log"></div>
+                    <div class="stats-browser-pager" id="stats-browser-pager" style="display: none;">
+                        <button class="btn-data" id="stats-browser-prev-btn">‹ Prev</button>
+                        <span class="drive-sync-status" id="stats-browser-page"></span>
+                        <button class="btn-data" id="stats-browser-next-btn">Next ›</button>
+                        <button class="btn-data" id="stats-browser-delete-character-btn" style="margin-left: auto; color: #dc2626; border-color: #dc2626;" disabled>Delete Character</button>
+                    </div>
+                    
+                    <div class="section-title">Storage</div>
+                    <div class="section-desc" id="storage-usage-status">See what the toolkit keeps on this device and free up space.</div>
+                    <div class="drive-sync-status" id="storage-usage-warning" style="display: none; color: #dc2626;"></div>
+                    <div class="data-buttons">
+                        <button class="btn-data" id="storage-usage-btn">Check Usage</button>
+                    </div>
+                    <div class="sync-scope-row" title="Show a warning here and in the toolbar popup once everything the toolkit stores passes this size. 0 turns the warning off.">
+                        <span class="sync-scope-label">Warn above:</span>
+                        <input type="number" id="storage-warn-input" class="auto-sync-select" min="0" max="10000" step="10" style="width:4.2rem; cursor:text;">
+                        <span class="sync-scope-item">MB</span>
+                    </div>
+                    <div id="storage-usage-details"></div>
+                    
                     <div class="section-title">All Data</div>
                     <div class="section-desc">Export/import everything (settings, profiles, stats)</div>
                     <div class="data-buttons">
@@ -10816,6 +14133,9 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                             <label class="debug-filter-label">
                                 <input type="checkbox" id="debug-filter-msgrecovery" checked> MsgRecovery
                             </label>
+                            <label class="debug-filter-label">
+                                <input type="checkbox" id="debug-filter-search" checked> Search
+                            </label>
                         </div>
                         <div class="data-buttons" style="margin-top: 0.75rem;">
                             <button class="btn-data" id="debug-filter-all-btn">Enable All</button>
@@ -10827,6 +14147,59 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         </div>
                     </div>
                 </div>
+
+                <!-- Search Tab -->
+                <div class="tab-content" id="tab-search">
+                    <div class="section-title">Search Chats</div>
+                    <div class="section-desc" id="search-index-status">Enable Chat Search in the Features tab to index the chats you open.</div>
+                    <input type="text" class="search-input" id="search-query-input" placeholder='Keywords or "exact phrase"' autocomplete="off">
+                    <div class="search-filters">
+                        <select class="search-input" id="search-character-select">
+                            <option value="">All characters</option>
+                        </select>
+                        <input type="text" class="search-input" id="search-model-input" placeholder="Model" autocomplete="off">
+                        <input type="date" class="search-input" id="search-from-input" title="From date">
+                        <input type="date" class="search-input" id="search-to-input" title="To date">
+                    </div>
+                    <div class="data-buttons">
+                        <button class="btn-data" id="search-run-btn">Search</button>
+                        <button class="btn-data" id="search-clear-index-btn" style="color: #dc2626; border-color: #dc2626;">Clear Index</button>
+                    </div>
+                    <div id="search-result-count" class="drive-sync-status" style="margin-top: 0.5rem;"></div>
+                    <div id="search-results" class="search-results"></div>
+                </div>
+
+                <div class="tab-content" id="tab-stats">
+                    <div class="section-title">Generation Stats</div>
+                    <div class="section-desc" id="stats-dashboard-status">Totals come from the generation stats stored for each bot message.</div>
+                    <div class="search-filters">
+                        <select class="search-input" id="stats-character-select">
+                            <option value="">All characters</option>
+                        </select>
+                        <button class="btn-data" id="stats-refresh-btn">Refresh</button>
+                    </div>
+                    <div class="section-title stats-chart-title">Models</div>
+                    <div class="stats-legend">
+                        <span><i class="stats-swatch" style="background: #3b82f6;"></i>Served as requested</span>
+                        <span><i class="stats-swatch" style="background: #f59e0b;"></i>Served a different model</span>
+                    </div>
+                    <div id="stats-model-chart" class="stats-chart"></div>
+                    <div class="section-title stats-chart-title">Model mix over time</div>
+                    <div id="stats-timeline-legend" class="stats-legend"></div>
+                    <div id="stats-timeline-chart" class="stats-chart"></div>
+                    <div id="stats-undated-note" class="drive-sync-status"></div>
+                    <div class="section-title stats-chart-title">Requested → served</div>
+                    <div id="stats-pairs-table"></div>
+                    <div class="section-title stats-chart-title">Characters</div>
+                    <div id="stats-character-table"></div>
+                    <div class="section-title stats-chart-title">Model mismatch log</div>
+                    <div class="section-desc" id="mismatch-log-status">Replies served by a different model than the chat was using, and whether auto-regen got it back.</div>
+                    <div class="data-buttons">
+                        <button class="btn-data" id="mismatch-log-export-btn">Export CSV</button>
+                        <button class="btn-data" id="mismatch-log-clear-btn" style="color: #dc2626; border-color: #dc2626;">Clear Log</button>
+                    </div>
+                    <div id="mismatch-log-table" class="mismatch-log"></div>
+                </div>
             </div>
             
             <div class="button-row">
@@ -10889,9 +14262,28 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         const autoRegenMismatchRow = shadow.querySelector('#auto-regen-mismatch-row');
         const autoRegenShortRow = shadow.querySelector('#auto-regen-short-row');
         const autoRegenMaxRow = shadow.querySelector('#auto-regen-max-row');
+        const shortResponseThresholdSelect = shadow.querySelector('#short-response-threshold-select');
+        const shortResponseThresholdRow = shadow.querySelector('#short-response-threshold-row');
+        const replyRulesSummary = shadow.querySelector('#reply-rules-summary');
+        const replyRulesEditBtn = shadow.querySelector('#reply-rules-edit-btn');
+        const snippetsSummary = shadow.querySelector('#snippets-summary');
+        const snippetsEditBtn = shadow.querySelector('#snippets-edit-btn');
+        const repetitionDetectionCheckbox = shadow.querySelector('#repetition-detection-checkbox');
+        const repetitionRegenCheckbox = shadow.querySelector('#repetition-regen-checkbox');
+        const repetitionRegenRow = shadow.querySelector('#repetition-regen-row');
+        const repetitionThresholdSelect = shadow.querySelector('#repetition-threshold-select');
+        const repetitionThresholdRow = shadow.querySelector('#repetition-threshold-row');
         const showChatNameInTitleCheckbox = shadow.querySelector('#showchatnametitle-checkbox');
         const nsfwToggleCheckbox = shadow.querySelector('#nsfwtoggle-checkbox');
         const messageRecoveryCheckbox = shadow.querySelector('#message-recovery-checkbox');
+        const draftAutosaveCheckbox = shadow.querySelector('#draft-autosave-checkbox');
+        const draftExpirySelect = shadow.querySelector('#draft-expiry-select');
+        const draftExpiryRow = shadow.querySelector('#draft-expiry-row');
+        const sendRetryCheckbox = shadow.querySelector('#send-retry-checkbox');
+        const sendRetryMaxSelect = shadow.querySelector('#send-retry-max-select');
+        const sendRetryMaxRow = shadow.querySelector('#send-retry-max-row');
+        const offlineQueueCheckbox = shadow.querySelector('#offline-queue-checkbox');
+        const chatSearchCheckbox = shadow.querySelector('#chat-search-checkbox');
         const hideCreatorCheckbox = shadow.querySelector('#hide-creator-checkbox');
         const wysiwygCheckbox = shadow.querySelector('#wysiwyg-checkbox');
         const enableGenerationProfilesCheckbox = shadow.querySelector('#generation-profiles-checkbox');
@@ -10978,7 +14370,8 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             Compact: shadow.querySelector('#debug-filter-compact'),
             Sync: shadow.querySelector('#debug-filter-sync'),
             AutoRegen: shadow.querySelector('#debug-filter-autoregen'),
-            MsgRecovery: shadow.querySelector('#debug-filter-msgrecovery')
+            MsgRecovery: shadow.querySelector('#debug-filter-msgrecovery'),
+            Search: shadow.querySelector('#debug-filter-search')
         };
         
         // Refresh in-memory filters from storage (source of truth) before initializing the
@@ -11260,22 +14653,40 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         autoRegenMismatchCheckbox.checked = autoRegenOnMismatchEnabled;
         autoRegenShortCheckbox.checked = autoRegenOnShortEnabled;
         autoRegenMaxSelect.value = String(autoRegenMaxAttempts || 1);
+        shortResponseThresholdSelect.value = String(shortResponseThreshold || 50);
         // Show/hide sub-options based on highlight model changes state
         const updateAutoRegenVisibility = () => {
             const showSubs = highlightModelChangesCheckbox.checked;
             autoRegenMismatchRow.classList.toggle('hidden', !showSubs);
             autoRegenShortRow.classList.toggle('hidden', !showSubs);
+            shortResponseThresholdRow.classList.toggle('hidden', !(showSubs && autoRegenShortCheckbox.checked));
             // Show max attempts only if either auto-regen option is checked
             const showMax = showSubs && (autoRegenMismatchCheckbox.checked || autoRegenShortCheckbox.checked);
             autoRegenMaxRow.classList.toggle('hidden', !showMax);
         };
         updateAutoRegenVisibility();
+        repetitionDetectionCheckbox.checked = repetitionDetectionEnabled;
+        repetitionRegenCheckbox.checked = repetitionRegenEnabled;
+        repetitionThresholdSelect.value = String(repetitionThreshold || 40);
+        const updateRepetitionVisibility = () => {
+            repetitionRegenRow.classList.toggle('hidden', !repetitionDetectionCheckbox.checked);
+            repetitionThresholdRow.classList.toggle('hidden', !(repetitionDetectionCheckbox.checked && repetitionRegenCheckbox.checked));
+        };
+        updateRepetitionVisibility();
         timestampFormatCheckbox.checked = timestampDateFirst;
         timestampHourFormatCheckbox.checked = timestamp24Hour;
         showMessageIdsCheckbox.checked = showMessageIdsEnabled;
         showChatNameInTitleCheckbox.checked = showChatNameInTitleEnabled;
         nsfwToggleCheckbox.checked = nsfwToggleEnabled;
         messageRecoveryCheckbox.checked = messageRecoveryEnabled;
+        draftAutosaveCheckbox.checked = draftAutosaveEnabled;
+        draftExpirySelect.value = String(draftExpiryHours || 72);
+        draftExpiryRow.classList.toggle('hidden', !draftAutosaveEnabled);
+        sendRetryCheckbox.checked = sendRetryEnabled;
+        sendRetryMaxSelect.value = String(sendRetryMaxAttempts || 3);
+        sendRetryMaxRow.classList.toggle('hidden', !sendRetryEnabled);
+        offlineQueueCheckbox.checked = offlineQueueEnabled;
+        chatSearchCheckbox.checked = chatSearchEnabled;
         hideCreatorCheckbox.checked = hideCreatorEnabled;
         wysiwygCheckbox.checked = wysiwygEnabled;
         enableGenerationProfilesCheckbox.checked = enableGenerationProfilesEnabled;
@@ -11399,9 +14810,13 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         const importProfilesBtn = shadow.querySelector('#import-profiles-btn');
         const deleteProfilesBtn = shadow.querySelector('#delete-profiles-btn');
         const generationProfilesSection = shadow.querySelector('#generation-profiles-section');
+        const characterProfileBindingsList = shadow.querySelector('#character-profile-bindings');
+        const failedMessagesList = shadow.querySelector('#failed-messages-list');
+        const failedMessagesClearBtn = shadow.querySelector('#failed-messages-clear-btn');
         const exportCustomStyleBtn = shadow.querySelector('#export-custom-style-btn');
         const importCustomStyleBtn = shadow.querySelector('#import-custom-style-btn');
         const resetCustomStyleBtn = shadow.querySelector('#reset-custom-style-btn');
+        const openChatArchiveBtn = shadow.querySelector('#open-chat-archive-btn');
         const exportAllBtn = shadow.querySelector('#export-all-btn');
         const importAllBtn = shadow.querySelector('#import-all-btn');
         const clearAllBtn = shadow.querySelector('#clear-all-btn');
@@ -11411,13 +14826,38 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
         const syncStatsToggle = shadow.querySelector('#sync-stats-toggle');
         const syncSettingsToggle = shadow.querySelector('#sync-settings-toggle');
         const syncStyleToggle = shadow.querySelector('#sync-style-toggle');
+        const syncProfilesToggle = shadow.querySelector('#sync-profiles-toggle');
         const driveBackupSection = shadow.querySelector('#drive-backup-section');
         const driveCreateBackupBtn = shadow.querySelector('#drive-create-backup-btn');
         const driveOpenFolderBtn = shadow.querySelector('#drive-open-folder-btn');
         const driveBackupStatus = shadow.querySelector('#drive-backup-status');
         const driveBackupList = shadow.querySelector('#drive-backup-list');
+        const driveBackupScheduleSelect = shadow.querySelector('#drive-backup-schedule');
+        const driveBackupRetentionRow = shadow.querySelector('#drive-backup-retention-row');
+        const driveBackupKeepInputs = {
+            daily:   shadow.querySelector('#drive-backup-keep-daily'),
+            weekly:  shadow.querySelector('#drive-backup-keep-weekly'),
+            monthly: shadow.querySelector('#drive-backup-keep-monthly'),
+        };
+        const driveConflictsSection = shadow.querySelector('#drive-conflicts-section');
+        const driveConflictsTitle = shadow.querySelector('#drive-conflicts-title');
+        const driveConflictsList = shadow.querySelector('#drive-conflicts-list');
+        const driveConflictsLocalBtn = shadow.querySelector('#drive-conflicts-local-btn');
+        const driveConflictsRemoteBtn = shadow.querySelector('#drive-conflicts-remote-btn');
         const autoSyncToggle = shadow.querySelector('#auto-sync-toggle');
         const autoSyncIntervalSelect = shadow.querySelector('#auto-sync-interval');
+        const driveEncryptToggle = shadow.querySelector('#drive-encrypt-toggle');
+        const syncBackendSelect = shadow.querySelector('#sync-backend-select');
+        const webdavConfigSection = shadow.querySelector('#webdav-config-section');
+        const webdavUrlInput = shadow.querySelector('#webdav-url-input');
+        const webdavUsernameInput = shadow.querySelector('#webdav-username-input');
+        const webdavPasswordInput = shadow.querySelector('#webdav-password-input');
+        const webdavTestBtn = shadow.querySelector('#webdav-test-btn');
+        const autoSyncRow = shadow.querySelector('#auto-sync-row');
+        const syncFileSection = shadow.querySelector('#sync-file-section');
+        const syncFileExportBtn = shadow.querySelector('#sync-file-export-btn');
+        const syncFileImportBtn = shadow.querySelector('#sync-file-import-btn');
+        const drivePassphraseInput = shadow.querySelector('#drive-passphrase-input');
 
         // Check if this is first run (onboarding) - disable cancel if so
         const hasSeenOnboarding = await storage.get('hasSeenOnboarding', false);
@@ -11448,25 +14888,15 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             const hasProfiles = Object.keys(profiles).length > 0;
             const forceEnabled = enableGenerationProfilesCheckbox.checked;
             
-            // Show section if: has profiles OR (debug mode AND legacy setting enabled)
-            const showSection = hasProfiles || (DEBUG_MODE && forceEnabled);
-            
+            // The section is always shown so a shared .saiprofile.json can be imported
+            // before any profile exists; Export/Delete only make sense once there are some.
             if (generationProfilesSection) {
-                if (showSection) {
-                    generationProfilesSection.style.display = '';
-                } else {
-                    generationProfilesSection.style.display = 'none';
-                }
-            }
-            
-            // Show Import button only if debug mode AND legacy setting enabled
-            if (importProfilesBtn) {
-                if (DEBUG_MODE && forceEnabled) {
-                    importProfilesBtn.style.display = '';
-                } else {
-                    importProfilesBtn.style.display = 'none';
-                }
+                generationProfilesSection.style.display = '';
             }
+            const showManageButtons = hasProfiles || (DEBUG_MODE && forceEnabled);
+            if (exportProfilesBtn) exportProfilesBtn.style.display = showManageButtons ? '' : 'none';
+            if (deleteProfilesBtn) deleteProfilesBtn.style.display = showManageButtons ? '' : 'none';
+            if (importProfilesBtn) importProfilesBtn.style.display = '';
         }
         
         // Initial visibility update
@@ -11907,6 +15337,330 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             debugLog('[Core] Auto Regen Max Attempts:', autoRegenMaxAttempts);
         };
 
+        shortResponseThresholdSelect.onchange = (e) => {
+            shortResponseThreshold = parseInt(e.target.value, 10);
+            debugLog('[Core] Short Response Threshold:', shortResponseThreshold);
+        };
+
+        repetitionDetectionCheckbox.onchange = (e) => {
+            repetitionDetectionEnabled = e.target.checked;
+            debugLog('[Core] Repetition Detection:', repetitionDetectionEnabled);
+            updateRepetitionVisibility();
+        };
+
+        repetitionRegenCheckbox.onchange = (e) => {
+            repetitionRegenEnabled = e.target.checked;
+            debugLog('[Core] Repetition Auto Regen:', repetitionRegenEnabled);
+            updateRepetitionVisibility();
+        };
+
+        repetitionThresholdSelect.onchange = (e) => {
+            repetitionThreshold = parseInt(e.target.value, 10);
+            debugLog('[Core] Repetition Threshold:', repetitionThreshold);
+        };
+
+        // Reply Rules editor
+        const describeReplyRule = (rule) => {
+            const condition = REPLY_RULE_TYPES[rule.type] || rule.type;
+            const value = rule.type === 'repeated-paragraphs' ? ''
+                : (rule.type === 'min-length' || rule.type === 'max-length') ? ` ${rule.value} chars`
+                : ` /${rule.value}/`;
+            const scope = rule.characterId ? (rule.characterName || rule.characterId) : 'all characters';
+            return `${condition}${value} → ${REPLY_RULE_ACTIONS[rule.action] || rule.action} · ${scope}`;
+        };
+
+        const updateReplyRulesSummary = async () => {
+            const rules = await loadReplyRules();
+            const active = rules.filter(r => r.enabled).length;
+            replyRulesSummary.textContent = rules.length
+                ? `${active} of ${rules.length} rule${rules.length === 1 ? '' : 's'} active`
+                : 'Regenerate, flag or notify on replies that match your own rules';
+        };
+        updateReplyRulesSummary();
+
+        replyRulesEditBtn.onclick = async (e) => {
+            e.stopPropagation();
+            const draft = (await loadReplyRules()).map(r => ({ ...r }));
+            const characterId = getCurrentCharacterId();
+            const characterName = getCurrentCharacterNameFromTitle();
+
+            const body = document.createElement('div');
+            body.replaceChildren(parseHTMLToFragment(`
+                <div class="drive-backup-list" id="reply-rules-list"></div>
+                <div class="section-title" style="margin-top: 0.75rem;">Add a rule</div>
+                <select class="search-input" id="reply-rule-preset">
+                    <option value="">Start from a preset…</option>
+                </select>
+                <input type="text" class="search-input" id="reply-rule-name" placeholder="Rule name" maxlength="60" autocomplete="off">
+                <div class="search-filters">
+                    <select class="search-input" id="reply-rule-type"></select>
+                    <input type="text" class="search-input" id="reply-rule-value" placeholder="Value" autocomplete="off">
+                    <select class="search-input" id="reply-rule-action"></select>
+                    <select class="search-input" id="reply-rule-scope">
+                        <option value="">All characters</option>
+                    </select>
+                </div>
+                <div class="section-desc">Patterns are case-insensitive regular expressions; use {{user}} for your persona name. Regenerate rules share the Max Auto-Regenerations limit.</div>
+                <div class="data-buttons">
+                    <button class="btn-data" id="reply-rule-add-btn">Add Rule</button>
+                </div>
+                <div class="drive-sync-status" id="reply-rule-error"></div>
+            `));
+            const listEl = body.querySelector('#reply-rules-list');
+            const presetSelect = body.querySelector('#reply-rule-preset');
+            const nameInput = body.querySelector('#reply-rule-name');
+            const typeSelect = body.querySelector('#reply-rule-type');
+            const valueInput = body.querySelector('#reply-rule-value');
+            const actionSelect = body.querySelector('#reply-rule-action');
+            const scopeSelect = body.querySelector('#reply-rule-scope');
+            const errorEl = body.querySelector('#reply-rule-error');
+
+            REPLY_RULE_PRESETS.forEach((preset, i) => presetSelect.add(new Option(preset.name, String(i))));
+            for (const [value, label] of Object.entries(REPLY_RULE_TYPES)) typeSelect.add(new Option(label, value));
+            for (const [value, label] of Object.entries(REPLY_RULE_ACTIONS)) actionSelect.add(new Option(label, value));
+            if (characterId) scopeSelect.add(new Option(`Only ${characterName || 'this character'}`, characterId));
+
+            const syncValueInput = () => {
+                const type = typeSelect.value;
+                valueInput.disabled = type === 'repeated-paragraphs';
+                valueInput.placeholder = type === 'repeated-paragraphs' ? '—'
+                    : (type === 'min-length' || type === 'max-length') ? 'Characters' : 'Pattern';
+            };
+            typeSelect.onchange = syncValueInput;
+            syncValueInput();
+
+            presetSelect.onchange = () => {
+                const preset = REPLY_RULE_PRESETS[presetSelect.value];
+                if (!preset) return;
+                nameInput.value = preset.name;
+                typeSelect.value = preset.type;
+                valueInput.value = preset.value;
+                actionSelect.value = preset.action;
+                syncValueInput();
+            };
+
+            const renderList = () => {
+                listEl.replaceChildren();
+                if (draft.length === 0) {
+                    const empty = document.createElement('div');
+                    empty.className = 'drive-backup-empty';
+                    empty.textContent = 'No reply rules yet.';
+                    listEl.appendChild(empty);
+                    return;
+                }
+                draft.forEach((rule, index) => {
+                    const item = document.createElement('div');
+                    item.className = 'drive-backup-item';
+                    const enabledBox = document.createElement('input');
+                    enabledBox.type = 'checkbox';
+                    enabledBox.checked = !!rule.enabled;
+                    enabledBox.title = 'Enabled';
+                    enabledBox.onchange = () => { rule.enabled = enabledBox.checked; };
+                    const labelEl = document.createElement('div');
+                    labelEl.className = 'drive-backup-item-date';
+                    const nameEl = document.createElement('strong');
+                    nameEl.textContent = rule.name;
+                    labelEl.append(nameEl, document.createElement('br'), describeReplyRule(rule));
+                    const btns = document.createElement('div');
+                    btns.className = 'drive-backup-item-btns';
+                    const removeBtn = document.createElement('button');
+                    removeBtn.className = 'btn-data';
+                    removeBtn.style.cssText = 'padding:0.15rem 0.45rem;font-size:11px;';
+                    removeBtn.textContent = 'Remove';
+                    removeBtn.onclick = (ev) => {
+                        ev.stopPropagation();
+                        draft.splice(index, 1);
+                        renderList();
+                    };
+                    btns.appendChild(removeBtn);
+                    item.append(enabledBox, labelEl, btns);
+                    listEl.appendChild(item);
+                });
+            };
+            renderList();
+
+            body.querySelector('#reply-rule-add-btn').onclick = (ev) => {
+                ev.stopPropagation();
+                const rule = {
+                    id: 'rule_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 6),
+                    name: nameInput.value.trim() || REPLY_RULE_TYPES[typeSelect.value],
+                    enabled: true,
+                    type: typeSelect.value,
+                    value: typeSelect.value === 'repeated-paragraphs' ? '' : valueInput.value.trim(),
+                    action: actionSelect.value,
+                    characterId: scopeSelect.value || null,
+                    characterName: scopeSelect.value ? characterName : null
+                };
+                const problem = validateReplyRule(rule);
+                if (problem) {
+                    errorEl.textContent = problem;
+                    return;
+                }
+                errorEl.textContent = '';
+                draft.push(rule);
+                nameInput.value = '';
+                valueInput.value = '';
+                presetSelect.value = '';
+                renderList();
+            };
+
+            showSettingsDialog('Reply Rules', body, 'Save Rules', async () => {
+                await saveReplyRules(draft);
+                debugLog('[AutoRegen] Saved', draft.length, 'reply rules');
+                await updateReplyRulesSummary();
+                showNotification('Reply rules saved');
+            });
+        };
+
+        // Snippet library editor
+        const updateSnippetsSummary = async () => {
+            const snippets = await loadSnippets();
+            snippetsSummary.textContent = snippets.length
+                ? `${snippets.length} snippet${snippets.length === 1 ? '' : 's'} · type / or press Alt+/ in the chat box`
+                : 'Reusable text inserted with /name in the chat box (needs Live Text Formatting)';
+        };
+        updateSnippetsSummary();
+
+        snippetsEditBtn.onclick = async (e) => {
+            e.stopPropagation();
+            const draft = (await loadSnippets()).map(sn => ({ ...sn }));
+            const characterId = getCurrentCharacterId();
+            const characterName = getCurrentCharacterNameFromTitle();
+            let editingId = null;
+
+            const body = document.createElement('div');
+            body.replaceChildren(parseHTMLToFragment(`
+                <div class="drive-backup-list" id="snippet-list"></div>
+                <div class="section-title" id="snippet-form-title" style="margin-top: 0.75rem;">Add a snippet</div>
+                <div class="search-filters">
+                    <input type="text" class="search-input" id="snippet-name" placeholder="Name (typed as /name)" maxlength="32" autocomplete="off">
+                    <select class="search-input" id="snippet-scope">
+                        <option value="">All characters</option>
+                    </select>
+                </div>
+                <textarea class="search-input" id="snippet-text" rows="5" placeholder="Snippet text" style="resize: vertical; font-family: inherit;"></textarea>
+                <div class="section-desc">Placeholders: {{char}}, {{user}}, {{date}}, {{time}}, and {{cursor}} for where the caret goes.</div>
+                <div class="data-buttons">
+                    <button class="btn-data" id="snippet-save-btn">Add Snippet</button>
+                    <button class="btn-data" id="snippet-cancel-edit-btn" style="display: none;">Cancel Edit</button>
+                </div>
+                <div class="drive-sync-status" id="snippet-error"></div>
+            `));
+            const listEl = body.querySelector('#snippet-list');
+            const formTitle = body.querySelector('#snippet-form-title');
+            const nameInput = body.querySelector('#snippet-name');
+            const scopeSelect = body.querySelector('#snippet-scope');
+            const textInput = body.querySelector('#snippet-text');
+            const saveSnippetBtn = body.querySelector('#snippet-save-btn');
+            const cancelEditBtn = body.querySelector('#snippet-cancel-edit-btn');
+            const errorEl = body.querySelector('#snippet-error');
+            if (characterId) scopeSelect.add(new Option(`Only ${characterName || 'this character'}`, characterId));
+
+            const resetForm = () => {
+                editingId = null;
+                nameInput.value = '';
+                textInput.value = '';
+                scopeSelect.value = '';
+                errorEl.textContent = '';
+                formTitle.textContent = 'Add a snippet';
+                saveSnippetBtn.textContent = 'Add Snippet';
+                cancelEditBtn.style.display = 'none';
+            };
+
+            const renderList = () => {
+                listEl.replaceChildren();
+                if (draft.length === 0) {
+                    const empty = document.createElement('div');
+                    empty.className = 'drive-backup-empty';
+                    empty.textContent = 'No snippets yet.';
+                    listEl.appendChild(empty);
+                    return;
+                }
+                draft.sort((a, b) => a.name.localeCompare(b.name));
+                for (const snippet of draft) {
+                    const item = document.createElement('div');
+                    item.className = 'drive-backup-item';
+                    const labelEl = document.createElement('div');
+                    labelEl.className = 'drive-backup-item-date';
+                    const nameEl = document.createElement('strong');
+                    nameEl.textContent = '/' + snippet.name;
+                    const scope = snippet.characterId ? (snippet.characterName || snippet.characterId) : 'all characters';
+                    labelEl.append(nameEl, ` · ${scope}`, document.createElement('br'),
+                        snippet.text.replace(/\s+/g, ' ').slice(0, 80));
+                    const btns = document.createElement('div');
+                    btns.className = 'drive-backup-item-btns';
+                    const editBtn = document.createElement('button');
+                    editBtn.className = 'btn-data';
+                    editBtn.style.cssText = 'padding:0.15rem 0.45rem;font-size:11px;';
+                    editBtn.textContent = 'Edit';
+                    editBtn.onclick = (ev) => {
+                        ev.stopPropagation();
+                        editingId = snippet.id;
+                        nameInput.value = snippet.name;
+                        textInput.value = snippet.text;
+                        if (snippet.characterId && !scopeSelect.querySelector(`option[value="${CSS.escape(snippet.characterId)}"]`)) {
+                            scopeSelect.add(new Option(`Only ${snippet.characterName || snippet.characterId}`, snippet.characterId));
+                        }
+                        scopeSelect.value = snippet.characterId || '';
+                        formTitle.textContent = `Edit /${snippet.name}`;
+                        saveSnippetBtn.textContent = 'Update Snippet';
+                        cancelEditBtn.style.display = '';
+                    };
+                    const removeBtn = document.createElement('button');
+                    removeBtn.className = 'btn-data';
+                    removeBtn.style.cssText = 'padding:0.15rem 0.45rem;font-size:11px;';
+                    removeBtn.textContent = 'Remove';
+                    removeBtn.onclick = (ev) => {
+                        ev.stopPropagation();
+                        draft.splice(draft.indexOf(snippet), 1);
+                        if (editingId === snippet.id) resetForm();
+                        renderList();
+                    };
+                    btns.append(editBtn, removeBtn);
+                    item.append(labelEl, btns);
+                    listEl.appendChild(item);
+                }
+            };
+            renderList();
+
+            cancelEditBtn.onclick = (ev) => {
+                ev.stopPropagation();
+                resetForm();
+            };
+
+            saveSnippetBtn.onclick = (ev) => {
+                ev.stopPropagation();
+                const scopeId = scopeSelect.value || null;
+                const existing = editingId ? draft.find(sn => sn.id === editingId) : null;
+                const snippet = {
+                    id: editingId || 'snip_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 6),
+                    name: nameInput.value.trim(),
+                    text: textInput.value,
+                    characterId: scopeId,
+                    characterName: scopeId
+                        ? (scopeId === characterId ? characterName : existing && existing.characterName) || null
+                        : null,
+                    updatedAt: Date.now()
+                };
+                const problem = validateSnippet(snippet, draft);
+                if (problem) {
+                    errorEl.textContent = problem;
+                    return;
+                }
+                if (existing) Object.assign(existing, snippet);
+                else draft.push(snippet);
+                resetForm();
+                renderList();
+            };
+
+            showSettingsDialog('Snippets', body, 'Save Snippets', async () => {
+                await saveSnippets(draft);
+                debugLog('[WYSIWYG] Saved', draft.length, 'snippets');
+                await updateSnippetsSummary();
+                showNotification('Snippets saved');
+            });
+        };
+
         showChatNameInTitleCheckbox.onchange = (e) => {
             debugLog('[Core] SHOW CHAT NAME IN TITLE CHECKBOX CHANGED');
             showChatNameInTitleEnabled = e.target.checked;
@@ -11925,6 +15679,39 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             debugLog('[Core] Message Recovery:', messageRecoveryEnabled);
         };
 
+        draftAutosaveCheckbox.onchange = (e) => {
+            draftAutosaveEnabled = e.target.checked;
+            debugLog('[Core] Draft Autosave:', draftAutosaveEnabled);
+            draftExpiryRow.classList.toggle('hidden', !draftAutosaveEnabled);
+        };
+
+        draftExpirySelect.onchange = (e) => {
+            draftExpiryHours = parseInt(e.target.value, 10);
+            debugLog('[Core] Draft Expiry Hours:', draftExpiryHours);
+        };
+
+        sendRetryCheckbox.onchange = (e) => {
+            sendRetryEnabled = e.target.checked;
+            debugLog('[Core] Send Retry:', sendRetryEnabled);
+            sendRetryMaxRow.classList.toggle('hidden', !sendRetryEnabled);
+        };
+
+        sendRetryMaxSelect.onchange = (e) => {
+            sendRetryMaxAttempts = parseInt(e.target.value, 10);
+            debugLog('[Core] Send Retry Max Attempts:', sendRetryMaxAttempts);
+        };
+
+        offlineQueueCheckbox.onchange = (e) => {
+            offlineQueueEnabled = e.target.checked;
+            debugLog('[Core] Offline Queue:', offlineQueueEnabled);
+        };
+
+        chatSearchCheckbox.onchange = (e) => {
+            debugLog('[Core] CHAT SEARCH CHECKBOX CHANGED');
+            chatSearchEnabled = e.target.checked;
+            debugLog('[Core] Chat Search:', chatSearchEnabled);
+        };
+
         hideCreatorCheckbox.onchange = (e) => {
             debugLog('[Core] HIDE CREATOR CHECKBOX CHANGED');
             hideCreatorEnabled = e.target.checked;
@@ -12036,6 +15823,7 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                             <li>All settings</li>
                             <li>All generation profiles</li>
                             <li>All message stats</li>
+                            <li>The chat search index</li>
                         </ul>
                         <p style="margin-top: 1rem; color: #ef4444; font-weight: 600;">This action cannot be undone!</p>
                     </div>
@@ -12066,6 +15854,7 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 
                 try {
                     await storage.clear();
+                    try { await sendStatsMessage('SAI_SEARCH_CLEAR'); } catch (_) { /* ignore */ }
                     debugLog('[Core] All data cleared');
                     showNotification('All data cleared! Refreshing...');
                     setTimeout(() => {
@@ -12139,6 +15928,25 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
 
             // ---- status display ----
             const updateDriveStatus = async () => {
+                const backend = syncBackendSelect.value;
+                webdavConfigSection.style.display = backend === 'webdav' ? '' : 'none';
+                syncFileSection.style.display     = backend === 'file' ? '' : 'none';
+                autoSyncRow.style.display         = backend === 'file' ? 'none' : '';
+                driveSyncBtn.style.display        = backend === 'file' ? 'none' : '';
+                if (backend !== 'drive') {
+                    const lastKey = backend === 'webdav' ? 'webdavLastSync' : 'syncFileLastMerge';
+                    const last = await storage.get(lastKey, null);
+                    if (last) {
+                        driveSyncStatus.textContent = `${backend === 'webdav' ? 'Last synced' : 'Last sync file merge'}: ${new Date(last).toLocaleString()}`;
+                        driveSyncStatus.style.color = '#10b981';
+                    } else {
+                        driveSyncStatus.textContent = backend === 'webdav' ? 'Not synced with WebDAV yet.' : 'No sync file exported or imported yet.';
+                        driveSyncStatus.style.color = '#9ca3af';
+                    }
+                    driveDisconnectBtn.style.display = 'none';
+                    driveBackupSection.style.display = 'none';
+                    return;
+                }
                 const { driveLastSync, driveFileId } = await storage.getMultiple(['driveLastSync', 'driveFileId']);
                 if (driveLastSync) {
                     driveSyncStatus.textContent = `Last synced: ${new Date(driveLastSync).toLocaleString()}`;
@@ -12159,6 +15967,50 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             };
 
             // ---- backup list renderer ----
+            // Size and counts come from the file's Drive metadata; backups made before
+            // counts were recorded show their size only.
+            const describeBackupMeta = (backup) => {
+                const parts = [];
+                const props = backup.appProperties || {};
+                if (props.saiKind === 'scheduled') parts.push('Scheduled');
+                if (backup.size) {
+                    const bytes = Number(backup.size);
+                    parts.push(bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+                }
+                if (props.saiMessages !== undefined) {
+                    parts.push(`${Number(props.saiMessages).toLocaleString()} messages`);
+                    parts.push(`${Number(props.saiCharacters).toLocaleString()} characters`);
+                    parts.push(`${Number(props.saiSettings).toLocaleString()} settings`);
+                }
+                return parts.join(' · ');
+            };
+
+            const renderBackupDiff = (el, diff) => {
+                const { settings, stats } = diff;
+                const listKeys = (keys) => keys.length > 8 ? `${keys.slice(0, 8).join(', ')} and ${keys.length - 8} more` : keys.join(', ');
+                const lines = [];
+                if (!settings.changed.length && !settings.added.length) {
+                    lines.push(`Settings: identical to current (${settings.unchanged} compared).`);
+                } else {
+                    if (settings.changed.length) lines.push(`Settings restored to the backup's value (${settings.changed.length}): ${listKeys(settings.changed)}`);
+                    if (settings.added.length) lines.push(`Settings added (${settings.added.length}): ${listKeys(settings.added)}`);
+                }
+                if (!stats.newMessages && !stats.updatedMessages) {
+                    lines.push(`Stats: nothing to add — all ${stats.backupMessages.toLocaleString()} messages in the backup are already here.`);
+                } else {
+                    const parts = [];
+                    if (stats.newMessages) parts.push(`${stats.newMessages.toLocaleString()} messages added (${stats.newCharacters} new characters)`);
+                    if (stats.updatedMessages) parts.push(`${stats.updatedMessages.toLocaleString()} filled in`);
+                    lines.push(`Stats: ${parts.join(', ')}.`);
+                }
+                lines.push(`${stats.onlyCurrent.toLocaleString()} of your ${stats.currentMessages.toLocaleString()} current messages aren't in the backup; restoring keeps them.`);
+                el.replaceChildren(...lines.map(line => {
+                    const row = document.createElement('div');
+                    row.textContent = line;
+                    return row;
+                }));
+            };
+
             const loadDriveBackupList = async () => {
                 driveBackupList.replaceChildren();
                 const loading = document.createElement('div');
@@ -12186,18 +16038,55 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                     for (const backup of res.backups) {
                         const item = document.createElement('div');
                         item.className = 'drive-backup-item';
+                        const dateText = new Date(backup.createdTime).toLocaleString();
+                        const infoEl = document.createElement('div');
+                        infoEl.className = 'drive-backup-item-date';
+                        infoEl.style.minWidth = '0';
                         const dateEl = document.createElement('div');
-                        dateEl.className = 'drive-backup-item-date';
-                        dateEl.textContent = new Date(backup.createdTime).toLocaleString();
+                        dateEl.textContent = dateText;
+                        const metaEl = document.createElement('div');
+                        metaEl.className = 'drive-backup-item-meta';
+                        metaEl.textContent = describeBackupMeta(backup);
+                        infoEl.appendChild(dateEl);
+                        infoEl.appendChild(metaEl);
                         const btns = document.createElement('div');
                         btns.className = 'drive-backup-item-btns';
+                        let diffEl = null;
+                        const compareBtn = document.createElement('button');
+                        compareBtn.className = 'btn-data';
+                        compareBtn.style.cssText = 'padding:0.15rem 0.45rem;font-size:11px;';
+                        compareBtn.textContent = 'Compare';
+                        compareBtn.title = 'Show what restoring this backup would change';
+                        compareBtn.onclick = async (ev) => {
+                            ev.stopPropagation();
+                            if (diffEl) {
+                                diffEl.remove();
+                                diffEl = null;
+                                return;
+                            }
+                            compareBtn.disabled = true;
+                            compareBtn.textContent = 'Comparing…';
+                            diffEl = document.createElement('div');
+                            diffEl.className = 'drive-backup-diff';
+                            try {
+                                const diffRes = await sendDriveMessage('SAI_DRIVE_DIFF_BACKUP', { fileId: backup.id });
+                                if (!diffRes || !diffRes.success) throw new Error((diffRes && diffRes.error) || 'Compare failed.');
+                                renderBackupDiff(diffEl, diffRes.diff);
+                            } catch (err) {
+                                diffEl.textContent = err.message || 'Compare failed.';
+                                diffEl.style.color = '#dc2626';
+                            }
+                            item.after(diffEl);
+                            compareBtn.disabled = false;
+                            compareBtn.textContent = 'Compare';
+                        };
                         const restoreBtn = document.createElement('button');
                         restoreBtn.className = 'btn-data';
                         restoreBtn.style.cssText = 'padding:0.15rem 0.45rem;font-size:11px;';
                         restoreBtn.textContent = 'Restore';
                         restoreBtn.onclick = async (ev) => {
                             ev.stopPropagation();
-                            if (!confirm(`Restore from this backup?\n\n${dateEl.textContent}\n\nSettings will be overwritten and stats merged with current data. The page will reload.`)) return;
+                            if (!confirm(`Restore from this backup?\n\n${dateText}\n\nSettings will be overwritten and stats merged with current data. The page will reload.`)) return;
                             restoreBtn.disabled = true;
                             restoreBtn.textContent = 'Restoring…';
                             try {
@@ -12221,7 +16110,7 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         deleteBtn.textContent = 'Delete';
                         deleteBtn.onclick = async (ev) => {
                             ev.stopPropagation();
-                            if (!confirm(`Delete this backup?\n\n${dateEl.textContent}\n\nThis cannot be undone.`)) return;
+                            if (!confirm(`Delete this backup?\n\n${dateText}\n\nThis cannot be undone.`)) return;
                             deleteBtn.disabled = true;
                             deleteBtn.textContent = 'Deleting…';
                             try {
@@ -12233,6 +16122,7 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                                     return;
                                 }
                                 item.remove();
+                                if (diffEl) diffEl.remove();
                                 if (!driveBackupList.children.length) {
                                     const empty = document.createElement('div');
                                     empty.className = 'drive-backup-empty';
@@ -12245,9 +16135,10 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                                 deleteBtn.textContent = 'Delete';
                             }
                         };
+                        btns.appendChild(compareBtn);
                         btns.appendChild(restoreBtn);
                         btns.appendChild(deleteBtn);
-                        item.appendChild(dateEl);
+                        item.appendChild(infoEl);
                         item.appendChild(btns);
                         driveBackupList.appendChild(item);
                     }
@@ -12325,6 +16216,12 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 if (imported.showChatNameInTitle !== undefined) updates.showChatNameInTitle = imported.showChatNameInTitle;
                 if (imported.nsfwToggleEnabled !== undefined) updates.nsfwToggleEnabled = imported.nsfwToggleEnabled;
                 if (imported.messageRecoveryEnabled !== undefined) updates.messageRecoveryEnabled = imported.messageRecoveryEnabled;
+                if (imported.draftAutosaveEnabled !== undefined) updates[DRAFT_AUTOSAVE_KEY] = imported.draftAutosaveEnabled;
+                if (imported.draftExpiryHours !== undefined) updates[DRAFT_EXPIRY_HOURS_KEY] = imported.draftExpiryHours;
+                if (imported.sendRetryEnabled !== undefined) updates[SEND_RETRY_KEY] = imported.sendRetryEnabled;
+                if (imported.sendRetryMaxAttempts !== undefined) updates[SEND_RETRY_MAX_KEY] = imported.sendRetryMaxAttempts;
+                if (imported.offlineQueueEnabled !== undefined) updates[OFFLINE_QUEUE_KEY] = imported.offlineQueueEnabled;
+                if (imported.enableChatSearchIndex !== undefined) updates[CHAT_SEARCH_INDEX_KEY] = imported.enableChatSearchIndex;
                 if (imported.enableWysiwygEditor !== undefined) updates.enableWysiwygEditor = imported.enableWysiwygEditor;
                 if (imported.enableGenerationProfiles !== undefined) updates.enableGenerationProfiles = imported.enableGenerationProfiles;
                 if (imported.enableSmallProfileImages !== undefined) updates.enableSmallProfileImages = imported.enableSmallProfileImages;
@@ -12335,12 +16232,31 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 if (imported.autoRegenOnMismatch !== undefined) updates.autoRegenOnMismatch = imported.autoRegenOnMismatch;
                 if (imported.autoRegenOnShort !== undefined) updates.autoRegenOnShort = imported.autoRegenOnShort;
                 if (imported.autoRegenMaxAttempts !== undefined) updates.autoRegenMaxAttempts = imported.autoRegenMaxAttempts;
+                if (imported.shortResponseThreshold !== undefined) updates[SHORT_RESPONSE_THRESHOLD_KEY] = imported.shortResponseThreshold;
+                if (imported.repetitionDetection !== undefined) updates[REPETITION_DETECTION_KEY] = imported.repetitionDetection;
+                if (imported.repetitionAutoRegen !== undefined) updates[REPETITION_REGEN_KEY] = imported.repetitionAutoRegen;
+                if (imported.repetitionThreshold !== undefined) updates[REPETITION_THRESHOLD_KEY] = imported.repetitionThreshold;
                 if (imported.messageContainerMaxWidth !== undefined) updates[MESSAGE_CONTAINER_MAX_WIDTH_KEY] = imported.messageContainerMaxWidth;
                 if (imported.memoryDotEnabled !== undefined) updates[MEMORY_DOT_ENABLED_KEY] = imported.memoryDotEnabled;
                 if (imported.memoryDotColor !== undefined) updates[MEMORY_DOT_COLOR_KEY] = imported.memoryDotColor;
                 if (imported.hideCreatorName !== undefined) updates[HIDE_CREATOR_KEY] = imported.hideCreatorName;
                 if (generationProfilesValue !== undefined) updates.generationProfiles = generationProfilesValue;
                 if (imported.lastSelectedProfile !== undefined) updates.lastSelectedProfile = imported.lastSelectedProfile;
+                if (imported.characterProfileBindings !== undefined) {
+                    updates[CHARACTER_PROFILES_KEY] = typeof imported.characterProfileBindings === 'string'
+                        ? imported.characterProfileBindings
+                        : JSON.stringify(imported.characterProfileBindings);
+                }
+                if (imported.autoRegenRules !== undefined) {
+                    updates[AUTO_REGEN_RULES_KEY] = typeof imported.autoRegenRules === 'string'
+                        ? imported.autoRegenRules
+                        : JSON.stringify(imported.autoRegenRules);
+                }
+                if (imported.snippetLibrary !== undefined) {
+                    updates[SNIPPETS_KEY] = typeof imported.snippetLibrary === 'string'
+                        ? imported.snippetLibrary
+                        : JSON.stringify(imported.snippetLibrary);
+                }
 
                 const removeProgress = () => {
                     const ov = shadow.getElementById('import-progress-overlay');
@@ -12436,20 +16352,74 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 driveSyncStats: true,
                 driveSyncSettings: false,
                 driveSyncStyle: true,
+                driveSyncProfiles: true,
                 driveAutoSync: false,
                 driveAutoSyncInterval: 10
             });
             syncStatsToggle.checked    = !!savedPrefs.driveSyncStats;
             syncSettingsToggle.checked = !!savedPrefs.driveSyncSettings;
             syncStyleToggle.checked    = !!savedPrefs.driveSyncStyle;
+            syncProfilesToggle.checked = !!savedPrefs.driveSyncProfiles;
             autoSyncToggle.checked     = !!savedPrefs.driveAutoSync;
             autoSyncIntervalSelect.value = String(savedPrefs.driveAutoSyncInterval || 10);
             autoSyncIntervalSelect.style.display = savedPrefs.driveAutoSync ? '' : 'none';
 
+            // ---- sync backend (device-local) ----
+            const webdavPrefs = await storage.getMultiple({ syncBackend: 'drive', webdavUrl: '', webdavUsername: '', webdavPassword: '' });
+            syncBackendSelect.value   = webdavPrefs.syncBackend;
+            webdavUrlInput.value      = webdavPrefs.webdavUrl;
+            webdavUsernameInput.value = webdavPrefs.webdavUsername;
+            webdavPasswordInput.value = webdavPrefs.webdavPassword;
+            const remoteLabel = () => ({ drive: 'Drive', webdav: 'WebDAV', file: 'File' })[syncBackendSelect.value] || 'Drive';
+
+            syncBackendSelect.onchange = async () => {
+                // The merge base describes the previous backend's file; start fresh
+                // against the new one so its values aren't mistaken for local edits
+                await storage.set('syncBackend', syncBackendSelect.value);
+                await storage.remove(['driveSyncBase', 'driveSyncConflicts', 'syncJournal']);
+                debugLog('[Sync] Backend switched to', syncBackendSelect.value);
+                await renderDriveConflicts();
+                await updateDriveStatus();
+            };
+
+            webdavUrlInput.onchange = async () => {
+                const url = webdavUrlInput.value.trim();
+                if (url && !/^https?:\/\/[^/]+/i.test(url)) {
+                    alert('Enter the full folder URL, starting with https://');
+                    webdavUrlInput.value = await storage.get('webdavUrl', '');
+                    return;
+                }
+                // Basic authentication over plain http sends the password readable to anyone on the path
+                if (/^http:/i.test(url) && !confirm('This address starts with http://, so your WebDAV username and password would be sent unencrypted with every sync. Use it anyway?\n\nChoose Cancel and switch to https:// unless the server is on a network you trust.')) {
+                    webdavUrlInput.value = await storage.get('webdavUrl', '');
+                    return;
+                }
+                await storage.set('webdavUrl', url);
+            };
+            webdavUsernameInput.onchange = () => storage.set('webdavUsername', webdavUsernameInput.value.trim());
+            webdavPasswordInput.onchange = () => storage.set('webdavPassword', webdavPasswordInput.value);
+
+            webdavTestBtn.onclick = async (e) => {
+                e.stopPropagation();
+                webdavTestBtn.disabled = true;
+                webdavTestBtn.textContent = 'Testing…';
+                try {
+                    const res = await sendDriveMessage('SAI_SYNC_WEBDAV_TEST');
+                    driveSyncStatus.textContent = res && res.success ? 'WebDAV folder reachable.' : ((res && res.error) || 'WebDAV test failed.');
+                    driveSyncStatus.style.color = res && res.success ? '#10b981' : '#dc2626';
+                } catch (err) {
+                    driveSyncStatus.textContent = err.message || 'WebDAV test failed.';
+                    driveSyncStatus.style.color = '#dc2626';
+                }
+                webdavTestBtn.disabled = false;
+                webdavTestBtn.textContent = 'Test';
+            };
+
             const persistSyncPrefs = () => storage.setMultiple({
                 driveSyncStats:    syncStatsToggle.checked,
                 driveSyncSettings: syncSettingsToggle.checked,
-                driveSyncStyle:    syncStyleToggle.checked
+                driveSyncStyle:    syncStyleToggle.checked,
+                driveSyncProfiles: syncProfilesToggle.checked
             });
 
             const applyAutoSyncPref = async () => {
@@ -12461,11 +16431,173 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             };
             autoSyncToggle.onchange         = applyAutoSyncPref;
             autoSyncIntervalSelect.onchange = applyAutoSyncPref;
+
+            // ---- scheduled Drive backups and retention ----
+            const backupPrefs = await storage.getMultiple({
+                driveBackupSchedule: 'off',
+                driveBackupRetention: { daily: 7, weekly: 4, monthly: 6 }
+            });
+            driveBackupScheduleSelect.value = backupPrefs.driveBackupSchedule;
+            driveBackupRetentionRow.style.display = backupPrefs.driveBackupSchedule === 'off' ? 'none' : '';
+            for (const tier of Object.keys(driveBackupKeepInputs)) {
+                driveBackupKeepInputs[tier].value = String(backupPrefs.driveBackupRetention[tier] ?? 0);
+            }
+            driveBackupScheduleSelect.onchange = async () => {
+                const schedule = driveBackupScheduleSelect.value;
+                driveBackupRetentionRow.style.display = schedule === 'off' ? 'none' : '';
+                await storage.set('driveBackupSchedule', schedule);
+                await sendDriveMessage('SAI_DRIVE_SET_BACKUP_SCHEDULE', { schedule });
+            };
+            const applyBackupRetention = async () => {
+                const retention = {};
+                for (const tier of Object.keys(driveBackupKeepInputs)) {
+                    const n = Math.min(60, Math.max(0, parseInt(driveBackupKeepInputs[tier].value, 10) || 0));
+                    driveBackupKeepInputs[tier].value = String(n);
+                    retention[tier] = n;
+                }
+                if (!retention.daily && !retention.weekly && !retention.monthly) {
+                    driveBackupStatus.textContent = 'Keep at least one scheduled backup.';
+                    driveBackupStatus.style.color = '#dc2626';
+                    return;
+                }
+                await storage.set('driveBackupRetention', retention);
+                const res = await sendDriveMessage('SAI_DRIVE_PRUNE_BACKUPS');
+                if (res && res.success && res.removed) {
+                    driveBackupStatus.textContent = `Removed ${res.removed} scheduled backup${res.removed === 1 ? '' : 's'} beyond the new limits.`;
+                    driveBackupStatus.style.color = '#10b981';
+                    await loadDriveBackupList();
+                }
+            };
+            for (const input of Object.values(driveBackupKeepInputs)) input.onchange = applyBackupRetention;
             syncStatsToggle.onchange    = persistSyncPrefs;
             syncSettingsToggle.onchange = persistSyncPrefs;
             syncStyleToggle.onchange    = persistSyncPrefs;
+            syncProfilesToggle.onchange = persistSyncPrefs;
+
+            // ---- Drive encryption passphrase (device-local, never synced or exported) ----
+            const savedPassphrase = await storage.get('drivePassphrase', '');
+            driveEncryptToggle.checked = !!savedPassphrase;
+            drivePassphraseInput.value = savedPassphrase;
+            drivePassphraseInput.style.display = savedPassphrase ? '' : 'none';
+
+            // The Drive file stays under the old passphrase until the next sync rewrites it,
+            // so keep that one around (background clears it after a successful sync).
+            const applyDrivePassphrase = async (next) => {
+                const prev = await storage.getMultiple({ drivePassphrase: '', drivePassphrasePrevious: '' });
+                if (next === prev.drivePassphrase) return;
+                const updates = { drivePassphrase: next };
+                if (prev.drivePassphrase && !prev.drivePassphrasePrevious) {
+                    updates.drivePassphrasePrevious = prev.drivePassphrase;
+                }
+                await storage.setMultiple(updates);
+                debugLog('[Sync] Drive encryption', next ? 'passphrase set' : 'turned off');
+                showNotification(next
+                    ? 'Drive encryption passphrase saved — Drive files are encrypted from the next sync or backup. Use the same passphrase on your other devices.'
+                    : 'Drive encryption turned off — the sync file is stored unencrypted from the next sync.');
+            };
+
+            driveEncryptToggle.onchange = async () => {
+                if (driveEncryptToggle.checked) {
+                    drivePassphraseInput.style.display = '';
+                    drivePassphraseInput.focus();
+                    return;
+                }
+                drivePassphraseInput.style.display = 'none';
+                drivePassphraseInput.value = '';
+                await applyDrivePassphrase('');
+            };
+            drivePassphraseInput.onchange = async () => {
+                const next = drivePassphraseInput.value;
+                if (next.length < 8) {
+                    alert('The passphrase must be at least 8 characters long.');
+                    drivePassphraseInput.value = await storage.get('drivePassphrase', '');
+                    return;
+                }
+                await applyDrivePassphrase(next);
+            };
+
+            // ---- sync conflicts (three-way merge, resolved here) ----
+            const formatConflictValue = (value) => {
+                const text = typeof value === 'string' ? value : JSON.stringify(value);
+                return text.length > 60 ? text.slice(0, 59) + '…' : text;
+            };
+
+            const resolveConflicts = async (resolutions) => {
+                const res = await sendDriveMessage('SAI_DRIVE_RESOLVE_CONFLICTS', { resolutions });
+                if (!res || !res.success) {
+                    alert((res && res.error) || 'Could not resolve the conflicts.');
+                    return;
+                }
+                debugLog('[Sync] Conflicts resolved:', res.resolved, 'remaining:', res.remaining);
+                if (res.remaining === 0) {
+                    if (syncBackendSelect.value === 'file') {
+                        driveSyncStatus.textContent = 'Conflicts resolved — export a new sync file to take your picks to the other device.';
+                        driveSyncStatus.style.color = '#10b981';
+                    } else {
+                        // Push the picks to the backend (and reload with the merged settings)
+                        driveSyncBtn.click();
+                    }
+                }
+                await renderDriveConflicts();
+            };
+
+            const renderDriveConflicts = async () => {
+                const conflicts = await storage.get('driveSyncConflicts', {});
+                const entries = [];
+                for (const [section, paths] of Object.entries(conflicts || {})) {
+                    for (const [path, conflict] of Object.entries(paths || {})) entries.push({ section, path, ...conflict });
+                }
+                driveConflictsSection.style.display = entries.length ? '' : 'none';
+                driveConflictsList.replaceChildren();
+                if (!entries.length) return;
+                driveConflictsTitle.textContent = `Sync conflicts (${entries.length})`;
+                driveConflictsRemoteBtn.textContent = `Use All ${remoteLabel()}`;
+                for (const entry of entries) {
+                    const item = document.createElement('div');
+                    item.className = 'drive-backup-item';
+                    const labelEl = document.createElement('div');
+                    labelEl.className = 'drive-backup-item-date';
+                    labelEl.style.minWidth = '0';
+                    const pathEl = document.createElement('div');
+                    pathEl.textContent = `${entry.section === 'style' ? 'Style' : 'Settings'} · ${entry.path}`;
+                    const valuesEl = document.createElement('div');
+                    valuesEl.style.cssText = 'opacity:0.7;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;';
+                    valuesEl.textContent = `Mine: ${formatConflictValue(entry.local)} · ${remoteLabel()}: ${formatConflictValue(entry.remote)}`;
+                    valuesEl.title = valuesEl.textContent;
+                    labelEl.appendChild(pathEl);
+                    labelEl.appendChild(valuesEl);
+                    const btns = document.createElement('div');
+                    btns.className = 'drive-backup-item-btns';
+                    for (const [label, choice] of [['Mine', 'local'], [remoteLabel(), 'remote']]) {
+                        const btn = document.createElement('button');
+                        btn.className = 'btn-data';
+                        btn.style.cssText = 'padding:0.15rem 0.45rem;font-size:11px;';
+                        btn.textContent = label;
+                        btn.onclick = async (ev) => {
+                            ev.stopPropagation();
+                            await resolveConflicts([{ section: entry.section, path: entry.path, choice }]);
+                        };
+                        btns.appendChild(btn);
+                    }
+                    item.appendChild(labelEl);
+                    item.appendChild(btns);
+                    driveConflictsList.appendChild(item);
+                }
+            };
+
+            const resolveAllConflicts = async (choice) => {
+                const conflicts = await storage.get('driveSyncConflicts', {});
+                const resolutions = [];
+                for (const [section, paths] of Object.entries(conflicts || {})) {
+                    for (const path of Object.keys(paths || {})) resolutions.push({ section, path, choice });
+                }
+                if (resolutions.length) await resolveConflicts(resolutions);
+            };
+            driveConflictsLocalBtn.onclick = (e) => { e.stopPropagation(); resolveAllConflicts('local'); };
+            driveConflictsRemoteBtn.onclick = (e) => { e.stopPropagation(); resolveAllConflicts('remote'); };
 
             await updateDriveStatus();
+            await renderDriveConflicts();
 
             // ---- event handlers ----
             const syncProgressSection = shadow.querySelector('#sync-progress-section');
@@ -12502,8 +16634,8 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             driveSyncBtn.onclick = async (e) => {
                 e.stopPropagation();
                 const { driveFileId, driveLastSync } = await storage.getMultiple(['driveFileId', 'driveLastSync']);
-                debugLog('[Sync] Sync Now clicked — driveFileId:', driveFileId, 'driveLastSync:', driveLastSync);
-                if (!driveFileId && !driveLastSync) {
+                debugLog('[Sync] Sync Now clicked — backend:', syncBackendSelect.value, 'driveFileId:', driveFileId, 'driveLastSync:', driveLastSync);
+                if (syncBackendSelect.value === 'drive' && !driveFileId && !driveLastSync) {
                     const choice = await showPreConnectPrompt();
                     if (choice === 'cancel') return;
                     if (choice === 'download') {
@@ -12523,25 +16655,35 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 const syncStats    = syncStatsToggle.checked;
                 const syncSettings = syncSettingsToggle.checked;
                 const syncStyle    = syncStyleToggle.checked;
-                debugLog('[Sync] Sending SAI_DRIVE_SYNC — syncStats:', syncStats, 'syncSettings:', syncSettings, 'syncStyle:', syncStyle);
+                const syncProfiles = syncProfilesToggle.checked;
+                debugLog('[Sync] Sending SAI_DRIVE_SYNC — syncStats:', syncStats, 'syncSettings:', syncSettings, 'syncStyle:', syncStyle, 'syncProfiles:', syncProfiles);
                 // Note: sendDriveMessage now holds the background-keepalive port for the
                 // duration of every Drive RPC (including the auth tab flow), so no separate
                 // sync-scoped keepalive is needed here.
                 let _alreadyRunning = false;
                 try {
                     const result = await sendDriveMessage('SAI_DRIVE_SYNC', {
-                        syncStats, syncSettings, syncStyle
+                        syncStats, syncSettings, syncStyle, syncProfiles
                     });
                     debugLog('[Sync] SAI_DRIVE_SYNC result:', result);
                     if (result && result.success) {
-                        if (result.syncedSettings) {
+                        if (result.conflicts) {
+                            // Non-conflicting changes are already stored; the reload waits
+                            // until the conflicts are resolved (which syncs again)
+                            hideSyncProgress();
+                            await updateDriveStatus();
+                            await renderDriveConflicts();
+                            driveSyncStatus.textContent = `Synced with ${result.conflicts} conflict${result.conflicts === 1 ? '' : 's'} — resolve below.`;
+                            driveSyncStatus.style.color = '#f59e0b';
+                        } else if (result.syncedSettings) {
                             hideSyncProgress(0);
                             driveSyncBtn.textContent = 'Synced! Reloading…';
                             window.location.reload();
                             return;
+                        } else {
+                            hideSyncProgress();
+                            await updateDriveStatus();
                         }
-                        hideSyncProgress();
-                        await updateDriveStatus();
                     } else if (result && result.alreadyRunning) {
                         // Sync is already running from a previous click — don't show a red error.
                         // Keep the progress callback live so the running sync's updates show.
@@ -12572,38 +16714,90 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 driveSyncBtn.textContent = 'Sync Now';
             };
 
+            // ---- manual sync file backend ----
+            const runSyncFileMerge = async (remote) => {
+                syncFileExportBtn.disabled = true;
+                syncFileImportBtn.disabled = true;
+                driveSyncStatus.textContent = remote ? 'Merging sync file…' : 'Building sync file…';
+                driveSyncStatus.style.color = '#9ca3af';
+                try {
+                    const result = await sendDriveMessage('SAI_SYNC_FILE_MERGE', {
+                        remote,
+                        syncStats:    syncStatsToggle.checked,
+                        syncSettings: syncSettingsToggle.checked,
+                        syncStyle:    syncStyleToggle.checked,
+                        syncProfiles: syncProfilesToggle.checked
+                    });
+                    debugLog('[Sync] SAI_SYNC_FILE_MERGE result — success:', result && result.success, 'conflicts:', result && result.conflicts);
+                    if (!result || !result.success) throw new Error((result && result.error) || 'Sync file merge failed.');
+                    const blob = new Blob([JSON.stringify(result.file)], { type: 'application/json' });
+                    const url = URL.createObjectURL(blob);
+                    const link = document.createElement('a');
+                    link.href = url;
+                    link.download = result.fileName;
+                    link.click();
+                    URL.revokeObjectURL(url);
+                    await renderDriveConflicts();
+                    if (result.conflicts) {
+                        await updateDriveStatus();
+                        driveSyncStatus.textContent = `Merged with ${result.conflicts} conflict${result.conflicts === 1 ? '' : 's'} — resolve below, then export again.`;
+                        driveSyncStatus.style.color = '#f59e0b';
+                    } else if (result.syncedSettings) {
+                        driveSyncStatus.textContent = 'Merged! Reloading…';
+                        // Let the download start before the page goes away
+                        await new Promise(r => setTimeout(r, 1000));
+                        window.location.reload();
+                        return;
+                    } else {
+                        await updateDriveStatus();
+                    }
+                } catch (err) {
+                    driveSyncStatus.textContent = err.message || 'Sync file merge failed.';
+                    driveSyncStatus.style.color = '#dc2626';
+                }
+                syncFileExportBtn.disabled = false;
+                syncFileImportBtn.disabled = false;
+            };
+
+            syncFileExportBtn.onclick = (e) => {
+                e.stopPropagation();
+                runSyncFileMerge(null);
+            };
+
+            syncFileImportBtn.onclick = (e) => {
+                e.stopPropagation();
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = '.json';
+                input.addEventListener('change', () => {
+                    const file = input.files[0];
+                    if (!file) return;
+                    const reader = new FileReader();
+                    reader.onload = () => {
+                        let parsed;
+                        try {
+                            parsed = JSON.parse(reader.result);
+                        } catch (_) {
+                            driveSyncStatus.textContent = 'That file is not valid JSON.';
+                            driveSyncStatus.style.color = '#dc2626';
+                            return;
+                        }
+                        runSyncFileMerge(parsed);
+                    };
+                    reader.readAsText(file);
+                });
+                input.click();
+            };
+
             driveCreateBackupBtn.onclick = async (e) => {
                 e.stopPropagation();
                 driveCreateBackupBtn.disabled = true;
                 driveCreateBackupBtn.textContent = 'Creating…';
                 driveBackupStatus.textContent = '';
                 try {
-                    const rawStorage = await sendDriveMessage('getSettings');
-                    const exportData = { ...rawStorage };
-                    if (typeof exportData.generationProfiles === 'string') {
-                        try { exportData.generationProfiles = JSON.parse(exportData.generationProfiles); } catch (_) {}
-                    }
-                    // Stats now live in the background IndexedDB store, NOT storage.local.
-                    // Pull the authoritative nested snapshot from the DB (getSettings only
-                    // carries the frozen legacy blob, which would be stale/empty). If the DB
-                    // read fails, ABORT the backup — never ship a silently empty-stats file.
-                    const statsRes = await sendStatsMessage('SAI_STATS_EXPORT_ALL');
-                    if (!statsRes || !statsRes.success) {
-                        throw new Error('Could not read stats from the database — backup aborted to avoid an incomplete file.');
-                    }
-                    exportData.messageGenerationStats = statsRes.stats || {};
-                    delete exportData.driveAccessToken;
-                    delete exportData.driveRefreshToken;
-                    delete exportData.driveTokenExpiry;
-                    delete exportData.driveFileId;
-                    delete exportData.driveLastSync;
-                    delete exportData.driveBackupFolderId;
-                    delete exportData.driveSyncStats;
-                    delete exportData.driveSyncSettings;
-                    delete exportData.driveSyncStyle;
-                    delete exportData.driveAutoSync;
-                    delete exportData.driveAutoSyncInterval;
-                    const result = await sendDriveMessage('SAI_DRIVE_CREATE_BACKUP', { exportData });
+                    // The background builds the payload (settings plus stats from the
+                    // database, minus device-local keys), shared with scheduled backups.
+                    const result = await sendDriveMessage('SAI_DRIVE_CREATE_BACKUP');
                     if (result && result.success) {
                         driveBackupStatus.textContent = 'Backup created.';
                         driveBackupStatus.style.color = '#10b981';
@@ -12632,17 +16826,341 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
 
             driveDisconnectBtn.onclick = async (e) => {
                 e.stopPropagation();
-                await storage.remove(['driveAccessToken', 'driveRefreshToken', 'driveTokenExpiry', 'driveFileId', 'driveLastSync', 'driveBackupFolderId']);
+                await storage.remove(['driveAccessToken', 'driveRefreshToken', 'driveTokenExpiry', 'driveFileId', 'driveLastSync', 'driveBackupFolderId', 'driveSyncBase', 'driveSyncConflicts', 'syncJournal']);
                 driveBackupFolderUrl = null;
+                await renderDriveConflicts();
                 // Disable auto-sync and clear the alarm
                 autoSyncToggle.checked = false;
                 autoSyncIntervalSelect.style.display = 'none';
                 await storage.setMultiple({ driveAutoSync: false });
                 await sendDriveMessage('SAI_DRIVE_SET_AUTO_SYNC', { enabled: false });
+                // Scheduled backups need the Drive connection too
+                driveBackupScheduleSelect.value = 'off';
+                driveBackupRetentionRow.style.display = 'none';
+                await storage.set('driveBackupSchedule', 'off');
+                await sendDriveMessage('SAI_DRIVE_SET_BACKUP_SCHEDULE', { schedule: 'off' });
                 await updateDriveStatus();
             };
         })();
 
+        // Chat Search tab
+        (() => {
+            const searchTabBtn = shadow.querySelector('.tab-btn[data-tab="search"]');
+            const statusEl = shadow.querySelector('#search-index-status');
+            const queryInput = shadow.querySelector('#search-query-input');
+            const characterSelect = shadow.querySelector('#search-character-select');
+            const modelInput = shadow.querySelector('#search-model-input');
+            const fromInput = shadow.querySelector('#search-from-input');
+            const toInput = shadow.querySelector('#search-to-input');
+            const runBtn = shadow.querySelector('#search-run-btn');
+            const clearIndexBtn = shadow.querySelector('#search-clear-index-btn');
+            const countEl = shadow.querySelector('#search-result-count');
+            const resultsEl = shadow.querySelector('#search-results');
+            let summaryLoaded = false;
+
+            const loadSummary = async () => {
+                try {
+                    const res = await sendStatsMessage('SAI_SEARCH_SUMMARY');
+                    if (!res || !res.success) throw new Error((res && res.error) || 'unknown error');
+                    const prefix = chatSearchEnabled ? '' : 'Indexing is off (Features → Chat Search). ';
+                    statusEl.textContent = `${prefix}${res.messages} messages indexed across ${res.conversations} chats.`;
+                    characterSelect.replaceChildren(characterSelect.options[0]);
+                    for (const c of res.characters) {
+                        const opt = document.createElement('option');
+                        opt.value = c.id;
+                        opt.textContent = c.name;
+                        characterSelect.appendChild(opt);
+                    }
+                    summaryLoaded = true;
+                } catch (err) {
+                    statusEl.textContent = 'Could not read the search index: ' + err.message;
+                }
+            };
+
+            const runSearch = async () => {
+                // Date inputs are local calendar days; include the whole "to" day.
+                const from = fromInput.value ? new Date(fromInput.value + 'T00:00:00').getTime() : null;
+                const to = toInput.value ? new Date(toInput.value + 'T23:59:59.999').getTime() : null;
+                countEl.textContent = 'Searching…';
+                try {
+                    const res = await sendStatsMessage('SAI_SEARCH_QUERY', {
+                        filters: {
+                            query: queryInput.value,
+                            character: characterSelect.value || null,
+                            model: modelInput.value.trim() || null,
+                            from,
+                            to
+                        }
+                    });
+                    if (!res || !res.success) throw new Error((res && res.error) || 'unknown error');
+                    countEl.textContent = res.total > res.results.length
+                        ? `${res.total} matches (showing newest ${res.results.length})`
+                        : `${res.total} match${res.total === 1 ? '' : 'es'}`;
+                    renderSearchResults(resultsEl, res.results, (result) => {
+                        debugLog('[Search] Jumping to', result.conversationId, result.messageId);
+                        closeModal();
+                        jumpToSearchResult(result);
+                    });
+                } catch (err) {
+                    countEl.textContent = 'Search failed: ' + err.message;
+                }
+            };
+
+            searchTabBtn.addEventListener('click', () => { if (!summaryLoaded) loadSummary(); });
+            runBtn.onclick = (e) => { e.stopPropagation(); runSearch(); };
+            queryInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') { e.preventDefault(); runSearch(); }
+            });
+            clearIndexBtn.onclick = async (e) => {
+                e.stopPropagation();
+                if (!confirm('Delete every indexed chat message from the search index?')) return;
+                const res = await sendStatsMessage('SAI_SEARCH_CLEAR').catch(err => ({ success: false, error: err.message }));
+                if (res && res.success) {
+                    searchIndexedSignatures.clear();
+                    resultsEl.replaceChildren();
+                    countEl.textContent = '';
+                    await loadSummary();
+                    showNotification('Search index cleared');
+                } else {
+                    alert('Error clearing search index: ' + ((res && res.error) || 'unknown error'));
+                }
+            };
+        })();
+
+        // Stats Dashboard tab
+        (function setupStatsDashboardTab() {
+            const SVG_NS = 'http://www.w3.org/2000/svg';
+            const SERIES_COLORS = ['#3b82f6', '#10b981', '#8b5cf6', '#ef4444', '#14b8a6', '#ec4899', '#9ca3af'];
+            const statsTabBtn = shadow.querySelector('.tab-btn[data-tab="stats"]');
+            const statusEl = shadow.querySelector('#stats-dashboard-status');
+            const characterSelect = shadow.querySelector('#stats-character-select');
+            const refreshBtn = shadow.querySelector('#stats-refresh-btn');
+            const modelChartEl = shadow.querySelector('#stats-model-chart');
+            const timelineLegendEl = shadow.querySelector('#stats-timeline-legend');
+            const timelineChartEl = shadow.querySelector('#stats-timeline-chart');
+            const undatedNoteEl = shadow.querySelector('#stats-undated-note');
+            const pairsTableEl = shadow.querySelector('#stats-pairs-table');
+            const characterTableEl = shadow.querySelector('#stats-character-table');
+            const mismatchStatusEl = shadow.querySelector('#mismatch-log-status');
+            const mismatchTableEl = shadow.querySelector('#mismatch-log-table');
+            const mismatchExportBtn = shadow.querySelector('#mismatch-log-export-btn');
+            const mismatchClearBtn = shadow.querySelector('#mismatch-log-clear-btn');
+            const MISMATCH_OUTCOME_LABELS = { off: 'Off', pending: 'Pending', fixed: 'Fixed', 'not-fixed': 'Not fixed' };
+            let characterNames = null;
+            let loaded = false;
+
+            const svgEl = (tag, attrs = {}, text = null) => {
+                const el = document.createElementNS(SVG_NS, tag);
+                for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+                if (text != null) el.textContent = text;
+                return el;
+            };
+
+            const truncateLabel = (label, max) => label.length > max ? label.slice(0, max - 1) + '…' : label;
+
+            const characterLabel = (id) => (characterNames && characterNames[id]) || id;
+
+            const buildTable = (headers, rows) => {
+                const table = document.createElement('table');
+                table.className = 'stats-table';
+                const head = document.createElement('tr');
+                for (const h of headers) {
+                    const th = document.createElement('th');
+                    th.textContent = h.label;
+                    if (h.num) th.className = 'num';
+                    head.appendChild(th);
+                }
+                table.appendChild(head);
+                for (const row of rows) {
+                    const tr = document.createElement('tr');
+                    row.forEach((cell, i) => {
+                        const td = document.createElement('td');
+                        td.textContent = cell;
+                        if (headers[i].num) td.className = 'num';
+                        tr.appendChild(td);
+                    });
+                    table.appendChild(tr);
+                }
+                return table;
+            };
+
+            // Horizontal bars, one per served model; the amber tail is the share of
+            // messages where a different model was requested.
+            const renderModelChart = (models) => {
+                modelChartEl.replaceChildren();
+                if (!models.length) {
+                    modelChartEl.textContent = 'No stats stored yet.';
+                    return;
+                }
+                const labelWidth = 150, barArea = 230, rowHeight = 18;
+                const max = models[0].messages;
+                const svg = svgEl('svg', { viewBox: `0 0 ${labelWidth + barArea + 50} ${models.length * rowHeight}` });
+                models.forEach((m, i) => {
+                    const y = i * rowHeight;
+                    const total = Math.max(1, Math.round((m.messages / max) * barArea));
+                    const mismatch = Math.round((m.mismatches / m.messages) * total);
+                    svg.appendChild(svgEl('text', { x: 0, y: y + 12 }, truncateLabel(m.model, 26)));
+                    svg.appendChild(svgEl('rect', { x: labelWidth, y: y + 3, width: total - mismatch, height: 12, fill: '#3b82f6', rx: 2 }));
+                    if (mismatch > 0) {
+                        svg.appendChild(svgEl('rect', { x: labelWidth + total - mismatch, y: y + 3, width: mismatch, height: 12, fill: '#f59e0b', rx: 2 }));
+                    }
+                    const count = m.mismatches ? `${m.messages} (${m.mismatches} differed)` : String(m.messages);
+                    svg.appendChild(svgEl('text', { x: labelWidth + total + 4, y: y + 12 }, count));
+                    svg.lastChild.appendChild(svgEl('title', {}, `${m.model}: ${count}`));
+                });
+                modelChartEl.appendChild(svg);
+            };
+
+            // Stacked columns per day or month, one colour per model series.
+            const renderTimeline = (timeline) => {
+                timelineChartEl.replaceChildren();
+                timelineLegendEl.replaceChildren();
+                if (!timeline.points.length) {
+                    timelineChartEl.textContent = 'No dated messages yet.';
+                    return;
+                }
+                timeline.series.forEach((name, i) => {
+                    const item = document.createElement('span');
+                    const swatch = document.createElement('i');
+                    swatch.className = 'stats-swatch';
+                    swatch.style.background = SERIES_COLORS[i % SERIES_COLORS.length];
+                    item.append(swatch, truncateLabel(name, 28));
+                    timelineLegendEl.appendChild(item);
+                });
+                const width = 430, height = 140, axis = 16, top = 12;
+                const step = width / timeline.points.length;
+                const barWidth = Math.max(2, Math.min(28, step * 0.7));
+                let max = 0;
+                for (const p of timeline.points) {
+                    const sum = Object.values(p.counts).reduce((a, b) => a + b, 0);
+                    if (sum > max) max = sum;
+                }
+                const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height + axis}` });
+                svg.appendChild(svgEl('line', { x1: 0, y1: height, x2: width, y2: height, stroke: '#9ca3af', 'stroke-width': 1 }));
+                svg.appendChild(svgEl('text', { x: 0, y: 10 }, String(max)));
+                const labelEvery = Math.ceil(timeline.points.length / 8);
+                timeline.points.forEach((p, i) => {
+                    const x = i * step + (step - barWidth) / 2;
+                    let y = height;
+                    const tooltip = [p.key];
+                    timeline.series.forEach((name, s) => {
+                        const n = p.counts[name] || 0;
+                        if (!n) return;
+                        const h = (n / max) * (height - top);
+                        y -= h;
+                        const rect = svgEl('rect', { x, y, width: barWidth, height: h, fill: SERIES_COLORS[s % SERIES_COLORS.length] });
+                        rect.appendChild(svgEl('title', {}, `${p.key} · ${name}: ${n}`));
+                        svg.appendChild(rect);
+                        tooltip.push(`${name}: ${n}`);
+                    });
+                    if (i % labelEvery === 0) {
+                        const label = timeline.bucket === 'day' ? p.key.slice(5) : p.key;
+                        svg.appendChild(svgEl('text', { x: i * step + step / 2, y: height + 12, 'text-anchor': 'middle' }, label));
+                    }
+                });
+                timelineChartEl.appendChild(svg);
+            };
+
+            const render = (data) => {
+                const { totals } = data;
+                const rate = totals.messages ? Math.round((totals.mismatches / totals.messages) * 100) : 0;
+                statusEl.textContent = `${totals.messages} messages · ${totals.models} models · ${totals.mismatches} served by a different model (${rate}%).`;
+
+                renderModelChart(data.models);
+                renderTimeline(data.timeline);
+                undatedNoteEl.textContent = totals.undated
+                    ? `${totals.undated} older message${totals.undated === 1 ? ' has' : 's have'} no date yet; they are filled in as you reopen those chats.`
+                    : '';
+
+                pairsTableEl.replaceChildren();
+                if (data.pairs.length) {
+                    pairsTableEl.appendChild(buildTable(
+                        [{ label: 'Requested' }, { label: 'Served' }, { label: 'Count', num: true }],
+                        data.pairs.map(p => [p.requested || '?', p.served || '?', String(p.count)])
+                    ));
+                } else {
+                    pairsTableEl.textContent = 'Every message was served by the requested model.';
+                }
+
+                characterTableEl.replaceChildren(buildTable(
+                    [{ label: 'Character' }, { label: 'Top model' }, { label: 'Messages', num: true }, { label: 'Differed', num: true }],
+                    data.characters.map(c => [characterLabel(c.characterId), c.topModel || '—', String(c.messages), String(c.mismatches)])
+                ));
+            };
+
+            const renderMismatchLog = async () => {
+                const events = await loadModelMismatchLog();
+                mismatchTableEl.replaceChildren();
+                mismatchExportBtn.disabled = events.length === 0;
+                if (!events.length) {
+                    mismatchStatusEl.textContent = 'No model mismatches logged yet.';
+                    return;
+                }
+                const fixed = events.filter(e => e.autoRegen === 'fixed').length;
+                const attempted = events.filter(e => e.autoRegen !== 'off').length;
+                mismatchStatusEl.textContent = `${events.length} mismatch${events.length === 1 ? '' : 'es'} logged` +
+                    (attempted ? ` · auto-regen fixed ${fixed} of ${attempted}.` : '.');
+                mismatchTableEl.appendChild(buildTable(
+                    [{ label: 'When' }, { label: 'Character' }, { label: 'Requested' }, { label: 'Expected → served' }, { label: 'Auto-regen' }],
+                    events.slice().reverse().map(e => [
+                        new Date(e.timestamp).toLocaleString(),
+                        e.characterName || characterLabel(e.characterId) || '?',
+                        e.requestedModel || '—',
+                        `${extractCoreEngine(e.expectedEngine)} → ${extractCoreEngine(e.servedEngine)}`,
+                        (MISMATCH_OUTCOME_LABELS[e.autoRegen] || e.autoRegen) + (e.regenAttempts ? ` (${e.regenAttempts})` : '')
+                    ])
+                ));
+            };
+
+            const loadDashboard = async () => {
+                statusEl.textContent = 'Loading…';
+                try {
+                    if (!characterNames) characterNames = await loadKnownCharacterNames();
+                    const res = await sendStatsMessage('SAI_STATS_DASHBOARD', {
+                        filters: { characterId: characterSelect.value || null }
+                    });
+                    if (!res || !res.success) throw new Error((res && res.error) || 'unknown error');
+
+                    // Keep the selection while refreshing the character list
+                    const selected = characterSelect.value;
+                    characterSelect.replaceChildren(characterSelect.options[0]);
+                    for (const c of res.characters) {
+                        const opt = document.createElement('option');
+                        opt.value = c.characterId;
+                        opt.textContent = characterLabel(c.characterId);
+                        characterSelect.appendChild(opt);
+                    }
+                    characterSelect.value = selected;
+
+                    render(res);
+                    await renderMismatchLog();
+                    loaded = true;
+                    debugLog('[Stats] Dashboard loaded:', res.totals);
+                } catch (err) {
+                    statusEl.textContent = 'Could not read generation stats: ' + err.message;
+                }
+            };
+
+            statsTabBtn.addEventListener('click', () => { if (!loaded) loadDashboard(); });
+            characterSelect.addEventListener('change', () => loadDashboard());
+            refreshBtn.onclick = (e) => { e.stopPropagation(); loadDashboard(); };
+            mismatchExportBtn.onclick = async (e) => {
+                e.stopPropagation();
+                const events = await loadModelMismatchLog();
+                if (!events.length) return;
+                const date = new Date().toISOString().slice(0, 10);
+                downloadFile(buildModelMismatchCsv(events), `sai-model-mismatches-${date}.csv`, 'text/csv;charset=utf-8');
+                debugLog('[AutoRegen] Exported mismatch log:', events.length, 'events');
+            };
+            mismatchClearBtn.onclick = async (e) => {
+                e.stopPropagation();
+                if (!confirm('Delete every entry in the model mismatch log?')) return;
+                await updateModelMismatchLog(list => { list.length = 0; });
+                await renderMismatchLog();
+                showNotification('Model mismatch log cleared');
+            };
+        })();
+
         // Save & Refresh button
         saveBtn.onclick = async (e) => {
             debugLog('[Core] Save & Refresh button clicked');
@@ -12672,9 +17190,19 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             autoRegenOnMismatchEnabled = autoRegenMismatchCheckbox.checked;
             autoRegenOnShortEnabled = autoRegenShortCheckbox.checked;
             autoRegenMaxAttempts = parseInt(autoRegenMaxSelect.value, 10);
+            shortResponseThreshold = parseInt(shortResponseThresholdSelect.value, 10);
             showChatNameInTitleEnabled = showChatNameInTitleCheckbox.checked;
             nsfwToggleEnabled = nsfwToggleCheckbox.checked;
             messageRecoveryEnabled = messageRecoveryCheckbox.checked;
+            draftAutosaveEnabled = draftAutosaveCheckbox.checked;
+            draftExpiryHours = parseInt(draftExpirySelect.value, 10);
+            sendRetryEnabled = sendRetryCheckbox.checked;
+            sendRetryMaxAttempts = parseInt(sendRetryMaxSelect.value, 10);
+            offlineQueueEnabled = offlineQueueCheckbox.checked;
+            chatSearchEnabled = chatSearchCheckbox.checked;
+            repetitionDetectionEnabled = repetitionDetectionCheckbox.checked;
+            repetitionRegenEnabled = repetitionRegenCheckbox.checked;
+            repetitionThreshold = parseInt(repetitionThresholdSelect.value, 10);
             hideCreatorEnabled = hideCreatorCheckbox.checked;
             smallProfileImagesEnabled = smallProfileImagesCheckbox.checked;
             roundedProfileImagesEnabled = roundedProfileImagesCheckbox.checked;
@@ -12709,9 +17237,19 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             await storage.set('autoRegenOnMismatch', autoRegenOnMismatchEnabled);
             await storage.set('autoRegenOnShort', autoRegenOnShortEnabled);
             await storage.set('autoRegenMaxAttempts', autoRegenMaxAttempts);
+            await storage.set(SHORT_RESPONSE_THRESHOLD_KEY, shortResponseThreshold);
             await storage.set('showChatNameInTitle', showChatNameInTitleEnabled);
             await storage.set('nsfwToggleEnabled', nsfwToggleEnabled);
             await storage.set('messageRecoveryEnabled', messageRecoveryEnabled);
+            await storage.set(DRAFT_AUTOSAVE_KEY, draftAutosaveEnabled);
+            await storage.set(DRAFT_EXPIRY_HOURS_KEY, draftExpiryHours);
+            await storage.set(SEND_RETRY_KEY, sendRetryEnabled);
+            await storage.set(SEND_RETRY_MAX_KEY, sendRetryMaxAttempts);
+            await storage.set(OFFLINE_QUEUE_KEY, offlineQueueEnabled);
+            await storage.set(CHAT_SEARCH_INDEX_KEY, chatSearchEnabled);
+            await storage.set(REPETITION_DETECTION_KEY, repetitionDetectionEnabled);
+            await storage.set(REPETITION_REGEN_KEY, repetitionRegenEnabled);
+            await storage.set(REPETITION_THRESHOLD_KEY, repetitionThreshold);
             await storage.set(HIDE_CREATOR_KEY, hideCreatorEnabled);
             await storage.set(SMALL_PROFILE_IMAGES_KEY, smallProfileImagesEnabled);
             await storage.set(ROUNDED_PROFILE_IMAGES_KEY, roundedProfileImagesEnabled);
@@ -12732,53 +17270,208 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             }, 500);
         };
         
-        // Export Profiles button
+        // Shared shell for small settings dialogs (same look as the Clear All confirm)
+        function showSettingsDialog(title, bodyEl, confirmLabel, onConfirm, onCancel) {
+            const dialogBackdrop = document.createElement('div');
+            dialogBackdrop.className = 'backdrop';
+            dialogBackdrop.style.zIndex = '10000005';
+
+            const dialog = document.createElement('div');
+            dialog.className = 'modal';
+            dialog.style.zIndex = '10000006';
+            dialog.style.width = '400px';
+            dialog.replaceChildren(parseHTMLToFragment(`
+                <div class="modal-header"></div>
+                <div class="modal-body"></div>
+                <div class="button-row">
+                    <button class="btn-cancel">Cancel</button>
+                    <button class="btn-save"></button>
+                </div>
+            `));
+            dialog.querySelector('.modal-header').textContent = title;
+            dialog.querySelector('.modal-body').appendChild(bodyEl);
+            const confirmBtn = dialog.querySelector('.btn-save');
+            confirmBtn.textContent = confirmLabel;
+
+            const closeDialog = () => {
+                dialogBackdrop.remove();
+                dialog.remove();
+            };
+            const cancelDialog = () => {
+                closeDialog();
+                if (onCancel) onCancel();
+            };
+            dialog.querySelector('.btn-cancel').onclick = (ev) => {
+                ev.stopPropagation();
+                cancelDialog();
+            };
+            dialogBackdrop.onclick = (ev) => {
+                if (ev.target === dialogBackdrop) cancelDialog();
+            };
+            confirmBtn.onclick = async (ev) => {
+                ev.stopPropagation();
+                if (await onConfirm() !== false) closeDialog();
+            };
+
+            shadow.appendChild(dialogBackdrop);
+            shadow.appendChild(dialog);
+        }
+
+        const describeProfile = (p) => [
+            p.model,
+            p.temperature !== undefined ? `temp ${p.temperature}` : null,
+            p.topP !== undefined ? `top_p ${p.topP}` : null,
+            p.topK !== undefined ? `top_k ${p.topK}` : null
+        ].filter(Boolean).join(' · ');
+
+        // Export Profiles button — pick which profiles go into a .saiprofile.json
         if (exportProfilesBtn) {
             exportProfilesBtn.onclick = async (e) => {
                 e.stopPropagation();
-                try {
-                    const profiles = await loadProfiles();
-                    const dataStr = JSON.stringify(profiles, null, 2);
-                    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-                    const url = URL.createObjectURL(dataBlob);
-                    const link = document.createElement('a');
-                    link.href = url;
-                    link.download = 'spicychat-profiles.json';
-                    link.click();
-                    URL.revokeObjectURL(url);
-                    showNotification('Profiles exported');
-                } catch (error) {
-                    console.error('[Core] Error exporting profiles:', error);
-                    alert('Error exporting profiles: ' + error.message);
+                const profiles = await loadProfiles();
+                const names = Object.keys(profiles).sort();
+                if (names.length === 0) {
+                    showNotification('No profiles to export');
+                    return;
                 }
+
+                const body = document.createElement('div');
+                body.className = 'drive-backup-list';
+                body.style.maxHeight = '260px';
+                const checkboxes = names.map(name => {
+                    const row = document.createElement('label');
+                    row.className = 'drive-backup-item';
+                    row.style.cursor = 'pointer';
+                    const cb = document.createElement('input');
+                    cb.type = 'checkbox';
+                    cb.checked = true;
+                    cb.value = name;
+                    const text = document.createElement('div');
+                    text.className = 'drive-backup-item-date';
+                    text.textContent = `${name} — ${describeProfile(profiles[name])}`;
+                    row.appendChild(cb);
+                    row.appendChild(text);
+                    body.appendChild(row);
+                    return cb;
+                });
+
+                showSettingsDialog('Export Profiles', body, 'Export Selected', () => {
+                    const selected = checkboxes.filter(cb => cb.checked).map(cb => cb.value);
+                    if (selected.length === 0) {
+                        alert('Select at least one profile');
+                        return false;
+                    }
+                    const picked = {};
+                    selected.forEach(name => { picked[name] = profiles[name]; });
+                    const baseName = selected.length === 1
+                        ? (selected[0].replace(/[^a-zA-Z0-9-_ ]/g, '').trim() || 'profile')
+                        : `sai-profiles-${new Date().toISOString().slice(0, 10)}`;
+                    downloadFile(JSON.stringify(buildProfileFile(picked), null, 2), baseName + PROFILE_FILE_EXTENSION, 'application/json');
+                    debugLog('[Profile] Exported profiles:', selected);
+                    showNotification(`Exported ${selected.length} profile${selected.length === 1 ? '' : 's'}`);
+                });
             };
         }
         
-        // Import Profiles button (only visible in debug mode with legacy setting)
+        // Import Profiles button — validate, then review conflicts (rename / overwrite / skip)
         if (importProfilesBtn) {
             importProfilesBtn.onclick = async (e) => {
                 e.stopPropagation();
                 const input = document.createElement('input');
                 input.type = 'file';
-                input.accept = '.json';
+                input.accept = `${PROFILE_FILE_EXTENSION},.json`;
                 input.addEventListener('change', async function(e) {
                     const file = e.target.files[0];
-                    if (file) {
-                        const reader = new FileReader();
-                        reader.onload = async function(event) {
-                            try {
-                                const imported = JSON.parse(event.target.result);
-                                const profiles = await loadProfiles();
-                                Object.assign(profiles, imported);
-                                await saveProfiles(profiles);
-                                showNotification('Profiles imported successfully');
-                                await updateGenerationProfilesVisibility();
-                            } catch (err) {
-                                alert('Error importing profiles: ' + err.message);
+                    if (!file) return;
+                    const reader = new FileReader();
+                    reader.onload = async function(event) {
+                        let entries;
+                        const localProfiles = await loadProfiles();
+                        try {
+                            entries = parseProfileFile(JSON.parse(event.target.result), localProfiles);
+                        } catch (err) {
+                            alert('Error importing profiles: ' + err.message);
+                            return;
+                        }
+
+                        const body = document.createElement('div');
+                        body.className = 'drive-backup-list';
+                        body.style.maxHeight = '300px';
+                        const choices = [];
+                        for (const entry of entries) {
+                            const row = document.createElement('div');
+                            row.className = 'drive-backup-item';
+                            const text = document.createElement('div');
+                            text.className = 'drive-backup-item-date';
+                            const status = document.createElement('div');
+                            status.className = 'drive-backup-item-btns';
+                            status.style.fontSize = '11px';
+
+                            if (!entry.profile) {
+                                text.textContent = entry.name;
+                                status.textContent = 'Refused: ' + entry.errors.join(', ');
+                                status.style.color = '#dc2626';
+                                status.style.flexShrink = '1';
+                            } else {
+                                text.textContent = `${entry.name} — ${describeProfile(entry.profile)}`;
+                                if (localProfiles[entry.name]) {
+                                    const select = document.createElement('select');
+                                    [['rename', 'Rename'], ['overwrite', 'Overwrite'], ['skip', 'Skip']].forEach(([value, label]) => {
+                                        const option = document.createElement('option');
+                                        option.value = value;
+                                        option.textContent = label;
+                                        select.appendChild(option);
+                                    });
+                                    status.appendChild(select);
+                                    choices.push({ entry, select });
+                                } else {
+                                    status.textContent = 'New';
+                                    choices.push({ entry, select: null });
+                                }
                             }
-                        };
-                        reader.readAsText(file);
-                    }
+                            row.appendChild(text);
+                            row.appendChild(status);
+                            body.appendChild(row);
+                        }
+
+                        const refused = entries.length - choices.length;
+                        if (choices.length === 0) {
+                            alert(`No profiles imported — all ${refused} were refused:\n\n` +
+                                entries.map(en => `${en.name}: ${en.errors.join(', ')}`).join('\n'));
+                            return;
+                        }
+
+                        showSettingsDialog('Import Profiles', body, 'Import', async () => {
+                            const profiles = await loadProfiles();
+                            let added = 0, overwritten = 0, skipped = 0;
+                            for (const { entry, select } of choices) {
+                                const action = select ? select.value : 'add';
+                                if (action === 'skip') {
+                                    skipped++;
+                                } else if (action === 'overwrite') {
+                                    profiles[entry.name] = entry.profile;
+                                    overwritten++;
+                                } else if (action === 'rename') {
+                                    profiles[uniqueProfileName(entry.name, profiles)] = entry.profile;
+                                    added++;
+                                } else {
+                                    profiles[entry.name] = entry.profile;
+                                    added++;
+                                }
+                            }
+                            await saveProfiles(profiles);
+                            updateProfileDropdown();
+                            await updateGenerationProfilesVisibility();
+                            renderCharacterProfileBindings();
+                            debugLog('[Profile] Import done:', { added, overwritten, skipped, refused });
+                            const parts = [`${added} added`];
+                            if (overwritten) parts.push(`${overwritten} overwritten`);
+                            if (skipped) parts.push(`${skipped} skipped`);
+                            if (refused) parts.push(`${refused} refused`);
+                            showNotification(`Profiles imported: ${parts.join(', ')}`, refused > 0);
+                        });
+                    };
+                    reader.readAsText(file);
                 });
                 input.click();
             };
@@ -12801,6 +17494,8 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 if (confirmed) {
                     try {
                         await saveProfiles({});
+                        await saveCharacterProfileBindings({});
+                        renderCharacterProfileBindings();
                         showNotification('All profiles deleted');
                         await updateGenerationProfilesVisibility();
                     } catch (error) {
@@ -12834,6 +17529,523 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
             };
         }
         
+        // Character defaults list (per-character auto-applied profiles)
+        async function renderCharacterProfileBindings() {
+            if (!characterProfileBindingsList) return;
+            const bindings = await loadCharacterProfileBindings();
+            const profiles = await loadProfiles();
+            characterProfileBindingsList.replaceChildren();
+            const entries = Object.entries(bindings)
+                .sort((a, b) => (a[1].characterName || a[0]).localeCompare(b[1].characterName || b[0]));
+            if (entries.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'drive-backup-empty';
+                empty.textContent = 'No character defaults yet.';
+                characterProfileBindingsList.appendChild(empty);
+                return;
+            }
+            for (const [characterId, binding] of entries) {
+                const item = document.createElement('div');
+                item.className = 'drive-backup-item';
+                const labelEl = document.createElement('div');
+                labelEl.className = 'drive-backup-item-date';
+                labelEl.textContent = `${binding.characterName || characterId} → ${binding.profile}` +
+                    (profiles[binding.profile] ? '' : ' (missing)');
+                labelEl.title = characterId;
+                const btns = document.createElement('div');
+                btns.className = 'drive-backup-item-btns';
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn-data';
+                removeBtn.style.cssText = 'padding:0.15rem 0.45rem;font-size:11px;';
+                removeBtn.textContent = 'Remove';
+                removeBtn.onclick = async (ev) => {
+                    ev.stopPropagation();
+                    await bindProfileToCharacter(characterId, null);
+                    if (characterProfileState && characterProfileState.characterId === characterId) {
+                        characterProfileState = null;
+                        updateCharacterProfileBadge();
+                    }
+                    renderCharacterProfileBindings();
+                };
+                btns.appendChild(removeBtn);
+                item.appendChild(labelEl);
+                item.appendChild(btns);
+                characterProfileBindingsList.appendChild(item);
+            }
+        }
+        renderCharacterProfileBindings();
+
+        // Message Recovery history: every captured failed send, newest first
+        async function renderFailedMessages() {
+            if (!failedMessagesList) return;
+            const list = (await loadFailedMessages()).slice().reverse();
+            failedMessagesList.replaceChildren();
+            failedMessagesClearBtn.disabled = list.length === 0;
+            if (list.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'drive-backup-empty';
+                empty.textContent = 'No failed sends captured.';
+                failedMessagesList.appendChild(empty);
+                return;
+            }
+            const names = await loadKnownCharacterNames();
+            const smallBtn = (label, onClick) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn-data';
+                btn.style.cssText = 'padding:0.15rem 0.45rem;font-size:11px;';
+                btn.textContent = label;
+                btn.onclick = async (ev) => {
+                    ev.stopPropagation();
+                    await onClick();
+                };
+                return btn;
+            };
+            for (const entry of list) {
+                const item = document.createElement('div');
+                item.className = 'drive-backup-item';
+                const labelEl = document.createElement('div');
+                labelEl.className = 'drive-backup-item-date';
+                labelEl.style.minWidth = '0';
+                const metaEl = document.createElement('div');
+                const character = entry.characterId ? (names[entry.characterId] || entry.characterId) : 'Unknown character';
+                metaEl.textContent = `${new Date(entry.capturedAt).toLocaleString()} · ${describeFailureReason(entry.reason)} · ${character}`;
+                metaEl.title = entry.reason || '';
+                const previewEl = document.createElement('div');
+                previewEl.style.cssText = 'opacity:0.7;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;';
+                previewEl.textContent = entry.message;
+                previewEl.title = entry.message.length > 500 ? entry.message.slice(0, 500) + '…' : entry.message;
+                labelEl.appendChild(metaEl);
+                labelEl.appendChild(previewEl);
+
+                const btns = document.createElement('div');
+                btns.className = 'drive-backup-item-btns';
+                btns.appendChild(smallBtn('Copy', async () => {
+                    try {
+                        await navigator.clipboard.writeText(entry.message);
+                        showNotification('Message copied to clipboard');
+                    } catch (e) {
+                        alert('Could not copy to clipboard: ' + e.message);
+                    }
+                }));
+                btns.appendChild(smallBtn('Restore', async () => {
+                    const textarea = findChatTextarea();
+                    if (!textarea) {
+                        alert('Open a chat first — Restore puts the message into its message box. Use Copy to take it elsewhere.');
+                        return;
+                    }
+                    if (textarea.value.trim() && !confirm('Replace the text currently in the message box?')) return;
+                    setReactTextareaValue(textarea, entry.message);
+                    await removeFailedMessage(entry.id);
+                    debugLog('[MsgRecovery] Restored from history:', entry.id);
+                    showNotification('Message restored into the message box');
+                    renderFailedMessages();
+                }));
+                const discardBtn = smallBtn('Discard', async () => {
+                    await removeFailedMessage(entry.id);
+                    renderFailedMessages();
+                });
+                discardBtn.style.color = '#dc2626';
+                btns.appendChild(discardBtn);
+
+                item.appendChild(labelEl);
+                item.appendChild(btns);
+                failedMessagesList.appendChild(item);
+            }
+        }
+        renderFailedMessages();
+
+        if (failedMessagesClearBtn) {
+            failedMessagesClearBtn.onclick = async (e) => {
+                e.stopPropagation();
+                if (!confirm('Discard all captured failed messages? This cannot be undone.')) return;
+                await storage.set('failedMessages', []);
+                debugLog('[MsgRecovery] History cleared');
+                renderFailedMessages();
+            };
+        }
+        
+        // Stats Records browser — one page at a time from the background store
+        (function setupStatsBrowser() {
+            const PAGE_SIZE = 50;
+            const statusEl = shadow.querySelector('#stats-browser-status');
+            const characterSelect = shadow.querySelector('#stats-browser-character');
+            const modelSelect = shadow.querySelector('#stats-browser-model');
+            const roleSelect = shadow.querySelector('#stats-browser-role');
+            const loadBtn = shadow.querySelector('#stats-browser-load-btn');
+            const tableEl = shadow.querySelector('#stats-browser-table');
+            const pagerEl = shadow.querySelector('#stats-browser-pager');
+            const pageEl = shadow.querySelector('#stats-browser-page');
+            const prevBtn = shadow.querySelector('#stats-browser-prev-btn');
+            const nextBtn = shadow.querySelector('#stats-browser-next-btn');
+            const deleteCharacterBtn = shadow.querySelector('#stats-browser-delete-character-btn');
+            if (!loadBtn) return;
+            let characterNames = null;
+            let offset = 0;
+            let characterCounts = {};
+
+            const characterLabel = (id) => (characterNames && characterNames[id]) || id;
+            const formatParam = (v) => v == null ? '—' : String(v);
+
+            // Refill a filter menu, keeping its first "All …" option and the selection
+            const fillSelect = (select, entries) => {
+                const selected = select.value;
+                select.replaceChildren(select.options[0]);
+                for (const [value, label] of entries) {
+                    const opt = document.createElement('option');
+                    opt.value = value;
+                    opt.textContent = label;
+                    select.appendChild(opt);
+                }
+                select.value = entries.some(([value]) => value === selected) ? selected : '';
+            };
+
+            const smallBtn = (label, onClick) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn-data';
+                btn.style.cssText = 'padding:0.15rem 0.45rem;font-size:11px;';
+                btn.textContent = label;
+                btn.onclick = async (ev) => {
+                    ev.stopPropagation();
+                    await onClick();
+                };
+                return btn;
+            };
+
+            const openEditDialog = (record) => {
+                const body = document.createElement('div');
+                body.className = 'stats-edit-grid';
+                const fields = {};
+                const addRow = (label, control) => {
+                    const labelEl = document.createElement('label');
+                    labelEl.textContent = label;
+                    body.append(labelEl, control);
+                };
+                const idEl = document.createElement('code');
+                idEl.textContent = record.messageId;
+                idEl.style.overflowWrap = 'anywhere';
+                addRow('Message', idEl);
+                for (const [key, label] of [['model', 'Model'], ['max_tokens', 'Max tokens'], ['temperature', 'Temperature'], ['top_p', 'Top P'], ['top_k', 'Top K']]) {
+                    const input = document.createElement('input');
+                    input.type = key === 'model' ? 'text' : 'number';
+                    if (key !== 'model') input.step = 'any';
+                    input.className = 'search-input';
+                    input.value = record[key] ?? '';
+                    fields[key] = input;
+                    addRow(label, input);
+                }
+                const roleInput = document.createElement('select');
+                roleInput.className = 'search-input';
+                for (const [value, label] of [['bot', 'Bot'], ['user', 'User'], ['', 'None']]) {
+                    const opt = document.createElement('option');
+                    opt.value = value;
+                    opt.textContent = label;
+                    roleInput.appendChild(opt);
+                }
+                roleInput.value = record.role || '';
+                addRow('Role', roleInput);
+
+                showSettingsDialog('Edit Stats Record', body, 'Save', async () => {
+                    const next = { ...record, model: fields.model.value.trim() || null, role: roleInput.value || null };
+                    for (const key of ['max_tokens', 'temperature', 'top_p', 'top_k']) {
+                        const raw = fields[key].value.trim();
+                        const num = raw === '' ? null : Number(raw);
+                        if (num !== null && !Number.isFinite(num)) {
+                            alert(`${key} must be a number`);
+                            return false;
+                        }
+                        next[key] = num;
+                    }
+                    const res = await sendStatsMessage('SAI_STATS_PUT', { record: next, replace: true }).catch(err => ({ success: false, error: err.message }));
+                    if (!res || !res.success) {
+                        alert('Could not save the record: ' + ((res && res.error) || 'unknown error'));
+                        return false;
+                    }
+                    invalidateStatsCache();
+                    debugLog('[Stats] Browser edited record:', record.messageId, next);
+                    showNotification('Stats record saved');
+                    await loadPage();
+                });
+            };
+
+            const renderRows = (records) => {
+                const table = document.createElement('table');
+                table.className = 'stats-table';
+                table.replaceChildren(parseHTMLToFragment('<tr><th>Date</th><th>Character</th><th>Model</th><th>Role</th><th class="num" title="Max tokens · temperature · top P · top K">Params</th><th></th></tr>'));
+                for (const r of records) {
+                    const tr = document.createElement('tr');
+                    const cells = [
+                        r.createdAt != null ? new Date(r.createdAt).toLocaleDateString() : '—',
+                        characterLabel(r.characterId || 'unknown'),
+                        r.model || '—',
+                        r.role || '—',
+                        [r.max_tokens, r.temperature, r.top_p, r.top_k].map(formatParam).join(' · ')
+                    ];
+                    cells.forEach((text, i) => {
+                        const td = document.createElement('td');
+                        td.textContent = text;
+                        if (i === 0) td.title = r.messageId;
+                        if (i === 2) { td.className = 'stats-browser-model'; td.title = text; }
+                        if (i === 4) td.className = 'num';
+                        tr.appendChild(td);
+                    });
+                    const actions = document.createElement('td');
+                    actions.className = 'stats-browser-actions';
+                    actions.appendChild(smallBtn('Edit', async () => openEditDialog(r)));
+                    const deleteBtn = smallBtn('Delete', async () => {
+                        if (!confirm('Delete the stats stored for this message? Synced devices remove it too on their next sync.')) return;
+                        const res = await sendStatsMessage('SAI_STATS_DELETE', { messageId: r.messageId, tombstone: true }).catch(err => ({ success: false, error: err.message }));
+                        if (!res || !res.success) {
+                            alert('Could not delete the record: ' + ((res && res.error) || 'unknown error'));
+                            return;
+                        }
+                        invalidateStatsCache();
+                        debugLog('[Stats] Browser deleted record:', r.messageId);
+                        await loadPage();
+                    });
+                    deleteBtn.style.color = '#dc2626';
+                    actions.appendChild(deleteBtn);
+                    tr.appendChild(actions);
+                    table.appendChild(tr);
+                }
+                tableEl.replaceChildren(table);
+            };
+
+            async function loadPage() {
+                statusEl.textContent = 'Loading…';
+                try {
+                    if (!characterNames) characterNames = await loadKnownCharacterNames();
+                    const res = await sendStatsMessage('SAI_STATS_BROWSE', {
+                        filters: {
+                            characterId: characterSelect.value || null,
+                            model: modelSelect.value || null,
+                            role: roleSelect.value || null
+                        },
+                        offset,
+                        limit: PAGE_SIZE
+                    });
+                    if (!res || !res.success) throw new Error((res && res.error) || 'unknown error');
+
+                    // A delete can empty the last page; step back to one that has records
+                    if (!res.records.length && offset > 0 && res.total > 0) {
+                        offset = Math.floor((res.total - 1) / PAGE_SIZE) * PAGE_SIZE;
+                        return loadPage();
+                    }
+
+                    characterCounts = Object.fromEntries(res.characters.map(c => [c.characterId, c.count]));
+                    fillSelect(characterSelect, res.characters.map(c => [c.characterId, `${characterLabel(c.characterId)} (${c.count})`]));
+                    fillSelect(modelSelect, res.models.map(m => [m, m]));
+
+                    statusEl.textContent = res.total
+                        ? `${res.total.toLocaleString()} matching records. Hover a date for the message ID.`
+                        : 'No records match these filters.';
+                    if (res.records.length) renderRows(res.records);
+                    else tableEl.replaceChildren();
+                    pagerEl.style.display = '';
+                    pageEl.textContent = res.total
+                        ? `${offset + 1}–${offset + res.records.length} of ${res.total.toLocaleString()}`
+                        : '';
+                    prevBtn.disabled = offset === 0;
+                    nextBtn.disabled = offset + res.records.length >= res.total;
+                    // Records without a character aren't in the by_character index
+                    deleteCharacterBtn.disabled = !characterSelect.value || characterSelect.value === 'unknown';
+                } catch (err) {
+                    statusEl.textContent = 'Could not read generation stats: ' + err.message;
+                }
+            }
+
+            const reloadFromStart = () => { offset = 0; loadPage(); };
+            loadBtn.onclick = (e) => { e.stopPropagation(); reloadFromStart(); };
+            characterSelect.addEventListener('change', reloadFromStart);
+            modelSelect.addEventListener('change', reloadFromStart);
+            roleSelect.addEventListener('change', reloadFromStart);
+            prevBtn.onclick = (e) => {
+                e.stopPropagation();
+                offset = Math.max(0, offset - PAGE_SIZE);
+                loadPage();
+            };
+            nextBtn.onclick = (e) => {
+                e.stopPropagation();
+                offset += PAGE_SIZE;
+                loadPage();
+            };
+            deleteCharacterBtn.onclick = async (e) => {
+                e.stopPropagation();
+                const characterId = characterSelect.value;
+                if (!characterId) return;
+                const count = characterCounts[characterId] || 0;
+                if (!confirm(`Delete all ${count} stats records for ${characterLabel(characterId)}? Synced devices remove them too on their next sync. This cannot be undone.`)) return;
+                const res = await sendStatsMessage('SAI_STATS_DELETE_CHARACTER', { characterId }).catch(err => ({ success: false, error: err.message }));
+                if (!res || !res.success) {
+                    alert('Could not delete the records: ' + ((res && res.error) || 'unknown error'));
+                    return;
+                }
+                invalidateStatsCache();
+                debugLog('[Stats] Browser deleted character:', characterId, res.removed);
+                showNotification(`Deleted ${res.removed} stats records`);
+                characterSelect.value = '';
+                reloadFromStart();
+            };
+        })();
+
+        // Storage panel — usage is measured on demand (it reads every stored record)
+        (function setupStoragePanel() {
+            const STORAGE_WARN_MB_KEY = 'storageWarnMB';  // STORAGE_WARN_KEY in background.js
+            const DEFAULT_WARN_MB = 100;
+            const TOP_CHARACTERS = 10;
+            const statusEl = shadow.querySelector('#storage-usage-status');
+            const warningEl = shadow.querySelector('#storage-usage-warning');
+            const checkBtn = shadow.querySelector('#storage-usage-btn');
+            const warnInput = shadow.querySelector('#storage-warn-input');
+            const detailsEl = shadow.querySelector('#storage-usage-details');
+            if (!checkBtn) return;
+            // Key groups with a one-click cleanup: group id → [cleanup target, button label, confirm text]
+            const GROUP_CLEANUPS = {
+                failedMessages: ['failedMessages', 'Discard', 'Discard all captured failed messages?'],
+                logs: ['logs', 'Clear', 'Clear the model mismatch log and sync history?'],
+                legacyStats: ['legacyStats', 'Remove', 'Remove the copy of your stats kept from before they moved to the database? The database itself is not touched.'],
+            };
+
+            const formatBytes = (bytes) => bytes >= 1048576
+                ? `${(bytes / 1048576).toFixed(1)} MB`
+                : `${Math.max(bytes ? 1 : 0, Math.round(bytes / 1024))} KB`;
+
+            const renderWarning = (warning) => {
+                warningEl.style.display = warning ? '' : 'none';
+                warningEl.textContent = warning
+                    ? `The toolkit is using ${formatBytes(warning.bytes)} on this device, over your ${warning.limitMB} MB warning size.`
+                    : '';
+            };
+
+            const table = (headers, rows) => {
+                const el = document.createElement('table');
+                el.className = 'stats-table';
+                el.style.marginTop = '0.4rem';
+                const head = document.createElement('tr');
+                headers.forEach((label, i) => {
+                    const th = document.createElement('th');
+                    th.textContent = label;
+                    if (i > 0) th.className = 'num';
+                    head.appendChild(th);
+                });
+                el.appendChild(head);
+                for (const cells of rows) {
+                    const tr = document.createElement('tr');
+                    cells.forEach((cell, i) => {
+                        const td = document.createElement('td');
+                        if (cell instanceof Node) td.appendChild(cell);
+                        else td.textContent = cell;
+                        if (i > 0) td.className = 'num';
+                        tr.appendChild(td);
+                    });
+                    el.appendChild(tr);
+                }
+                return el;
+            };
+
+            const cleanupBtn = (target, label, question) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn-data';
+                btn.style.cssText = 'padding:0.1rem 0.4rem;font-size:11px;color:#dc2626;border-color:#dc2626;';
+                btn.textContent = label;
+                btn.onclick = async (ev) => {
+                    ev.stopPropagation();
+                    if (!confirm(question)) return;
+                    btn.disabled = true;
+                    const res = await sendStatsMessage('SAI_STORAGE_CLEANUP', { target }).catch(err => ({ success: false, error: err.message }));
+                    if (!res || !res.success) {
+                        btn.disabled = false;
+                        alert('Cleanup failed: ' + ((res && res.error) || 'unknown error'));
+                        return;
+                    }
+                    if (target === 'emptyStats') invalidateStatsCache();
+                    debugLog('[Storage] Cleanup done:', target, res.removed);
+                    showNotification(typeof res.removed === 'number' ? `Removed ${res.removed} records` : 'Storage cleaned up');
+                    await loadUsage();
+                };
+                return btn;
+            };
+
+            async function loadUsage() {
+                statusEl.textContent = 'Measuring…';
+                checkBtn.disabled = true;
+                try {
+                    const [usage, names] = await Promise.all([
+                        sendStatsMessage('SAI_STORAGE_USAGE'),
+                        loadKnownCharacterNames()
+                    ]);
+                    if (!usage || !usage.success) throw new Error((usage && usage.error) || 'unknown error');
+                    // Measuring re-checks the warning, so read it afterwards
+                    renderWarning(await storage.get('storageWarning', null));
+
+                    statusEl.textContent = `${formatBytes(usage.footprint)} in total on this device` +
+                        (usage.idbEstimate != null ? ' (database size as reported by the browser).' : ' (estimated).');
+
+                    const localRows = usage.local.groups
+                        .slice()
+                        .sort((a, b) => b.bytes - a.bytes)
+                        .map(g => {
+                            const cleanup = GROUP_CLEANUPS[g.id];
+                            return [g.label, String(g.keys), formatBytes(g.bytes), cleanup ? cleanupBtn(...cleanup) : ''];
+                        });
+                    const dbRows = [
+                        ['Generation stats', usage.stats.records.toLocaleString(), formatBytes(usage.stats.bytes),
+                            cleanupBtn('emptyStats', 'Prune', 'Delete stats records that carry no model or settings?')],
+                        ['Chat search index', usage.search.records.toLocaleString(), formatBytes(usage.search.bytes),
+                            usage.search.records ? cleanupBtn('searchIndex', 'Clear', 'Clear the chat search index? Chats are indexed again as you open them.') : '']
+                    ];
+                    const characterRows = usage.stats.characters.slice(0, TOP_CHARACTERS).map(c =>
+                        [names[c.characterId] || c.characterId, c.records.toLocaleString(), formatBytes(c.bytes)]);
+
+                    const heading = (text) => {
+                        const el = document.createElement('div');
+                        el.className = 'section-title stats-chart-title';
+                        el.textContent = text;
+                        return el;
+                    };
+                    detailsEl.replaceChildren(
+                        heading(`Settings storage · ${formatBytes(usage.local.bytes)}`),
+                        table(['Group', 'Keys', 'Size', ''], localRows),
+                        heading('Database'),
+                        table(['Store', 'Records', 'Est. size', ''], dbRows)
+                    );
+                    if (characterRows.length) {
+                        const more = usage.stats.characters.length - characterRows.length;
+                        detailsEl.append(
+                            heading(more > 0 ? `Stats by character (largest ${TOP_CHARACTERS} of ${usage.stats.characters.length})` : 'Stats by character'),
+                            table(['Character', 'Records', 'Est. size'], characterRows)
+                        );
+                    }
+                    debugLog('[Storage] Usage:', usage.footprint, 'bytes');
+                } catch (err) {
+                    statusEl.textContent = 'Could not measure storage: ' + err.message;
+                } finally {
+                    checkBtn.disabled = false;
+                }
+            }
+
+            (async () => {
+                const prefs = await storage.getMultiple({ [STORAGE_WARN_MB_KEY]: DEFAULT_WARN_MB, storageWarning: null });
+                warnInput.value = prefs[STORAGE_WARN_MB_KEY];
+                renderWarning(prefs.storageWarning);
+            })();
+
+            checkBtn.onclick = (e) => { e.stopPropagation(); loadUsage(); };
+            warnInput.addEventListener('change', async () => {
+                const mb = Math.max(0, parseInt(warnInput.value, 10) || 0);
+                warnInput.value = mb;
+                const res = await sendStatsMessage('SAI_STORAGE_SET_WARNING', { limitMB: mb }).catch(() => null);
+                if (res && res.success) renderWarning(res.warning);
+            });
+        })();
+
+        // Open Chat Archive button (viewer overlays everything, settings stay open underneath)
+        if (openChatArchiveBtn) {
+            openChatArchiveBtn.onclick = (e) => {
+                e.stopPropagation();
+                openChatArchiveViewer();
+            };
+        }
+        
         // Import Custom Style button
         if (importCustomStyleBtn) {
             importCustomStyleBtn.onclick = async (e) => {
@@ -13034,12 +18246,22 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         'autoRegenOnMismatch': false,
                         'autoRegenOnShort': false,
                         'autoRegenMaxAttempts': 1,
+                        [SHORT_RESPONSE_THRESHOLD_KEY]: 50,
+                        [REPETITION_DETECTION_KEY]: false,
+                        [REPETITION_REGEN_KEY]: false,
+                        [REPETITION_THRESHOLD_KEY]: 40,
                         'timestampDateFirst': true,
                         'timestamp24Hour': false,
                         [SHOW_MESSAGE_IDS_KEY]: false,
                         'showChatNameInTitle': false,
                         'nsfwToggleEnabled': false,
                         'messageRecoveryEnabled': false,
+                        [DRAFT_AUTOSAVE_KEY]: false,
+                        [DRAFT_EXPIRY_HOURS_KEY]: 72,
+                        [SEND_RETRY_KEY]: false,
+                        [SEND_RETRY_MAX_KEY]: 3,
+                        [OFFLINE_QUEUE_KEY]: false,
+                        [CHAT_SEARCH_INDEX_KEY]: false,
                         [WYSIWYG_EDITOR_KEY]: false,
                         [ENABLE_GENERATION_PROFILES_KEY]: false,
                         [SMALL_PROFILE_IMAGES_KEY]: false,
@@ -13051,7 +18273,10 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         [MEMORY_DOT_COLOR_KEY]: '#ff3b3b',
                         [HIDE_CREATOR_KEY]: false,
                         'generationProfiles': '{}',
-                        'lastSelectedProfile': ''
+                        'lastSelectedProfile': '',
+                        [CHARACTER_PROFILES_KEY]: '{}',
+                        [AUTO_REGEN_RULES_KEY]: '[]',
+                        [SNIPPETS_KEY]: '[]'
                         // messageGenerationStats intentionally omitted — stats come from the
                         // background IndexedDB store via SAI_STATS_EXPORT_ALL below, not storage.local.
                     });
@@ -13089,6 +18314,12 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         showChatNameInTitle: exportData['showChatNameInTitle'],
                         nsfwToggleEnabled: exportData['nsfwToggleEnabled'],
                         messageRecoveryEnabled: exportData['messageRecoveryEnabled'],
+                        draftAutosaveEnabled: exportData[DRAFT_AUTOSAVE_KEY],
+                        draftExpiryHours: exportData[DRAFT_EXPIRY_HOURS_KEY],
+                        sendRetryEnabled: exportData[SEND_RETRY_KEY],
+                        sendRetryMaxAttempts: exportData[SEND_RETRY_MAX_KEY],
+                        offlineQueueEnabled: exportData[OFFLINE_QUEUE_KEY],
+                        enableChatSearchIndex: exportData[CHAT_SEARCH_INDEX_KEY],
                         enableWysiwygEditor: exportData[WYSIWYG_EDITOR_KEY],
                         enableGenerationProfiles: exportData[ENABLE_GENERATION_PROFILES_KEY],
                         enableSmallProfileImages: exportData[SMALL_PROFILE_IMAGES_KEY],
@@ -13099,12 +18330,19 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         autoRegenOnMismatch: exportData['autoRegenOnMismatch'],
                         autoRegenOnShort: exportData['autoRegenOnShort'],
                         autoRegenMaxAttempts: exportData['autoRegenMaxAttempts'],
+                        shortResponseThreshold: exportData[SHORT_RESPONSE_THRESHOLD_KEY],
+                        repetitionDetection: exportData[REPETITION_DETECTION_KEY],
+                        repetitionAutoRegen: exportData[REPETITION_REGEN_KEY],
+                        repetitionThreshold: exportData[REPETITION_THRESHOLD_KEY],
                         messageContainerMaxWidth: exportData[MESSAGE_CONTAINER_MAX_WIDTH_KEY],
                         memoryDotEnabled: exportData[MEMORY_DOT_ENABLED_KEY],
                         memoryDotColor: exportData[MEMORY_DOT_COLOR_KEY],
                         hideCreatorName: exportData[HIDE_CREATOR_KEY],
                         generationProfiles: generationProfilesParsed,  // Use parsed object
                         lastSelectedProfile: exportData['lastSelectedProfile'],
+                        characterProfileBindings: JSON.parse(exportData[CHARACTER_PROFILES_KEY] || '{}'),
+                        autoRegenRules: JSON.parse(exportData[AUTO_REGEN_RULES_KEY] || '[]'),
+                        snippetLibrary: JSON.parse(exportData[SNIPPETS_KEY] || '[]'),
                         messageGenerationStats: messageGenerationStatsParsed  // Use parsed object
                     };
                 
@@ -13197,6 +18435,59 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                 };
                 // ---- end progress helpers ----
 
+                // ---- stats dry run: show what the merge would do, resolve true to go ahead ----
+                const IMPORT_PREVIEW_ROWS = 12;
+                const confirmStatsImport = async (importedStats, settingsCount) => {
+                    const preview = await sendStatsMessage('SAI_STATS_IMPORT_PREVIEW', { stats: importedStats });
+                    if (!preview || !preview.success) {
+                        throw new Error('Stats preview failed: ' + ((preview && preview.error) || 'unknown error'));
+                    }
+                    const names = await loadKnownCharacterNames();
+                    const { totals, characters } = preview;
+
+                    const body = document.createElement('div');
+                    body.className = 'drive-backup-diff';
+                    const summary = document.createElement('div');
+                    summary.textContent = (totals.added || totals.enriched)
+                        ? `${totals.added.toLocaleString()} messages added, ${totals.enriched.toLocaleString()} enriched (better model name or missing fields filled in), ${totals.unchanged.toLocaleString()} already up to date.`
+                        : `Nothing to merge — all ${totals.unchanged.toLocaleString()} messages in the file are already here.`;
+                    body.appendChild(summary);
+                    if (settingsCount) {
+                        const settingsNote = document.createElement('div');
+                        settingsNote.textContent = `${settingsCount} settings from the file will replace the current ones.`;
+                        body.appendChild(settingsNote);
+                    }
+
+                    const changed = characters.filter(c => c.added || c.enriched);
+                    if (changed.length) {
+                        const table = document.createElement('table');
+                        table.className = 'import-preview-table';
+                        table.replaceChildren(parseHTMLToFragment('<thead><tr><th>Character</th><th>Added</th><th>Enriched</th><th>Unchanged</th></tr></thead><tbody></tbody>'));
+                        const tbody = table.querySelector('tbody');
+                        for (const c of changed.slice(0, IMPORT_PREVIEW_ROWS)) {
+                            const row = document.createElement('tr');
+                            const label = names[c.characterId] || c.characterId;
+                            for (const value of [label, c.added.toLocaleString(), c.enriched.toLocaleString(), c.unchanged.toLocaleString()]) {
+                                const cell = document.createElement('td');
+                                cell.textContent = value;
+                                row.appendChild(cell);
+                            }
+                            row.firstChild.title = label;
+                            tbody.appendChild(row);
+                        }
+                        body.appendChild(table);
+                        if (changed.length > IMPORT_PREVIEW_ROWS) {
+                            const more = document.createElement('div');
+                            more.textContent = `…and ${changed.length - IMPORT_PREVIEW_ROWS} more characters.`;
+                            body.appendChild(more);
+                        }
+                    }
+
+                    return new Promise(resolve => {
+                        showSettingsDialog('Import Preview', body, 'Import', () => resolve(true), () => resolve(false));
+                    });
+                };
+
                 const input = document.createElement('input');
                 input.type = 'file';
                 input.accept = '.json';
@@ -13262,6 +18553,12 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         if (imported.showChatNameInTitle !== undefined) updates.showChatNameInTitle = imported.showChatNameInTitle;
                         if (imported.nsfwToggleEnabled !== undefined) updates.nsfwToggleEnabled = imported.nsfwToggleEnabled;
                         if (imported.messageRecoveryEnabled !== undefined) updates.messageRecoveryEnabled = imported.messageRecoveryEnabled;
+                        if (imported.draftAutosaveEnabled !== undefined) updates[DRAFT_AUTOSAVE_KEY] = imported.draftAutosaveEnabled;
+                        if (imported.draftExpiryHours !== undefined) updates[DRAFT_EXPIRY_HOURS_KEY] = imported.draftExpiryHours;
+                        if (imported.sendRetryEnabled !== undefined) updates[SEND_RETRY_KEY] = imported.sendRetryEnabled;
+                        if (imported.sendRetryMaxAttempts !== undefined) updates[SEND_RETRY_MAX_KEY] = imported.sendRetryMaxAttempts;
+                        if (imported.offlineQueueEnabled !== undefined) updates[OFFLINE_QUEUE_KEY] = imported.offlineQueueEnabled;
+                        if (imported.enableChatSearchIndex !== undefined) updates[CHAT_SEARCH_INDEX_KEY] = imported.enableChatSearchIndex;
                         if (imported.enableWysiwygEditor !== undefined) updates.enableWysiwygEditor = imported.enableWysiwygEditor;
                         if (imported.enableGenerationProfiles !== undefined) updates.enableGenerationProfiles = imported.enableGenerationProfiles;
                         if (imported.enableSmallProfileImages !== undefined) updates.enableSmallProfileImages = imported.enableSmallProfileImages;
@@ -13272,14 +18569,42 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         if (imported.autoRegenOnMismatch !== undefined) updates.autoRegenOnMismatch = imported.autoRegenOnMismatch;
                         if (imported.autoRegenOnShort !== undefined) updates.autoRegenOnShort = imported.autoRegenOnShort;
                         if (imported.autoRegenMaxAttempts !== undefined) updates.autoRegenMaxAttempts = imported.autoRegenMaxAttempts;
+                        if (imported.shortResponseThreshold !== undefined) updates[SHORT_RESPONSE_THRESHOLD_KEY] = imported.shortResponseThreshold;
+                        if (imported.repetitionDetection !== undefined) updates[REPETITION_DETECTION_KEY] = imported.repetitionDetection;
+                        if (imported.repetitionAutoRegen !== undefined) updates[REPETITION_REGEN_KEY] = imported.repetitionAutoRegen;
+                        if (imported.repetitionThreshold !== undefined) updates[REPETITION_THRESHOLD_KEY] = imported.repetitionThreshold;
                         if (imported.messageContainerMaxWidth !== undefined) updates[MESSAGE_CONTAINER_MAX_WIDTH_KEY] = imported.messageContainerMaxWidth;
                         if (imported.memoryDotEnabled !== undefined) updates[MEMORY_DOT_ENABLED_KEY] = imported.memoryDotEnabled;
                         if (imported.memoryDotColor !== undefined) updates[MEMORY_DOT_COLOR_KEY] = imported.memoryDotColor;
                         if (imported.hideCreatorName !== undefined) updates[HIDE_CREATOR_KEY] = imported.hideCreatorName;
                         if (generationProfilesValue !== undefined) updates.generationProfiles = generationProfilesValue;
                         if (imported.lastSelectedProfile !== undefined) updates.lastSelectedProfile = imported.lastSelectedProfile;
+                        if (imported.characterProfileBindings !== undefined) {
+                            updates[CHARACTER_PROFILES_KEY] = typeof imported.characterProfileBindings === 'string'
+                                ? imported.characterProfileBindings
+                                : JSON.stringify(imported.characterProfileBindings);
+                        }
+                        if (imported.autoRegenRules !== undefined) {
+                            updates[AUTO_REGEN_RULES_KEY] = typeof imported.autoRegenRules === 'string'
+                                ? imported.autoRegenRules
+                                : JSON.stringify(imported.autoRegenRules);
+                        }
+                        if (imported.snippetLibrary !== undefined) {
+                            updates[SNIPPETS_KEY] = typeof imported.snippetLibrary === 'string'
+                                ? imported.snippetLibrary
+                                : JSON.stringify(imported.snippetLibrary);
+                        }
                         debugLog('[Core] Importing keys:', Object.keys(updates));
 
+                        // Nothing is written until the user has seen the stats dry run
+                        const importedStats = messageGenerationStatsValue !== undefined
+                            ? JSON.parse(messageGenerationStatsValue)
+                            : null;
+                        if (importedStats && !(await confirmStatsImport(importedStats, Object.keys(updates).length))) {
+                            debugLog('[Core] Import cancelled at preview');
+                            return;
+                        }
+
                         showImportProgress('Parsing import file…', 10);
                         await new Promise(r => setTimeout(r, 0));
 
@@ -13289,8 +18614,7 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
                         // (authoritative, collapses conversation level, never overwrites
                         // richer entries). Not written to storage.local, so keep it out of
                         // `updates`. (Page reloads after import, so the cache refreshes.)
-                        if (messageGenerationStatsValue !== undefined) {
-                            const importedStats = JSON.parse(messageGenerationStatsValue);
+                        if (importedStats) {
                             const botCount = Object.keys(importedStats).length;
                             showImportProgress(`Merging stats (${botCount} bots)…`, 35);
                             await new Promise(r => setTimeout(r, 0));
@@ -13415,6 +18739,10 @@ div.flex.items-end.gap-sm.w-full[style*="margin-left"] {
     // and forward it to the page-context interceptor. Idempotent — safe to
     // call before/after initializeStyles.
     await initMessageRecovery();
+    await syncReplyTextReading();
+    await initDraftAutosave();
+    await initSendRetry();
+    await initOfflineQueue();
     
     // Expose a helper function to reset onboarding (for testing)
     // Since content scripts can't expose functions to page context, we use custom events
@@ -14058,6 +19386,9 @@ nav:not([style*="width: 54px"]) #sai-toolkit-sidebar-btn p {
                     injectNSFWToggleButton();
                 }
 
+                // Per-character profile badge (no-op when this character has no default)
+                updateCharacterProfileBadge();
+
                 // Message Recovery: if the "Oops!" banner is on screen and
                 // we have a saved failed message, offer the recover button.
                 // Cheap no-op when the feature is off or the banner is gone.
@@ -14248,6 +19579,7 @@ nav:not([style*="width: 54px"]) #sai-toolkit-sidebar-btn p {
         window.__autoRegenOnMismatch = cache ? await cache.get('autoRegenOnMismatch', false) : await storage.get('autoRegenOnMismatch', false);
         window.__autoRegenOnShort = cache ? await cache.get('autoRegenOnShort', false) : await storage.get('autoRegenOnShort', false);
         window.__autoRegenMaxAttempts = cache ? await cache.get('autoRegenMaxAttempts', 1) : await storage.get('autoRegenMaxAttempts', 1);
+        window.__shortResponseThreshold = cache ? await cache.get(SHORT_RESPONSE_THRESHOLD_KEY, 50) : await storage.get(SHORT_RESPONSE_THRESHOLD_KEY, 50);
 
         if (!statsEnabled && !timestampEnabled && !showMessageIds) {
             debugLog('[Stats REGEN] Neither stats, timestamp, nor message IDs enabled, skipping');
@@ -14437,6 +19769,8 @@ nav:not([style*="width: 54px"]) #sai-toolkit-sidebar-btn p {
         
         // Apply model change indicators after this new message is inserted
         applyModelChangeIndicators();
+        applyReplyRuleFlags();
+        applyRepetitionHighlights();
         
         // Mark as successfully inserted (prevents future retries)
         statsInsertedForMessageIds.add(messageId);
@@ -14482,6 +19816,7 @@ nav:not([style*="width: 54px"]) #sai-toolkit-sidebar-btn p {
         window.__autoRegenOnMismatch = cache ? await cache.get('autoRegenOnMismatch', false) : await storage.get('autoRegenOnMismatch', false);
         window.__autoRegenOnShort = cache ? await cache.get('autoRegenOnShort', false) : await storage.get('autoRegenOnShort', false);
         window.__autoRegenMaxAttempts = cache ? await cache.get('autoRegenMaxAttempts', 1) : await storage.get('autoRegenMaxAttempts', 1);
+        window.__shortResponseThreshold = cache ? await cache.get(SHORT_RESPONSE_THRESHOLD_KEY, 50) : await storage.get(SHORT_RESPONSE_THRESHOLD_KEY, 50);
 
         debugLog('[Stats DISPLAY] Stats enabled:', statsEnabled, 'Timestamp enabled:', timestampEnabled, 'Model details:', showModelDetails, 'Message IDs:', showMessageIds, 'Highlight model changes:', window.__highlightModelChanges);
         
@@ -15019,6 +20354,8 @@ nav:not([style*="width: 54px"]) #sai-toolkit-sidebar-btn p {
         
         // After all stats are inserted, apply model change indicators
         applyModelChangeIndicators();
+        applyReplyRuleFlags();
+        applyRepetitionHighlights();
     }
 
     // Initialize: Build index map from stored stats for imported/old messages
@@ -15366,6 +20703,8 @@ nav:not([style*="width: 54px"]) #sai-toolkit-sidebar-btn p {
                 
                 // Apply model change indicators (will re-evaluate all stats divs)
                 applyModelChangeIndicators();
+                applyReplyRuleFlags();
+                applyRepetitionHighlights();
                 
                 // IMPORTANT: Remove any duplicate stats divs in this header
                 // React might have created another one, or we might have created a duplicate
@@ -16842,6 +22181,8 @@ nav:not([style*="width: 54px"]) #sai-toolkit-sidebar-btn p {
         if ((isNewTab || !toolkitInjected) && !hasAlreadyReloaded) {
             debugLog('[Core] NEW TAB DETECTED or toolkit not injected - Setting reload flag and reloading...');
             sessionStorage.setItem(RELOAD_FLAG_KEY, 'true');
+            // Don't lose anything typed in the moment before the reload
+            if (draftSaveTimer) await saveDraftNow();
             // Use a small delay to ensure sessionStorage is written
             setTimeout(() => {
                 debugLog('[Core] RELOADING NOW');
@@ -251,62 +251,68 @@ console.log('[Core] Reset function available: resetSAIToolkitOnboarding()');
 // without CSP blocking inline scripts. Content script sends a request via
 // postMessage, we fetch the data, and send it back.
 
+// Collect the auth headers the site's own API calls use: the Kinde token from
+// OAuth refresh, headers intercepted from recent calls, then a localStorage scan.
+function buildApiHeaders() {
+    let authToken = null;
+    let guestUserId = null;
+    let country = null;
+    
+    if (window.__kindeAccessToken) {
+        authToken = window.__kindeAccessToken;
+    }
+    if (window.__lastAuthHeaders) {
+        if (!authToken && window.__lastAuthHeaders.Authorization) {
+            authToken = window.__lastAuthHeaders.Authorization.replace('Bearer ', '');
+        }
+        if (!guestUserId && window.__lastAuthHeaders['X-Guest-UserId']) {
+            guestUserId = window.__lastAuthHeaders['X-Guest-UserId'];
+        }
+        if (!country && window.__lastAuthHeaders['X-Country']) {
+            country = window.__lastAuthHeaders['X-Country'];
+        }
+    }
+    
+    // Fallback to localStorage
+    if (!authToken) {
+        for (const key of Object.keys(localStorage)) {
+            try {
+                const value = localStorage.getItem(key);
+                if (!value) continue;
+                if (value.startsWith('{') || value.startsWith('[')) {
+                    const parsed = JSON.parse(value);
+                    if (parsed.access_token || parsed.accessToken || parsed.token) {
+                        authToken = parsed.access_token || parsed.accessToken || parsed.token;
+                        break;
+                    }
+                } else if (value.startsWith('eyJ')) {
+                    authToken = value;
+                    break;
+                }
+            } catch (e) {}
+        }
+    }
+    
+    const headers = {
+        'Accept': 'application/json, text/plain, */*',
+        'X-App-Id': 'spicychat'
+    };
+    
+    if (authToken) headers['Authorization'] = 'Bearer ' + authToken;
+    if (guestUserId) headers['X-Guest-UserId'] = guestUserId;
+    if (country) headers['X-Country'] = country;
+    return headers;
+}
+
 window.addEventListener('message', async function(event) {
     // Only handle our specific export request
     if (event.source !== window) return;
     if (event.data.type !== 'SAI_EXPORT_CHAT_REQUEST') return;
     
-    const { characterId, conversationId } = event.data;
+    const { characterId, conversationId, requestId } = event.data;
     
     try {
-        let authToken = null;
-        let guestUserId = null;
-        let country = null;
-        
-        // Get auth headers from intercepted data
-        if (window.__kindeAccessToken) {
-            authToken = window.__kindeAccessToken;
-        }
-        if (window.__lastAuthHeaders) {
-            if (!authToken && window.__lastAuthHeaders.Authorization) {
-                authToken = window.__lastAuthHeaders.Authorization.replace('Bearer ', '');
-            }
-            if (!guestUserId && window.__lastAuthHeaders['X-Guest-UserId']) {
-                guestUserId = window.__lastAuthHeaders['X-Guest-UserId'];
-            }
-            if (!country && window.__lastAuthHeaders['X-Country']) {
-                country = window.__lastAuthHeaders['X-Country'];
-            }
-        }
-        
-        // Fallback to localStorage
-        if (!authToken) {
-            for (const key of Object.keys(localStorage)) {
-                try {
-                    const value = localStorage.getItem(key);
-                    if (!value) continue;
-                    if (value.startsWith('{') || value.startsWith('[')) {
-                        const parsed = JSON.parse(value);
-                        if (parsed.access_token || parsed.accessToken || parsed.token) {
-                            authToken = parsed.access_token || parsed.accessToken || parsed.token;
-                            break;
-                        }
-                    } else if (value.startsWith('eyJ')) {
-                        authToken = value;
-                        break;
-                    }
-                } catch (e) {}
-            }
-        }
-        
-        const headers = {
-            'Accept': 'application/json, text/plain, */*',
-            'X-App-Id': 'spicychat'
-        };
-        
-        if (authToken) headers['Authorization'] = 'Bearer ' + authToken;
-        if (guestUserId) headers['X-Guest-UserId'] = guestUserId;
-        if (country) headers['X-Country'] = country;
+        const headers = buildApiHeaders();
         
         console.log('[Export] Fetching from API with character ID:', characterId, 'conversation ID:', conversationId);
 
@@ -348,6 +354,7 @@ window.addEventListener('message', async function(event) {
         // Send data back via postMessage
         window.postMessage({
             type: 'SAI_EXPORT_CHAT_RESPONSE',
+            requestId: requestId,
             success: true,
             messages: messagesData,
             character: characterData
@@ -356,12 +363,90 @@ window.addEventListener('message', async function(event) {
         console.error('[Export] Error fetching chat data:', error);
         window.postMessage({
             type: 'SAI_EXPORT_CHAT_RESPONSE',
+            requestId: requestId,
             success: false,
             error: error.message
         }, '*');
     }
 });
 
+// ============================================================================
+// CONVERSATION LIST API HANDLER
+// ============================================================================
+// Lists every conversation the user has with one character so the content
+// script can bulk-export them. Uses the same auth headers as the export handler.
+// The list endpoint isn't one the site documents, so the response is checked
+// strictly: anything that isn't a list of conversations with ids is reported as an
+// error instead of exporting a partial or empty set. Those errors carry
+// `unsupported: true` so the content script can tell them from a network failure.
+
+window.addEventListener('message', async function(event) {
+    if (event.source !== window) return;
+    if (event.data.type !== 'SAI_LIST_CONVERSATIONS_REQUEST') return;
+    
+    const { characterId, requestId } = event.data;
+    const unsupported = (message) => Object.assign(new Error(message), { unsupported: true });
+    
+    try {
+        if (typeof characterId !== 'string' || !/^[\w-]+$/.test(characterId)) {
+            throw new Error('Open a chat with the character first');
+        }
+        const headers = buildApiHeaders();
+        const response = await fetch(`https://prod.nd-api.com/characters/${characterId}/conversations`, {
+            method: 'GET',
+            headers: headers,
+            credentials: 'include'
+        });
+        
+        if (response.status === 404 || response.status === 405) {
+            throw unsupported('SpicyChat no longer answers the conversation list request (HTTP ' + response.status + '), so bulk export is unavailable');
+        }
+        if (!response.ok) {
+            throw new Error('Failed to list conversations: ' + response.status);
+        }
+        
+        let data;
+        try {
+            data = await response.json();
+        } catch (_) {
+            throw unsupported('The conversation list response was not JSON — bulk export is unavailable');
+        }
+        // Accept a bare array or the usual { conversations | data | items } envelope
+        const list = Array.isArray(data) ? data
+            : (data && [data.conversations, data.data, data.items].find(Array.isArray));
+        const idOf = c => (c && typeof c === 'object') ? (c.id ?? c.conversation_id) : undefined;
+        if (!list || !list.every(c => ['string', 'number'].includes(typeof idOf(c)))) {
+            throw unsupported('Unexpected conversation list response — bulk export is unavailable');
+        }
+        const conversations = list
+            .map(c => ({
+                id: c.id || c.conversation_id,
+                label: c.label || c.title || null,
+                createdAt: c.created_at || c.createdAt || null,
+                updatedAt: c.updated_at || c.updatedAt || c.last_message_at || null,
+                messageCount: c.message_count ?? c.messageCount ?? null
+            }))
+            .filter(c => c.id);
+        console.log('[Export] Conversations listed for character:', characterId, conversations.length);
+        
+        window.postMessage({
+            type: 'SAI_LIST_CONVERSATIONS_RESPONSE',
+            requestId: requestId,
+            success: true,
+            conversations: conversations
+        }, '*');
+    } catch (error) {
+        console.error('[Export] Error listing conversations:', error);
+        window.postMessage({
+            type: 'SAI_LIST_CONVERSATIONS_RESPONSE',
+            requestId: requestId,
+            success: false,
+            error: error.message,
+            unsupported: !!error.unsupported
+        }, '*');
+    }
+});
+
 // ============================================================================
 // MEMORY REFRESH API HANDLER
 // ============================================================================
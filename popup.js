@@ -1,13 +1,253 @@
 const runtimeAPI = typeof browser !== 'undefined' ? browser : chrome;
 
+const SYNC_BUTTON_LABELS = { drive: 'Sync to Google Drive', webdav: 'Sync to WebDAV' };
+const LAST_SYNC_KEYS     = { drive: 'driveLastSync', webdav: 'webdavLastSync' };
+const BACKEND_NAMES      = { drive: 'Google Drive', webdav: 'WebDAV', file: 'Sync file' };
+const AUTO_SYNC_ALARM    = 'driveAutoSync';  // AUTO_SYNC_ALARM_NAME in background.js
+const HISTORY_SHOWN      = 5;
+
+// Feature switches shown in the popup: [storage key, label]. Everything defaults to
+// off, matching the settings modal; content scripts pick changes up on their next load.
+const QUICK_TOGGLES = [
+    ['showGenerationStats',    'Generation stats'],
+    ['enableSidebarLayout',    'Sidebar layout'],
+    ['enableHideForYou',       'Hide "For You"'],
+    ['enablePageJump',         'Page jump'],
+    ['showTimestamp',          'Timestamps'],
+    ['enableWysiwygEditor',    'Live formatting'],
+    ['draftAutosaveEnabled',   'Draft autosave'],
+    ['messageRecoveryEnabled', 'Message recovery'],
+];
+
+function formatBytes(bytes) {
+    if (bytes == null) return '—';
+    if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+function formatDuration(ms) {
+    return ms >= 10000 ? `${Math.round(ms / 1000)} s` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function setState(el, text, tone) {
+    el.textContent = text;
+    el.className = tone ? `state-${tone}` : '';
+}
+
+async function renderBackendState(backend) {
+    const el = document.getElementById('backendState');
+    const stored = await runtimeAPI.storage.local.get({
+        driveRefreshToken: null, driveAccessToken: null, driveTokenExpiry: 0,
+        driveFileId: null, driveLastSync: null, webdavUrl: '', driveSyncConflicts: {}
+    });
+    const conflicts = Object.values(stored.driveSyncConflicts || {})
+        .reduce((n, section) => n + Object.keys(section || {}).length, 0);
+    const suffix = conflicts ? ` · ${conflicts} conflict${conflicts === 1 ? '' : 's'}` : '';
+
+    if (backend === 'drive') {
+        const signedIn = !!stored.driveRefreshToken ||
+            (!!stored.driveAccessToken && Date.now() < stored.driveTokenExpiry);
+        if (signedIn) setState(el, `Google Drive · signed in${suffix}`, conflicts ? 'warn' : 'ok');
+        else if (stored.driveFileId || stored.driveLastSync) setState(el, 'Google Drive · sign-in needed', 'warn');
+        else setState(el, 'Google Drive · not connected', '');
+    } else if (backend === 'webdav') {
+        let origin = null;
+        try { origin = new URL(stored.webdavUrl.trim()).origin; } catch (_) {}
+        if (!origin) {
+            setState(el, 'WebDAV · not set up', 'warn');
+        } else {
+            const granted = runtimeAPI.permissions
+                ? await runtimeAPI.permissions.contains({ origins: [origin + '/*'] })
+                : true;
+            const host = new URL(origin).host;
+            if (granted) setState(el, `WebDAV · ${host}${suffix}`, conflicts ? 'warn' : 'ok');
+            else setState(el, `WebDAV · ${host} · access not granted`, 'bad');
+        }
+    } else {
+        setState(el, `Sync file (manual)${suffix}`, conflicts ? 'warn' : '');
+    }
+}
+
+async function renderSchedules(backend) {
+    const prefs = await runtimeAPI.storage.local.get({
+        driveAutoSync: false, driveAutoSyncInterval: 10,
+        driveBackupSchedule: 'off', driveLastScheduledBackup: 0
+    });
+
+    // The manual sync file backend has no auto-sync
+    const autoRow = document.getElementById('autoSyncRow');
+    autoRow.style.display = backend === 'file' ? 'none' : '';
+    const toggle = document.getElementById('autoSyncToggle');
+    const autoState = document.getElementById('autoSyncState');
+    toggle.checked = !!prefs.driveAutoSync;
+    if (prefs.driveAutoSync) {
+        const alarm = await runtimeAPI.alarms.get(AUTO_SYNC_ALARM);
+        const next = alarm ? ` · next ${new Date(alarm.scheduledTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : '';
+        setState(autoState, `every ${prefs.driveAutoSyncInterval} min${next}`, '');
+    } else {
+        setState(autoState, 'off', '');
+    }
+
+    // Backups are Drive-only
+    document.getElementById('backupRow').style.display = backend === 'drive' ? '' : 'none';
+    const backupState = document.getElementById('backupState');
+    if (prefs.driveBackupSchedule === 'off') {
+        setState(backupState, 'off', '');
+    } else {
+        const last = prefs.driveLastScheduledBackup
+            ? ` · last ${new Date(prefs.driveLastScheduledBackup).toLocaleDateString()}`
+            : '';
+        setState(backupState, `${prefs.driveBackupSchedule}${last}`, '');
+    }
+}
+
+// Set by background.js when the toolkit's footprint passes the Data tab's warning size
+async function renderStorageWarning() {
+    const { storageWarning } = await runtimeAPI.storage.local.get({ storageWarning: null });
+    const row = document.getElementById('storageWarningRow');
+    row.style.display = storageWarning ? '' : 'none';
+    if (storageWarning) {
+        document.getElementById('storageWarningState').textContent =
+            `${formatBytes(storageWarning.bytes)} · over ${storageWarning.limitMB} MB`;
+        row.title = 'See Storage in the Data tab to free up space.';
+    }
+}
+
+async function renderHistory() {
+    const list = document.getElementById('syncHistory');
+    const { syncHistory } = await runtimeAPI.storage.local.get({ syncHistory: [] });
+    list.replaceChildren();
+    if (!syncHistory.length) {
+        const empty = document.createElement('div');
+        empty.className = 'history-empty';
+        empty.textContent = 'No syncs yet.';
+        list.appendChild(empty);
+        return;
+    }
+    for (const run of syncHistory.slice(0, HISTORY_SHOWN)) {
+        const item = document.createElement('div');
+        item.className = run.success ? 'history-item' : 'history-item failed';
+        const head = document.createElement('div');
+        head.textContent = [
+            new Date(run.at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+            BACKEND_NAMES[run.backend] || run.backend,
+            run.trigger,
+            formatDuration(run.durationMs)
+        ].join(' · ');
+        const detail = document.createElement('div');
+        detail.className = 'history-detail';
+        if (run.success) {
+            const parts = [`↓ ${formatBytes(run.bytesIn)}`, `↑ ${formatBytes(run.bytesOut)}`];
+            if (run.recordsMerged != null) parts.push(`${run.recordsMerged.toLocaleString()} records merged`);
+            if (run.recordsUploaded != null) parts.push(`${run.recordsUploaded.toLocaleString()} sent`);
+            if (run.conflicts) parts.push(`${run.conflicts} conflict${run.conflicts === 1 ? '' : 's'}`);
+            detail.textContent = parts.join(' · ');
+        } else {
+            detail.textContent = run.error === 'auth_silent_fail' ? 'Sign-in needed' : (run.error || 'Failed');
+        }
+        item.appendChild(head);
+        item.appendChild(detail);
+        list.appendChild(item);
+    }
+}
+
+async function renderQuickToggles() {
+    const grid = document.getElementById('quickToggles');
+    const note = document.getElementById('toggleNote');
+    const defaults = Object.fromEntries(QUICK_TOGGLES.map(([key]) => [key, false]));
+    const values = await runtimeAPI.storage.local.get(defaults);
+    grid.replaceChildren();
+    for (const [key, label] of QUICK_TOGGLES) {
+        const row = document.createElement('label');
+        row.className = 'panel-toggle';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !!values[key];
+        input.addEventListener('change', async () => {
+            await runtimeAPI.storage.local.set({ [key]: input.checked });
+            note.style.display = '';
+        });
+        row.appendChild(input);
+        row.appendChild(document.createTextNode(label));
+        grid.appendChild(row);
+    }
+    document.getElementById('reloadTabsBtn').addEventListener('click', async () => {
+        const tabs = await runtimeAPI.tabs.query({ url: '*://spicychat.ai/*' });
+        for (const tab of tabs) runtimeAPI.tabs.reload(tab.id);
+        note.style.display = 'none';
+    });
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
-    const btn    = document.getElementById('syncBtn');
-    const status = document.getElementById('syncStatus');
+    const btn       = document.getElementById('syncBtn');
+    const accessBtn = document.getElementById('webdavAccessBtn');
+    const status    = document.getElementById('syncStatus');
+
+    const prefs = await runtimeAPI.storage.local.get({ syncBackend: 'drive', webdavUrl: '' });
+    const backend = prefs.syncBackend;
+    const lastSyncKey = LAST_SYNC_KEYS[backend];
+
+    await Promise.all([renderBackendState(backend), renderSchedules(backend), renderStorageWarning(), renderHistory(), renderQuickToggles()]);
+
+    // Auto-sync runs from the background; refresh the panel when it finishes
+    runtimeAPI.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes.syncHistory) renderHistory();
+        if (changes.storageWarning) renderStorageWarning();
+        if (changes.driveSyncConflicts || changes.driveRefreshToken || changes.driveAccessToken) renderBackendState(backend);
+    });
+
+    document.getElementById('autoSyncToggle').addEventListener('change', async (e) => {
+        const enabled = e.target.checked;
+        const { driveAutoSyncInterval } = await runtimeAPI.storage.local.get({ driveAutoSyncInterval: 10 });
+        await runtimeAPI.storage.local.set({ driveAutoSync: enabled });
+        await runtimeAPI.runtime.sendMessage({ type: 'SAI_DRIVE_SET_AUTO_SYNC', enabled, intervalMinutes: driveAutoSyncInterval });
+        await renderSchedules(backend);
+    });
+
+    // The manual sync file backend only works from the Data tab
+    if (!SYNC_BUTTON_LABELS[backend]) {
+        btn.style.display = 'none';
+        status.textContent = 'Sync file mode: export and import the sync file in the Data tab.';
+        return;
+    }
+    btn.textContent = SYNC_BUTTON_LABELS[backend];
 
     // Show last sync time if available
-    const stored = await runtimeAPI.storage.local.get('driveLastSync');
-    if (stored.driveLastSync) {
-        status.textContent = `Last synced: ${new Date(stored.driveLastSync).toLocaleString()}`;
+    const stored = await runtimeAPI.storage.local.get(lastSyncKey);
+    if (stored[lastSyncKey]) {
+        status.textContent = `Last synced: ${new Date(stored[lastSyncKey]).toLocaleString()}`;
+    }
+    try {
+        const syncState = await runtimeAPI.runtime.sendMessage({ type: 'SAI_SYNC_STATUS' });
+        if (syncState && syncState.inProgress) status.textContent = 'A sync is running…';
+    } catch (_) {}
+
+    // WebDAV servers are optional host permissions; content scripts can't request
+    // them, so the Data tab sends the user here to grant access
+    if (backend === 'webdav' && prefs.webdavUrl && runtimeAPI.permissions) {
+        let origin = null;
+        try { origin = new URL(prefs.webdavUrl.trim()).origin; } catch (_) {}
+        if (origin) {
+            const granted = await runtimeAPI.permissions.contains({ origins: [origin + '/*'] });
+            if (!granted) {
+                accessBtn.textContent = `Allow WebDAV access to ${new URL(origin).host}`;
+                accessBtn.style.display = '';
+                accessBtn.addEventListener('click', async () => {
+                    const ok = await runtimeAPI.permissions.request({ origins: [origin + '/*'] });
+                    if (ok) {
+                        accessBtn.style.display = 'none';
+                        status.textContent = 'WebDAV access granted.';
+                        status.classList.remove('error');
+                        await renderBackendState(backend);
+                    } else {
+                        status.textContent = 'WebDAV access was not granted.';
+                        status.classList.add('error');
+                    }
+                });
+            }
+        }
     }
 
     btn.addEventListener('click', async () => {
@@ -19,8 +259,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         try {
             const result = await runtimeAPI.runtime.sendMessage({ type: 'SAI_DRIVE_SYNC' });
             if (result.success) {
-                const s = await runtimeAPI.storage.local.get('driveLastSync');
-                status.textContent = `Synced at ${new Date(s.driveLastSync).toLocaleString()}`;
+                const s = await runtimeAPI.storage.local.get(lastSyncKey);
+                status.textContent = `Synced at ${new Date(s[lastSyncKey]).toLocaleString()}`;
             } else if (result.error === 'auth_silent_fail') {
                 status.textContent = 'Could not sign in silently — click again to sign in.';
                 status.classList.add('error');
@@ -34,6 +274,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         btn.disabled    = false;
-        btn.textContent = 'Sync to Google Drive';
+        btn.textContent = SYNC_BUTTON_LABELS[backend];
+        await renderBackendState(backend);
     });
 });
@@ -21,7 +21,11 @@
  *   (the model-override and NSFW-mode features modify the OUTGOING request
  *   body only — they never alter responses)
  * ✓ LOCAL-ONLY STORAGE: All data saved to chrome.storage.local (browser)
- * ✓ NO EXTERNAL CONNECTIONS: This script makes zero network requests
+ * ✓ NO EXTERNAL CONNECTIONS: This script makes zero network requests of its
+ *   own (the opt-in Send Retry feature re-issues the page's own failed chat
+ *   request, unchanged, to the same SpicyChat endpoint, and the opt-in
+ *   Offline Queue sends a bare GET without credentials to that endpoint to
+ *   see whether it is back up)
  * ✓ NO CREDENTIALS: Does not access passwords, tokens, or auth headers
  *
  * WHAT WE READ (always):
@@ -31,8 +35,10 @@
  * - conversation_id / character_id: For organizing stats by conversation
  * - response.engine: The actual model the server used (may differ from request)
  *
- * WHAT WE READ ONLY WHEN MESSAGE RECOVERY IS ENABLED:
+ * WHAT WE READ ONLY WHEN MESSAGE RECOVERY (OR THE OFFLINE QUEUE) IS ENABLED:
  * - body.message: The text of the user's outgoing chat message
+ *   (the Offline Queue uses the same failed-send snapshot to send the
+ *   message again from the chat box once the endpoint is back)
  *
  *   Why this exists: When SpicyChat's chat API fails (502 from Cloudflare,
  *   CORS preflight failure, network drop, request timeout), the message the
@@ -62,9 +68,20 @@
  *   "Clear All Data" button in the settings modal wipes it. Recovered
  *   messages are also removed from the queue automatically.
  *
+ * WHAT WE READ ONLY WHEN REPLY RULES OR REPETITION DETECTION ARE ENABLED:
+ * - response.message.content: The text of a new bot reply, handed to the
+ *   content script so it can check the reply against the user's own rules
+ *   (length, patterns) or against the chat's recent replies for repetition.
+ *   It is read in memory only and never persisted or transmitted. With both
+ *   features off (the default) only the reply's length is passed on, for the
+ *   "regenerate short replies" option.
+ * - messages[].content in GET /messages (repetition detection only): the
+ *   bot replies already in a chat when it loads, kept in memory as the
+ *   history new replies are compared with. Never persisted or transmitted.
+ *
  * WHAT WE DO NOT READ (ever):
- * ✗ Bot/AI response content (only the response.message.id, engine, and
- *   timestamps are read; response.message.content is never persisted)
+ * ✗ Bot/AI response content while the features above are off (only the
+ *   message ids, engine, timestamps and the new reply's length are read)
  * ✗ User credentials or authentication tokens
  * ✗ Personal information or account details
  * ✗ Payment information
@@ -168,7 +185,8 @@
     //   never leaves the browser, persisting message text to local storage
     //   is materially different from persisting model names and timestamps,
     //   so it requires explicit user consent via the "Message Recovery"
-    //   toggle in the Features tab of the S.AI Settings modal.
+    //   toggle in the Features tab of the S.AI Settings modal (or the
+    //   "Queue Failed Sends" toggle, which works from the same snapshot).
     //
     // STATE LIFECYCLE
     //   - Default: false (disabled). The interceptor behaves exactly as
@@ -189,6 +207,56 @@
         // localStorage not available
     }
     
+    // Offline Queue: where to probe for the chat endpoint coming back. The
+    // content script names only the kind ('chat' or 'story'); the URL is the
+    // one this page last posted that kind to, if it is an https nd-api.com
+    // address, else the fixed API base. Nothing sent in a message is fetched.
+    const CHAT_API_BASE = 'https://prod.nd-api.com';
+    const chatEndpointsSeen = { chat: null, story: null };
+    function rememberChatEndpoint(url) {
+        try {
+            const parsed = new URL(String(url), window.location.href);
+            if (parsed.protocol !== 'https:' || !/(^|\.)nd-api\.com$/.test(parsed.hostname)) return;
+            chatEndpointsSeen[parsed.pathname.includes('/story') ? 'story' : 'chat'] = parsed.origin + parsed.pathname;
+        } catch (e) {
+            // not a URL
+        }
+    }
+    function chatProbeUrl(kind) {
+        return chatEndpointsSeen[kind] || `${CHAT_API_BASE}/${kind}`;
+    }
+
+    // Send Retry: resend chat POSTs that fail with a gateway error or timeout.
+    // Opt-in; mirrored to localStorage like the recovery flag so it is in
+    // effect before the content script has loaded.
+    let sendRetryConfig = { enabled: false, maxAttempts: 3 };
+    try {
+        const storedRetry = localStorage.getItem('sai_send_retry');
+        if (storedRetry) {
+            sendRetryConfig = { ...sendRetryConfig, ...JSON.parse(storedRetry) };
+            debugLog('[MsgRecovery] Loaded send retry config from localStorage:', sendRetryConfig);
+        }
+    } catch (e) {
+        // localStorage not available or value corrupt
+    }
+    
+    // Reply text reading: the content script only needs a new bot reply's text
+    // for reply rules and repetition detection. Both are opt-in; while neither
+    // is on we pass on the reply's length and nothing else. Mirrored to
+    // localStorage like the recovery flag so it holds before the content
+    // script has loaded.
+    let replyTextReading = { rules: false, repetition: false };
+    try {
+        const storedReading = localStorage.getItem('sai_reply_text_reading');
+        if (storedReading) {
+            replyTextReading = { ...replyTextReading, ...JSON.parse(storedReading) };
+            debugLog('[AutoRegen] Loaded reply text reading from localStorage:', replyTextReading);
+        }
+    } catch (e) {
+        // localStorage not available or value corrupt
+    }
+    const readsReplyText = () => replyTextReading.rules || replyTextReading.repetition;
+    
     // Listen for NSFW mode toggle from content script
     window.addEventListener('message', function(event) {
         if (event.data && event.data.type === 'SAI_SET_NSFW_MODE') {
@@ -266,6 +334,61 @@
             }, '*');
         }
 
+        // Send Retry: enable/disable and attempt cap from content script
+        if (event.data && event.data.type === 'SAI_SET_SEND_RETRY') {
+            sendRetryConfig = {
+                enabled: !!event.data.enabled,
+                maxAttempts: Math.max(1, parseInt(event.data.maxAttempts, 10) || 3)
+            };
+            debugLog('[MsgRecovery] Send retry config set to:', sendRetryConfig);
+            try {
+                if (sendRetryConfig.enabled) {
+                    localStorage.setItem('sai_send_retry', JSON.stringify(sendRetryConfig));
+                } else {
+                    localStorage.removeItem('sai_send_retry');
+                }
+            } catch (e) {
+                // localStorage not available
+            }
+        }
+
+        // Reply text reading: which opt-in features need bot reply text
+        if (event.data && event.data.type === 'SAI_SET_REPLY_TEXT_READING') {
+            replyTextReading = { rules: !!event.data.rules, repetition: !!event.data.repetition };
+            debugLog('[AutoRegen] Reply text reading set to:', replyTextReading);
+            try {
+                if (readsReplyText()) {
+                    localStorage.setItem('sai_reply_text_reading', JSON.stringify(replyTextReading));
+                } else {
+                    localStorage.removeItem('sai_reply_text_reading');
+                }
+            } catch (e) {
+                // localStorage not available
+            }
+        }
+
+        // Send Retry: user pressed Cancel on the countdown toast
+        if (event.data && event.data.type === 'SAI_CANCEL_SEND_RETRY') {
+            const cancel = pendingSendRetries.get(event.data.retryId);
+            if (cancel) cancel('cancelled');
+        }
+
+        // Offline Queue: is the chat endpoint answering again? Any response
+        // that isn't a gateway error counts (a 401/404/405 for a bare GET
+        // still means the backend is up); a throw — including Cloudflare
+        // error pages, which carry no CORS headers — means it is still down.
+        if (event.data && event.data.type === 'SAI_PROBE_CHAT_ENDPOINT') {
+            const probeId = event.data.probeId;
+            const kind = event.data.endpoint === 'story' ? 'story' : 'chat';
+            originalFetch(chatProbeUrl(kind), { method: 'GET', credentials: 'omit', cache: 'no-store' })
+                .then(res => ({ up: res.status < 500, status: res.status }))
+                .catch(() => ({ up: false, status: 0 }))
+                .then(result => {
+                    debugLog('[MsgRecovery] Chat endpoint probe:', result);
+                    window.postMessage({ type: 'SAI_CHAT_ENDPOINT_PROBE_RESULT', probeId: probeId, ...result }, '*');
+                });
+        }
+
         // Message Recovery: content script asks for current state on load
         if (event.data && event.data.type === 'SAI_GET_MESSAGE_RECOVERY') {
             window.postMessage({
@@ -295,15 +418,184 @@
         }, '*');
     }
     
+    // -------------------------------------------------------------------------
+    // SEND RETRY — resend a failed chat POST with exponential backoff
+    // -------------------------------------------------------------------------
+    // Only failures that mean the request never reached a healthy backend are
+    // retried: gateway errors (502/503/504 and Cloudflare's 522/524 timeouts)
+    // and XHR timeouts. 4xx responses (bad request, auth, rate limit) and
+    // aborts are never retried. The site keeps waiting on its original
+    // request while we retry, so a retry that succeeds looks like a slow
+    // send; only when retries run out or are cancelled does the site get the
+    // failure (and its Oops banner).
+    //
+    // The content script shows a countdown toast for each scheduled retry and
+    // can cancel it with SAI_CANCEL_SEND_RETRY. Caveat worth knowing: a 502 can
+    // occasionally be returned after the backend accepted the message, in
+    // which case the retry produces a duplicate reply — same as a manual
+    // Resubmit would.
+    const RETRYABLE_SEND_STATUSES = [502, 503, 504, 522, 524];
+    const SEND_RETRY_BASE_DELAY_MS = 2000;
+    const SEND_RETRY_MAX_DELAY_MS = 30000;
+    const pendingSendRetries = new Map(); // retryId -> finish(decision)
+
+    function newSendRetryId() {
+        return 'sr_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
+    }
+
+    function canRetrySend(attempts) {
+        return sendRetryConfig.enabled && attempts < sendRetryConfig.maxAttempts;
+    }
+
+    // Wait out the backoff before retry number `attempt`, announcing it to the
+    // content script. Resolves 'retry', or 'cancelled' / 'aborted' when the
+    // user or the site called it off.
+    function waitForSendRetry(retryId, attempt, reason) {
+        const delayMs = Math.min(SEND_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), SEND_RETRY_MAX_DELAY_MS);
+        debugLog('[MsgRecovery] Send failed (' + reason + '), retry', attempt, 'of', sendRetryConfig.maxAttempts, 'in', delayMs, 'ms');
+        window.postMessage({
+            type: 'SAI_SEND_RETRY_SCHEDULED',
+            retryId: retryId,
+            attempt: attempt,
+            maxAttempts: sendRetryConfig.maxAttempts,
+            delayMs: delayMs,
+            reason: reason
+        }, '*');
+        return new Promise(resolve => {
+            const finish = (decision) => {
+                clearTimeout(timer);
+                pendingSendRetries.delete(retryId);
+                resolve(decision);
+            };
+            const timer = setTimeout(() => finish('retry'), delayMs);
+            pendingSendRetries.set(retryId, finish);
+        });
+    }
+
+    // outcome: 'sent' | 'failed' | 'cancelled'
+    function reportSendRetryResult(retryId, outcome, attempts) {
+        debugLog('[MsgRecovery] Send retry finished:', outcome, 'after', attempts, 'retries');
+        window.postMessage({
+            type: 'SAI_SEND_RETRY_RESULT',
+            retryId: retryId,
+            outcome: outcome,
+            attempts: attempts
+        }, '*');
+    }
+
+    // XHR retries reuse the site's own XHR object so its handlers eventually
+    // see a normal completion. Our listeners are attached in open(), before
+    // the site assigns onload/onloadend/onreadystatechange, so they run first
+    // and can stopImmediatePropagation() on a retryable failure. The object
+    // is then re-opened (same method/URL/headers) and re-sent with the same
+    // body. If the retry is cancelled, the held events are replayed so the
+    // site handles the failure as it normally would.
+    function installXhrSendRetry(xhr, openArgs) {
+        const state = {
+            retryId: newSendRetryId(),
+            openArgs: openArgs,
+            headers: [],
+            body: undefined,
+            attempts: 0,
+            holding: false,
+            replaying: false,
+            held: []
+        };
+        xhr._saiSendRetry = state;
+
+        const release = () => {
+            state.replaying = true;
+            for (const type of state.held) xhr.dispatchEvent(new Event(type));
+            state.replaying = false;
+            state.holding = false;
+            state.held = [];
+        };
+
+        const onXhrEvent = (e) => {
+            if (state.replaying) return;
+            if (state.holding) {
+                e.stopImmediatePropagation();
+                state.held.push(e.type);
+                return;
+            }
+
+            let reason = null;
+            if (e.type === 'readystatechange' && xhr.readyState === 4 && RETRYABLE_SEND_STATUSES.includes(xhr.status)) {
+                reason = 'xhr-status-' + xhr.status;
+            } else if (e.type === 'timeout') {
+                reason = 'xhr-timeout';
+            }
+
+            if (!reason) {
+                if (e.type === 'loadend' && state.attempts > 0) {
+                    const sent = xhr.status >= 200 && xhr.status < 400;
+                    reportSendRetryResult(state.retryId, sent ? 'sent' : 'failed', state.attempts);
+                    state.attempts = 0;
+                }
+                return;
+            }
+            if (!canRetrySend(state.attempts)) return; // out of retries: let the failure through
+
+            e.stopImmediatePropagation();
+            state.holding = true;
+            state.held = [e.type];
+            state.attempts++;
+            waitForSendRetry(state.retryId, state.attempts, reason).then(decision => {
+                if (decision === 'retry') {
+                    originalXHROpen.apply(xhr, state.openArgs);
+                    for (const [name, value] of state.headers) originalXHRSetRequestHeader.call(xhr, name, value);
+                    state.holding = false;
+                    state.held = [];
+                    originalXHRSend.call(xhr, state.body);
+                    return;
+                }
+                reportSendRetryResult(state.retryId, 'cancelled', state.attempts);
+                state.attempts = 0;
+                // The site aborted the request itself: nothing left to deliver
+                if (decision === 'aborted') {
+                    state.holding = false;
+                    state.held = [];
+                    return;
+                }
+                release();
+            });
+        };
+
+        for (const type of ['readystatechange', 'load', 'error', 'timeout', 'abort', 'loadend']) {
+            xhr.addEventListener(type, onXhrEvent);
+        }
+    }
+
     // Intercept XMLHttpRequest
     const originalXHROpen = XMLHttpRequest.prototype.open;
     const originalXHRSend = XMLHttpRequest.prototype.send;
+    const originalXHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+    const originalXHRAbort = XMLHttpRequest.prototype.abort;
     
     XMLHttpRequest.prototype.open = function(method, url, ...rest) {
         this._method = method;
         this._url = url;
+        // Send Retry: chat POSTs only, and only once per XHR object
+        const urlString = url ? String(url) : '';
+        if (sendRetryConfig.enabled && !this._saiSendRetry && method === 'POST' &&
+            (urlString.includes('/chat') || urlString.includes('/story'))) {
+            installXhrSendRetry(this, [method, url, ...rest]);
+        }
         return originalXHROpen.apply(this, [method, url, ...rest]);
     };
+
+    XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+        // Recorded so a Send Retry can re-open the request with the same headers
+        if (this._saiSendRetry) this._saiSendRetry.headers.push([name, value]);
+        return originalXHRSetRequestHeader.apply(this, arguments);
+    };
+
+    XMLHttpRequest.prototype.abort = function() {
+        // The site gave up on a request we are holding for a retry
+        const pendingRetry = this._saiSendRetry && pendingSendRetries.get(this._saiSendRetry.retryId);
+        if (pendingRetry) pendingRetry('aborted');
+        return originalXHRAbort.apply(this, arguments);
+    };
     
     XMLHttpRequest.prototype.send = function(body) {
         debugLog('[Stats] XHR send intercepted:', this._method, this._url);
@@ -351,13 +643,17 @@
                             type: 'SAI_MESSAGES_LOADED',
                             conversationId: conversationId, // Include conversation ID
                             label: label, // Include label for page title
+                            userPersonaName: response.userPersona?.name || null, // For {{user}} in reply rules
                             botMessages: botMessages.map(msg => ({
                                 id: msg.id,
                                 createdAt: msg.createdAt,
                                 inference_model: msg.inference_model,
                                 inference_settings: msg.inference_settings,
                                 is_alternative: msg.is_alternative || false,
-                                prev_id: msg.prev_id || null
+                                prev_id: msg.prev_id || null,
+                                // Recent replies to compare new ones against — only read
+                                // while repetition detection is on
+                                ...(replyTextReading.repetition ? { content: msg.content || '' } : {})
                             })),
                             userMessages: userMessages.map(msg => ({
                                 id: msg.id,
@@ -409,6 +705,7 @@
         // Story mode may use a different endpoint, so check for both
         const isChatPost = this._method === 'POST' && this._url &&
             (this._url.includes('/chat') || this._url.includes('/story'));
+        if (isChatPost) rememberChatEndpoint(this._url);
 
         // ------------------------------------------------------------------
         // MESSAGE RECOVERY: snapshot outgoing message text and watch for
@@ -553,9 +850,10 @@
                                 debugLog('[Stats] Request model:', requestModel, 'Response model:', responseModel, 'Display:', modelDisplay);
                             debugLog('[Stats XHR] About to postMessage with createdAt:', createdAt);
                                 
-                                // Extract content length for short response detection
-                                const responseContent = response.message.content || '';
-                                debugLog('[Stats XHR] Response content length:', responseContent.length);
+                                // Length for short response detection; the text itself only
+                                // when reply rules or repetition detection need it
+                                const responseContentLength = (response.message.content || '').length;
+                                debugLog('[Stats XHR] Response content length:', responseContentLength);
                                 
                                 // Send to content script
                                 window.postMessage({
@@ -570,7 +868,8 @@
                                     isRegenerationRequested: isRegenerationRequested,
                                     altMessageId: altMessageIdFromRequest,
                                     prevId: prevId,
-                                    responseContentLength: responseContent.length,
+                                    responseContentLength: responseContentLength,
+                                    responseContent: readsReplyText() ? (response.message.content || '') : undefined,
                                     responseEngine: responseModel
                                 }, '*');
                                 
@@ -588,7 +887,10 @@
                             window.postMessage({
                                 type: 'SAI_USER_MESSAGE_SENT',
                                 timestamp: userMessageTimestamp,
-                                conversationId: response.conversation_id || response.chat_id || null
+                                conversationId: response.conversation_id || response.chat_id || null,
+                                // Offline Queue matches this against queued messages so a
+                                // manual resend is never followed by a queued one
+                                sentMessage: messageRecoveryEnabled && typeof parsedBody.message === 'string' ? parsedBody.message : null
                             }, '*');
                         } catch (e) {
                             console.error('[Stats] Error parsing chat response:', e);
@@ -621,6 +923,9 @@
             }
         }
         
+        // Send Retry resends exactly what went out the first time
+        if (this._saiSendRetry) this._saiSendRetry.body = body;
+
         return originalXHRSend.apply(this, [body]);
     };
     
@@ -695,6 +1000,7 @@
         const isFetchChatPost = url && typeof url === 'string' &&
             (url.includes('/chat') || url.includes('/story')) &&
             options && options.method === 'POST';
+        if (isFetchChatPost) rememberChatEndpoint(url);
 
         // Message Recovery snapshot (fetch path) — see XHR path for the full
         // rationale. We hold the snapshot in this closure and only persist it
@@ -757,14 +1063,38 @@
         // In either case, if we have a recoverySnapshot we hand it off to the
         // content script for persistence. The throw is re-raised so site code
         // continues to see exactly the same error it would have seen otherwise.
+        //
+        // Send Retry (fetch): gateway-error responses on a chat POST with a
+        // string body are retried here, before the site sees them. Throws are
+        // not retried — a timed-out AbortSignal stays aborted, so the retry
+        // would fail immediately anyway.
         let response;
-        try {
-            response = await originalFetch.apply(this, args);
-        } catch (err) {
-            if (recoverySnapshot) {
-                emitMessageSendFailed(recoverySnapshot, 'fetch-throw');
+        const canRetryFetch = isFetchChatPost && typeof options.body === 'string';
+        const fetchRetryId = canRetryFetch ? newSendRetryId() : null;
+        let fetchRetryAttempts = 0;
+        let fetchRetryOutcome = null;
+        while (true) {
+            try {
+                response = await originalFetch.apply(this, args);
+            } catch (err) {
+                if (fetchRetryAttempts > 0) reportSendRetryResult(fetchRetryId, 'failed', fetchRetryAttempts);
+                if (recoverySnapshot) {
+                    emitMessageSendFailed(recoverySnapshot, 'fetch-throw');
+                }
+                throw err;
+            }
+            if (!canRetryFetch || !RETRYABLE_SEND_STATUSES.includes(response.status) || !canRetrySend(fetchRetryAttempts)) {
+                break;
             }
-            throw err;
+            fetchRetryAttempts++;
+            const decision = await waitForSendRetry(fetchRetryId, fetchRetryAttempts, 'fetch-status-' + response.status);
+            if (decision !== 'retry') {
+                fetchRetryOutcome = 'cancelled';
+                break;
+            }
+        }
+        if (fetchRetryAttempts > 0) {
+            reportSendRetryResult(fetchRetryId, fetchRetryOutcome || (response.ok ? 'sent' : 'failed'), fetchRetryAttempts);
         }
         if (recoverySnapshot && response && !response.ok) {
             emitMessageSendFailed(recoverySnapshot, 'fetch-status-' + response.status);
@@ -865,7 +1195,9 @@
                         isAlternative: isAlternative,
                         isRegenerationRequested: isRegenerationRequested,
                         altMessageId: altMessageIdFromRequest,
-                        prevId: prevId
+                        prevId: prevId,
+                        responseContentLength: (data.message.content || '').length,
+                        responseContent: readsReplyText() ? (data.message.content || '') : undefined
                     }, '*');
                     
                     // Send user message notification
@@ -874,7 +1206,8 @@
                         window.postMessage({
                             type: 'SAI_USER_MESSAGE_SENT',
                             timestamp: userMessageTimestamp,
-                            conversationId: conversationId
+                            conversationId: conversationId,
+                            sentMessage: recoverySnapshot ? recoverySnapshot.message : null // see XHR path
                         }, '*');
                     }
                     